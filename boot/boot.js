@@ -920,36 +920,66 @@ taking precedence to the right
 $tw.Tiddler = function(/* [fields,] fields */) {
 	this.fields = Object.create(null);
 	this.cache = Object.create(null);
+	var srcFields = Object.create(null),
+		t;
 	for(var c=0; c<arguments.length; c++) {
 		var arg = arguments[c],
 			src = (arg instanceof $tw.Tiddler) ? arg.fields : arg;
-		for(var t in src) {
+		for(t in src) {
 			if(src[t] === undefined || src[t] === null) {
-				if(t in this.fields) {
-					delete this.fields[t]; // If we get a field that's undefined, delete any previous field value
+				if(t in srcFields) {
+					delete srcFields[t]; // If we get a field that's undefined, delete any previous field value
 				}
 			} else {
-				// Parse the field with the associated field module (if any)
-				var fieldModule = $tw.Tiddler.fieldModules[t],
-					value;
-				if(fieldModule && fieldModule.parse) {
-					value = fieldModule.parse.call(this,src[t]);
-				} else {
-					value = src[t];
-				}
-				// Freeze the field to keep it immutable
-				if(value != null && typeof value === "object") {
-					Object.freeze(value);
-				}
-				this.fields[t] = value;
+				srcFields[t] = src[t];
 			}
 		}
 	}
+	// The types of the fields can depend on the type of the tiddler, so we can only parse them once all the fields are merged
+	for(t in srcFields) {
+		// Parse the field with the associated field module or field type (if any)
+		var parse = $tw.Tiddler.getFieldProperty(t,srcFields.type,"parse"),
+			value = parse ? parse.call(this,srcFields[t]) : srcFields[t];
+		// Freeze the field to keep it immutable
+		if(value != null && typeof value === "object") {
+			Object.freeze(value);
+		}
+		this.fields[t] = value;
+	}
 	// Freeze the tiddler against modification
 	Object.freeze(this.fields);
 	Object.freeze(this);
 };
 
+/*
+Get the type of a field as an object from a tiddlerfield type module, or null if the field is an ordinary string. Fields are given a type by the "type" property of their tiddlerfield module, or for tiddlers of a particular content type by its "tiddlerTypes" property, a hashmap of content type to field type
+fieldName: name of the field
+tiddlerType: content type of the tiddler containing the field
+*/
+$tw.Tiddler.getFieldType = function(fieldName,tiddlerType) {
+	var fieldModule = $tw.Tiddler.fieldModules[fieldName];
+	if(!fieldModule) {
+		return null;
+	}
+	var typeName = (fieldModule.tiddlerTypes && fieldModule.tiddlerTypes[tiddlerType || "text/vnd.tiddlywiki"]) || fieldModule.type;
+	return (typeName && $tw.Tiddler.fieldTypes[typeName]) || null;
+};
+
+/*
+Get a property of a field, such as its "parse" or "stringify" function, from its tiddlerfield module or failing that from its type. Returns undefined if neither defines the property
+*/
+$tw.Tiddler.getFieldProperty = function(fieldName,tiddlerType,property) {
+	var fieldModule = $tw.Tiddler.fieldModules[fieldName];
+	if(!fieldModule) {
+		return undefined;
+	}
+	if(fieldModule[property] !== undefined) {
+		return fieldModule[property];
+	}
+	var fieldType = $tw.Tiddler.getFieldType(fieldName,tiddlerType);
+	return fieldType ? fieldType[property] : undefined;
+};
+
 $tw.Tiddler.prototype.hasField = function(field) {
 	return $tw.utils.hop(this.fields,field);
 };
@@ -986,6 +1016,10 @@ $tw.Tiddler.prototype.isEqual = function(tiddler,excludeFields) {
 		if($tw.utils.isArray(valueA) && $tw.utils.isArray(valueB) && $tw.utils.isArrayEqual(valueA,valueB)) {
 			return true;
 		}
+		// Check for identical values of other types, such as numbers and booleans
+		if(valueA === valueB) {
+			return true;
+		}
 		// Check for identical date values
 		if($tw.utils.isDate(valueA) && $tw.utils.isDate(valueB) && valueA.getTime() === valueB.getTime()) {
 			return true;
@@ -1010,17 +1044,101 @@ $tw.Tiddler.prototype.isEqual = function(tiddler,excludeFields) {
 };
 
 /*
-Register and install the built in tiddler field modules
+Make a compare function for a field type. Values that are not of the type, because they are missing or couldn't be parsed, sort before those that are
+isValue: function returning true if a value is of the type
+compareValues: function to compare two values of the type
+*/
+$tw.utils.makeFieldTypeCompare = function(isValue,compareValues) {
+	return function(a,b) {
+		var isValueA = isValue(a),
+			isValueB = isValue(b);
+		if(isValueA && isValueB) {
+			return compareValues(a,b);
+		} else if(isValueA !== isValueB) {
+			return isValueA ? 1 : -1;
+		}
+		a = a === undefined ? "" : String(a);
+		b = b === undefined ? "" : String(b);
+		return a < b ? -1 : (a > b ? 1 : 0);
+	};
+};
+
+/*
+Register and install the built in tiddler field types. Types can have these properties:
+name: name of the type
+parse: function to convert a string to a value of the type. Strings that can't be converted are returned unchanged so that no information is lost, and values that are already of the type are returned as they are
+stringify: function to convert a value of the type, or a string that couldn't be converted, back to a string
+compare: function(a,b) to compare two values of the field, returning a number less than, equal to or greater than zero as for Array.prototype.sort(). Missing values are passed as undefined
+editTag, editType: the tag and type of the element used to edit the field
+*/
+$tw.modules.define("$:/boot/tiddlerfieldtypes/date","tiddlerfieldtype",{
+	name: "date",
+	parse: function(value) {
+		var date = $tw.utils.parseDate(value);
+		return date && isFinite(date) ? date : value;
+	},
+	stringify: function(value) {
+		return $tw.utils.isDate(value) ? $tw.utils.stringifyDate(value) : value.toString();
+	},
+	compare: $tw.utils.makeFieldTypeCompare($tw.utils.isDate,function(a,b) {
+		return a.getTime() - b.getTime();
+	})
+});
+$tw.modules.define("$:/boot/tiddlerfieldtypes/number","tiddlerfieldtype",{
+	name: "number",
+	parse: function(value) {
+		return typeof value === "string" && /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(value) ? Number(value) : value;
+	},
+	stringify: function(value) {
+		return value.toString();
+	},
+	compare: $tw.utils.makeFieldTypeCompare(function(value) {
+		return typeof value === "number";
+	},function(a,b) {
+		return a - b;
+	}),
+	editType: "number"
+});
+$tw.modules.define("$:/boot/tiddlerfieldtypes/boolean","tiddlerfieldtype",{
+	name: "boolean",
+	parse: function(value) {
+		if(value === "yes" || value === "true") {
+			return true;
+		} else if(value === "no" || value === "false") {
+			return false;
+		}
+		return value;
+	},
+	stringify: function(value) {
+		if(value === true) {
+			return "yes";
+		} else if(value === false) {
+			return "no";
+		}
+		return value.toString();
+	},
+	compare: $tw.utils.makeFieldTypeCompare(function(value) {
+		return typeof value === "boolean";
+	},function(a,b) {
+		return (a ? 1 : 0) - (b ? 1 : 0);
+	})
+});
+$tw.modules.define("$:/boot/tiddlerfieldtypes/list","tiddlerfieldtype",{
+	name: "list",
+	parse: $tw.utils.parseStringArray,
+	stringify: $tw.utils.stringifyList
+});
+
+/*
+Register and install the built in tiddler field modules. Field modules can give the type of the field, or their own parse and stringify functions and editTag and editType properties
 */
 $tw.modules.define("$:/boot/tiddlerfields/modified","tiddlerfield",{
 	name: "modified",
-	parse: $tw.utils.parseDate,
-	stringify: $tw.utils.stringifyDate
+	type: "date"
 });
 $tw.modules.define("$:/boot/tiddlerfields/created","tiddlerfield",{
 	name: "created",
-	parse: $tw.utils.parseDate,
-	stringify: $tw.utils.stringifyDate
+	type: "date"
 });
 $tw.modules.define("$:/boot/tiddlerfields/color","tiddlerfield",{
 	name: "color",
@@ -1029,13 +1147,11 @@ $tw.modules.define("$:/boot/tiddlerfields/color","tiddlerfield",{
 });
 $tw.modules.define("$:/boot/tiddlerfields/tags","tiddlerfield",{
 	name: "tags",
-	parse: $tw.utils.parseStringArray,
-	stringify: $tw.utils.stringifyList
+	type: "list"
 });
 $tw.modules.define("$:/boot/tiddlerfields/list","tiddlerfield",{
 	name: "list",
-	parse: $tw.utils.parseStringArray,
-	stringify: $tw.utils.stringifyList
+	type: "list"
 });
 
 /////////////////////////// Barebones wiki store
@@ -1068,7 +1184,85 @@ $tw.Wiki = function(options) {
 		},
 		enableIndexers = options.enableIndexers || null,
 		indexers = [],
-		indexersByName = Object.create(null);
+		indexersByName = Object.create(null),
+		transaction = null, // State of the current transaction, if any (see below)
+		// Update the indexes and queue a change event for a tiddler that has changed, or defer them to the end of the current transaction
+		processChange = function(title,updateDescriptor,isDeleted) {
+			self.clearCache(title);
+			self.clearGlobalCache();
+			if(transaction) {
+				// Remember the state of the tiddler before the first change within the transaction
+				if(!$tw.utils.hop(transaction.changes,title)) {
+					transaction.changes[title] = updateDescriptor.old;
+				}
+				transaction.events[title] = !!isDeleted;
+			} else {
+				$tw.utils.each(indexers,function(indexer) {
+					indexer.update(updateDescriptor);
+				});
+				self.enqueueTiddlerEvent(title,isDeleted);
+			}
+		},
+		// Get the iterators that indexers can attach index methods to
+		getIndexedIterators = function() {
+			return [self.each,self.eachShadow,self.eachTiddlerPlusShadows,self.eachShadowPlusTiddlers];
+		},
+		// Finish the current transaction, restoring the index methods of the iterators
+		endTransaction = function() {
+			var oldTransaction = transaction;
+			transaction = null;
+			$tw.utils.each(getIndexedIterators(),function(iterator,index) {
+				$tw.utils.extend(iterator,oldTransaction.indexMethods[index]);
+			});
+			return oldTransaction;
+		},
+		commitTransaction = function() {
+			var committedTransaction = endTransaction();
+			// Update the indexes with the overall change to each tiddler
+			if(committedTransaction.rebuildIndexes) {
+				$tw.utils.each(indexers,function(indexer) {
+					indexer.rebuild();
+				});
+			} else {
+				$tw.utils.each(committedTransaction.changes,function(oldState,title) {
+					var updateDescriptor = {
+						old: oldState,
+						"new": {
+							tiddler: self.getTiddler(title),
+							shadow: self.isShadowTiddler(title),
+							exists: self.tiddlerExists(title)
+						}
+					};
+					if(updateDescriptor.old.tiddler || updateDescriptor["new"].tiddler) {
+						$tw.utils.each(indexers,function(indexer) {
+							indexer.update(updateDescriptor);
+						});
+					}
+				});
+			}
+			// Queue all the change events together
+			$tw.utils.each(committedTransaction.events,function(isDeleted,title) {
+				self.enqueueTiddlerEvent(title,isDeleted);
+			});
+		},
+		rollbackTransaction = function() {
+			var abandonedTransaction = endTransaction();
+			// Put back the tiddlers as they were before the transaction. The indexes haven't yet seen any of the changes
+			$tw.utils.each(abandonedTransaction.changes,function(oldState,title) {
+				if(oldState.exists) {
+					tiddlers[title] = oldState.tiddler;
+				} else {
+					delete tiddlers[title];
+				}
+			});
+			tiddlerTitles = null;
+			pluginTiddlers = abandonedTransaction.pluginTiddlers;
+			pluginInfo = abandonedTransaction.pluginInfo;
+			shadowTiddlers = abandonedTransaction.shadowTiddlers;
+			shadowTiddlerTitles = null;
+			self.clearCache(null);
+			self.clearGlobalCache();
+		};
 
 	this.addIndexer = function(indexer,name) {
 		// Bail if this indexer is not enabled
@@ -1081,7 +1275,45 @@ $tw.Wiki = function(options) {
 	};
 
 	this.getIndexer = function(name) {
-		return indexersByName[name] || null;
+		// Indexes aren't updated until the end of a transaction, so they can't be used within one
+		return transaction ? null : (indexersByName[name] || null);
+	};
+
+	/*
+	Make a group of changes to the wiki as a single transaction by calling fn(). The indexes aren't updated and change events aren't queued until fn() returns, when they are processed together as a single set of changes. If fn() throws an exception then the tiddlers, plugins and shadow tiddlers are returned to their state before the transaction, no change events are queued, and the exception is rethrown. A transaction started within another transaction becomes part of the outer one
+	Returns the value returned by fn()
+	*/
+	this.transaction = function(fn) {
+		if(transaction) {
+			return fn.call(this);
+		}
+		transaction = {
+			changes: Object.create(null), // Hashmap by title of the state of each changed tiddler before the transaction: {tiddler:, shadow:, exists:}
+			events: Object.create(null), // Hashmap by title of the change events to be queued: true if the tiddler has been deleted
+			pluginTiddlers: pluginTiddlers.slice(0),
+			pluginInfo: $tw.utils.extend(Object.create(null),pluginInfo),
+			shadowTiddlers: shadowTiddlers,
+			rebuildIndexes: false,
+			indexMethods: []
+		};
+		// Hide the index methods of the iterators so that filters don't use the indexes
+		$tw.utils.each(getIndexedIterators(),function(iterator) {
+			var methods = Object.create(null);
+			$tw.utils.each(Object.keys(iterator),function(name) {
+				methods[name] = iterator[name];
+				delete iterator[name];
+			});
+			transaction.indexMethods.push(methods);
+		});
+		var result;
+		try {
+			result = fn.call(this);
+		} catch(e) {
+			rollbackTransaction();
+			throw e;
+		}
+		commitTransaction();
+		return result;
 	};
 
 	// Add a tiddler to the store
@@ -1115,14 +1347,8 @@ $tw.Wiki = function(options) {
 					shadow: this.isShadowTiddler(title),
 					exists: this.tiddlerExists(title)
 				}
-				// Update indexes
-				this.clearCache(title);
-				this.clearGlobalCache();
-				$tw.utils.each(indexers,function(indexer) {
-					indexer.update(updateDescriptor);
-				});
-				// Queue a change event
-				this.enqueueTiddlerEvent(title);
+				// Update indexes and queue a change event
+				processChange(title,updateDescriptor);
 			}
 		}
 	};
@@ -1155,14 +1381,8 @@ $tw.Wiki = function(options) {
 				shadow: this.isShadowTiddler(title),
 				exists: this.tiddlerExists(title)
 			}
-			// Update indexes
-			this.clearCache(title);
-			this.clearGlobalCache();
-			$tw.utils.each(indexers,function(indexer) {
-				indexer.update(updateDescriptor);
-			});
-			// Queue a change event
-			this.enqueueTiddlerEvent(title,true);
+			// Update indexes and queue a change event
+			processChange(title,updateDescriptor,true);
 		}
 	};
 
@@ -1386,9 +1606,13 @@ $tw.Wiki = function(options) {
 		shadowTiddlerTitles = null;
 		this.clearCache(null);
 		this.clearGlobalCache();
-		$tw.utils.each(indexers,function(indexer) {
-			indexer.rebuild();
-		});
+		if(transaction) {
+			transaction.rebuildIndexes = true;
+		} else {
+			$tw.utils.each(indexers,function(indexer) {
+				indexer.rebuild();
+			});
+		}
 	};
 
 	if(this.addIndexersToWiki) {
@@ -2324,8 +2548,9 @@ $tw.boot.initStartup = function(options) {
 	$tw.utils.registerFileType("application/octet-stream","base64",".octet-stream");
 	// Create the wiki store for the app
 	$tw.wiki = new $tw.Wiki();
-	// Install built in tiddler fields modules
+	// Install built in tiddler fields modules and field types
 	$tw.Tiddler.fieldModules = $tw.modules.getModulesByTypeAsHashmap("tiddlerfield");
+	$tw.Tiddler.fieldTypes = $tw.modules.getModulesByTypeAsHashmap("tiddlerfieldtype");
 	// Install the tiddler deserializer modules
 	$tw.Wiki.tiddlerDeserializerModules = Object.create(null);
 	$tw.modules.applyMethods("tiddlerdeserializer",$tw.Wiki.tiddlerDeserializerModules);
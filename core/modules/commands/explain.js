@@ -0,0 +1,38 @@
+/*\
+title: $:/core/modules/commands/explain.js
+type: application/javascript
+module-type: command
+
+Command to explain how a filter is run
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.info = {
+	name: "explain",
+	synchronous: true
+};
+
+var Command = function(params,commander,callback) {
+	this.params = params;
+	this.commander = commander;
+	this.callback = callback;
+};
+
+Command.prototype.execute = function() {
+	if(this.params.length < 1) {
+		return "Missing filter";
+	}
+	var wiki = this.commander.wiki,
+		explanation = wiki.explainFilter(this.params[0]);
+	this.commander.streams.output.write(wiki.formatFilterExplanation(explanation).join("\n") + "\n");
+	return null;
+};
+
+exports.Command = Command;
+
+})();
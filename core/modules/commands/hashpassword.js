@@ -0,0 +1,37 @@
+/*\
+title: $:/core/modules/commands/hashpassword.js
+type: application/javascript
+module-type: command
+
+Output a salted hash of a password for the web server user store
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.info = {
+	name: "hashpassword",
+	synchronous: true
+};
+
+var Command = function(params,commander,callback) {
+	this.params = params;
+	this.commander = commander;
+	this.callback = callback;
+};
+
+Command.prototype.execute = function() {
+	if(this.params.length < 1) {
+		return "Missing password";
+	}
+	var hashPassword = require("$:/core/modules/server/users.js").hashPassword;
+	this.commander.streams.output.write(hashPassword(this.params[0]) + "\n");
+	return null;
+};
+
+exports.Command = Command;
+
+})();
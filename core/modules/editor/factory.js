@@ -187,15 +187,10 @@ function editTextWidgetFactory(toolbarEngine,nonToolbarEngine) {
 		if(this.editField === "text") {
 			tag = "textarea";
 		} else {
-			tag = "input";
-			var fieldModule = $tw.Tiddler.fieldModules[this.editField];
-			if(fieldModule && fieldModule.editTag) {
-				tag = fieldModule.editTag;
-			}
-			if(fieldModule && fieldModule.editType) {
-				type = fieldModule.editType;
-			}
-			type = type || "text";
+			var tiddler = this.wiki.getTiddler(this.editTitle),
+				tiddlerType = tiddler && tiddler.fields.type;
+			tag = $tw.Tiddler.getFieldProperty(this.editField,tiddlerType,"editTag") || "input";
+			type = $tw.Tiddler.getFieldProperty(this.editField,tiddlerType,"editType") || "text";
 		}
 		// Get the rest of our parameters
 		this.editTag = this.getAttribute("tag",tag) || "input";
@@ -12,6 +12,21 @@ Adds tiddler filtering methods to the $tw.Wiki object.
 /*global $tw: false */
 "use strict";
 
+/*
+Maximum number of compiled filters to keep in the cache
+*/
+var MAX_FILTER_CACHE_SIZE = 2000;
+
+/*
+Types of the modules that compiled filters depend on
+*/
+var FILTER_MODULE_TYPES = ["filteroperator","filterrunprefix"];
+
+/*
+Operators that return the titles from their input that meet some condition, without changing their order or looking at more than one title at a time. The order of a sequence of these operators doesn't affect their results. Operators that don't exist are treated as field comparisons, and so also belong here
+*/
+var SELECTION_OPERATORS = ["compare","days","field","has","is","prefix","regexp","search","suffix","tag"];
+
 /*
 Parses an operation (i.e. a run) within a filter string
 	operators: Array of array of operator nodes into which results should be inserted
@@ -195,17 +210,184 @@ exports.getFilterRunPrefixes = function() {
 	return this.filterRunPrefixes;
 }
 
+/*
+Get the number of titles that an operator would select from a source by using an index, or null if the operator can't use an index
+*/
+exports.getIndexedOperatorSize = function(operator,operands,source) {
+	var operand = operands[0],
+		fieldIndexer = this.getIndexer("FieldIndexer"),
+		sortedFieldIndexer = this.getIndexer("SortedFieldIndexer"),
+		lookup, fieldName, range;
+	if(operator.prefix === "!" || operator.regexp || !operand) {
+		return null;
+	}
+	if(operator.operator === "tag" && source.byTag) {
+		return source.byTag(operand).length;
+	}
+	if(operator.operator === "days" && source.byRange && sortedFieldIndexer) {
+		fieldName = operator.suffix || "modified";
+		range = sortedFieldIndexer.getDaysRange(fieldName,parseInt(operand,10) || 0);
+		return range ? sortedFieldIndexer.countRange(fieldName,range) : null;
+	}
+	if(operator.operator === "compare" && operator.suffixes && operator.suffixes[2] && operator.suffixes[2][0] && source.byRange && sortedFieldIndexer) {
+		fieldName = operator.suffixes[2][0].toLowerCase();
+		range = sortedFieldIndexer.getCompareRange(fieldName,operator.suffixes[0][0],operator.suffixes[1][0],operand);
+		return range ? sortedFieldIndexer.countRange(fieldName,range) : null;
+	}
+	if(operator.operator === "field" || !this.getFilterOperators()[operator.operator]) {
+		if(source.byField && fieldIndexer) {
+			lookup = fieldIndexer.lookup((operator.suffix || operator.operator || "title").toLowerCase(),operand);
+			return lookup ? lookup.length : null;
+		}
+	}
+	return null;
+};
+
+/*
+Choose the order in which to apply the operators of a filter run to a source of titles. If the run starts with a sequence of selection operators then the one that can use an index to select the fewest titles is moved to the front, so that the others only need to look at the titles it selects. The indexes are consulted each time the run is executed, so the choice keeps up with changes to the wiki
+operators: array of operator nodes of the filter run
+source: iterator function for the source tiddlers
+getOperands: function(operator) returning the array of operand values for an operator
+widget: optional widget used to look up filter functions
+Returns an array of the operators in the order in which they should be applied
+*/
+exports.planFilterRun = function(operators,source,getOperands,widget) {
+	var filterOperators = this.getFilterOperators(),
+		bestIndex = null,
+		bestSize;
+	if(!source.byTag && !source.byField && !source.byRange) {
+		return operators;
+	}
+	for(var index=0; index<operators.length; index++) {
+		var operator = operators[index];
+		if((SELECTION_OPERATORS.indexOf(operator.operator) === -1 && filterOperators[operator.operator]) || isFunctionCall(operator.operator,widget)) {
+			break;
+		}
+		// Ranked searches change the order of their input
+		if(operator.operator === "search" && operator.suffixes && (operator.suffixes[1] || []).indexOf("ranked") !== -1) {
+			break;
+		}
+		var size = this.getIndexedOperatorSize(operator,getOperands(operator),source);
+		if(size !== null && (bestIndex === null || size < bestSize)) {
+			bestIndex = index;
+			bestSize = size;
+		}
+	}
+	if(!bestIndex) {
+		return operators;
+	}
+	var plan = operators.slice(0);
+	plan.splice(bestIndex,1);
+	plan.unshift(operators[bestIndex]);
+	return plan;
+};
+
 exports.filterTiddlers = function(filterString,widget,source) {
 	var fn = this.compileFilter(filterString);
 	return fn.call(this,source,widget);
 };
 
+/*
+Discard all the compiled filters in the cache
+*/
+exports.clearFilterCache = function() {
+	this.filterCache = Object.create(null);
+	this.filterCacheCount = 0;
+};
+
+/*
+Discard the compiled filters in the cache if they might depend on a tiddler that has changed. Compiled filters depend on the filter operator and filter run prefix modules, so the cache is cleared when one of them is changed or deleted, or when any tiddler might have changed
+title: title of the changed tiddler, or null if any tiddler might have changed
+*/
+exports.invalidateFilterCache = function(title) {
+	var tiddler = title && this.getTiddler(title),
+		moduleInfo = title && $tw.modules.titles[title],
+		isFilterModule = !!tiddler && FILTER_MODULE_TYPES.indexOf(tiddler.fields["module-type"]) !== -1;
+	// Remember the titles of filter modules so that we notice when they are deleted
+	this.filterModuleTitles = this.filterModuleTitles || Object.create(null);
+	if(!title || isFilterModule || this.filterModuleTitles[title] || (moduleInfo && FILTER_MODULE_TYPES.indexOf(moduleInfo.moduleType) !== -1)) {
+		if(isFilterModule) {
+			this.filterModuleTitles[title] = true;
+		} else if(title) {
+			delete this.filterModuleTitles[title];
+		}
+		// Gather the modules again in case any have been defined since
+		delete $tw.Wiki.prototype.filterOperators;
+		delete $tw.Wiki.prototype.filterRunPrefixes;
+		this.clearFilterCache();
+	}
+};
+
 /*
 Compile a filter into a function with the signature fn(source,widget) where:
 source: an iterator function for the source tiddlers, called source(iterator), where iterator is called as iterator(tiddler,title)
 widget: an optional widget node for retrieving the current tiddler etc.
+Compiled filters are cached until invalidateFilterCache() finds that a change might affect them. They don't depend on the content of ordinary tiddlers because the order of the operators within each run is planned afresh each time it is executed
 */
 exports.compileFilter = function(filterString) {
+	if(!this.filterCache) {
+		this.clearFilterCache();
+	}
+	if(this.filterCache[filterString] !== undefined) {
+		return this.filterCache[filterString];
+	}
+	var fn = this.compileFilterUncached(filterString);
+	// Start again with an empty cache if it is full
+	if(this.filterCacheCount >= MAX_FILTER_CACHE_SIZE) {
+		this.clearFilterCache();
+	}
+	this.filterCache[filterString] = fn;
+	this.filterCacheCount++;
+	return fn;
+};
+
+/*
+Run a filter, recording the size of the input and output, the time taken and any index used by each run and each operator. The filter is compiled afresh so that the cache isn't affected
+Returns an explanation object:
+	filter: the filter string
+	results: array of the result titles
+	time: total time in milliseconds
+	runs: array of {text:, prefix:, inputSize:, outputSize:, time:, operators:} for each time that a run was executed, where time is the total time taken by the operators, and operators is an array of {text:, inputSize:, outputSize:, time:, index:} in the order that the operators were applied. The index is the name of the index used by the operator, or null
+*/
+exports.explainFilter = function(filterString,widget,source) {
+	var explanation = {filter: filterString, runs: []},
+		startTime = $tw.utils.timer();
+	explanation.results = this.compileFilterUncached(filterString,explanation).call(this,source,widget);
+	explanation.time = $tw.utils.timer(startTime);
+	return explanation;
+};
+
+/*
+Format an explanation object returned by explainFilter() as an array of lines of text
+*/
+exports.formatFilterExplanation = function(explanation) {
+	var lines = [],
+		describe = function(item) {
+			return item.inputSize + " in, " + item.outputSize + " out, " + item.time.toFixed(2) + "ms";
+		};
+	lines.push("Filter " + explanation.filter + ": " + explanation.results.length + " results, " + explanation.time.toFixed(2) + "ms");
+	$tw.utils.each(explanation.runs,function(run,index) {
+		lines.push("  Run " + (index + 1) + " " + run.prefix + run.text + ": " + describe(run));
+		$tw.utils.each(run.operators,function(operator) {
+			lines.push("    " + operator.text + ": " + describe(operator) + (operator.index ? ", " + operator.index + " index" : ""));
+		});
+	});
+	return lines;
+};
+
+/*
+Check whether a filter operator calls a filter function defined with the \function pragma. Only operators with a dot in their names can call functions, so that they can't be confused with core operators
+*/
+function isFunctionCall(operatorName,widget) {
+	return !!operatorName && operatorName.indexOf(".") !== -1 && !!widget && !!widget.getFilterFunction && !!widget.getFilterFunction(operatorName);
+}
+
+/*
+Compile a filter without using the cache
+filterString: the filter string
+explanation: optional explanation object (see explainFilter()) to which the runs are to be added each time the compiled filter is executed
+*/
+exports.compileFilterUncached = function(filterString,explanation) {
 	var filterParseTree;
 	try {
 		filterParseTree = this.parseFilter(filterString);
@@ -225,28 +407,65 @@ exports.compileFilter = function(filterString) {
 		var operationSubFunction = function(source,widget) {
 			var accumulator = source,
 				results = [],
-				currTiddlerTitle = widget && widget.getVariable("currentTiddler");
-			$tw.utils.each(operation.operators,function(operator) {
-				var operands = [],
+				currTiddlerTitle = widget && widget.getVariable("currentTiddler"),
+				resolvedOperands = [],
+				// Resolve the operands of an operator, reusing the values if they have already been resolved while planning the run
+				getOperands = function(operator) {
+					var index = operation.operators.indexOf(operator),
+						operands = [];
+					if(resolvedOperands[index]) {
+						return resolvedOperands[index];
+					}
+					$tw.utils.each(operator.operands,function(operand) {
+						if(operand.indirect) {
+							operand.value = self.getTextReference(operand.text,"",currTiddlerTitle);
+						} else if(operand.variable) {
+							operand.value = widget.getVariable(operand.text,{defaultValue: ""});
+						} else {
+							operand.value = operand.text;
+						}
+						operands.push(operand.value);
+					});
+					resolvedOperands[index] = operands;
+					return operands;
+				};
+			var runExplanation = explanation && {
+					text: "[" + operation.operators.map(stringifyFilterOperator).join("") + "]",
+					prefix: operation.prefix,
+					inputSize: countTitles(source),
+					operators: [],
+					time: 0
+				};
+			$tw.utils.each(self.planFilterRun(operation.operators,source,getOperands,widget),function(operator) {
+				var operands = getOperands(operator),
+					operatorOptions = {
+						wiki: self,
+						widget: widget
+					},
+					operatorExplanation,
+					operatorStartTime,
 					operatorFunction;
+				if(explanation) {
+					operatorExplanation = {
+						text: stringifyFilterOperator(operator),
+						inputSize: countTitles(accumulator),
+						index: null
+					};
+					operatorOptions.indexUsed = function(name) {
+						operatorExplanation.index = name;
+					};
+					accumulator = makeExplainedIterator(accumulator,operatorOptions.indexUsed);
+					operatorStartTime = $tw.utils.timer();
+				}
 				if(!operator.operator) {
 					operatorFunction = filterOperators.title;
+				} else if(isFunctionCall(operator.operator,widget) && !filterOperators[operator.operator]) {
+					operatorFunction = filterOperators["function"];
 				} else if(!filterOperators[operator.operator]) {
 					operatorFunction = filterOperators.field;
 				} else {
 					operatorFunction = filterOperators[operator.operator];
 				}
-				
-				$tw.utils.each(operator.operands,function(operand) {
-					if(operand.indirect) {
-						operand.value = self.getTextReference(operand.text,"",currTiddlerTitle);
-					} else if(operand.variable) {
-						operand.value = widget.getVariable(operand.text,{defaultValue: ""});
-					} else {
-						operand.value = operand.text;
-					}
-					operands.push(operand.value);
-				});
 
 				// Invoke the appropriate filteroperator module
 				results = operatorFunction(accumulator,{
@@ -257,25 +476,34 @@ exports.compileFilter = function(filterString) {
 							suffix: operator.suffix,
 							suffixes: operator.suffixes,
 							regexp: operator.regexp
-						},{
-							wiki: self,
-							widget: widget
-						});
+						},operatorOptions);
 				if($tw.utils.isArray(results)) {
 					accumulator = self.makeTiddlerIterator(results);
 				} else {
 					accumulator = results;
 				}
+				if(explanation) {
+					// Operators that return an iterator only do their work when the iterator is called
+					operatorExplanation.outputSize = countTitles(accumulator);
+					operatorExplanation.time = $tw.utils.timer(operatorStartTime);
+					runExplanation.operators.push(operatorExplanation);
+					runExplanation.time += operatorExplanation.time;
+				}
 			});
+			var resultArray;
 			if($tw.utils.isArray(results)) {
-				return results;
+				resultArray = results;
 			} else {
-				var resultArray = [];
+				resultArray = [];
 				results(function(tiddler,title) {
 					resultArray.push(title);
 				});
-				return resultArray;
 			}
+			if(explanation) {
+				runExplanation.outputSize = resultArray.length;
+				explanation.runs.push(runExplanation);
+			}
+			return resultArray;
 		};
 		var filterRunPrefixes = self.getFilterRunPrefixes();
 		// Wrap the operator functions in a wrapper function that depends on the prefix
@@ -319,4 +547,55 @@ exports.compileFilter = function(filterString) {
 	});
 };
 
+/*
+Get the text of an operator node in filter syntax
+*/
+function stringifyFilterOperator(operator) {
+	var text = (operator.prefix || "") + operator.operator + (operator.suffix ? ":" + operator.suffix : "");
+	if(operator.regexp) {
+		return text + "/" + operator.regexp.source + "/";
+	}
+	return text + operator.operands.map(function(operand) {
+		if(operand.indirect) {
+			return "{" + operand.text + "}";
+		} else if(operand.variable) {
+			return "<" + operand.text + ">";
+		} else {
+			return "[" + operand.text + "]";
+		}
+	}).join(",");
+}
+
+/*
+Count the titles returned by an iterator
+*/
+function countTitles(iterator) {
+	var count = 0;
+	iterator(function(tiddler,title) {
+		count++;
+	});
+	return count;
+}
+
+/*
+Wrap an iterator so that calls to the index methods attached to it are reported to a callback function indexUsed(name)
+*/
+function makeExplainedIterator(iterator,indexUsed) {
+	var explainedIterator = function(callback) {
+		return iterator(callback);
+	};
+	$tw.utils.each({byTag: "tag", byField: "field", byRange: "sorted field", bySortedField: "sorted field"},function(name,method) {
+		if(iterator[method]) {
+			explainedIterator[method] = function() {
+				var results = iterator[method].apply(iterator,arguments);
+				if(results) {
+					indexUsed(name);
+				}
+				return results;
+			};
+		}
+	});
+	return explainedIterator;
+}
+
 })();
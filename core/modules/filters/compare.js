@@ -16,7 +16,11 @@ exports.compare = function(source,operator,options) {
 	var suffixes = operator.suffixes || [],
 		type = (suffixes[0] || [])[0],
 		mode = (suffixes[1] || [])[0],
-		typeFn = $tw.utils.makeCompareFunction(type,{defaultType: "number"}),
+		fieldName = ((suffixes[2] || [])[0] || "").toLowerCase();
+	if(fieldName) {
+		return compareField(source,operator,options,fieldName,type,mode);
+	}
+	var typeFn = $tw.utils.makeCompareFunction(type,{defaultType: "number"}),
 		modeFn = modes[mode] || modes.eq,
 		invert = operator.prefix === "!",
 		results = [];
@@ -28,6 +32,36 @@ exports.compare = function(source,operator,options) {
 	return results;
 };
 
+/*
+Compare the values of a field of the input tiddlers against the operand. Fields are compared by their declared type unless a type is given, and otherwise as numbers
+*/
+function compareField(source,operator,options,fieldName,type,mode) {
+	var typeFns = Object.create(null),
+		modeFn = modes[mode] || modes.eq,
+		invert = operator.prefix === "!",
+		results = [],
+		getTypeFn = function(tiddler) {
+			var fieldType = !type && $tw.Tiddler.getFieldType(fieldName,tiddler.fields.type),
+				typeName = fieldType ? fieldType.name : (type || "number");
+			typeFns[typeName] = typeFns[typeName] || $tw.utils.makeCompareFunction(typeName,{defaultType: "number"});
+			return typeFns[typeName];
+		};
+	// Use the sorted field index if the field is indexed with the same type
+	var sortedFieldIndexer = options.wiki.getIndexer("SortedFieldIndexer"),
+		range = !invert && sortedFieldIndexer && sortedFieldIndexer.getCompareRange(fieldName,type,mode,operator.operand),
+		indexedResults = range && sortedFieldIndexer.selectRange(source,fieldName,range,options.indexUsed);
+	if(indexedResults) {
+		return indexedResults;
+	}
+	source(function(tiddler,title) {
+		var isMatch = !!tiddler && tiddler.hasField(fieldName) && tiddler.fields[fieldName] !== "" && modeFn(getTypeFn(tiddler)(tiddler.getFieldString(fieldName),operator.operand));
+		if(isMatch !== invert) {
+			results.push(title);
+		}
+	});
+	return results;
+}
+
 var modes = {
 	"eq": function(value) {return value === 0;},
 	"ne": function(value) {return value !== 0;},
@@ -35,6 +69,6 @@ var modes = {
 	"gt": function(value) {return value > 0;},
 	"lteq": function(value) {return value <= 0;},
 	"lt": function(value) {return value < 0;}
-}
+};
 
 })();
@@ -36,6 +36,13 @@ exports.days = function(source,operator,options) {
 			}
 		});
 	} else {
+		// Use the sorted field index to find the tiddlers with dates close to the interval
+		var sortedFieldIndexer = options.wiki.getIndexer("SortedFieldIndexer"),
+			range = sortedFieldIndexer && sortedFieldIndexer.getDaysRange(fieldName,dayInterval),
+			candidates = range && sortedFieldIndexer.selectRange(source,fieldName,range,options.indexUsed);
+		if(candidates) {
+			source = options.wiki.makeTiddlerIterator(candidates);
+		}
 		source(function(tiddler,title) {
 			if(tiddler && tiddler.fields[fieldName]) {
 				if(isWithinDays($tw.utils.parseDate(tiddler.fields[fieldName]))) {
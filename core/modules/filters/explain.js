@@ -0,0 +1,23 @@
+/*\
+title: $:/core/modules/filters/explain.js
+type: application/javascript
+module-type: filteroperator
+
+Filter operator returning lines of text explaining how a filter is run
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Export our filter function
+*/
+exports.explain = function(source,operator,options) {
+	var explanation = options.wiki.explainFilter(operator.operand,options.widget,source);
+	return options.wiki.formatFilterExplanation(explanation);
+};
+
+})();
@@ -0,0 +1,32 @@
+/*\
+title: $:/core/modules/filters/fielderrors.js
+type: application/javascript
+module-type: filteroperator
+
+Filter operator for returning the problems found when checking tiddlers against their field schemas
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Export our filter function
+*/
+exports.fielderrors = function(source,operator,options) {
+	var results = [];
+	source(function(tiddler,title) {
+		if(tiddler) {
+			$tw.utils.each(options.wiki.validateTiddler(tiddler),function(error) {
+				if(!operator.operand || error.field === operator.operand) {
+					results.push(error.message);
+				}
+			});
+		}
+	});
+	return results;
+};
+
+})();
@@ -0,0 +1,32 @@
+/*\
+title: $:/core/modules/filters/function.js
+type: application/javascript
+module-type: filteroperator
+
+Filter operator calling a filter function defined with the \function pragma
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Export our filter function. The function can be named by the first operand, as in [function[my.fn],[param]], or called directly by name, as in [my.fn[param]]
+*/
+exports["function"] = function(source,operator,options) {
+	var widget = options.widget,
+		operands = operator.operands || [operator.operand],
+		name = operator.operator === "function" ? operands[0] : operator.operator,
+		params = operator.operator === "function" ? operands.slice(1) : operands,
+		variable = widget && widget.getFilterFunction && widget.getFilterFunction(name);
+	if(!variable) {
+		return [];
+	}
+	return widget.runFilterFunction(variable,params.map(function(param) {
+		return {value: param};
+	}),source);
+};
+
+})();
@@ -0,0 +1,36 @@
+/*\
+title: $:/core/modules/filters/is/invalid.js
+type: application/javascript
+module-type: isfilteroperator
+
+Filter function for [is[invalid]]
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Export our filter function
+*/
+exports.invalid = function(source,prefix,options) {
+	var results = [];
+	if(prefix === "!") {
+		source(function(tiddler,title) {
+			if(!tiddler || options.wiki.validateTiddler(tiddler).length === 0) {
+				results.push(title);
+			}
+		});
+	} else {
+		source(function(tiddler,title) {
+			if(tiddler && options.wiki.validateTiddler(tiddler).length > 0) {
+				results.push(title);
+			}
+		});
+	}
+	return results;
+};
+
+})();
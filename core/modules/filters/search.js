@@ -45,12 +45,18 @@ exports.search = function(source,operator,options) {
 			whitespace: hasFlag("whitespace"),
 			anchored: hasFlag("anchored"),
 			regexp: hasFlag("regexp"),
-			words: hasFlag("words")
+			words: hasFlag("words"),
+			some: hasFlag("some"),
+			ranked: hasFlag("ranked"),
+			fuzzy: hasFlag("fuzzy"),
+			transliterate: hasFlag("transliterate"),
+			indexUsed: options.indexUsed
 		});
 	} else {
 		return options.wiki.search(operator.operand,{
 			source: source,
-			invert: invert
+			invert: invert,
+			indexUsed: options.indexUsed
 		});
 	}
 };
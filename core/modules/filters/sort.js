@@ -16,6 +16,10 @@ Filter operator for sorting
 Export our filter function
 */
 exports.sort = function(source,operator,options) {
+	var indexedResults = sortByIndex(source,operator.operand || "title",operator.prefix === "!",options);
+	if(indexedResults) {
+		return indexedResults;
+	}
 	var results = prepare_results(source);
 	options.wiki.sortTiddlers(results,operator.operand || "title",operator.prefix === "!",false,false);
 	return results;
@@ -45,6 +49,17 @@ exports.nsortcs = function(source,operator,options) {
 	return results;
 };
 
+/*
+Sort by the modified or created field using the sorted field index, or return null if the index can't be used
+*/
+var sortByIndex = function(source,sortField,isDescending,options) {
+	var sortedFieldIndexer = options.wiki.getIndexer("SortedFieldIndexer");
+	if((sortField !== "modified" && sortField !== "created") || !sortedFieldIndexer || sortedFieldIndexer.getFieldType(sortField) !== "date") {
+		return null;
+	}
+	return sortedFieldIndexer.sortTitles(source,sortField,isDescending,options.indexUsed);
+};
+
 var prepare_results = function (source) {
 	var results = [];
 	source(function(tiddler,title) {
@@ -0,0 +1,330 @@
+/*\
+title: $:/core/modules/indexers/search-indexer.js
+type: application/javascript
+module-type: indexer
+
+Indexes the words in the title, tags and text of each tiddler, for use by wiki.search()
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global modules: false */
+"use strict";
+
+/*
+Length of the substrings of tokens that are indexed so that the tokens containing a string can be found without checking every token
+*/
+var GRAM_LENGTH = 3;
+
+function SearchIndexer(wiki) {
+	this.wiki = wiki;
+}
+
+SearchIndexer.prototype.init = function() {
+	this.index = null;
+	this.grams = null;
+};
+
+// Fields covered by the index
+SearchIndexer.prototype.indexedFields = ["title","tags","text"];
+
+/*
+Tear down and then rebuild the index as if all tiddlers have changed
+*/
+SearchIndexer.prototype.rebuild = function() {
+	// Invalidate the index so that it will be rebuilt when it is next used
+	this.index = null;
+	this.grams = null;
+};
+
+/*
+Split a string into upper case tokens, so that a string that appears within a field value has tokens that each appear within one of the tokens of the field value. Upper case is used because it is how case insensitive regular expressions compare characters. The string is split before it is converted because a few separators, such as the micro sign, have upper case forms that are letters
+*/
+SearchIndexer.prototype.tokenize = function(str) {
+	return $tw.utils.splitWords(str).map(function(word) {
+		return word.toUpperCase();
+	});
+};
+
+/*
+Get the tokens of the indexed fields of a tiddler as a hashmap. The text field is skipped if the tiddler has a binary content type, in the same way as wiki.search()
+*/
+SearchIndexer.prototype.getTiddlerTokens = function(tiddler) {
+	var self = this,
+		tokens = Object.create(null),
+		addTokens = function(str) {
+			$tw.utils.each(self.tokenize(str),function(token) {
+				tokens[token] = true;
+			});
+		},
+		contentTypeInfo = $tw.config.contentTypeInfo[tiddler.fields.type] || $tw.config.contentTypeInfo["text/vnd.tiddlywiki"];
+	addTokens(tiddler.fields.title);
+	$tw.utils.each(tiddler.fields.tags || [],addTokens);
+	if(tiddler.fields.text && contentTypeInfo.encoding === "utf8") {
+		addTokens(tiddler.getFieldString("text"));
+	}
+	return tokens;
+};
+
+SearchIndexer.prototype.addTiddler = function(tiddler) {
+	var title = tiddler.fields.title;
+	for(var token in this.getTiddlerTokens(tiddler)) {
+		if(!this.index[token]) {
+			this.index[token] = {titles: Object.create(null), count: 0};
+			this.updateGrams(token,true);
+		}
+		var entry = this.index[token];
+		if(!entry.titles[title]) {
+			entry.titles[title] = true;
+			entry.count++;
+		}
+	}
+};
+
+SearchIndexer.prototype.removeTiddler = function(tiddler) {
+	var title = tiddler.fields.title;
+	for(var token in this.getTiddlerTokens(tiddler)) {
+		var entry = this.index[token];
+		if(entry && entry.titles[title]) {
+			delete entry.titles[title];
+			if(--entry.count === 0) {
+				delete this.index[token];
+				this.updateGrams(token,false);
+			}
+		}
+	}
+};
+
+/*
+Add a token to or remove it from the entries of each of its grams
+*/
+SearchIndexer.prototype.updateGrams = function(token,isAdded) {
+	for(var p=0; p<=token.length - GRAM_LENGTH; p++) {
+		var gram = token.substr(p,GRAM_LENGTH),
+			entry = this.grams[gram];
+		if(isAdded) {
+			entry = this.grams[gram] = entry || {tokens: Object.create(null), count: 0};
+			if(!entry.tokens[token]) {
+				entry.tokens[token] = true;
+				entry.count++;
+			}
+		} else if(entry && entry.tokens[token]) {
+			delete entry.tokens[token];
+			if(--entry.count === 0) {
+				delete this.grams[gram];
+			}
+		}
+	}
+};
+
+/*
+Build the index for all tiddlers and shadow tiddlers
+*/
+SearchIndexer.prototype.buildIndex = function() {
+	var self = this;
+	// Hashmap by token of {titles: hashmap by title of true, count: number of titles}
+	this.index = Object.create(null);
+	// Hashmap by gram of {tokens: hashmap by token of true, count: number of tokens}, for the substrings of GRAM_LENGTH characters of each token
+	this.grams = Object.create(null);
+	this.wiki.eachTiddlerPlusShadows(function(tiddler,title) {
+		self.addTiddler(tiddler);
+	});
+};
+
+/*
+Update the index in the light of a tiddler value changing; note that the title must be identical. (Renames are handled as a separate delete and create)
+updateDescriptor: {old: {tiddler: <tiddler>, shadow: <boolean>, exists: <boolean>},new: {tiddler: <tiddler>, shadow: <boolean>, exists: <boolean>}}
+*/
+SearchIndexer.prototype.update = function(updateDescriptor) {
+	// Don't do anything if the index hasn't been built yet
+	if(this.index === null) {
+		return;
+	}
+	if(updateDescriptor.old.tiddler) {
+		this.removeTiddler(updateDescriptor.old.tiddler);
+	}
+	if(updateDescriptor["new"].tiddler) {
+		this.addTiddler(updateDescriptor["new"].tiddler);
+	}
+};
+
+/*
+Get the index entries of all the tokens containing the given string, together with the total number of titles in those entries. Only the tokens containing the rarest of the grams of the string are checked; strings shorter than a gram have to be checked against every token
+*/
+SearchIndexer.prototype.getEntriesContaining = function(str) {
+	var result = {entries: [], count: 0},
+		candidates = this.index,
+		rarestGramEntry = null;
+	for(var p=0; p<=str.length - GRAM_LENGTH; p++) {
+		var gramEntry = this.grams[str.substr(p,GRAM_LENGTH)];
+		// No token contains a string with a gram that isn't indexed
+		if(!gramEntry) {
+			return result;
+		}
+		if(!rarestGramEntry || gramEntry.count < rarestGramEntry.count) {
+			rarestGramEntry = gramEntry;
+			candidates = gramEntry.tokens;
+		}
+	}
+	for(var token in candidates) {
+		if(token.indexOf(str) !== -1) {
+			result.entries.push(this.index[token]);
+			result.count += this.index[token].count;
+		}
+	}
+	return result;
+};
+
+/*
+Get the index entries of all the tokens that match a single word fuzzy matcher, together with the total number of titles in those entries. A token within the tolerated number of mistakes of the term must share most of the term's grams, because each mistake changes at most GRAM_LENGTH + 1 of them, so only the tokens sharing enough grams are checked. Short terms, terms with many tolerated mistakes and transliterated terms have to be checked against every token
+*/
+SearchIndexer.prototype.getEntriesMatching = function(matcher) {
+	var result = {entries: [], count: 0},
+		term = matcher.term,
+		candidates = this.index,
+		termGrams = Object.create(null),
+		termGramCount = 0,
+		p, gram, token;
+	for(p=0; p<=term.length - GRAM_LENGTH; p++) {
+		gram = term.substr(p,GRAM_LENGTH);
+		if(!termGrams[gram]) {
+			termGrams[gram] = true;
+			termGramCount++;
+		}
+	}
+	var minSharedGrams = termGramCount - matcher.tolerance * (GRAM_LENGTH + 1);
+	if(!matcher.transliterate && minSharedGrams > 0) {
+		var sharedGramCounts = Object.create(null);
+		candidates = Object.create(null);
+		for(gram in termGrams) {
+			var gramEntry = this.grams[gram];
+			if(gramEntry) {
+				for(token in gramEntry.tokens) {
+					sharedGramCounts[token] = (sharedGramCounts[token] || 0) + 1;
+					if(sharedGramCounts[token] === minSharedGrams) {
+						candidates[token] = true;
+					}
+				}
+			}
+		}
+	}
+	for(token in candidates) {
+		if(matcher.test(token)) {
+			result.entries.push(this.index[token]);
+			result.count += this.index[token].count;
+		}
+	}
+	return result;
+};
+
+/*
+Get the tokens of a list of search terms, each with the index entries of the tokens containing it
+*/
+SearchIndexer.prototype.getConstraints = function(terms) {
+	var self = this,
+		constraints = [];
+	$tw.utils.each(terms,function(term) {
+		$tw.utils.each(self.tokenize(term),function(token) {
+			constraints.push(self.getEntriesContaining(token));
+		});
+	});
+	return constraints;
+};
+
+/*
+Get a hashmap of the titles that satisfy all of a list of constraints, or null if there are no constraints. We start with the constraint with the fewest titles, and then check each of the remaining titles against the other constraints
+*/
+SearchIndexer.prototype.intersectConstraints = function(constraints) {
+	if(constraints.length === 0) {
+		return null;
+	}
+	constraints.sort(function(a,b) {
+		return a.count - b.count;
+	});
+	var results = Object.create(null),
+		title;
+	$tw.utils.each(constraints[0].entries,function(entry) {
+		for(title in entry.titles) {
+			results[title] = true;
+		}
+	});
+	for(var c=1; c<constraints.length; c++) {
+		for(title in results) {
+			if(!hasTitle(constraints[c].entries,title)) {
+				delete results[title];
+			}
+		}
+	}
+	return results;
+};
+
+/*
+Get a hashmap of the titles of the tiddlers that might match a search, or null if the index can't rule out any tiddlers. The matching tiddlers must still be checked against the search terms; tiddlers that are not in the hashmap are guaranteed not to match
+terms: array of search terms
+options: any: true if tiddlers need only contain one of the terms, rather than all of them
+*/
+SearchIndexer.prototype.lookup = function(terms,options) {
+	options = options || {};
+	// Update the index if it has yet to be built
+	if(this.index === null) {
+		this.buildIndex();
+	}
+	if(!options.any) {
+		return this.intersectConstraints(this.getConstraints(terms));
+	}
+	var results = Object.create(null);
+	for(var t=0; t<terms.length; t++) {
+		var titles = this.intersectConstraints(this.getConstraints([terms[t]]));
+		// Any tiddler might contain a term that we can't look up
+		if(!titles) {
+			return null;
+		}
+		for(var title in titles) {
+			results[title] = true;
+		}
+	}
+	return results;
+};
+
+/*
+Get a hashmap of the titles of the tiddlers that might match a fuzzy search. As with lookup(), the matching tiddlers must still be checked against the search terms
+matchers: array of fuzzy matchers from $tw.utils.makeFuzzyMatcher() for single word terms that are not case sensitive or anchored
+options: any: true if tiddlers need only match one of the terms, rather than all of them
+*/
+SearchIndexer.prototype.lookupFuzzy = function(matchers,options) {
+	var self = this;
+	options = options || {};
+	// Update the index if it has yet to be built
+	if(this.index === null) {
+		this.buildIndex();
+	}
+	var constraints = matchers.map(function(matcher) {
+		return self.getEntriesMatching(matcher);
+	});
+	if(!options.any) {
+		return this.intersectConstraints(constraints);
+	}
+	var results = Object.create(null);
+	$tw.utils.each(constraints,function(constraint) {
+		$tw.utils.each(constraint.entries,function(entry) {
+			for(var title in entry.titles) {
+				results[title] = true;
+			}
+		});
+	});
+	return results;
+};
+
+function hasTitle(entries,title) {
+	for(var e=0; e<entries.length; e++) {
+		if(entries[e].titles[title]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+exports.SearchIndexer = SearchIndexer;
+
+})();
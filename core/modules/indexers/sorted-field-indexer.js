@@ -0,0 +1,388 @@
+/*\
+title: $:/core/modules/indexers/sorted-field-indexer.js
+type: application/javascript
+module-type: indexer
+
+Indexes the tiddlers in order of the values of date and number fields, so that ranges of values can be looked up quickly. Only the fields listed in the configuration tiddlers are indexed
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global modules: false */
+"use strict";
+
+var DATE_FIELDS_TITLE = "$:/config/SortedFieldIndex/DateFields",
+	NUMBER_FIELDS_TITLE = "$:/config/SortedFieldIndex/NumberFields";
+
+/*
+Titles from a source other than the whole wiki are only looked up in the index if it has no more than this many entries to visit for each title, because otherwise it is quicker to check the titles one by one
+*/
+var MAX_ENTRIES_PER_TITLE = 10;
+
+function SortedFieldIndexer(wiki) {
+	this.wiki = wiki;
+}
+
+SortedFieldIndexer.prototype.init = function() {
+	this.index = null;
+	this.addIndexMethods();
+};
+
+SortedFieldIndexer.prototype.addIndexMethods = function() {
+	var self = this,
+		makeRangeMethod = function(iterator) {
+			// The titles are returned in the order of the iterator, so that using the index doesn't change the results of a filter
+			return function(name,range) {
+				var bounds = self.findRange(name,range),
+					titles = [];
+				if(!bounds) {
+					return null;
+				}
+				iterator(function(tiddler,title) {
+					titles.push(title);
+				});
+				return self.filterTitles(titles,name,bounds);
+			};
+		};
+	// Shadow tiddlers that have been overridden are indexed with the values of the overriding tiddler, so we can only support iterators that skip them
+	this.wiki.each.byRange = makeRangeMethod(this.wiki.each);
+	this.wiki.eachTiddlerPlusShadows.byRange = makeRangeMethod(this.wiki.eachTiddlerPlusShadows);
+	this.wiki.each.bySortedField = function(name) {
+		var titles = self.lookupRange(name,{});
+		return titles && titles.filter(function(title) {
+			return self.wiki.tiddlerExists(title);
+		});
+	};
+	this.wiki.eachTiddlerPlusShadows.bySortedField = function(name) {
+		return self.lookupRange(name,{});
+	};
+};
+
+/*
+Tear down and then rebuild the index as if all tiddlers have changed
+*/
+SortedFieldIndexer.prototype.rebuild = function() {
+	// Invalidate the index so that it will be rebuilt when it is next used
+	this.index = null;
+};
+
+/*
+Get the type of an indexed field ("date" or "number"), or null if the field isn't indexed
+*/
+SortedFieldIndexer.prototype.getFieldType = function(name) {
+	if(this.index === null) {
+		this.buildIndex();
+	}
+	return this.index[name] ? this.index[name].type : null;
+};
+
+/*
+Get the value of a field of a tiddler as a number for the index, or null if the tiddler doesn't have the field. Values are converted in the same way as the "date" and "number" types of $tw.utils.makeCompareFunction()
+*/
+SortedFieldIndexer.prototype.getValue = function(tiddler,name,type) {
+	if(!tiddler.hasField(name) || tiddler.fields[name] === "") {
+		return null;
+	}
+	if(type === "date") {
+		var date = $tw.utils.parseDate(tiddler.fields[name]);
+		return date && isFinite(date) ? date.getTime() : 0;
+	} else {
+		return $tw.utils.parseNumber(tiddler.getFieldString(name));
+	}
+};
+
+/*
+Build the index for all the configured fields
+*/
+SortedFieldIndexer.prototype.buildIndex = function() {
+	var self = this;
+	// Hashmap by field name of {type: "date" or "number", entries: array of {value:,title:} sorted by value and then title}
+	this.index = Object.create(null);
+	$tw.utils.each(this.wiki.getTiddlerList(DATE_FIELDS_TITLE,"text"),function(name) {
+		self.index[name] = {type: "date", entries: []};
+	});
+	$tw.utils.each(this.wiki.getTiddlerList(NUMBER_FIELDS_TITLE,"text"),function(name) {
+		self.index[name] = self.index[name] || {type: "number", entries: []};
+	});
+	$tw.utils.each(this.index,function(fieldIndex,name) {
+		self.wiki.eachTiddlerPlusShadows(function(tiddler,title) {
+			var value = self.getValue(tiddler,name,fieldIndex.type);
+			if(value !== null) {
+				fieldIndex.entries.push({value: value, title: title});
+			}
+		});
+		fieldIndex.entries.sort(compareEntries);
+	});
+};
+
+/*
+Update the index in the light of a tiddler value changing; note that the title must be identical. (Renames are handled as a separate delete and create)
+updateDescriptor: {old: {tiddler: <tiddler>, shadow: <boolean>, exists: <boolean>},new: {tiddler: <tiddler>, shadow: <boolean>, exists: <boolean>}}
+*/
+SortedFieldIndexer.prototype.update = function(updateDescriptor) {
+	var self = this,
+		oldTiddler = updateDescriptor.old.tiddler,
+		newTiddler = updateDescriptor["new"].tiddler,
+		title = (oldTiddler || newTiddler).fields.title;
+	// Don't do anything if the index hasn't been built yet
+	if(this.index === null) {
+		return;
+	}
+	// Start again if the list of indexed fields has changed
+	if(title === DATE_FIELDS_TITLE || title === NUMBER_FIELDS_TITLE) {
+		this.index = null;
+		return;
+	}
+	$tw.utils.each(this.index,function(fieldIndex,name) {
+		var value;
+		if(oldTiddler) {
+			value = self.getValue(oldTiddler,name,fieldIndex.type);
+			if(value !== null) {
+				var position = findEntry(fieldIndex.entries,{value: value, title: title});
+				if(position < fieldIndex.entries.length && fieldIndex.entries[position].title === title) {
+					fieldIndex.entries.splice(position,1);
+				}
+			}
+		}
+		if(newTiddler) {
+			value = self.getValue(newTiddler,name,fieldIndex.type);
+			if(value !== null) {
+				var entry = {value: value, title: title};
+				fieldIndex.entries.splice(findEntry(fieldIndex.entries,entry),0,entry);
+			}
+		}
+	});
+};
+
+/*
+Get the titles with values of a field within a range in order of increasing value, or return null if the field isn't indexed
+range: {min:, max:, includeMin:, includeMax:} where min and max are optional numbers (dates are given as millisecond timestamps)
+*/
+SortedFieldIndexer.prototype.lookupRange = function(name,range) {
+	var bounds = this.findRange(name,range);
+	if(!bounds) {
+		return null;
+	}
+	var titles = [];
+	for(var t=bounds.start; t<bounds.end; t++) {
+		titles.push(this.index[name].entries[t].title);
+	}
+	return titles;
+};
+
+/*
+Count the titles with values of a field within a range, or return null if the field isn't indexed
+*/
+SortedFieldIndexer.prototype.countRange = function(name,range) {
+	var bounds = this.findRange(name,range);
+	return bounds ? bounds.end - bounds.start : null;
+};
+
+/*
+Get the titles from a source iterator with values of a field within a range, in the order of the source, or return null if the index can't be used
+indexUsed: optional function called with the name of the index if the index is looked up directly rather than through the source
+*/
+SortedFieldIndexer.prototype.selectRange = function(source,name,range,indexUsed) {
+	if(source.byRange) {
+		return source.byRange(name,range);
+	}
+	var bounds = this.findRange(name,range),
+		sourceTitles = [];
+	if(!bounds) {
+		return null;
+	}
+	source(function(tiddler,title) {
+		sourceTitles.push(title);
+	});
+	if(bounds.end - bounds.start > sourceTitles.length * MAX_ENTRIES_PER_TITLE) {
+		return null;
+	}
+	if(indexUsed) {
+		indexUsed("sorted field");
+	}
+	return this.filterTitles(sourceTitles,name,bounds);
+};
+
+/*
+Get the titles from an array that have values of a field within the bounds returned by findRange(), keeping their order
+*/
+SortedFieldIndexer.prototype.filterTitles = function(titles,name,bounds) {
+	var entries = this.index[name].entries,
+		isSelected = Object.create(null);
+	for(var t=bounds.start; t<bounds.end; t++) {
+		isSelected[entries[t].title] = true;
+	}
+	return titles.filter(function(title) {
+		return isSelected[title];
+	});
+};
+
+/*
+Sort the titles from a source iterator by the value of a field, or return null if the index can't be used. Titles without the field come first, as they do with wiki.sortTiddlers()
+indexUsed: optional function called with the name of the index if the index is looked up directly rather than through the source
+*/
+SortedFieldIndexer.prototype.sortTitles = function(source,name,isDescending,indexUsed) {
+	var sortedTitles = [],
+		missingTitles = [];
+	if(source.bySortedField) {
+		sortedTitles = source.bySortedField(name);
+		if(!sortedTitles) {
+			return null;
+		}
+		source(function(tiddler,title) {
+			if(!tiddler || !tiddler.fields[name]) {
+				missingTitles.push(title);
+			}
+		});
+	} else {
+		var bounds = this.findRange(name,{}),
+			counts = Object.create(null),
+			sourceSize = 0;
+		if(!bounds) {
+			return null;
+		}
+		source(function(tiddler,title) {
+			counts[title] = (counts[title] || 0) + 1;
+			sourceSize++;
+		});
+		if(bounds.end > sourceSize * MAX_ENTRIES_PER_TITLE) {
+			return null;
+		}
+		// Take the titles from the index in order, repeating any that appear more than once in the source
+		$tw.utils.each(this.index[name].entries,function(entry) {
+			for(var count=counts[entry.title] || 0; count>0; count--) {
+				sortedTitles.push(entry.title);
+			}
+			delete counts[entry.title];
+		});
+		source(function(tiddler,title) {
+			if(counts[title]) {
+				missingTitles.push(title);
+			}
+		});
+		if(indexUsed) {
+			indexUsed("sorted field");
+		}
+	}
+	return isDescending ? sortedTitles.reverse().concat(missingTitles) : missingTitles.concat(sortedTitles);
+};
+
+/*
+Get the range of values that pass a comparison made by the compare operator, or return null if the index can't be used for the comparison
+name: name of the field
+type: type to compare the values as, or undefined to compare them by the declared type of the field
+mode: comparison mode of the compare operator
+operand: value to compare against
+*/
+SortedFieldIndexer.prototype.getCompareRange = function(name,type,mode,operand) {
+	// Fields with a declared type might be compared by a different type
+	if(this.getFieldType(name) !== (type || "number") || (!type && $tw.Tiddler.fieldModules[name])) {
+		return null;
+	}
+	var value;
+	if(type === "date") {
+		value = $tw.utils.parseDate(operand);
+		value = value && isFinite(value) ? value.getTime() : 0;
+	} else {
+		value = $tw.utils.parseNumber(operand);
+	}
+	switch(mode || "eq") {
+		case "eq":
+			return {min: value, max: value, includeMin: true, includeMax: true};
+		case "gteq":
+			return {min: value, includeMin: true};
+		case "gt":
+			return {min: value};
+		case "lteq":
+			return {max: value, includeMax: true};
+		case "lt":
+			return {max: value};
+	}
+	return null;
+};
+
+/*
+Get a range of dates that includes all those selected by the days operator, allowing a day either side for daylight saving changes, or return null if the field isn't indexed as a date
+*/
+SortedFieldIndexer.prototype.getDaysRange = function(name,dayInterval) {
+	if(this.getFieldType(name) !== "date") {
+		return null;
+	}
+	var oneDay = 1000*60*60*24,
+		dayIntervalSign = $tw.utils.sign(dayInterval),
+		targetTimeStamp = (new Date()).setHours(0,0,0,0) + oneDay*dayInterval;
+	return {
+		min: dayIntervalSign <= 0 ? targetTimeStamp - oneDay : undefined,
+		max: dayIntervalSign >= 0 ? targetTimeStamp + 2 * oneDay : undefined,
+		includeMin: true
+	};
+};
+
+/*
+Find the positions of the first entry within a range, and of the first entry after it
+*/
+SortedFieldIndexer.prototype.findRange = function(name,range) {
+	if(this.index === null) {
+		this.buildIndex();
+	}
+	var fieldIndex = this.index[name];
+	if(!fieldIndex) {
+		return null;
+	}
+	var entries = fieldIndex.entries,
+		start = 0,
+		end = entries.length;
+	if(range.min !== undefined) {
+		start = findValue(entries,range.min,!range.includeMin);
+	}
+	if(range.max !== undefined) {
+		end = findValue(entries,range.max,!!range.includeMax);
+	}
+	return {start: start, end: Math.max(start,end)};
+};
+
+function compareEntries(a,b) {
+	if(a.value !== b.value) {
+		return a.value < b.value ? -1 : 1;
+	}
+	return a.title < b.title ? -1 : (a.title > b.title ? 1 : 0);
+}
+
+/*
+Find the position of the first entry that doesn't sort before the given entry
+*/
+function findEntry(entries,entry) {
+	var low = 0,
+		high = entries.length;
+	while(low < high) {
+		var middle = (low + high) >>> 1;
+		if(compareEntries(entries[middle],entry) < 0) {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+	return low;
+}
+
+/*
+Find the position of the first entry with a value greater than the given value, or greater than or equal to it if after is false
+*/
+function findValue(entries,value,after) {
+	var low = 0,
+		high = entries.length;
+	while(low < high) {
+		var middle = (low + high) >>> 1;
+		if(entries[middle].value < value || (after && entries[middle].value === value)) {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+	return low;
+}
+
+exports.SortedFieldIndexer = SortedFieldIndexer;
+
+})();
@@ -0,0 +1,86 @@
+/*\
+title: $:/core/modules/macros/search-snippet.js
+type: application/javascript
+module-type: macro
+
+Macro to return an extract of the text of a tiddler around the first match of a search, with the search terms highlighted
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Information about this macro
+*/
+
+exports.name = "search-snippet";
+
+exports.params = [
+	{name: "title"},
+	{name: "search"},
+	{name: "length"}
+];
+
+/*
+Run the macro
+*/
+exports.run = function(title,search,length) {
+	title = title || this.getVariable("currentTiddler");
+	length = parseInt(length,10) || 150;
+	var tiddler = this.wiki.getTiddler(title);
+	if(!tiddler || !tiddler.fields.text) {
+		return "";
+	}
+	var contentTypeInfo = $tw.config.contentTypeInfo[tiddler.fields.type] || $tw.config.contentTypeInfo["text/vnd.tiddlywiki"];
+	if(contentTypeInfo.encoding !== "utf8") {
+		return "";
+	}
+	var text = $tw.utils.trim(tiddler.fields.text.replace(/\s+/g," ")),
+		terms = (search || "").split(/\s+/).filter(function(term) {
+			return !!term;
+		}).map(function(term) {
+			return $tw.utils.escapeRegExp(term);
+		}),
+		regExp = terms.length > 0 ? new RegExp(terms.join("|"),"gi") : null,
+		match = regExp ? regExp.exec(text) : null,
+		start = 0,
+		end;
+	// Start a little before the first match, at the beginning of a word
+	if(match) {
+		start = Math.max(0,match.index - Math.floor(length / 3));
+		var nextSpace = text.indexOf(" ",start);
+		if(start > 0 && nextSpace !== -1 && nextSpace < match.index) {
+			start = nextSpace + 1;
+		}
+	}
+	// Finish at the end of a word
+	end = Math.min(text.length,start + length);
+	if(end < text.length) {
+		var lastSpace = text.lastIndexOf(" ",end);
+		if(lastSpace > start) {
+			end = lastSpace;
+		}
+	}
+	// Highlight the search terms within the snippet
+	var snippet = text.substring(start,end),
+		output = [],
+		pos = 0;
+	if(regExp) {
+		regExp.lastIndex = 0;
+		while((match = regExp.exec(snippet)) !== null) {
+			output.push($tw.utils.htmlEncode(snippet.substring(pos,match.index)));
+			output.push("<mark class=\"tc-search-snippet-highlight\">" + $tw.utils.htmlEncode(match[0]) + "</mark>");
+			pos = match.index + match[0].length;
+		}
+	}
+	output.push($tw.utils.htmlEncode(snippet.substring(pos)));
+	// Only allow HTML and entities so that any wikitext in the snippet is displayed as it is
+	return "\\rules only html entity\n<span class=\"tc-search-snippet\">" +
+		(start > 0 ? "&hellip;" : "") + output.join("") + (end < text.length ? "&hellip;" : "") +
+		"</span>";
+};
+
+})();
@@ -161,6 +161,29 @@ exports.parseMacroParameter = function(source,pos) {
 	return node;
 };
 
+/*
+Parse the parameter list of a macro, procedure or function definition such as `param:defaultvalue,param2:"default value"`. Returns an array of {name:, default:} for each parameter
+*/
+exports.parseParameterDefinition = function(paramString) {
+	var params = [];
+	if(paramString !== "") {
+		var reParam = /\s*([A-Za-z0-9\-_]+)(?:\s*:\s*(?:"""([\s\S]*?)"""|"([^"]*)"|'([^']*)'|\[\[([^\]]*)\]\]|([^"'\s]+)))?/mg,
+			paramMatch = reParam.exec(paramString);
+		while(paramMatch) {
+			// Save the parameter details
+			var paramInfo = {name: paramMatch[1]},
+				defaultValue = paramMatch[2] || paramMatch[3] || paramMatch[4] || paramMatch[5] || paramMatch[6];
+			if(defaultValue) {
+				paramInfo["default"] = defaultValue;
+			}
+			params.push(paramInfo);
+			// Look for the next parameter
+			paramMatch = reParam.exec(paramString);
+		}
+	}
+	return params;
+};
+
 /*
 Look for a macro invocation. Returns null if not found, or {type: "macrocall", name:, parameters:, start:, end:}
 */
@@ -288,4 +311,63 @@ exports.parseAttribute = function(source,pos) {
 	return node;
 };
 
+/*
+Quote a string so that it can be read back by parseStringLiteral()
+*/
+var quoteStringLiteral = function(value) {
+	value = "" + value;
+	if(value.indexOf("\"") === -1) {
+		return "\"" + value + "\"";
+	} else if(value.indexOf("'") === -1) {
+		return "'" + value + "'";
+	} else {
+		return "\"\"\"" + value + "\"\"\"";
+	}
+};
+
+/*
+Serialize a macro invocation parameter {name:, value:} as accepted by parseMacroParameter()
+*/
+exports.serializeMacroParameter = function(param) {
+	var value = "" + param.value,
+		text = /^[^\s>"':\[\]]+$/.test(value) ? value : quoteStringLiteral(value);
+	return param.name ? param.name + ":" + text : text;
+};
+
+/*
+Serialize a macro invocation {name:, params:} as accepted by parseMacroInvocation()
+*/
+exports.serializeMacroInvocation = function(node) {
+	var text = "<<" + node.name;
+	$tw.utils.each(node.params,function(param) {
+		text += " " + $tw.utils.serializeMacroParameter(param);
+	});
+	return text + ">>";
+};
+
+/*
+Serialize the parameter list of a macro, procedure or function definition from an array of {name:, default:}
+*/
+exports.serializeParameterDefinition = function(params) {
+	return (params || []).map(function(param) {
+		return param.name + (param["default"] !== undefined ? ":" + quoteStringLiteral(param["default"]) : "");
+	}).join(",");
+};
+
+/*
+Serialize an attribute as accepted by parseAttribute(). The name defaults to the name property of the attribute
+*/
+exports.serializeAttribute = function(attribute,name) {
+	name = name || attribute.name;
+	if(attribute.type === "indirect") {
+		return name + "={{" + attribute.textReference + "}}";
+	} else if(attribute.type === "filtered") {
+		return name + "={{{" + attribute.filter + "}}}";
+	} else if(attribute.type === "macro") {
+		return name + "=" + $tw.utils.serializeMacroInvocation(attribute.value);
+	} else {
+		return name + "=" + quoteStringLiteral(attribute.value);
+	}
+};
+
 })();
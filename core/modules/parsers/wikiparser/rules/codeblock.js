@@ -54,4 +54,19 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize a codeblock widget as a fenced code block, unless the code itself contains a closing fence
+*/
+exports.serialize = function(node) {
+	if(node.type !== "codeblock" || !$tw.utils.checkParseTreeNodeAttributes(node,["code","language"])) {
+		return null;
+	}
+	var code = $tw.utils.getAttributeValueFromParseTreeNode(node,"code",""),
+		language = $tw.utils.getAttributeValueFromParseTreeNode(node,"language","");
+	if(!/^[\w-]*$/.test(language) || /\r?\n```$/m.test(code)) {
+		return null;
+	}
+	return "```" + language + "\n" + code + "\n```";
+};
+
 })();
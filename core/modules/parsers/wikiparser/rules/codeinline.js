@@ -52,4 +52,20 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize a code element containing plain text, using double backticks if the text contains a backtick
+*/
+exports.serialize = function(node) {
+	var child = node.children && node.children.length === 1 && node.children[0];
+	if(node.type !== "element" || node.tag !== "code" || $tw.utils.count(node.attributes || {}) > 0 || !child || child.type !== "text" || child.text === "") {
+		return null;
+	}
+	if(child.text.indexOf("`") === -1) {
+		return "`" + child.text + "`";
+	} else if(child.text.indexOf("``") === -1 && child.text.charAt(child.text.length - 1) !== "`") {
+		return "``" + child.text + "``";
+	}
+	return null;
+};
+
 })();
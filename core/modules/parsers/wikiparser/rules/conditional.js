@@ -0,0 +1,175 @@
+/*\
+title: $:/core/modules/parsers/wikiparser/rules/conditional.js
+type: application/javascript
+module-type: wikirule
+
+Wiki text rule for conditional blocks and runs. For example:
+
+```
+<%if [{$:/info/url/protocol}match[file:]] %>
+Loaded from a file
+<%elseif [{$:/info/url/protocol}match[https:]] %>
+Loaded securely
+<%else%>
+Loaded from somewhere else
+<%endif%>
+```
+
+Each branch is shown if its filter returns any results, with the first result available in the variable "condition". A branch is parsed as blocks if the opening clause is followed by a line break, and as inline text otherwise. The conditional compiles to nested list widgets, with each alternative branch given as the empty message of the list before it
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.name = "conditional";
+exports.types = {inline: true, block: true};
+
+exports.init = function(parser) {
+	this.parser = parser;
+	// Regexp to match the start of the opening clause
+	this.matchRegExp = /<%\s*if\s+/mg;
+	// Regexp to match the end of a clause
+	this.endClauseRegExp = /%>/mg;
+	// Regexp to match the clause that ends a branch
+	this.branchEndRegExp = /<%\s*(?:(elseif)\s+|(else)\s*%>|(endif)\s*%>)/mg;
+};
+
+exports.findNextMatch = function(startPos) {
+	// Look for the next opening clause that is closed, and in block mode followed by a line break
+	this.matchRegExp.lastIndex = startPos;
+	this.match = this.matchRegExp.exec(this.parser.source);
+	while(this.match) {
+		this.endClauseRegExp.lastIndex = this.match.index + this.match[0].length;
+		if(this.endClauseRegExp.exec(this.parser.source) && (!this.is.block || isFollowedByLineBreak(this.parser.source,this.endClauseRegExp.lastIndex))) {
+			return this.match.index;
+		}
+		this.match = this.matchRegExp.exec(this.parser.source);
+	}
+	return undefined;
+};
+
+/*
+Parse the most recent match
+*/
+exports.parse = function() {
+	// Move past the start of the opening clause
+	this.parser.pos = this.match.index + this.match[0].length;
+	return [this.parseBranch()];
+};
+
+/*
+Parse a branch starting with the filter of its opening clause, and any branches that follow it
+*/
+exports.parseBranch = function() {
+	var source = this.parser.source;
+	// Get the filter and move past the end of the clause
+	this.endClauseRegExp.lastIndex = this.parser.pos;
+	var endClauseMatch = this.endClauseRegExp.exec(source);
+	if(!endClauseMatch) {
+		// The clause isn't closed, so treat the rest of the text as the filter
+		endClauseMatch = {index: source.length, 0: ""};
+	}
+	var filter = source.substring(this.parser.pos,endClauseMatch.index).trim();
+	this.parser.pos = endClauseMatch.index + endClauseMatch[0].length;
+	// Parse the body of the branch
+	var node = {
+		type: "list",
+		attributes: {
+			filter: {type: "string", value: filter + " +[limit[1]]"},
+			variable: {type: "string", value: "condition"}
+		},
+		children: this.parseBody()
+	};
+	// An empty body would otherwise make the list widget use its default template
+	if(node.children.length === 0) {
+		node.children = [{type: "text", text: ""}];
+	}
+	// Check the clause that ended the body
+	this.branchEndRegExp.lastIndex = this.parser.pos;
+	var branchEndMatch = this.branchEndRegExp.exec(source);
+	if(branchEndMatch && branchEndMatch.index === this.parser.pos) {
+		this.parser.pos = branchEndMatch.index + branchEndMatch[0].length;
+		if(branchEndMatch[1]) {
+			node.emptyMessageTree = [this.parseBranch()];
+		} else if(branchEndMatch[2]) {
+			node.emptyMessageTree = this.parseBody();
+			// Move past the closing clause
+			this.branchEndRegExp.lastIndex = this.parser.pos;
+			branchEndMatch = this.branchEndRegExp.exec(source);
+			if(branchEndMatch && branchEndMatch.index === this.parser.pos && branchEndMatch[3]) {
+				this.parser.pos = branchEndMatch.index + branchEndMatch[0].length;
+			}
+		}
+	}
+	return node;
+};
+
+/*
+Parse the body of a branch up to the next clause, as blocks if the preceding clause is followed by a line break
+*/
+exports.parseBody = function() {
+	var reTerminatorString = "(?=<%\\s*(?:elseif\\s|else\\s*%>|endif\\s*%>))";
+	if(this.is.block && isFollowedByLineBreak(this.parser.source,this.parser.pos)) {
+		return this.parser.parseBlocks(reTerminatorString);
+	} else {
+		return this.parser.parseInlineRun(new RegExp(reTerminatorString,"mg"));
+	}
+};
+
+/*
+Check whether the text at a position is followed by a line break, or the end of the text, before anything other than whitespace
+*/
+function isFollowedByLineBreak(source,pos) {
+	var reLineBreak = /[^\S\n\r]*(?:\r?\n|$)/mg;
+	reLineBreak.lastIndex = pos;
+	var match = reLineBreak.exec(source);
+	return !!match && match.index === pos;
+}
+
+/*
+Serialize a list widget generated by a conditional, with its elseif and else branches
+*/
+exports.serialize = function(node,serializer) {
+	var filter = getConditionFilter(node);
+	if(filter === null) {
+		return null;
+	}
+	return "<%if " + serializeBranch(node,filter,serializer) + "<%endif%>";
+};
+
+var conditionSuffix = " +[limit[1]]";
+
+/*
+Get the filter of the opening clause of a conditional branch, or null if the node isn't one
+*/
+function getConditionFilter(node) {
+	var filter = $tw.utils.getAttributeValueFromParseTreeNode(node,"filter","");
+	if(node.type === "list" && $tw.utils.checkParseTreeNodeAttributes(node,["filter","variable"]) && $tw.utils.getAttributeValueFromParseTreeNode(node,"variable") === "condition" && filter.substr(-conditionSuffix.length) === conditionSuffix) {
+		return filter.substr(0,filter.length - conditionSuffix.length);
+	}
+	return null;
+}
+
+/*
+Serialize a branch following its opening "<%if" or "<%elseif". An else branch that only contains another conditional is written as an elseif branch
+*/
+function serializeBranch(node,filter,serializer) {
+	var text = filter + " %>" + serializeBody(node.children,serializer),
+		elseTree = node.emptyMessageTree,
+		elseFilter = elseTree && elseTree.length === 1 ? getConditionFilter(elseTree[0]) : null;
+	if(elseFilter !== null) {
+		text += "<%elseif " + serializeBranch(elseTree[0],elseFilter,serializer);
+	} else if(elseTree) {
+		text += "<%else%>" + serializeBody(elseTree,serializer);
+	}
+	return text;
+}
+
+function serializeBody(tree,serializer) {
+	return serializer.isBlock ? "\n" + serializer.serializeBlocks(tree) : serializer.serializeInline(tree);
+}
+
+})();
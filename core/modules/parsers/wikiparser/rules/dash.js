@@ -37,4 +37,16 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize an en-dash or em-dash entity
+*/
+exports.serialize = function(node) {
+	if(node.type === "entity" && node.entity === "&ndash;") {
+		return "--";
+	} else if(node.type === "entity" && node.entity === "&mdash;") {
+		return "---";
+	}
+	return null;
+};
+
 })();
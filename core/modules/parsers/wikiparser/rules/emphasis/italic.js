@@ -47,4 +47,14 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize italic text
+*/
+exports.serialize = function(node,serializer) {
+	if(node.type !== "element" || node.tag !== "em" || $tw.utils.count(node.attributes || {}) > 0) {
+		return null;
+	}
+	return "//" + serializer.serializeInline(node.children) + "//";
+};
+
 })();
\ No newline at end of file
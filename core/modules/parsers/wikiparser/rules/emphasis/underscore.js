@@ -47,4 +47,14 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize underscored text
+*/
+exports.serialize = function(node,serializer) {
+	if(node.type !== "element" || node.tag !== "u" || $tw.utils.count(node.attributes || {}) > 0) {
+		return null;
+	}
+	return "__" + serializer.serializeInline(node.children) + "__";
+};
+
 })();
\ No newline at end of file
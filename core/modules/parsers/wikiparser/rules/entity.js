@@ -37,4 +37,14 @@ exports.parse = function() {
 	return [{type: "entity", entity: this.match[0]}];
 };
 
+/*
+Serialize an entity. Dashes are left to the dash rule
+*/
+exports.serialize = function(node) {
+	if(node.type !== "entity" || node.entity === "&ndash;" || node.entity === "&mdash;") {
+		return null;
+	}
+	return node.entity;
+};
+
 })();
@@ -52,4 +52,14 @@ exports.parse = function() {
 	}
 };
 
+/*
+Serialize a text node that would otherwise be read as an external link by prefixing it with a tilde
+*/
+exports.serialize = function(node) {
+	if(node.type !== "text" || !/^(?:file|http|https|mailto|ftp|irc|news|data|skype):[^\s<>{}\[\]`|"\\^]+(?:\/|\b)$/.test(node.text)) {
+		return null;
+	}
+	return "~" + node.text;
+};
+
 })();
@@ -60,4 +60,22 @@ exports.parse = function() {
 	return [node];
 };
 
+/*
+Serialize a list widget that has no body as a filtered transclusion
+*/
+exports.serialize = function(node) {
+	if(node.type !== "list" || (node.children && node.children.length > 0) || !$tw.utils.checkParseTreeNodeAttributes(node,["filter","tooltip","template","style","itemClass"])) {
+		return null;
+	}
+	var filter = $tw.utils.getAttributeValueFromParseTreeNode(node,"filter",""),
+		tooltip = $tw.utils.getAttributeValueFromParseTreeNode(node,"tooltip",""),
+		template = $tw.utils.getAttributeValueFromParseTreeNode(node,"template",""),
+		style = $tw.utils.getAttributeValueFromParseTreeNode(node,"style",""),
+		itemClass = $tw.utils.getAttributeValueFromParseTreeNode(node,"itemClass","");
+	if(!filter || /\||\}\}/.test(filter) || /[\|\{\}]/.test(tooltip + template) || /\}/.test(style)) {
+		return null;
+	}
+	return "{{{" + filter + (tooltip ? "|" + tooltip : "") + (template ? "||" + template : "") + "}}" + style + "}" + (itemClass ? "." + itemClass.split(" ").join(".") : "");
+};
+
 })();
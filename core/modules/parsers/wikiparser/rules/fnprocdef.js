@@ -0,0 +1,107 @@
+/*\
+title: $:/core/modules/parsers/wikiparser/rules/fnprocdef.js
+type: application/javascript
+module-type: wikirule
+
+Wiki pragma rule for procedure and function definitions
+
+```
+\procedure name(param:defaultvalue,param2:defaultvalue)
+definition text, using the parameters as variables
+\end
+
+\function name(param:defaultvalue,param2:defaultvalue)
+filter expression, using the parameters as variables
+\end
+```
+
+The parameter list is optional, and the definition can be given on the same line as the name instead of being ended with \end
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.name = "fnprocdef";
+exports.types = {pragma: true};
+
+/*
+Instantiate parse rule
+*/
+exports.init = function(parser) {
+	this.parser = parser;
+	// Regexp to match
+	this.matchRegExp = /^\\(function|procedure)\s+([^(\s]+)(?:\(\s*([^)]*)\))?(\s*\r?\n)?/mg;
+};
+
+/*
+Parse the most recent match
+*/
+exports.parse = function() {
+	// Move past the name and parameters
+	this.parser.pos = this.matchRegExp.lastIndex;
+	var params = $tw.utils.parseParameterDefinition(this.match[3] || "");
+	// Is this a multiline definition?
+	var reEnd;
+	if(this.match[4]) {
+		// If so, the end of the body is marked with \end
+		reEnd = /(\r?\n\\end[^\S\n\r]*(?:$|\r?\n))/mg;
+	} else {
+		// Otherwise, the end of the definition is marked by the end of the line
+		reEnd = /($|\r?\n)/mg;
+		// Move past any whitespace
+		this.parser.pos = $tw.utils.skipWhiteSpace(this.parser.source,this.parser.pos);
+	}
+	// Find the end of the definition
+	reEnd.lastIndex = this.parser.pos;
+	var text,
+		endMatch = reEnd.exec(this.parser.source);
+	if(endMatch) {
+		text = this.parser.source.substring(this.parser.pos,endMatch.index);
+		this.parser.pos = endMatch.index + endMatch[0].length;
+	} else {
+		// We didn't find the end of the definition, so we'll make it blank
+		text = "";
+	}
+	// Save the definition
+	var node = {
+		type: "set",
+		attributes: {
+			name: {type: "string", value: this.match[2]},
+			value: {type: "string", value: text}
+		},
+		children: [],
+		params: params
+	};
+	if(this.match[1] === "function") {
+		node.isFunctionDefinition = true;
+	} else {
+		node.isProcedureDefinition = true;
+	}
+	return [node];
+};
+
+/*
+Serialize a procedure or function definition
+*/
+exports.serialize = function(node) {
+	if(node.type !== "set" || !(node.isProcedureDefinition || node.isFunctionDefinition)) {
+		return null;
+	}
+	return "\\" + (node.isFunctionDefinition ? "function " : "procedure ") + $tw.utils.getAttributeValueFromParseTreeNode(node,"name","") + "(" + $tw.utils.serializeParameterDefinition(node.params) + ")" + serializeDefinitionBody($tw.utils.getAttributeValueFromParseTreeNode(node,"value",""));
+};
+
+/*
+Serialize the body of a definition, on the same line as the name if possible
+*/
+function serializeDefinitionBody(text) {
+	if(text === "" || /^\s|[\r\n]/.test(text)) {
+		return "\n" + text + "\n\\end\n";
+	} else {
+		return " " + text + "\n";
+	}
+}
+
+})();
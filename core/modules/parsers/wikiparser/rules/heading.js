@@ -43,4 +43,17 @@ exports.parse = function() {
 		children: tree
 	}];
 };
+
+/*
+Serialize a heading element, including any classes
+*/
+exports.serialize = function(node,serializer) {
+	var match = node.type === "element" && /^h([1-6])$/.exec(node.tag);
+	if(!match || !$tw.utils.checkParseTreeNodeAttributes(node,["class"])) {
+		return null;
+	}
+	var classes = $tw.utils.getClassesFromParseTreeNode(node);
+	return $tw.utils.repeat("!",parseInt(match[1],10)) + (classes.length > 0 ? "." + classes.join(".") : "") + " " + serializer.serializeInline(node.children);
+};
+
 })();
@@ -31,4 +31,14 @@ exports.parse = function() {
 	return [{type: "element", tag: "hr"}];
 };
 
+/*
+Serialize a horizontal rule
+*/
+exports.serialize = function(node) {
+	if(node.type !== "element" || node.tag !== "hr" || $tw.utils.count(node.attributes || {}) > 0 || (node.children && node.children.length > 0)) {
+		return null;
+	}
+	return "---";
+};
+
 })();
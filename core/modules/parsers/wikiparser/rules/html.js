@@ -65,6 +65,30 @@ exports.parse = function() {
 	return [tag];
 };
 
+/*
+Serialize any element or widget node as an HTML tag. Children are written as blocks if the tag was parsed in block mode
+*/
+exports.serialize = function(node,serializer) {
+	// Text nodes are distinguished from text widgets by having no attributes
+	if((node.type === "text" && !node.attributes) || node.type === "entity" || node.type === "raw" || !node.type) {
+		return null;
+	}
+	var tag = node.type === "element" ? node.tag : "$" + node.type,
+		text = "<" + tag;
+	$tw.utils.each(node.attributes,function(attribute,name) {
+		text += " " + $tw.utils.serializeAttribute(attribute,name);
+	});
+	if($tw.config.htmlVoidElements.indexOf(tag) !== -1) {
+		return text + ">";
+	} else if(!node.children || node.children.length === 0) {
+		return text + "/>";
+	} else if(serializer.isBlock || node.isBlock) {
+		return text + ">\n\n" + serializer.serializeBlocks(node.children) + "</" + tag + ">";
+	} else {
+		return text + ">" + serializer.serializeInline(node.children) + "</" + tag + ">";
+	}
+};
+
 /*
 Look for an HTML tag. Returns null if not found, otherwise returns {type: "element", name:, attributes: [], isSelfClosing:, start:, end:,}
 */
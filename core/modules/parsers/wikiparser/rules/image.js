@@ -130,4 +130,23 @@ exports.parseImage = function(source,pos) {
 	return node;
 };
 
+/*
+Serialize an image widget, with any attributes other than the source and tooltip
+*/
+exports.serialize = function(node) {
+	var attributes = node.attributes || {},
+		source = attributes.source,
+		tooltip = attributes.tooltip;
+	if(node.type !== "image" || !source || source.type !== "string" || /[\]\|]/.test(source.value) || (tooltip && (tooltip.type !== "string" || /[\]\|]/.test(tooltip.value)))) {
+		return null;
+	}
+	var text = "[img";
+	$tw.utils.each(attributes,function(attribute,name) {
+		if(name !== "source" && name !== "tooltip") {
+			text += " " + $tw.utils.serializeAttribute(attribute,name);
+		}
+	});
+	return text + "[" + (tooltip ? tooltip.value + "|" : "") + source.value + "]]";
+};
+
 })();
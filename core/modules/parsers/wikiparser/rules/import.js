@@ -50,4 +50,15 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize an importvariables widget as an import pragma
+*/
+exports.serialize = function(node) {
+	var filter = $tw.utils.getAttributeValueFromParseTreeNode(node,"filter","");
+	if(node.type !== "importvariables" || !$tw.utils.checkParseTreeNodeAttributes(node,["filter"]) || !filter || /[\r\n]/.test(filter)) {
+		return null;
+	}
+	return "\\import " + filter + "\n";
+};
+
 })();
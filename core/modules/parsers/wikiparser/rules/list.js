@@ -63,6 +63,13 @@ var listTypes = {
 	">": {listTag: "blockquote", itemTag: "div"}
 };
 
+// The marker for each item tag within each list tag, used for serialization
+var listTags = {};
+$tw.utils.each(listTypes,function(listInfo,marker) {
+	listTags[listInfo.listTag] = listTags[listInfo.listTag] || {};
+	listTags[listInfo.listTag][listInfo.itemTag] = marker;
+});
+
 /*
 Parse the most recent match
 */
@@ -128,4 +135,52 @@ exports.parse = function() {
 	return [listStack[0]];
 };
 
+/*
+Serialize a list, including any nested lists and classes on the list items
+*/
+exports.serialize = function(node,serializer) {
+	var lines = serializeList(node,"",serializer);
+	return lines ? lines.join("\n") : null;
+};
+
+function isList(node) {
+	return node.type === "element" && $tw.utils.hop(listTags,node.tag) && $tw.utils.count(node.attributes || {}) === 0;
+}
+
+/*
+Serialize a list as an array of lines starting with the markers of the lists that contain it. Returns null if the list can't be represented in wikitext
+*/
+function serializeList(node,prefix,serializer) {
+	if(!isList(node)) {
+		return null;
+	}
+	var lines = [];
+	for(var t=0; t<node.children.length; t++) {
+		var item = node.children[t],
+			marker = listTags[node.tag][item.tag];
+		if(item.type !== "element" || !marker || !$tw.utils.checkParseTreeNodeAttributes(item,["class"])) {
+			return null;
+		}
+		// Nested lists follow the content of the item
+		var children = item.children || [],
+			contentLength = children.length;
+		while(contentLength > 0 && isList(children[contentLength - 1])) {
+			contentLength--;
+		}
+		var classes = $tw.utils.getClassesFromParseTreeNode(item),
+			content = serializer.serializeInline(children.slice(0,contentLength));
+		if(contentLength > 0 || classes.length > 0 || contentLength === children.length) {
+			lines.push(prefix + marker + (classes.length > 0 ? "." + classes.join(".") : "") + (content ? " " + content : ""));
+		}
+		for(var n=contentLength; n<children.length; n++) {
+			var nestedLines = serializeList(children[n],prefix + marker,serializer);
+			if(!nestedLines) {
+				return null;
+			}
+			lines.push.apply(lines,nestedLines);
+		}
+	}
+	return lines;
+}
+
 })();
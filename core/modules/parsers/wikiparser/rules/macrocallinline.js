@@ -46,4 +46,14 @@ exports.parse = function() {
 	return [call];
 };
 
+/*
+Serialize a macro call
+*/
+exports.serialize = function(node) {
+	if(node.type !== "macrocall" || !node.name || $tw.utils.count(node.attributes || {}) > 0) {
+		return null;
+	}
+	return $tw.utils.serializeMacroInvocation(node);
+};
+
 })();
@@ -37,23 +37,7 @@ exports.parse = function() {
 	// Move past the macro name and parameters
 	this.parser.pos = this.matchRegExp.lastIndex;
 	// Parse the parameters
-	var paramString = this.match[2],
-		params = [];
-	if(paramString !== "") {
-		var reParam = /\s*([A-Za-z0-9\-_]+)(?:\s*:\s*(?:"""([\s\S]*?)"""|"([^"]*)"|'([^']*)'|\[\[([^\]]*)\]\]|([^"'\s]+)))?/mg,
-			paramMatch = reParam.exec(paramString);
-		while(paramMatch) {
-			// Save the parameter details
-			var paramInfo = {name: paramMatch[1]},
-				defaultValue = paramMatch[2] || paramMatch[3] || paramMatch[4] || paramMatch[5] || paramMatch[6];
-			if(defaultValue) {
-				paramInfo["default"] = defaultValue;
-			}
-			params.push(paramInfo);
-			// Look for the next parameter
-			paramMatch = reParam.exec(paramString);
-		}
-	}
+	var params = $tw.utils.parseParameterDefinition(this.match[2]);
 	// Is this a multiline definition?
 	var reEnd;
 	if(this.match[3]) {
@@ -89,4 +73,25 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize a macro definition
+*/
+exports.serialize = function(node) {
+	if(node.type !== "set" || !node.isMacroDefinition) {
+		return null;
+	}
+	return "\\define " + $tw.utils.getAttributeValueFromParseTreeNode(node,"name","") + "(" + $tw.utils.serializeParameterDefinition(node.params) + ")" + serializeDefinitionBody($tw.utils.getAttributeValueFromParseTreeNode(node,"value",""));
+};
+
+/*
+Serialize the text of a definition, on the same line as the name if possible
+*/
+function serializeDefinitionBody(text) {
+	if(text === "" || /^\s|[\r\n]/.test(text)) {
+		return "\n" + text + "\n\\end\n";
+	} else {
+		return " " + text + "\n";
+	}
+}
+
 })();
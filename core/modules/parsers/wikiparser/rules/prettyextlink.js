@@ -112,4 +112,20 @@ exports.parseLink = function(source,pos) {
 	return node;
 };
 
+/*
+Serialize a link to an external resource
+*/
+exports.serialize = function(node) {
+	var child = node.children && node.children.length === 1 && node.children[0],
+		href = $tw.utils.getAttributeValueFromParseTreeNode(node,"href",""),
+		classes = node.type === "element" && node.tag === "a" && $tw.utils.checkParseTreeNodeAttributes(node,["href","class","target","rel"]) ? $tw.utils.getClassesFromParseTreeNode(node) : [];
+	if(classes.length !== 1 || classes[0] !== "tc-tiddlylink-external" || !href || !child || child.type !== "text") {
+		return null;
+	}
+	if(/\]\]|[\r\n]/.test(href) || /\||\]\]|[\r\n]/.test(child.text)) {
+		return null;
+	}
+	return "[ext[" + (child.text === href ? href : child.text + "|" + href) + "]]";
+};
+
 })();
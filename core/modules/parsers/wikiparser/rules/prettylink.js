@@ -60,4 +60,19 @@ exports.parse = function() {
 	}
 };
 
+/*
+Serialize a link widget to a tiddler as a pretty link
+*/
+exports.serialize = function(node) {
+	var child = node.children && node.children.length === 1 && node.children[0],
+		to = $tw.utils.getAttributeValueFromParseTreeNode(node,"to","");
+	if(node.type !== "link" || !$tw.utils.checkParseTreeNodeAttributes(node,["to"]) || !child || child.type !== "text") {
+		return null;
+	}
+	if(!to || $tw.utils.isLinkExternal(to) || /\]\]|[\r\n]/.test(to) || /\||\]\]|[\r\n]/.test(child.text)) {
+		return null;
+	}
+	return "[[" + (child.text === to ? to : child.text + "|" + to) + "]]";
+};
+
 })();
@@ -87,4 +87,29 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize a quote block, using a longer marker than any quote blocks nested within it
+*/
+exports.serialize = function(node,serializer) {
+	var classes = node.type === "element" && node.tag === "blockquote" && $tw.utils.checkParseTreeNodeAttributes(node,["class"]) ? $tw.utils.getClassesFromParseTreeNode(node) : [];
+	if(classes.indexOf("tc-quote") === -1) {
+		return null;
+	}
+	classes.splice(classes.indexOf("tc-quote"),1);
+	var isCite = function(child) {
+			return child && child.type === "element" && child.tag === "cite" && $tw.utils.count(child.attributes || {}) === 0;
+		},
+		children = node.children.slice(0),
+		startCite = isCite(children[0]) ? children.shift() : null,
+		endCite = isCite(children[children.length - 1]) ? children.pop() : null,
+		body = serializer.serializeBlocks(children),
+		marker = "<<<";
+	while(new RegExp("^" + marker,"m").test(body)) {
+		marker += "<";
+	}
+	return marker + (classes.length > 0 ? "." + classes.join(".") : "") + (startCite ? " " + serializer.serializeInline(startCite.children) : "") + "\n" +
+		body +
+		marker + (endCite ? " " + serializer.serializeInline(endCite.children) : "");
+};
+
 })();
@@ -70,4 +70,19 @@ exports.parse = function() {
 	return tree;
 };
 
+/*
+Serialize a paragraph with classes or styles as a style block
+*/
+exports.serialize = function(node,serializer) {
+	if(node.type !== "element" || node.tag !== "p" || $tw.utils.count(node.attributes || {}) === 0 || !$tw.utils.checkParseTreeNodeAttributes(node,["class","style"])) {
+		return null;
+	}
+	var classes = $tw.utils.getClassesFromParseTreeNode(node),
+		styles = $tw.utils.getAttributeValueFromParseTreeNode(node,"style","");
+	if(styles && !/^(?:[^\.\r\n\s:]+:[^\r\n;]+;)+$/.test(styles)) {
+		return null;
+	}
+	return "@@" + styles + (classes.length > 0 ? "." + classes.join(".") : "") + "\n" + serializer.serializeInline(node.children).replace(/\n*$/,"\n") + "@@";
+};
+
 })();
@@ -55,4 +55,17 @@ exports.parse = function() {
 	return [node];
 };
 
+/*
+Serialize an inline style span
+*/
+exports.serialize = function(node,serializer) {
+	var classes = node.type === "element" && node.tag === "span" && $tw.utils.checkParseTreeNodeAttributes(node,["class","style"]) ? $tw.utils.getClassesFromParseTreeNode(node) : [],
+		styles = $tw.utils.getAttributeValueFromParseTreeNode(node,"style","");
+	if(classes.indexOf("tc-inline-style") === -1 || (styles && !/^(?:[^\.\r\n\s:]+:[^\r\n;]+;)+$/.test(styles))) {
+		return null;
+	}
+	classes.splice(classes.indexOf("tc-inline-style"),1);
+	return "@@" + styles + (classes.length > 0 ? "." + classes.join(".") + " " : "") + serializer.serializeInline(node.children) + "@@";
+};
+
 })();
@@ -47,4 +47,19 @@ exports.parse = function() {
 	}
 };
 
+/*
+Serialize a text node that would otherwise be read as a system tiddler link by prefixing it with a tilde
+*/
+exports.serialize = function(node) {
+	var reSysLink = new RegExp(
+		"^\\$:\\/[" +
+		$tw.config.textPrimitives.anyLetter.substr(1,$tw.config.textPrimitives.anyLetter.length - 2) +
+		"\/._-]+$"
+	);
+	if(node.type !== "text" || !reSysLink.test(node.text)) {
+		return null;
+	}
+	return "~" + node.text;
+};
+
 })();
\ No newline at end of file
@@ -184,4 +184,80 @@ exports.parse = function() {
 	return [table];
 };
 
+/*
+Serialize a table, including its caption and classes, header and footer rows, cell alignment and merged cells
+*/
+exports.serialize = function(node,serializer) {
+	if(node.type !== "element" || node.tag !== "table" || !$tw.utils.checkParseTreeNodeAttributes(node,["class"])) {
+		return null;
+	}
+	var rowTypes = {caption: "c", thead: "h", tbody: "", tfoot: "f"},
+		tableClass = $tw.utils.getAttributeValueFromParseTreeNode(node,"class",""),
+		lines = tableClass ? ["|" + tableClass + "|k"] : [],
+		rowSpans = [];
+	for(var t=0; t<node.children.length; t++) {
+		var container = node.children[t],
+			rowType = rowTypes[container.tag];
+		if(container.type !== "element" || !$tw.utils.hop(rowTypes,container.tag) || $tw.utils.count(container.attributes || {}) > 0) {
+			return null;
+		}
+		if(rowType === "c") {
+			lines.push("|" + serializer.serializeInline(container.children) + "|c");
+		} else {
+			for(var r=0; r<container.children.length; r++) {
+				var cells = serializeRow(container.children[r],rowSpans,serializer);
+				if(!cells) {
+					return null;
+				}
+				lines.push("|" + cells.join("|") + "|" + rowType);
+			}
+		}
+	}
+	return lines.join("\n");
+};
+
+/*
+Serialize a row as an array of cells. Cells that span several columns are preceded by ">" cells, and cells that span several rows are continued by "~" cells in the rows below them, as recorded in the array rowSpans
+*/
+function serializeRow(row,rowSpans,serializer) {
+	if(row.type !== "element" || row.tag !== "tr" || !$tw.utils.checkParseTreeNodeAttributes(row,["class"])) {
+		return null;
+	}
+	var children = row.children || [],
+		cells = [],
+		col = 0,
+		index = 0;
+	while(index < children.length || (rowSpans[col] && rowSpans[col].count > 0)) {
+		var colSpan, text;
+		if(rowSpans[col] && rowSpans[col].count > 0) {
+			rowSpans[col].count--;
+			colSpan = rowSpans[col].colSpan;
+			text = "~";
+		} else {
+			var cell = children[index++];
+			if(cell.type !== "element" || (cell.tag !== "td" && cell.tag !== "th") || !$tw.utils.checkParseTreeNodeAttributes(cell,["align","valign","colspan","rowspan"])) {
+				return null;
+			}
+			var align = $tw.utils.getAttributeValueFromParseTreeNode(cell,"align",""),
+				vAlign = $tw.utils.getAttributeValueFromParseTreeNode(cell,"valign","");
+			colSpan = parseInt($tw.utils.getAttributeValueFromParseTreeNode(cell,"colspan",1),10) || 1;
+			rowSpans[col] = {
+				count: (parseInt($tw.utils.getAttributeValueFromParseTreeNode(cell,"rowspan",1),10) || 1) - 1,
+				colSpan: colSpan
+			};
+			text = (vAlign === "top" ? "^" : (vAlign === "bottom" ? "," : "")) +
+				(align === "right" || align === "center" ? " " : "") +
+				(cell.tag === "th" ? "!" : "") +
+				serializer.serializeInline(cell.children) +
+				(align === "left" || align === "center" ? " " : "");
+		}
+		for(var t=1; t<colSpan; t++) {
+			cells.push(">");
+		}
+		cells.push(text);
+		col += colSpan;
+	}
+	return cells;
+}
+
 })();
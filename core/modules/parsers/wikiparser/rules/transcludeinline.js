@@ -75,4 +75,33 @@ exports.parse = function() {
 	}
 };
 
+/*
+Serialize a transclusion, either a transclude widget or a tiddler widget wrapping one
+*/
+exports.serialize = function(node) {
+	var hasTiddler = node.type === "tiddler" && $tw.utils.checkParseTreeNodeAttributes(node,["tiddler"]) && node.children && node.children.length === 1,
+		transcludeNode = hasTiddler ? node.children[0] : node;
+	if(transcludeNode.type !== "transclude" || (transcludeNode.children && transcludeNode.children.length > 0) || !$tw.utils.checkParseTreeNodeAttributes(transcludeNode,["tiddler","field","index"])) {
+		return null;
+	}
+	var targetTitle = hasTiddler ? $tw.utils.getAttributeValueFromParseTreeNode(node,"tiddler","") : "",
+		title = $tw.utils.getAttributeValueFromParseTreeNode(transcludeNode,"tiddler",""),
+		field = $tw.utils.getAttributeValueFromParseTreeNode(transcludeNode,"field",""),
+		index = $tw.utils.getAttributeValueFromParseTreeNode(transcludeNode,"index",""),
+		text;
+	if(/[\{\}\|]/.test(targetTitle + title + field + index) || /!!|##/.test(targetTitle)) {
+		return null;
+	}
+	if(!hasTiddler && title && !field && !index) {
+		text = "||" + title;
+	} else if(hasTiddler && title === targetTitle && (title || field || index) && !(field && index)) {
+		text = title + (field ? "!!" + field : "") + (index ? "##" + index : "");
+	} else if(hasTiddler && targetTitle && title && !field && !index) {
+		text = targetTitle + "||" + title;
+	} else {
+		return null;
+	}
+	return "{{" + text + "}}";
+};
+
 })();
@@ -62,4 +62,15 @@ exports.parse = function() {
 	}];
 };
 
+/*
+Serialize a text node that would otherwise be read as a wikilink by prefixing it with the escape character
+*/
+exports.serialize = function(node) {
+	var reWikiLink = new RegExp("^" + $tw.config.textPrimitives.wikiLink + "$");
+	if(node.type !== "text" || !reWikiLink.test(node.text)) {
+		return null;
+	}
+	return $tw.config.textPrimitives.unWikiLink + node.text;
+};
+
 })();
@@ -60,14 +60,17 @@ PluginSwitcher.prototype.switchPlugins = function() {
 			}
 		};
 	accumulatePlugin(selectedPluginTitle);
-	// Read the plugin info for the incoming plugins
-	var changes = $tw.wiki.readPluginInfo(plugins);
-	// Unregister any existing theme tiddlers
-	var unregisteredTiddlers = $tw.wiki.unregisterPluginTiddlers(this.pluginType);
-	// Register any new theme tiddlers
-	var registeredTiddlers = $tw.wiki.registerPluginTiddlers(this.pluginType,plugins);
-	// Unpack the current theme tiddlers
-	$tw.wiki.unpackPluginTiddlers();
+	// Swap the plugins in a single transaction, so that the wiki is left unchanged if a plugin can't be read
+	$tw.wiki.transaction(function() {
+		// Read the plugin info for the incoming plugins
+		var changes = $tw.wiki.readPluginInfo(plugins);
+		// Unregister any existing theme tiddlers
+		var unregisteredTiddlers = $tw.wiki.unregisterPluginTiddlers(self.pluginType);
+		// Register any new theme tiddlers
+		var registeredTiddlers = $tw.wiki.registerPluginTiddlers(self.pluginType,plugins);
+		// Unpack the current theme tiddlers
+		$tw.wiki.unpackPluginTiddlers();
+	});
 	// Call the switch handler
 	if(this.onSwitch) {
 		this.onSwitch(plugins);
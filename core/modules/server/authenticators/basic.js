@@ -80,6 +80,10 @@ BasicAuthenticator.prototype.authenticateRequest = function(request,response,sta
 		state.authenticatedUsername = incomingUsername;
 		return true;
 	} else {
+		// Count incorrect credentials towards the limit on failed logins
+		if(header) {
+			state.server.recordLoginFailure(request);
+		}
 		// If not, return an authentication challenge
 		response.writeHead(401,"Authentication required",{
 			"WWW-Authenticate": 'Basic realm="Please provide your username and password to login to ' + state.server.servername + '"'
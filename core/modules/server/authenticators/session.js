@@ -0,0 +1,185 @@
+/*\
+title: $:/core/modules/server/authenticators/session.js
+type: application/javascript
+module-type: authenticator
+
+Authenticator for login forms with signed session cookies
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+if($tw.node) {
+	var crypto = require("crypto");
+}
+
+var verifyPassword = require("$:/core/modules/server/users.js").verifyPassword;
+
+var COOKIE_NAME = "tiddlywiki_session",
+	DEFAULT_SESSION_EXPIRY = 24 * 60 * 60; // Seconds
+
+function SessionAuthenticator(server) {
+	this.server = server;
+	this.userStore = null;
+	this.sessions = Object.create(null); // Hashmap by session ID of {username:,expires:}
+}
+
+SessionAuthenticator.prototype.supportsFormLogin = true;
+
+/*
+Returns true if the authenticator is active, false if it is inactive, or a string if there is an error
+*/
+SessionAuthenticator.prototype.init = function() {
+	var self = this,
+		error = null;
+	// Use the first user store that is active
+	$tw.modules.forEachModuleOfType("userstore",function(title,userStoreDefinition) {
+		if(!self.userStore && !error) {
+			var userStore = new userStoreDefinition.UserStoreClass(self.server),
+				result = userStore.init();
+			if(typeof result === "string") {
+				error = result;
+			} else if(result) {
+				self.userStore = userStore;
+			}
+		}
+	});
+	if(error) {
+		return error;
+	}
+	this.secret = this.server.get("session-secret") || crypto.randomBytes(32).toString("hex");
+	this.sessionExpiry = (parseInt(this.server.get("session-expiry"),10) || DEFAULT_SESSION_EXPIRY) * 1000;
+	return !!this.userStore;
+};
+
+/*
+Returns true if the request is authenticated and assigns the "authenticatedUsername" state variable.
+Returns false if the request couldn't be authenticated having sent an appropriate response to the browser
+*/
+SessionAuthenticator.prototype.authenticateRequest = function(request,response,state) {
+	var session = this.getSession(request);
+	if(session) {
+		state.authenticatedUsername = session.username;
+		return true;
+	} else if(state.allowAnon) {
+		// Anonymous users don't get an authenticatedUsername
+		return true;
+	}
+	// Send browsers to the login page, and other clients an error
+	if(request.method === "GET" && /text\/html/.test(request.headers.accept || "")) {
+		response.writeHead(302,{
+			Location: state.pathPrefix + "/login"
+		});
+	} else {
+		response.writeHead(401,"Authentication required to login to '" + state.server.servername + "'");
+	}
+	response.end();
+	return false;
+};
+
+/*
+Check a username and password against the user store, and invoke the callback with (err,isValid)
+*/
+SessionAuthenticator.prototype.verifyCredentials = function(username,password,callback) {
+	var user = username && this.userStore.getUser(username);
+	// Unknown users are checked against a dummy hash so that they take as long as known ones
+	verifyPassword(password,user ? user.password : null,callback);
+};
+
+/*
+Return the names of the groups that a user belongs to
+*/
+SessionAuthenticator.prototype.getUserGroups = function(username) {
+	var user = username && this.userStore.getUser(username);
+	return user ? user.groups : [];
+};
+
+/*
+Start a new session for a user, returning the value for the Set-Cookie header
+*/
+SessionAuthenticator.prototype.createSession = function(username,state) {
+	var self = this,
+		sessionId = crypto.randomBytes(24).toString("hex"),
+		now = Date.now();
+	// Discard expired sessions
+	$tw.utils.each(Object.keys(this.sessions),function(id) {
+		if(self.sessions[id].expires <= now) {
+			delete self.sessions[id];
+		}
+	});
+	this.sessions[sessionId] = {
+		username: username,
+		expires: now + this.sessionExpiry
+	};
+	return this.makeCookie(sessionId + "." + this.sign(sessionId),this.sessionExpiry / 1000,state);
+};
+
+/*
+End the session of a request, returning the value for the Set-Cookie header that clears the cookie
+*/
+SessionAuthenticator.prototype.destroySession = function(request,state) {
+	var sessionId = this.getSessionId(request);
+	if(sessionId) {
+		delete this.sessions[sessionId];
+	}
+	return this.makeCookie("",0,state);
+};
+
+/*
+Return the session of a request, or null if it has no valid session
+*/
+SessionAuthenticator.prototype.getSession = function(request) {
+	var sessionId = this.getSessionId(request),
+		session = sessionId && this.sessions[sessionId];
+	if(session && session.expires <= Date.now()) {
+		delete this.sessions[sessionId];
+		session = null;
+	}
+	return session || null;
+};
+
+/*
+Return the session ID from the cookie of a request if its signature is valid
+*/
+SessionAuthenticator.prototype.getSessionId = function(request) {
+	var cookies = (request.headers.cookie || "").split(";"),
+		value = null;
+	for(var t=0; t<cookies.length; t++) {
+		var cookie = $tw.utils.trim(cookies[t]);
+		if(cookie.substr(0,COOKIE_NAME.length + 1) === COOKIE_NAME + "=") {
+			value = cookie.substr(COOKIE_NAME.length + 1);
+		}
+	}
+	var parts = (value || "").split(".");
+	if(parts.length !== 2) {
+		return null;
+	}
+	var expected = Buffer.from(this.sign(parts[0])),
+		actual = Buffer.from(parts[1]);
+	return (expected.length === actual.length && crypto.timingSafeEqual(expected,actual)) ? parts[0] : null;
+};
+
+SessionAuthenticator.prototype.sign = function(value) {
+	return crypto.createHmac("sha256",this.secret).update(value).digest("hex");
+};
+
+SessionAuthenticator.prototype.makeCookie = function(value,maxAge,state) {
+	var attributes = [
+		COOKIE_NAME + "=" + value,
+		"Path=" + (state.pathPrefix || "/"),
+		"Max-Age=" + Math.floor(maxAge),
+		"HttpOnly",
+		"SameSite=Strict"
+	];
+	if(this.server.protocol === "https") {
+		attributes.push("Secure");
+	}
+	return attributes.join("; ");
+};
+
+exports.AuthenticatorClass = SessionAuthenticator;
+
+})();
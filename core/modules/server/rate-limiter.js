@@ -0,0 +1,83 @@
+/*\
+title: $:/core/modules/server/rate-limiter.js
+type: application/javascript
+module-type: library
+
+Count events by key within fixed time windows, such as requests from an IP address
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Options:
+  limit: maximum number of events allowed for a key within each window
+  window: length of the window in seconds
+*/
+function RateLimiter(options) {
+	this.limit = options.limit;
+	this.windowLength = options.window * 1000;
+	this.counters = Object.create(null); // Hashmap by key of {start:,count:}
+	this.lastPurge = Date.now();
+}
+
+/*
+Get the counter for a key, starting a new window if the previous one has expired
+*/
+RateLimiter.prototype.getCounter = function(key) {
+	var now = Date.now();
+	// Throw away expired counters from time to time so that the hashmap doesn't grow indefinitely
+	if(now - this.lastPurge > this.windowLength) {
+		for(var k in this.counters) {
+			if(now - this.counters[k].start >= this.windowLength) {
+				delete this.counters[k];
+			}
+		}
+		this.lastPurge = now;
+	}
+	var counter = this.counters[key];
+	if(!counter || now - counter.start >= this.windowLength) {
+		counter = this.counters[key] = {start: now, count: 0};
+	}
+	return counter;
+};
+
+/*
+Record an event for a key
+*/
+RateLimiter.prototype.record = function(key) {
+	this.getCounter(key).count++;
+};
+
+/*
+Check whether a key has reached its limit within the current window
+*/
+RateLimiter.prototype.isLimited = function(key) {
+	return this.getCounter(key).count >= this.limit;
+};
+
+/*
+Record an event for a key, returning false if the key had already reached its limit
+*/
+RateLimiter.prototype.consume = function(key) {
+	if(this.isLimited(key)) {
+		return false;
+	}
+	this.record(key);
+	return true;
+};
+
+/*
+Get the number of seconds until the current window for a key ends
+*/
+RateLimiter.prototype.getRetryAfter = function(key) {
+	var counter = this.getCounter(key);
+	return Math.max(1,Math.ceil((counter.start + this.windowLength - Date.now()) / 1000));
+};
+
+exports.RateLimiter = RateLimiter;
+
+})();
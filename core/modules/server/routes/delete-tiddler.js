@@ -18,7 +18,14 @@ exports.path = /^\/bags\/default\/tiddlers\/(.+)$/;
 
 exports.handler = function(request,response,state) {
 	var title = decodeURIComponent(state.params[0]);
+	if(state.wiki.tiddlerExists(title) && !state.server.isAuthorizedForTiddler("writers",state.authenticatedUsername,title,state.wiki)) {
+		response.writeHead(403);
+		response.end();
+		return;
+	}
+	var revision = state.server.getTiddlerRevision(title,state.wiki);
 	state.wiki.deleteTiddler(title);
+	state.server.logAuditEvent(request,state,{action: "delete", title: title, revision: revision});
 	response.writeHead(204, "OK", {
 		"Content-Type": "text/plain"
 	});
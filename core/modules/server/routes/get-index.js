@@ -23,7 +23,21 @@ exports.handler = function(request,response,state) {
 	if(!acceptEncoding) {
 		acceptEncoding = "";
 	}
-	var text = state.wiki.renderTiddler(state.server.get("root-render-type"),state.server.get("root-tiddler")),
+	var allTitles = state.wiki.allTitles(),
+		readableTitles = state.server.filterAuthorizedTitles("readers",state.authenticatedUsername,allTitles,state.wiki),
+		variables = {};
+	// Exclude the tiddlers that the user is not authorized to read
+	if(readableTitles.length < allTitles.length) {
+		var readable = Object.create(null);
+		$tw.utils.each(readableTitles,function(title) {
+			readable[title] = true;
+		});
+		variables["hidden-titles"] = $tw.utils.stringifyList(allTitles.filter(function(title) {
+			return !readable[title];
+		}));
+		variables.publishFilter = "-[enlist<hidden-titles>]";
+	}
+	var text = state.wiki.renderTiddler(state.server.get("root-render-type"),state.server.get("root-tiddler"),{variables: variables}),
 		responseHeaders = {
 		"Content-Type": state.server.get("root-serve-type")
 	};
@@ -0,0 +1,32 @@
+/*\
+title: $:/core/modules/server/routes/get-login.js
+type: application/javascript
+module-type: route
+
+GET /login -- display the login form
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.method = "GET";
+
+exports.path = /^\/login$/;
+
+exports.bypassAuthorization = true;
+
+exports.handler = function(request,response,state) {
+	var authenticator = state.server.authenticators[0];
+	if(!authenticator || !authenticator.supportsFormLogin) {
+		response.writeHead(404);
+		response.end();
+		return;
+	}
+	response.writeHead(200,{"Content-Type": "text/html"});
+	response.end(state.wiki.getTiddlerText("$:/core/templates/server/login.html",""),"utf8");
+};
+
+}());
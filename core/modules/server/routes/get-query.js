@@ -0,0 +1,98 @@
+/*\
+title: $:/core/modules/server/routes/get-query.js
+type: application/javascript
+module-type: route
+
+GET /recipes/default/query?filter=<filter>&offset=<offset>&limit=<limit>&format=<format>&exclude=<fields>
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var crypto = require("crypto");
+
+var DEFAULT_LIMIT = 100,
+	HTML_TEMPLATE = "$:/core/templates/wikified-tiddler";
+
+exports.method = "GET";
+
+exports.path = /^\/recipes\/default\/query$/;
+
+/*
+Parse a non-negative integer query parameter, returning the default value if it is missing or invalid
+*/
+function parseCount(value,defaultValue) {
+	var count = parseInt(value,10);
+	return isNaN(count) || count < 0 ? defaultValue : count;
+}
+
+exports.handler = function(request,response,state) {
+	var filter = state.queryParameters.filter,
+		format = state.queryParameters.format || "titles",
+		offset = parseCount(state.queryParameters.offset,0),
+		limit = parseCount(state.queryParameters.limit,DEFAULT_LIMIT),
+		excludeFields = (state.queryParameters.exclude === undefined ? "text" : state.queryParameters.exclude).split(",");
+	if(!filter || ["titles","tiddlers","html"].indexOf(format) === -1) {
+		response.writeHead(400);
+		response.end();
+		return;
+	}
+	if(!state.server.isFilterAuthorized(filter,state.authenticatedUsername,state.wiki)) {
+		console.log("Blocked attempt to GET /recipes/default/query with filter: " + filter);
+		response.writeHead(403);
+		response.end();
+		return;
+	}
+	// Run the filter and render the results in a wiki containing just the tiddlers the user may read, so that filter values and transclusions can't reveal protected tiddlers
+	var wiki = state.server.getReadableWiki(state.authenticatedUsername,state.wiki),
+		titles = wiki.filterTiddlers(filter),
+		pageTitles = titles.slice(offset,offset + limit),
+		etagSource = [format,excludeFields.join(","),titles.length,offset,limit];
+	// Compute the Etag before rendering the results. Rendered HTML can depend on any other tiddler, so its Etag changes with every change to the wiki
+	$tw.utils.each(pageTitles,function(title) {
+		etagSource.push(title,state.wiki.getChangeCount(title));
+	});
+	if(format === "html") {
+		etagSource.push(state.authenticatedUsername || "",state.server.getWikiGeneration(state.wiki));
+	}
+	var etag = "\"" + crypto.createHash("sha1").update(JSON.stringify(etagSource),"utf8").digest("hex") + "\"";
+	// Let the client reuse its copy of the results if they haven't changed
+	if(request.headers["if-none-match"] === etag) {
+		response.writeHead(304,{Etag: etag});
+		response.end();
+		return;
+	}
+	var results = [];
+	$tw.utils.each(pageTitles,function(title) {
+		var tiddler = wiki.getTiddler(title);
+		if(format === "titles") {
+			results.push(title);
+		} else if(tiddler && format === "tiddlers") {
+			var tiddlerFields = tiddler.getFieldStrings({exclude: excludeFields});
+			tiddlerFields.revision = state.server.getTiddlerRevision(title,state.wiki);
+			tiddlerFields.type = tiddlerFields.type || "text/vnd.tiddlywiki";
+			results.push(tiddlerFields);
+		} else if(tiddler && format === "html") {
+			results.push({
+				title: title,
+				html: wiki.renderTiddler("text/html",HTML_TEMPLATE,{parseAsInline: true, variables: {currentTiddler: title}})
+			});
+		}
+	});
+	var text = JSON.stringify({
+		total: titles.length,
+		offset: offset,
+		limit: limit,
+		results: results
+	});
+	response.writeHead(200,{
+		"Content-Type": "application/json",
+		Etag: etag
+	});
+	response.end(text,"utf8");
+};
+
+}());
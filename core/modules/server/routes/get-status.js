@@ -17,12 +17,15 @@ exports.method = "GET";
 exports.path = /^\/status$/;
 
 exports.handler = function(request,response,state) {
+	var authenticator = state.server.authenticators[0];
 	response.writeHead(200, {"Content-Type": "application/json"});
 	var text = JSON.stringify({
 		username: state.authenticatedUsername || state.server.get("anon-username") || "",
 		anonymous: !state.authenticatedUsername,
 		read_only: !state.server.isAuthorized("writers",state.authenticatedUsername),
 		sse_enabled: state.server.get("sse-enabled") === "yes",
+		form_login: !!(authenticator && authenticator.supportsFormLogin),
+		batch_enabled: true,
 		space: {
 			recipe: "default"
 		},
@@ -19,7 +19,10 @@ exports.path = /^\/([^\/]+)$/;
 exports.handler = function(request,response,state) {
 	var title = decodeURIComponent(state.params[0]),
 		tiddler = state.wiki.getTiddler(title);
-	if(tiddler) {
+	if(tiddler && !state.server.isAuthorizedForTiddler("readers",state.authenticatedUsername,title,state.wiki)) {
+		response.writeHead(403);
+		response.end();
+	} else if(tiddler) {
 		var renderType = tiddler.getFieldString("_render_type"),
 			renderTemplate = tiddler.getFieldString("_render_template");
 		// Tiddler fields '_render_type' and '_render_template' overwrite
@@ -0,0 +1,49 @@
+/*\
+title: $:/core/modules/server/routes/get-tiddler-revision.js
+type: application/javascript
+module-type: route
+
+GET /bags/default/tiddlers/:title/revisions/:revision
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.method = "GET";
+
+exports.path = /^\/bags\/default\/tiddlers\/([^\/]+)\/revisions\/(\d+)$/;
+
+exports.handler = function(request,response,state) {
+	var title = decodeURIComponent(state.params[0]),
+		revision = parseInt(state.params[1],10),
+		syncadaptor = state.syncadaptor;
+	if(!syncadaptor || !syncadaptor.loadTiddlerRevision) {
+		response.writeHead(404);
+		response.end();
+	} else if(!state.server.isAuthorizedForTiddler("readers",state.authenticatedUsername,title,state.wiki)) {
+		response.writeHead(403);
+		response.end();
+	} else {
+		syncadaptor.loadTiddlerRevision(title,revision,function(err,fields) {
+			if(err) {
+				response.writeHead(500);
+				response.end(err.toString(),"utf8");
+			} else if(!fields) {
+				response.writeHead(404);
+				response.end();
+			} else if(!state.server.isAuthorizedForTiddler("readers",state.authenticatedUsername,title,state.wiki,new $tw.Tiddler(fields,{title: title}))) {
+				// The revision itself may be covered by a different rule to the current tiddler
+				response.writeHead(403);
+				response.end();
+			} else {
+				response.writeHead(200, {"Content-Type": "application/json"});
+				response.end(JSON.stringify(fields),"utf8");
+			}
+		});
+	}
+};
+
+}());
@@ -0,0 +1,41 @@
+/*\
+title: $:/core/modules/server/routes/get-tiddler-revisions.js
+type: application/javascript
+module-type: route
+
+GET /bags/default/tiddlers/:title/revisions
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.method = "GET";
+
+exports.path = /^\/bags\/default\/tiddlers\/([^\/]+)\/revisions$/;
+
+exports.handler = function(request,response,state) {
+	var title = decodeURIComponent(state.params[0]),
+		syncadaptor = state.syncadaptor;
+	if(!syncadaptor || !syncadaptor.getTiddlerRevisions) {
+		response.writeHead(404);
+		response.end();
+	} else if(!state.server.isAuthorizedForTiddler("readers",state.authenticatedUsername,title,state.wiki)) {
+		response.writeHead(403);
+		response.end();
+	} else {
+		syncadaptor.getTiddlerRevisions(title,function(err,revisions) {
+			if(err) {
+				response.writeHead(500);
+				response.end(err.toString(),"utf8");
+			} else {
+				response.writeHead(200, {"Content-Type": "application/json"});
+				response.end(JSON.stringify(revisions),"utf8");
+			}
+		});
+	}
+};
+
+}());
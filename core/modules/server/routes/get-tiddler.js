@@ -23,7 +23,10 @@ exports.handler = function(request,response,state) {
 		knownFields = [
 			"bag", "created", "creator", "modified", "modifier", "permissions", "recipe", "revision", "tags", "text", "title", "type", "uri"
 		];
-	if(tiddler) {
+	if(tiddler && !state.server.isAuthorizedForTiddler("readers",state.authenticatedUsername,title,state.wiki)) {
+		response.writeHead(403);
+		response.end();
+	} else if(tiddler) {
 		$tw.utils.each(tiddler.fields,function(field,name) {
 			var value = tiddler.getFieldString(name);
 			if(knownFields.indexOf(name) !== -1) {
@@ -33,7 +36,7 @@ exports.handler = function(request,response,state) {
 				tiddlerFields.fields[name] = value;
 			}
 		});
-		tiddlerFields.revision = state.wiki.getChangeCount(title);
+		tiddlerFields.revision = state.server.getTiddlerRevision(title,state.wiki);
 		tiddlerFields.bag = "default";
 		tiddlerFields.type = tiddlerFields.type || "text/vnd.tiddlywiki";
 		response.writeHead(200, {"Content-Type": "application/json"});
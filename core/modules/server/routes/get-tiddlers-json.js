@@ -20,26 +20,26 @@ exports.path = /^\/recipes\/default\/tiddlers.json$/;
 
 exports.handler = function(request,response,state) {
 	var filter = state.queryParameters.filter || DEFAULT_FILTER;
-	if(state.wiki.getTiddlerText("$:/config/Server/AllowAllExternalFilters") !== "yes") {
-		if(state.wiki.getTiddlerText("$:/config/Server/ExternalFilters/" + filter) !== "yes") {
-			console.log("Blocked attempt to GET /recipes/default/tiddlers.json with filter: " + filter);
-			response.writeHead(403);
-			response.end();
-			return;
-		}
+	if(!state.server.isFilterAuthorized(filter,state.authenticatedUsername,state.wiki)) {
+		console.log("Blocked attempt to GET /recipes/default/tiddlers.json with filter: " + filter);
+		response.writeHead(403);
+		response.end();
+		return;
 	}
 	if(state.wiki.getTiddlerText("$:/config/SyncSystemTiddlersFromServer") === "no") {
 		filter += "+[!is[system]]";
 	}
+	// Run the filter in a wiki containing just the tiddlers the user may read, so that it can't reveal anything about protected tiddlers
 	var excludeFields = (state.queryParameters.exclude || "text").split(","),
-		titles = state.wiki.filterTiddlers(filter);
+		wiki = state.server.getReadableWiki(state.authenticatedUsername,state.wiki),
+		titles = wiki.filterTiddlers(filter);
 	response.writeHead(200, {"Content-Type": "application/json"});
 	var tiddlers = [];
 	$tw.utils.each(titles,function(title) {
-		var tiddler = state.wiki.getTiddler(title);
+		var tiddler = wiki.getTiddler(title);
 		if(tiddler) {
 			var tiddlerFields = tiddler.getFieldStrings({exclude: excludeFields});
-			tiddlerFields.revision = state.wiki.getChangeCount(title);
+			tiddlerFields.revision = state.server.getTiddlerRevision(title,state.wiki);
 			tiddlerFields.type = tiddlerFields.type || "text/vnd.tiddlywiki";
 			tiddlers.push(tiddlerFields);
 		}
@@ -0,0 +1,51 @@
+/*\
+title: $:/core/modules/server/routes/post-login.js
+type: application/javascript
+module-type: route
+
+POST /login -- login with a username and password and start a session
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var querystring = require("querystring");
+
+exports.method = "POST";
+
+exports.path = /^\/login$/;
+
+exports.bypassAuthorization = true;
+
+exports.isLogin = true;
+
+exports.handler = function(request,response,state) {
+	var authenticator = state.server.authenticators[0];
+	if(!authenticator || !authenticator.supportsFormLogin) {
+		response.writeHead(404);
+		response.end();
+		return;
+	}
+	var data = querystring.parse(state.data),
+		username = data.username,
+		password = data.password;
+	authenticator.verifyCredentials(username,password,function(err,isValid) {
+		if(err) {
+			$tw.utils.log("Error verifying the password of '" + username + "': " + err.toString());
+			response.writeHead(500);
+		} else if(isValid) {
+			response.writeHead(204,"OK",{
+				"Set-Cookie": authenticator.createSession(username,state)
+			});
+		} else {
+			state.server.recordLoginFailure(request);
+			response.writeHead(401,"Invalid username or password");
+		}
+		response.end();
+	});
+};
+
+}());
@@ -0,0 +1,34 @@
+/*\
+title: $:/core/modules/server/routes/post-logout.js
+type: application/javascript
+module-type: route
+
+POST /logout -- end the current session
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.method = "POST";
+
+exports.path = /^\/logout$/;
+
+exports.bypassAuthorization = true;
+
+exports.handler = function(request,response,state) {
+	var authenticator = state.server.authenticators[0];
+	if(!authenticator || !authenticator.supportsFormLogin) {
+		response.writeHead(404);
+		response.end();
+		return;
+	}
+	response.writeHead(204,"OK",{
+		"Set-Cookie": authenticator.destroySession(request,state)
+	});
+	response.end();
+};
+
+}());
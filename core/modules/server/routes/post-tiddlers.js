@@ -0,0 +1,144 @@
+/*\
+title: $:/core/modules/server/routes/post-tiddlers.js
+type: application/javascript
+module-type: route
+
+POST /recipes/default/tiddlers
+
+Saves and deletes a batch of tiddlers. Either all of the changes are made, or none of them
+
+\*/
+(function() {
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.method = "POST";
+
+exports.path = /^\/recipes\/default\/tiddlers$/;
+
+/*
+Convert a tiddler in TiddlyWeb format into a hashmap of TiddlyWiki fields
+*/
+function convertFromTiddlyWebFormat(tiddlyWebFields) {
+	var fields = $tw.utils.extend({},tiddlyWebFields);
+	// Pull up any subfields in the `fields` object
+	if(fields.fields) {
+		$tw.utils.each(fields.fields,function(field,name) {
+			fields[name] = field;
+		});
+		delete fields.fields;
+	}
+	// Remove any revision field
+	delete fields.revision;
+	return fields;
+}
+
+function sendJson(response,statusCode,data) {
+	response.writeHead(statusCode,{"Content-Type": "application/json"});
+	response.end(JSON.stringify(data),"utf8");
+}
+
+exports.handler = function(request,response,state) {
+	var batch;
+	try {
+		batch = JSON.parse(state.data);
+	} catch(e) {
+	}
+	if(!batch || typeof batch !== "object") {
+		response.writeHead(400);
+		response.end();
+		return;
+	}
+	var wiki = state.wiki,
+		username = state.authenticatedUsername,
+		saves = [],
+		deletions = [],
+		forbidden = [],
+		conflicts = [],
+		hasMissingTitle = false;
+	// Check all the changes before making any of them
+	$tw.utils.each(batch.save || [],function(item) {
+		var fields = convertFromTiddlyWebFormat((item && item.tiddler) || {}),
+			title = fields.title;
+		if(!title) {
+			hasMissingTitle = true;
+			return;
+		}
+		var tiddler = new $tw.Tiddler(wiki.getCreationFields(),fields,wiki.getModificationFields()),
+			exists = wiki.tiddlerExists(title);
+		if((exists && !state.server.isAuthorizedForTiddler("writers",username,title,wiki)) ||
+			!state.server.isAuthorizedForTiddler("writers",username,title,wiki,tiddler)) {
+			forbidden.push(title);
+		} else if(item.revision && state.server.getTiddlerRevision(title,wiki) !== item.revision.toString()) {
+			// The tiddler has been changed or deleted since the revision that the client last saw
+			conflicts.push(title);
+		} else {
+			saves.push(tiddler);
+		}
+	});
+	$tw.utils.each(batch["delete"] || [],function(item) {
+		// Deletions can be given as titles, or as objects with the title and the revision that the deletion is based on
+		var title = typeof item === "string" ? item : (item && item.title);
+		if(!title) {
+			hasMissingTitle = true;
+			return;
+		}
+		var exists = wiki.tiddlerExists(title);
+		if(exists && !state.server.isAuthorizedForTiddler("writers",username,title,wiki)) {
+			forbidden.push(title);
+		} else if(exists && item.revision && state.server.getTiddlerRevision(title,wiki) !== item.revision.toString()) {
+			conflicts.push(title);
+		} else {
+			deletions.push(title);
+		}
+	});
+	// The whole batch is rejected if any of the changes doesn't say which tiddler it is for
+	if(hasMissingTitle) {
+		response.writeHead(400);
+		response.end();
+		return;
+	}
+	if(forbidden.length > 0) {
+		return sendJson(response,403,{forbidden: forbidden});
+	}
+	if(conflicts.length > 0) {
+		return sendJson(response,409,{conflicts: conflicts});
+	}
+	// Make the changes in a single transaction, so that they are all rolled back if any of them fail
+	var saved = {},
+		auditEvents = [];
+	try {
+		wiki.transaction(function() {
+			$tw.utils.each(saves,function(tiddler) {
+				var title = tiddler.fields.title;
+				wiki.addTiddler(tiddler);
+				saved[title] = {
+					bag: "default",
+					revision: state.server.getTiddlerRevision(title,wiki)
+				};
+				auditEvents.push({action: "save", title: title, revision: saved[title].revision});
+			});
+			$tw.utils.each(deletions,function(title) {
+				var revision = state.server.getTiddlerRevision(title,wiki);
+				wiki.deleteTiddler(title);
+				auditEvents.push({action: "delete", title: title, revision: revision});
+			});
+		});
+	} catch(e) {
+		$tw.utils.log("Error saving batch of tiddlers: " + e.toString(),"red");
+		response.writeHead(500);
+		response.end();
+		return;
+	}
+	$tw.utils.each(auditEvents,function(event) {
+		state.server.logAuditEvent(request,state,event);
+	});
+	sendJson(response,200,{
+		saved: saved,
+		deleted: deletions
+	});
+};
+
+}());
@@ -16,9 +16,22 @@ exports.method = "PUT";
 
 exports.path = /^\/recipes\/default\/tiddlers\/(.+)$/;
 
+/*
+Extract the revision from an Etag of the form "<bag>/<title>/<revision>:<hash>"
+*/
+function parseEtagRevision(etag) {
+	var lastSlash = etag.lastIndexOf("/"),
+		colon = etag.lastIndexOf(":");
+	if(lastSlash === -1 || colon < lastSlash) {
+		return null;
+	}
+	return etag.substring(lastSlash + 1,colon);
+}
+
 exports.handler = function(request,response,state) {
 	var title = decodeURIComponent(state.params[0]),
-	fields = JSON.parse(state.data);
+	fields = JSON.parse(state.data),
+	ifMatch = request.headers["if-match"];
 	// Pull up any subfields in the `fields` object
 	if(fields.fields) {
 		$tw.utils.each(fields.fields,function(field,name) {
@@ -30,10 +43,31 @@ exports.handler = function(request,response,state) {
 	if(fields.revision) {
 		delete fields.revision;
 	}
-	state.wiki.addTiddler(new $tw.Tiddler(state.wiki.getCreationFields(),fields,{title: title},state.wiki.getModificationFields()));
-	var changeCount = state.wiki.getChangeCount(title).toString();
+	var tiddler = new $tw.Tiddler(state.wiki.getCreationFields(),fields,{title: title},state.wiki.getModificationFields());
+	// Check that the user is allowed to overwrite the existing tiddler, and to write the new one
+	if((state.wiki.tiddlerExists(title) && !state.server.isAuthorizedForTiddler("writers",state.authenticatedUsername,title,state.wiki)) ||
+		!state.server.isAuthorizedForTiddler("writers",state.authenticatedUsername,title,state.wiki,tiddler)) {
+		response.writeHead(403);
+		response.end();
+		return;
+	}
+	// Reject the save if the tiddler has been changed or deleted since the revision given in the If-Match header
+	var currentRevision = state.server.getTiddlerRevision(title,state.wiki);
+	if(ifMatch && ifMatch !== "*" && parseEtagRevision(ifMatch) !== currentRevision) {
+		var conflictHeaders = {"Content-Type": "text/plain"};
+		// The Etag of the current revision is only given if the tiddler hasn't been deleted
+		if(currentRevision) {
+			conflictHeaders.Etag = "\"default/" + encodeURIComponent(title) + "/" + currentRevision + ":\"";
+		}
+		response.writeHead(409, "Conflict",conflictHeaders);
+		response.end();
+		return;
+	}
+	state.wiki.addTiddler(tiddler);
+	var revision = state.server.getTiddlerRevision(title,state.wiki);
+	state.server.logAuditEvent(request,state,{action: "save", title: title, revision: revision});
 	response.writeHead(204, "OK",{
-		Etag: "\"default/" + encodeURIComponent(title) + "/" + changeCount + ":\"",
+		Etag: "\"default/" + encodeURIComponent(title) + "/" + revision + ":\"",
 		"Content-Type": "text/plain"
 	});
 	response.end();
@@ -14,23 +14,28 @@ Serve tiddlers over http
 
 if($tw.node) {
 	var util = require("util"),
+		crypto = require("crypto"),
 		fs = require("fs"),
 		url = require("url"),
 		path = require("path"),
 		querystring = require("querystring");
 }
 
+var Widget = require("$:/core/modules/widgets/widget.js").widget;
+
 /*
 A simple HTTP server with regexp-based routes
 options: variables - optional hashmap of variables to set (a misnomer - they are really constant parameters)
 		 routes - optional array of routes to use
 		 wiki - reference to wiki object
+		 syncadaptor - optional reference to the syncadaptor of the wiki
 */
 function Server(options) {
 	var self = this;
 	this.routes = options.routes || [];
 	this.authenticators = options.authenticators || [];
 	this.wiki = options.wiki;
+	this.syncadaptor = options.syncadaptor || $tw.syncadaptor;
 	this.boot = options.boot || $tw.boot;
 	this.servername = $tw.utils.transliterateToSafeASCII(this.wiki.getTiddlerText("$:/SiteTitle") || "TiddlyWiki5");
 	// Initialise the variables
@@ -53,6 +58,48 @@ function Server(options) {
 		readers: (this.get("readers") || authorizedUserName).split(",").map($tw.utils.trim),
 		writers: (this.get("writers") || authorizedUserName).split(",").map($tw.utils.trim)
 	}
+	// Initialise the users allowed to run any filter through the query endpoint
+	this.queryPrincipals = (this.get("query-users") || "").split(",").map($tw.utils.trim).filter(function(principal) {
+		return !!principal;
+	});
+	// Load the access control list for individual tiddlers
+	this.groups = {};
+	this.accessControlRules = [];
+	if(this.get("acl")) {
+		var aclError = this.loadAccessControlList(path.resolve(this.boot.wikiPath,this.get("acl")));
+		if(aclError) {
+			$tw.utils.error(aclError);
+		}
+	}
+	// Initialise rate limiting of requests by IP address and by user, and of failed logins by IP address
+	var RateLimiter = require("$:/core/modules/server/rate-limiter.js").RateLimiter,
+		ipRateLimit = parseInt(this.get("rate-limit"),10),
+		userRateLimit = parseInt(this.get("rate-limit-user"),10),
+		loginAttemptLimit = parseInt(this.get("login-attempt-limit"),10);
+	this.ipRateLimiter = ipRateLimit > 0 ? new RateLimiter({limit: ipRateLimit, window: 60}) : null;
+	this.userRateLimiter = userRateLimit > 0 ? new RateLimiter({limit: userRateLimit, window: 60}) : null;
+	this.loginFailureLimiter = loginAttemptLimit > 0 ? new RateLimiter({limit: loginAttemptLimit, window: 15 * 60}) : null;
+	// Initialise the addresses of reverse proxies that are trusted to report the client address in the X-Forwarded-For header
+	this.trustedProxies = (this.get("trusted-proxies") || "").split(",").map($tw.utils.trim).filter(function(address) {
+		return !!address;
+	});
+	// Open the audit log
+	this.auditLogStream = null;
+	if(this.get("audit-log")) {
+		var auditLogFilepath = path.resolve(this.boot.wikiPath,this.get("audit-log"));
+		this.auditLogStream = fs.createWriteStream(auditLogFilepath,{flags: "a", encoding: "utf8"});
+		this.auditLogStream.on("error",function(err) {
+			$tw.utils.log("Error writing audit log '" + auditLogFilepath + "': " + err.toString(),"red");
+		});
+	}
+	// Mount any other wikis to be served alongside this one
+	this.mounts = [];
+	if(this.get("wikis")) {
+		var mountError = this.loadMounts(path.resolve(this.boot.wikiPath,this.get("wikis")),options.variables);
+		if(mountError) {
+			$tw.utils.error(mountError);
+		}
+	}
 	// Load and initialise authenticators
 	$tw.modules.forEachModuleOfType("authenticator", function(title,authenticatorDefinition) {
 		// console.log("Loading server route " + title);
@@ -148,25 +195,346 @@ Server.prototype.methodMappings = {
 	"DELETE": "writers"
 };
 
+/*
+Load the access control list from a JSON file of the form:
+
+{
+	"groups": {
+		"<group name>": "<comma separated list of usernames>"
+	},
+	"rules": [
+		{"filter": "<filter>", "readers": "<comma separated principals>", "writers": "<comma separated principals>"}
+	]
+}
+
+Returns an error string, or null if the list was loaded successfully
+*/
+Server.prototype.loadAccessControlList = function(filepath) {
+	var self = this,
+		data;
+	try {
+		data = JSON.parse(fs.readFileSync(filepath,"utf8"));
+	} catch(e) {
+		return "Error: Unable to load access control list from '" + filepath + "': " + e.toString();
+	}
+	var splitPrincipals = function(text) {
+		return text ? text.split(",").map($tw.utils.trim) : null;
+	};
+	$tw.utils.each(data.groups,function(usernames,group) {
+		self.groups[group] = splitPrincipals(usernames);
+	});
+	var rules = data.rules || [];
+	for(var t=0; t<rules.length; t++) {
+		if(!rules[t].filter) {
+			return "Error: Missing filter in access control rule " + (t + 1) + " in '" + filepath + "'";
+		}
+		this.accessControlRules.push({
+			filter: rules[t].filter,
+			readers: splitPrincipals(rules[t].readers),
+			writers: splitPrincipals(rules[t].writers)
+		});
+	}
+	return null;
+};
+
+/*
+Load the wikis to be mounted alongside the main wiki from a JSON file containing an array of objects. Each object gives the "path-prefix" at which to mount the wiki and the "wiki" folder (relative to the main wiki folder), together with any other server parameters for the mount. Parameters that are not given are inherited from the main server
+variables: the parameters of the main server
+
+Returns an error string, or null if the wikis were mounted successfully
+*/
+Server.prototype.loadMounts = function(filepath,variables) {
+	var loadWikiFolder = require("$:/core/modules/server/wiki-folder.js").loadWikiFolder,
+		data;
+	try {
+		data = JSON.parse(fs.readFileSync(filepath,"utf8"));
+	} catch(e) {
+		return "Error: Unable to load wikis from '" + filepath + "': " + e.toString();
+	}
+	if(!$tw.utils.isArray(data)) {
+		return "Error: Wikis file '" + filepath + "' must contain an array";
+	}
+	for(var t=0; t<data.length; t++) {
+		var prefix = (data[t]["path-prefix"] || "").replace(/\/+$/,"");
+		if(!data[t].wiki || prefix.charAt(0) !== "/") {
+			return "Error: Wiki " + (t + 1) + " in '" + filepath + "' must have a wiki folder and a path prefix starting with '/'";
+		}
+		var wikiFolder = loadWikiFolder(path.resolve(this.boot.wikiPath,data[t].wiki),{
+			tiddlers: [makeMountPlugin(prefix)]
+		});
+		if(!wikiFolder) {
+			return "Error: Wiki folder '" + data[t].wiki + "' does not exist or is missing a tiddlywiki.info file";
+		}
+		var mountVariables = $tw.utils.extend({},variables,data[t],{"path-prefix": prefix});
+		delete mountVariables.wikis;
+		delete mountVariables.wiki;
+		this.addMount(new Server({
+			wiki: wikiFolder.wiki,
+			boot: wikiFolder.boot,
+			syncadaptor: wikiFolder.syncadaptor,
+			variables: mountVariables
+		}));
+		$tw.utils.log("Mounted wiki '" + wikiFolder.boot.wikiPath + "' at " + prefix,"brown/orange");
+	}
+	return null;
+};
+
+/*
+Make the plugin that is added to a mounted wiki. It provides a shadow $:/config/tiddlyweb/host tiddler so that the browser client of the wiki sends its requests to the path prefix of the mount rather than to the main wiki
+*/
+function makeMountPlugin(prefix) {
+	var tiddlers = {};
+	tiddlers["$:/config/tiddlyweb/host"] = {
+		title: "$:/config/tiddlyweb/host",
+		text: "$protocol$//$host$" + prefix + "/"
+	};
+	return {
+		title: "$:/server/mount",
+		type: "application/json",
+		"plugin-type": "plugin",
+		description: "Settings for the wiki mounted at " + prefix,
+		text: JSON.stringify({tiddlers: tiddlers})
+	};
+}
+
+/*
+Mount a server to handle requests for paths starting with its path prefix
+*/
+Server.prototype.addMount = function(server) {
+	this.mounts.push(server);
+	// Check longer prefixes first so that nested mounts take precedence
+	this.mounts.sort(function(a,b) {
+		return b.get("path-prefix").length - a.get("path-prefix").length;
+	});
+};
+
+/*
+Find the mounted server that handles a particular path, or null if the path belongs to this server
+*/
+Server.prototype.findMount = function(pathname) {
+	for(var t=0; t<this.mounts.length; t++) {
+		var prefix = this.mounts[t].get("path-prefix");
+		if(pathname === prefix || pathname.substr(0,prefix.length + 1) === prefix + "/") {
+			return this.mounts[t];
+		}
+	}
+	return null;
+};
+
+/*
+Check whether a given username matches an array of principals. Principals can be usernames, "@" followed by a group name, or the special tokens "(anon)" and "(authenticated)"
+*/
+Server.prototype.isPrincipalMatch = function(principals,username) {
+	var self = this;
+	if(principals.indexOf("(anon)") !== -1) {
+		return true;
+	}
+	if(!username) {
+		return false;
+	}
+	return principals.indexOf("(authenticated)") !== -1 || principals.indexOf(username) !== -1 || principals.some(function(principal) {
+		return principal.charAt(0) === "@" && self.isGroupMember(principal.substr(1),username);
+	});
+};
+
+/*
+Check whether a user belongs to a group defined in the access control list or by the active authenticator
+*/
+Server.prototype.isGroupMember = function(group,username) {
+	if((this.groups[group] || []).indexOf(username) !== -1) {
+		return true;
+	}
+	var authenticator = this.authenticators[0];
+	return !!(authenticator && authenticator.getUserGroups && authenticator.getUserGroups(username).indexOf(group) !== -1);
+};
+
 /*
 Check whether a given user is authorized for the specified authorizationType ("readers" or "writers"). Pass null or undefined as the username to check for anonymous access
 */
 Server.prototype.isAuthorized = function(authorizationType,username) {
 	var principals = this.authorizationPrincipals[authorizationType] || [];
-	return principals.indexOf("(anon)") !== -1 || (username && (principals.indexOf("(authenticated)") !== -1 || principals.indexOf(username) !== -1));
+	return this.isPrincipalMatch(principals,username);
+}
+
+/*
+Check whether a given user is authorized to run a filter against the wiki. Users listed in the "query-users" parameter may run any filter; other users may only run the filters that have been allowed with $:/config/Server/ExternalFilters/<filter> tiddlers
+*/
+Server.prototype.isFilterAuthorized = function(filter,username,wiki) {
+	wiki = wiki || this.wiki;
+	return this.isPrincipalMatch(this.queryPrincipals,username) ||
+		wiki.getTiddlerText("$:/config/Server/AllowAllExternalFilters") === "yes" ||
+		wiki.getTiddlerText("$:/config/Server/ExternalFilters/" + filter) === "yes";
+};
+
+/*
+Return the subset of an array of titles that a given user is authorized to access with the specified authorizationType ("readers" or "writers"). Each tiddler is governed by the first access control rule whose filter matches it; tiddlers that don't match any rule are only subject to the global readers and writers. Rules added by code can give a hashmap of variables for their filter, so that titles don't have to be quoted within it
+*/
+Server.prototype.filterAuthorizedTitles = function(authorizationType,username,titles,wiki) {
+	if(this.accessControlRules.length === 0) {
+		return titles;
+	}
+	var self = this,
+		candidates = Object.create(null),
+		ruleForTitle = Object.create(null);
+	$tw.utils.each(titles,function(title) {
+		candidates[title] = true;
+	});
+	$tw.utils.each(this.accessControlRules,function(rule) {
+		var unassignedTitles = Object.keys(candidates);
+		if(unassignedTitles.length > 0) {
+			var widget = rule.variables ? new Widget({},{wiki: wiki}).makeFakeWidgetWithVariables(rule.variables) : null;
+			$tw.utils.each(wiki.filterTiddlers(rule.filter,widget,wiki.makeTiddlerIterator(unassignedTitles)),function(title) {
+				if(candidates[title]) {
+					ruleForTitle[title] = rule;
+					delete candidates[title];
+				}
+			});
+		}
+	});
+	return titles.filter(function(title) {
+		var rule = ruleForTitle[title];
+		return !rule || !rule[authorizationType] || self.isPrincipalMatch(rule[authorizationType],username);
+	});
+};
+
+/*
+Check whether a given user is authorized for the specified authorizationType ("readers" or "writers") to access a particular tiddler
+tiddler: optional tiddler object to be checked in place of the one currently stored in the wiki under the title
+*/
+Server.prototype.isAuthorizedForTiddler = function(authorizationType,username,title,wiki,tiddler) {
+	if(tiddler) {
+		// Check the rules against a scratch wiki containing just the supplied tiddler
+		wiki = new $tw.Wiki();
+		wiki.addTiddler(tiddler);
+	}
+	return this.filterAuthorizedTitles(authorizationType,username,[title],wiki).length > 0;
+};
+
+/*
+Return a wiki containing just the tiddlers that a user is authorized to read, along with the shadow tiddlers of their plugins. Filters run and tiddlers rendered in it can't reveal anything about the other tiddlers. The wiki is cached for each user until the next change to the original wiki
+*/
+Server.prototype.getReadableWiki = function(username,wiki) {
+	var self = this;
+	wiki = wiki || this.wiki;
+	if(this.accessControlRules.length === 0) {
+		return wiki;
+	}
+	return wiki.getGlobalCache("server-readable-wiki-" + (username || ""),function() {
+		var readableWiki = new $tw.Wiki();
+		$tw.utils.each(self.filterAuthorizedTitles("readers",username,wiki.allTitles(),wiki),function(title) {
+			readableWiki.addTiddler(wiki.getTiddler(title));
+		});
+		readableWiki.readPluginInfo();
+		readableWiki.registerPluginTiddlers();
+		readableWiki.unpackPluginTiddlers();
+		return readableWiki;
+	});
+};
+
+// Counter used to number the successive states of the served wikis
+var wikiGeneration = 0;
+
+/*
+Return a number that changes whenever a tiddler in the wiki changes
+*/
+Server.prototype.getWikiGeneration = function(wiki) {
+	return (wiki || this.wiki).getGlobalCache("server-generation",function() {
+		return ++wikiGeneration;
+	});
+};
+
+/*
+Return the revision of a tiddler that is given to clients, or null if the tiddler doesn't exist. The revision is a hash of the fields of the tiddler, so that it stays the same when the server is restarted
+*/
+Server.prototype.getTiddlerRevision = function(title,wiki) {
+	wiki = wiki || this.wiki;
+	var tiddler = wiki.getTiddler(title);
+	if(!tiddler) {
+		return null;
+	}
+	return wiki.getCacheForTiddler(title,"server-revision",function() {
+		var fields = tiddler.getFieldStrings();
+		return crypto.createHash("sha1").update(JSON.stringify(Object.keys(fields).sort().map(function(name) {
+			return [name,fields[name]];
+		})),"utf8").digest("hex");
+	});
+};
+
+/*
+Get the IP address of the client making a request. Requests from trusted proxies are attributed to the nearest untrusted address in the X-Forwarded-For header
+*/
+Server.prototype.getClientAddress = function(request) {
+	var address = (request.socket && request.socket.remoteAddress) || "",
+		forwardedFor = (request.headers["x-forwarded-for"] || "").split(",").map($tw.utils.trim).filter(function(entry) {
+			return !!entry;
+		});
+	while(this.trustedProxies.indexOf(address) !== -1 && forwardedFor.length > 0) {
+		address = forwardedFor.pop();
+	}
+	return address;
+};
+
+/*
+Record a failed attempt to login by the client making a request. Authenticators call this when they are given invalid credentials
+*/
+Server.prototype.recordLoginFailure = function(request) {
+	if(this.loginFailureLimiter) {
+		this.loginFailureLimiter.record(this.getClientAddress(request));
+	}
+};
+
+/*
+Append an entry to the audit log, adding the time, the username and the client address of the request
+*/
+Server.prototype.logAuditEvent = function(request,state,entry) {
+	if(this.auditLogStream) {
+		this.auditLogStream.write(JSON.stringify($tw.utils.extend({
+			timestamp: new Date().toISOString(),
+			username: state.authenticatedUsername || null,
+			address: this.getClientAddress(request)
+		},entry)) + "\n");
+	}
+};
+
+/*
+Send a response rejecting a request that exceeds a rate limit
+*/
+function sendTooManyRequests(response,rateLimiter,key) {
+	response.writeHead(429,"Too Many Requests",{
+		"Retry-After": rateLimiter.getRetryAfter(key).toString()
+	});
+	response.end();
 }
 
 Server.prototype.requestHandler = function(request,response,options) {
 	options = options || {};
+	// Hand off requests for mounted wikis to their own servers
+	var mount = this.findMount(url.parse(request.url).pathname);
+	if(mount) {
+		return mount.requestHandler(request,response);
+	}
 	// Compose the state object
 	var self = this;
 	var state = {};
 	state.wiki = options.wiki || self.wiki;
+	state.syncadaptor = options.syncadaptor || self.syncadaptor;
 	state.boot = options.boot || self.boot;
 	state.server = self;
 	state.urlInfo = url.parse(request.url);
 	state.queryParameters = querystring.parse(state.urlInfo.query);
 	state.pathPrefix = options.pathPrefix || this.get("path-prefix") || "";
+	// Find the route that matches this path
+	var route = self.findMatchingRoute(request,state),
+		bypassAuthorization = !!(route && route.bypassAuthorization);
+	// Reject the request if the client has made too many requests, or if it is trying to login after too many failed logins
+	var clientAddress = this.getClientAddress(request),
+		isLogin = !!((route && route.isLogin) || request.headers.authorization);
+	if(this.ipRateLimiter && !this.ipRateLimiter.consume(clientAddress)) {
+		return sendTooManyRequests(response,this.ipRateLimiter,clientAddress);
+	}
+	if(isLogin && this.loginFailureLimiter && this.loginFailureLimiter.isLimited(clientAddress)) {
+		return sendTooManyRequests(response,this.loginFailureLimiter,clientAddress);
+	}
 	// Get the principals authorized to access this resource
 	var authorizationType = this.methodMappings[request.method] || "readers";
 	// Check for the CSRF header if this is a write
@@ -175,8 +543,8 @@ Server.prototype.requestHandler = function(request,response,options) {
 		response.end();
 		return;		
 	}
-	// Check whether anonymous access is granted
-	state.allowAnon = this.isAuthorized(authorizationType,null);
+	// Check whether anonymous access is granted. Routes that bypass authorization (such as the login form) must be accessible to users who haven't logged in yet
+	state.allowAnon = bypassAuthorization || this.isAuthorized(authorizationType,null);
 	// Authenticate with the first active authenticator
 	if(this.authenticators.length > 0) {
 		if(!this.authenticators[0].authenticateRequest(request,response,state)) {
@@ -184,14 +552,16 @@ Server.prototype.requestHandler = function(request,response,options) {
 			return;
 		}		
 	}
+	// Reject the request if the user has made too many requests
+	if(this.userRateLimiter && state.authenticatedUsername && !this.userRateLimiter.consume(state.authenticatedUsername)) {
+		return sendTooManyRequests(response,this.userRateLimiter,state.authenticatedUsername);
+	}
 	// Authorize with the authenticated username
-	if(!this.isAuthorized(authorizationType,state.authenticatedUsername)) {
+	if(!bypassAuthorization && !this.isAuthorized(authorizationType,state.authenticatedUsername)) {
 		response.writeHead(401,"'" + state.authenticatedUsername + "' is not authorized to access '" + this.servername + "'");
 		response.end();
 		return;
 	}
-	// Find the route that matches this path
-	var route = self.findMatchingRoute(request,state);
 	// Optionally output debug info
 	if(self.get("debug-level") !== "none") {
 		console.log("Request path:",JSON.stringify(state.urlInfo));
@@ -0,0 +1,81 @@
+/*\
+title: $:/core/modules/server/users.js
+type: application/javascript
+module-type: library
+
+Salted password hashing and user records for the web server
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+if($tw.node) {
+	var crypto = require("crypto");
+}
+
+var ALGORITHM = "pbkdf2-sha256",
+	DEFAULT_ITERATIONS = 100000,
+	KEY_LENGTH = 32,
+	SALT_LENGTH = 16;
+
+/*
+Hash a password with a random salt. Returns a string of the form "pbkdf2-sha256$<iterations>$<salt>$<hash>"
+*/
+function hashPassword(password,iterations) {
+	iterations = iterations || DEFAULT_ITERATIONS;
+	var salt = crypto.randomBytes(SALT_LENGTH).toString("base64"),
+		hash = crypto.pbkdf2Sync(password,salt,iterations,KEY_LENGTH,"sha256").toString("base64");
+	return [ALGORITHM,iterations,salt,hash].join("$");
+}
+
+/*
+A hash that no password matches, which is checked in place of the hash of an unknown user so that the time taken doesn't reveal which users exist
+*/
+var DUMMY_HASH = ALGORITHM + "$" + DEFAULT_ITERATIONS + "$AAAAAAAAAAAAAAAAAAAAAA==$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=";
+
+/*
+Check a password against a hash previously generated by hashPassword(), without blocking the server while the password is hashed. Pass null as the passwordHash for users that don't exist. Invokes the callback with (err,isValid)
+*/
+function verifyPassword(password,passwordHash,callback) {
+	var parts = (passwordHash || DUMMY_HASH).split("$");
+	if(parts.length !== 4 || parts[0] !== ALGORITHM || typeof password !== "string") {
+		return callback(null,false);
+	}
+	var iterations = parseInt(parts[1],10),
+		expected = Buffer.from(parts[3],"base64");
+	if(!iterations || expected.length === 0) {
+		return callback(null,false);
+	}
+	crypto.pbkdf2(password,parts[2],iterations,expected.length,"sha256",function(err,actual) {
+		if(err) {
+			return callback(err);
+		}
+		callback(null,crypto.timingSafeEqual(expected,actual) && !!passwordHash);
+	});
+}
+
+/*
+Convert user data of the form {"<username>": {"password": "<password hash>", "groups": "<comma separated group names>"}} into a hashmap of user records {username:,password:,groups:}
+*/
+function parseUserRecords(data) {
+	var users = Object.create(null);
+	$tw.utils.each(data,function(userData,username) {
+		if(userData && typeof userData === "object") {
+			users[username] = {
+				username: username,
+				password: userData.password,
+				groups: userData.groups ? userData.groups.split(",").map($tw.utils.trim) : []
+			};
+		}
+	});
+	return users;
+}
+
+exports.hashPassword = hashPassword;
+exports.verifyPassword = verifyPassword;
+exports.parseUserRecords = parseUserRecords;
+
+})();
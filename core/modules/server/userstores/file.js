@@ -0,0 +1,55 @@
+/*\
+title: $:/core/modules/server/userstores/file.js
+type: application/javascript
+module-type: userstore
+
+User store that reads users from a JSON file
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var parseUserRecords = require("$:/core/modules/server/users.js").parseUserRecords;
+
+if($tw.node) {
+	var fs = require("fs"),
+		path = require("path");
+}
+
+function FileUserStore(server) {
+	this.server = server;
+	this.users = Object.create(null);
+}
+
+/*
+Returns true if the user store is active, false if it is inactive, or a string if there is an error
+*/
+FileUserStore.prototype.init = function() {
+	var usersFilepath = this.server.get("users-file");
+	if(!usersFilepath) {
+		return false;
+	}
+	var resolvedUsersFilepath = path.resolve(this.server.boot.wikiPath,usersFilepath),
+		data;
+	try {
+		data = JSON.parse(fs.readFileSync(resolvedUsersFilepath,"utf8"));
+	} catch(e) {
+		return "Error: Unable to load users from '" + resolvedUsersFilepath + "': " + e.toString();
+	}
+	this.users = parseUserRecords(data);
+	return true;
+};
+
+/*
+Returns the user record {username:,password:,groups:} for the given username, or null if there is no such user
+*/
+FileUserStore.prototype.getUser = function(username) {
+	return $tw.utils.hop(this.users,username) ? this.users[username] : null;
+};
+
+exports.UserStoreClass = FileUserStore;
+
+})();
@@ -0,0 +1,52 @@
+/*\
+title: $:/core/modules/server/userstores/tiddler.js
+type: application/javascript
+module-type: userstore
+
+User store that reads users from a JSON tiddler in the wiki
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var parseUserRecords = require("$:/core/modules/server/users.js").parseUserRecords;
+
+function TiddlerUserStore(server) {
+	this.server = server;
+	this.usersTitle = server.get("users-tiddler");
+}
+
+/*
+Returns true if the user store is active, false if it is inactive, or a string if there is an error
+*/
+TiddlerUserStore.prototype.init = function() {
+	if(!this.usersTitle) {
+		return false;
+	}
+	if(!this.server.wiki.tiddlerExists(this.usersTitle)) {
+		return "Error: Unable to load users from missing tiddler '" + this.usersTitle + "'";
+	}
+	// Prevent the users tiddler from being read or written over HTTP
+	this.server.accessControlRules.unshift({
+		filter: "[title<usersTitle>]",
+		variables: {usersTitle: this.usersTitle},
+		readers: [],
+		writers: []
+	});
+	return true;
+};
+
+/*
+Returns the user record {username:,password:,groups:} for the given username, or null if there is no such user. The tiddler is read each time so that changes take effect immediately
+*/
+TiddlerUserStore.prototype.getUser = function(username) {
+	var users = parseUserRecords(this.server.wiki.getTiddlerDataCached(this.usersTitle,{}));
+	return $tw.utils.hop(users,username) ? users[username] : null;
+};
+
+exports.UserStoreClass = TiddlerUserStore;
+
+})();
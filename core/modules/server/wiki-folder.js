@@ -0,0 +1,83 @@
+/*\
+title: $:/core/modules/server/wiki-folder.js
+type: application/javascript
+module-type: library
+
+Load a wiki folder into its own wiki object, alongside the main wiki
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+if($tw.node) {
+	var path = require("path");
+}
+
+/*
+Load a wiki folder into a new wiki object with its own syncadaptor and syncer. Options include:
+	tiddlers: optional array of extra tiddlers to add to the wiki. They are added before the syncer is set up, so they are not saved back to the folder
+Returns null if the folder doesn't contain a tiddlywiki.info file, or an object with the following properties:
+	wiki: the new wiki object
+	boot: boot information for the wiki, in the same form as $tw.boot
+	syncadaptor: the syncadaptor saving changes back to the folder
+	syncer: the syncer for the wiki
+*/
+function loadWikiFolder(wikiPath,options) {
+	options = options || {};
+	wikiPath = path.resolve(wikiPath);
+	var wiki = new $tw.Wiki(),
+		boot = $tw.utils.extend({},$tw.boot,{
+			wikiPath: wikiPath,
+			wikiTiddlersPath: undefined,
+			wikiInfo: undefined,
+			files: {}
+		}),
+		mainWiki = $tw.wiki,
+		mainBoot = $tw.boot;
+	// The boot loader always loads into $tw.wiki and $tw.boot, so we temporarily substitute our own
+	$tw.wiki = wiki;
+	$tw.boot = boot;
+	try {
+		$tw.utils.each($tw.loadTiddlersFromPath(boot.bootPath),function(tiddlerFile) {
+			wiki.addTiddlers(tiddlerFile.tiddlers);
+		});
+		wiki.addTiddler(mainWiki.getTiddler("$:/core"));
+		boot.wikiInfo = $tw.loadWikiTiddlers(wikiPath);
+	} finally {
+		$tw.wiki = mainWiki;
+		$tw.boot = mainBoot;
+	}
+	if(!boot.wikiInfo) {
+		return null;
+	}
+	wiki.addTiddlers(options.tiddlers || []);
+	// Unpack the plugins, and define any modules that the main wiki doesn't already provide
+	wiki.readPluginInfo();
+	wiki.registerPluginTiddlers("plugin",$tw.safeMode ? ["$:/core"] : undefined);
+	wiki.unpackPluginTiddlers();
+	wiki.eachShadow(function(tiddler,title) {
+		if(tiddler.hasField("module-type") && !$tw.utils.hop($tw.modules.titles,title)) {
+			$tw.modules.define(title,tiddler.fields["module-type"],tiddler.fields.text);
+		}
+	});
+	// Set up the syncadaptor and syncer
+	var syncadaptor;
+	$tw.modules.forEachModuleOfType("syncadaptor",function(title,module) {
+		if(!syncadaptor && module.adaptorClass) {
+			syncadaptor = new module.adaptorClass({wiki: wiki, boot: boot});
+		}
+	});
+	return {
+		wiki: wiki,
+		boot: boot,
+		syncadaptor: syncadaptor,
+		syncer: syncadaptor ? new $tw.Syncer({wiki: wiki, syncadaptor: syncadaptor, boot: boot}) : null
+	};
+}
+
+exports.loadWikiFolder = loadWikiFolder;
+
+})();
@@ -24,7 +24,14 @@ exports.startup = function() {
 	}
 	$tw.modules.applyMethods("global",$tw);
 	$tw.modules.applyMethods("config",$tw.config);
+	var bootFieldModules = $tw.Tiddler.fieldModules,
+		bootFieldTypes = $tw.Tiddler.fieldTypes;
 	$tw.Tiddler.fieldModules = $tw.modules.getModulesByTypeAsHashmap("tiddlerfield");
+	$tw.Tiddler.fieldTypes = $tw.modules.getModulesByTypeAsHashmap("tiddlerfieldtype");
+	// Parse the fields of the tiddlers that were loaded before any field modules or field types from plugins were installed
+	if(hasNewModules(bootFieldModules,$tw.Tiddler.fieldModules) || hasNewModules(bootFieldTypes,$tw.Tiddler.fieldTypes)) {
+		reparseTiddlers($tw.wiki);
+	}
 	$tw.modules.applyMethods("tiddlermethod",$tw.Tiddler.prototype);
 	$tw.modules.applyMethods("wikimethod",$tw.Wiki.prototype);
 	$tw.wiki.addIndexersToWiki();
@@ -34,4 +41,29 @@ exports.startup = function() {
 	$tw.Commander.initCommands();
 };
 
+function hasNewModules(oldModules,newModules) {
+	for(var name in newModules) {
+		if(oldModules[name] !== newModules[name]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function reparseTiddlers(wiki) {
+	var changedTiddlers = [];
+	wiki.each(function(tiddler,title) {
+		var newTiddler = new $tw.Tiddler(tiddler);
+		for(var field in newTiddler.fields) {
+			if(newTiddler.fields[field] !== tiddler.fields[field]) {
+				changedTiddlers.push(newTiddler);
+				break;
+			}
+		}
+	});
+	wiki.addTiddlers(changedTiddlers);
+	// Unpack the shadow tiddlers again so that their fields are parsed too
+	wiki.unpackPluginTiddlers();
+}
+
 })();
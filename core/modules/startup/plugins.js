@@ -45,38 +45,41 @@ exports.startup = function() {
 		}
 		// Read or delete the plugin info of the changed tiddlers
 		if(changesToProcess.length > 0) {
-			var changes = $tw.wiki.readPluginInfo(changesToProcess);
-			if(changes.modifiedPlugins.length > 0 || changes.deletedPlugins.length > 0) {
-				var changedShadowTiddlers = {};
-				// Collect the shadow tiddlers of any deleted plugins
-				$tw.utils.each(changes.deletedPlugins,function(pluginTitle) {
-					var pluginInfo = $tw.wiki.getPluginInfo(pluginTitle);
-					if(pluginInfo) {
-						$tw.utils.each(Object.keys(pluginInfo.tiddlers),function(title) {
-							changedShadowTiddlers[title] = true;
-						});
-					}
-				});
-				// Collect the shadow tiddlers of any modified plugins
-				$tw.utils.each(changes.modifiedPlugins,function(pluginTitle) {
-					var pluginInfo = $tw.wiki.getPluginInfo(pluginTitle);
-					if(pluginInfo) {
-						$tw.utils.each(Object.keys(pluginInfo.tiddlers),function(title) {
-							changedShadowTiddlers[title] = false;
-						});
-					}
-				});
-				// (Re-)register any modified plugins
-				$tw.wiki.registerPluginTiddlers(null,changes.modifiedPlugins);
-				// Unregister any deleted plugins
-				$tw.wiki.unregisterPluginTiddlers(null,changes.deletedPlugins);
-				// Unpack the shadow tiddlers
-				$tw.wiki.unpackPluginTiddlers();
-				// Queue change events for the changed shadow tiddlers
-				$tw.utils.each(Object.keys(changedShadowTiddlers),function(title) {
-					$tw.wiki.enqueueTiddlerEvent(title,changedShadowTiddlers[title]);
-				});
-			}
+			// Swap the plugins in a single transaction, so that the wiki is left unchanged if a plugin can't be read
+			$tw.wiki.transaction(function() {
+				var changes = $tw.wiki.readPluginInfo(changesToProcess);
+				if(changes.modifiedPlugins.length > 0 || changes.deletedPlugins.length > 0) {
+					var changedShadowTiddlers = {};
+					// Collect the shadow tiddlers of any deleted plugins
+					$tw.utils.each(changes.deletedPlugins,function(pluginTitle) {
+						var pluginInfo = $tw.wiki.getPluginInfo(pluginTitle);
+						if(pluginInfo) {
+							$tw.utils.each(Object.keys(pluginInfo.tiddlers),function(title) {
+								changedShadowTiddlers[title] = true;
+							});
+						}
+					});
+					// Collect the shadow tiddlers of any modified plugins
+					$tw.utils.each(changes.modifiedPlugins,function(pluginTitle) {
+						var pluginInfo = $tw.wiki.getPluginInfo(pluginTitle);
+						if(pluginInfo) {
+							$tw.utils.each(Object.keys(pluginInfo.tiddlers),function(title) {
+								changedShadowTiddlers[title] = false;
+							});
+						}
+					});
+					// (Re-)register any modified plugins
+					$tw.wiki.registerPluginTiddlers(null,changes.modifiedPlugins);
+					// Unregister any deleted plugins
+					$tw.wiki.unregisterPluginTiddlers(null,changes.deletedPlugins);
+					// Unpack the shadow tiddlers
+					$tw.wiki.unpackPluginTiddlers();
+					// Queue change events for the changed shadow tiddlers
+					$tw.utils.each(Object.keys(changedShadowTiddlers),function(title) {
+						$tw.wiki.enqueueTiddlerEvent(title,changedShadowTiddlers[title]);
+					});
+				}
+			});
 		}
 	});
 };
@@ -123,6 +123,10 @@ exports.startup = function() {
 	if($tw.syncadaptor) {
 		$tw.syncer = new $tw.Syncer({wiki: $tw.wiki, syncadaptor: $tw.syncadaptor});
 	}
+	// Start recording changes for undo and redo
+	if($tw.browser) {
+		$tw.undoHistory = new $tw.UndoHistory({wiki: $tw.wiki, syncer: $tw.syncer});
+	}
 	// Setup the saver handler
 	$tw.saverHandler = new $tw.SaverHandler({
 		wiki: $tw.wiki,
@@ -19,28 +19,34 @@ Syncer.prototype.titleIsLoggedIn = "$:/status/IsLoggedIn";
 Syncer.prototype.titleIsAnonymous = "$:/status/IsAnonymous";
 Syncer.prototype.titleIsReadOnly = "$:/status/IsReadOnly";
 Syncer.prototype.titleUserName = "$:/status/UserName";
+Syncer.prototype.titleIsOffline = "$:/status/IsOffline";
+Syncer.prototype.titlePendingChanges = "$:/status/PendingChanges";
 Syncer.prototype.titleSyncFilter = "$:/config/SyncFilter";
 Syncer.prototype.titleSyncDisablePolling = "$:/config/SyncDisablePolling";
 Syncer.prototype.titleSyncPollingInterval = "$:/config/SyncPollingInterval";
 Syncer.prototype.titleSyncDisableLazyLoading = "$:/config/SyncDisableLazyLoading";
 Syncer.prototype.titleSavedNotification = "$:/language/Notifications/Save/Done";
 Syncer.prototype.titleSyncThrottleInterval = "$:/config/SyncThrottleInterval";
+Syncer.prototype.titleRevisionsPrefix = "$:/temp/revisions/";
 Syncer.prototype.taskTimerInterval = 1 * 1000; // Interval for sync timer
 Syncer.prototype.throttleInterval = 1 * 1000; // Defer saving tiddlers if they've changed in the last 1s...
 Syncer.prototype.errorRetryInterval = 5 * 1000; // Interval to retry after an error
 Syncer.prototype.fallbackInterval = 10 * 1000; // Unless the task is older than 10s
 Syncer.prototype.pollTimerInterval = 60 * 1000; // Interval for polling for changes from the adaptor
+Syncer.prototype.maxBatchSize = 100; // Maximum number of saves and deletes to group into a single batch
 
 /*
 Instantiate the syncer with the following options:
 syncadaptor: reference to syncadaptor to be used
 wiki: wiki to be synced
+boot: optional boot information for the wiki (defaults to $tw.boot)
 */
 function Syncer(options) {
 	var self = this;
 	this.wiki = options.wiki;
 	// Save parameters
 	this.syncadaptor = options.syncadaptor;
+	this.boot = options.boot || $tw.boot;
 	this.disableUI = !!options.disableUI;
 	this.titleIsLoggedIn = options.titleIsLoggedIn || this.titleIsLoggedIn;
 	this.titleUserName = options.titleUserName || this.titleUserName;
@@ -51,7 +57,18 @@ function Syncer(options) {
 	this.errorRetryInterval = options.errorRetryInterval || this.errorRetryInterval;
 	this.fallbackInterval = options.fallbackInterval || this.fallbackInterval;
 	this.pollTimerInterval = options.pollTimerInterval || parseInt(this.wiki.getTiddlerText(this.titleSyncPollingInterval,""),10) || this.pollTimerInterval;
+	this.maxBatchSize = options.maxBatchSize || this.maxBatchSize;
 	this.logging = "logging" in options ? options.logging : true;
+	// Use browser storage to keep the changes waiting to be saved to the server
+	this.offlineStorage = options.offlineStorage || null;
+	this.offlineQueueKey = options.offlineQueueKey || this.getOfflineQueueKey();
+	this.offlineQueue = null; // Hashmap by title of the changes last written to browser storage (see saveOfflineQueue)
+	if(!this.offlineStorage && $tw.browser && !this.disableUI) {
+		try {
+			this.offlineStorage = window.localStorage;
+		} catch(e) {
+		}
+	}
 	// Make a logger
 	this.logger = new $tw.utils.Logger("syncer" + ($tw.browser ? "-browser" : "") + ($tw.node ? "-server" : "")  + (this.syncadaptor.name ? ("-" + this.syncadaptor.name) : ""),{
 		colour: "cyan",
@@ -73,6 +90,11 @@ function Syncer(options) {
 	this.readTiddlerInfo();
 	this.titlesToBeLoaded = {}; // Hashmap of titles of tiddlers that need loading from the server
 	this.titlesHaveBeenLazyLoaded = {}; // Hashmap of titles of tiddlers that have already been lazily loaded from the server
+	this.titlesToSaveIndividually = {}; // Hashmap of titles of tiddlers that must be saved or deleted outside of a batch, in the order in which they are to be tried
+	this.titlesDeletedFromServer = {}; // Hashmap by title of the change count of tiddlers that have been deleted because they are missing from the server
+	this.isOffline = false; // True when the server can't be reached
+	// Restore any changes that were waiting to be saved when the wiki was last closed
+	this.loadOfflineQueue();
 	// Timers
 	this.taskTimerId = null; // Timer for task dispatch
 	this.pollTimerId = null; // Timer for polling server
@@ -131,6 +153,19 @@ function Syncer(options) {
 		$tw.rootWidget.addEventListener("tm-server-refresh",function() {
 			self.handleRefreshEvent();
 		});
+		$tw.rootWidget.addEventListener("tm-server-load-revisions",function(event) {
+			self.handleLoadRevisionsEvent(event.param);
+		});
+		$tw.rootWidget.addEventListener("tm-server-load-revision",function(event) {
+			self.handleLoadRevisionEvent(event.param,parseInt((event.paramObject || {}).revision,10));
+		});
+		$tw.rootWidget.addEventListener("tm-server-restore-revision",function(event) {
+			self.handleRestoreRevisionEvent(event.param,parseInt((event.paramObject || {}).revision,10));
+		});
+		// Retry straight away when the browser comes back online
+		window.addEventListener("online",function() {
+			self.processTaskQueue();
+		});
 		$tw.rootWidget.addEventListener("tm-copy-syncer-logs-to-clipboard",function() {
 			$tw.utils.copyToClipboard($tw.utils.getSystemInfo() + "\n\nLog:\n" + self.logger.getBuffer());
 		});
@@ -152,7 +187,7 @@ function Syncer(options) {
 Show a generic network error alert
 */
 Syncer.prototype.displayError = function(msg,err) {
-	if(err === ($tw.language.getString("Error/XMLHttpRequest") + ": 0")) {
+	if(this.isNetworkError(err)) {
 		this.loggerConnection.alert($tw.language.getString("Error/NetworkErrorAlert"));
 		this.logger.log(msg + ":",err);
 	} else {
@@ -160,6 +195,37 @@ Syncer.prototype.displayError = function(msg,err) {
 	}
 };
 
+/*
+Check whether an error reported by the syncadaptor means that the server couldn't be reached
+*/
+Syncer.prototype.isNetworkError = function(err) {
+	return err === ($tw.language.getString("Error/XMLHttpRequest") + ": 0");
+};
+
+/*
+Report a sync error. Network errors mean that we're working offline, and are only reported when we first go offline
+*/
+Syncer.prototype.reportSyncError = function(msg,err) {
+	var isNetworkError = this.isNetworkError(err);
+	if(!isNetworkError || !this.isOffline) {
+		this.displayError(msg,err);
+	}
+	if(isNetworkError) {
+		this.setOffline(true);
+	}
+};
+
+/*
+Record whether the server can be reached, updating the status tiddler
+*/
+Syncer.prototype.setOffline = function(isOffline) {
+	if(isOffline !== this.isOffline) {
+		this.isOffline = isOffline;
+		this.logger.log(isOffline ? "Server is unreachable, working offline" : "Server is reachable again");
+		this.wiki.addTiddler({title: this.titleIsOffline, text: isOffline ? "yes" : "no"});
+	}
+};
+
 /*
 Return an array of the tiddler titles that are subjected to syncing
 */
@@ -182,8 +248,8 @@ Syncer.prototype.getTiddlerRevision = function(title) {
 Read (or re-read) the latest tiddler info from the store
 */
 Syncer.prototype.readTiddlerInfo = function() {
-	// Hashmap by title of {revision:,changeCount:,adaptorInfo:}
-	// "revision" is the revision of the tiddler last seen on the server, and "changecount" is the corresponding local changecount
+	// Hashmap by title of {revision:,changeCount:,adaptorInfo:,baseTiddler:}
+	// "revision" is the revision of the tiddler last seen on the server, "changecount" is the corresponding local changecount, and "baseTiddler" is the tiddler as it was last seen on the server
 	this.tiddlerInfo = {};
 	// Record information for known tiddlers
 	var self = this,
@@ -194,7 +260,8 @@ Syncer.prototype.readTiddlerInfo = function() {
 			self.tiddlerInfo[title] = {
 				revision: self.getTiddlerRevision(title),
 				adaptorInfo: self.syncadaptor && self.syncadaptor.getTiddlerInfo(tiddler),
-				changeCount: self.wiki.getChangeCount(title)
+				changeCount: self.wiki.getChangeCount(title),
+				baseTiddler: tiddler
 			};
 		}
 	});
@@ -243,9 +310,140 @@ Syncer.prototype.updateDirtyStatus = function() {
 		if(!dirty) {
 			this.loggerConnection.clearAlerts();
 		}
+		this.saveOfflineQueue();
+	}
+};
+
+/*
+Get the key used to keep the changes waiting to be sent to the server in browser storage. The wiki is identified by the address of its server, so that wikis with different hosts or path prefixes don't share their changes
+*/
+Syncer.prototype.getOfflineQueueKey = function() {
+	var address = "";
+	if(this.syncadaptor.getHost) {
+		address = this.syncadaptor.getHost();
+	} else if($tw.browser) {
+		address = window.location.host + window.location.pathname;
+	}
+	return "tw5-syncer#" + address;
+};
+
+/*
+Return an array of the titles of the tiddlers with changes waiting to be sent to the server
+*/
+Syncer.prototype.getPendingTitles = function() {
+	var self = this,
+		titles = [];
+	$tw.utils.each(this.getSyncedTiddlers(),function(title) {
+		var tiddlerInfo = self.tiddlerInfo[title];
+		if(self.wiki.tiddlerExists(title) && (!tiddlerInfo || self.wiki.getChangeCount(title) > tiddlerInfo.changeCount)) {
+			titles.push(title);
+		}
+	});
+	$tw.utils.each(Object.keys(this.tiddlerInfo),function(title) {
+		if(!self.wiki.tiddlerExists(title)) {
+			titles.push(title);
+		}
+	});
+	return titles;
+};
+
+/*
+Return the change to a tiddler that is waiting to be sent to the server, with the following properties:
+fields: the field strings of the tiddler to be saved, or undefined for a deletion
+revision: the revision of the tiddler last seen on the server
+adaptorInfo: the adaptorInfo of the tiddler last seen on the server
+baseFields: the field strings of the tiddler as last seen on the server
+*/
+Syncer.prototype.getPendingChange = function(title) {
+	var tiddler = this.wiki.tiddlerExists(title) && this.wiki.getTiddler(title),
+		tiddlerInfo = this.tiddlerInfo[title] || {};
+	return {
+		fields: tiddler ? tiddler.getFieldStrings() : undefined,
+		revision: tiddlerInfo.revision,
+		adaptorInfo: tiddlerInfo.adaptorInfo,
+		baseFields: tiddlerInfo.baseTiddler ? tiddlerInfo.baseTiddler.getFieldStrings() : undefined
+	};
+};
+
+/*
+Persist the changes waiting to be sent to the server in browser storage, so that they survive the wiki being closed while offline. Each change is only serialised again when the tiddler or its tiddler info has changed, and the storage is only written when one of the changes has
+*/
+Syncer.prototype.saveOfflineQueue = function() {
+	var self = this,
+		oldQueue = this.offlineQueue || {},
+		newQueue = {},
+		titles = this.getPendingTitles(),
+		isChanged = !this.offlineQueue || titles.length !== Object.keys(oldQueue).length;
+	$tw.utils.each(titles,function(title) {
+		var changeCount = self.wiki.getChangeCount(title),
+			tiddlerInfo = self.tiddlerInfo[title],
+			entry = oldQueue[title];
+		if(!entry || entry.changeCount !== changeCount || entry.tiddlerInfo !== tiddlerInfo) {
+			entry = {
+				changeCount: changeCount,
+				tiddlerInfo: tiddlerInfo,
+				json: JSON.stringify(self.getPendingChange(title))
+			};
+			isChanged = true;
+		}
+		newQueue[title] = entry;
+	});
+	this.offlineQueue = newQueue;
+	if(this.wiki.getTiddlerText(this.titlePendingChanges,"0") !== titles.length.toString()) {
+		this.wiki.addTiddler({title: this.titlePendingChanges, text: titles.length.toString()});
+	}
+	if(!this.offlineStorage || !isChanged) {
+		return;
+	}
+	try {
+		if(titles.length > 0) {
+			this.offlineStorage.setItem(this.offlineQueueKey,"{" + titles.map(function(title) {
+				return JSON.stringify(title) + ":" + newQueue[title].json;
+			}).join(",") + "}");
+		} else {
+			this.offlineStorage.removeItem(this.offlineQueueKey);
+		}
+	} catch(e) {
+		this.logger.log("Error saving offline queue to browser storage:",e.toString());
+		// Try again next time
+		this.offlineQueue = null;
 	}
 };
 
+/*
+Restore the changes that were waiting to be sent to the server when the wiki was last closed. The tiddler info is rewound to the revision that each change was based on, so that conflicts with changes made on the server in the meantime are detected when the changes are saved
+*/
+Syncer.prototype.loadOfflineQueue = function() {
+	var self = this,
+		changes;
+	if(!this.offlineStorage) {
+		return;
+	}
+	try {
+		changes = JSON.parse(this.offlineStorage.getItem(this.offlineQueueKey) || "null");
+	} catch(e) {
+		this.logger.log("Error reading offline queue from browser storage:",e.toString());
+	}
+	$tw.utils.each(changes,function(change,title) {
+		self.logger.log("Restoring unsaved change to",title);
+		if(change.revision !== undefined || change.adaptorInfo) {
+			self.tiddlerInfo[title] = {
+				revision: change.revision,
+				adaptorInfo: change.adaptorInfo,
+				changeCount: self.wiki.getChangeCount(title),
+				baseTiddler: change.baseFields ? new $tw.Tiddler(change.baseFields) : undefined
+			};
+		} else {
+			delete self.tiddlerInfo[title];
+		}
+		if(change.fields) {
+			self.wiki.addTiddler(new $tw.Tiddler(change.fields));
+		} else {
+			self.wiki.deleteTiddler(title);
+		}
+	});
+};
+
 /*
 Save an incoming tiddler in the store, and updates the associated tiddlerInfo
 */
@@ -257,10 +455,98 @@ Syncer.prototype.storeTiddler = function(tiddlerFields) {
 	this.tiddlerInfo[tiddlerFields.title] = {
 		revision: this.getTiddlerRevision(tiddlerFields.title),
 		adaptorInfo: this.syncadaptor.getTiddlerInfo(tiddler),
-		changeCount: this.wiki.getChangeCount(tiddlerFields.title)
+		changeCount: this.wiki.getChangeCount(tiddlerFields.title),
+		baseTiddler: tiddler
 	};
 };
 
+/*
+Delete a tiddler that is missing from the server, and forget the associated tiddlerInfo
+*/
+Syncer.prototype.deleteStoredTiddler = function(title) {
+	delete this.tiddlerInfo[title];
+	this.wiki.deleteTiddler(title);
+	this.titlesDeletedFromServer[title] = this.wiki.getChangeCount(title);
+};
+
+/*
+Check whether the most recent change to a tiddler was made by the syncer to bring it into line with the server, rather than being a local change
+*/
+Syncer.prototype.isServerChange = function(title) {
+	var changeCount = this.wiki.getChangeCount(title);
+	if(this.wiki.tiddlerExists(title)) {
+		return !!this.tiddlerInfo[title] && this.tiddlerInfo[title].changeCount === changeCount;
+	} else {
+		return this.titlesDeletedFromServer[title] === changeCount;
+	}
+};
+
+/*
+Resolve a save that was rejected by the server because the tiddler had been changed there since we last loaded it. If the server version differs from the version that we last saw then the local changes are merged with the server version into a draft that is opened for the user to resolve, and the local tiddler is replaced with the server version. If the tiddler has been deleted on the server (serverTiddlerFields is null) then the local changes are moved into a draft so that the user can choose whether to create the tiddler again
+*/
+Syncer.prototype.handleSaveConflict = function(title,serverTiddlerFields) {
+	var localTiddler = this.wiki.tiddlerExists(title) && this.wiki.getTiddler(title),
+		tiddlerInfo = this.tiddlerInfo[title],
+		baseTiddler = tiddlerInfo && tiddlerInfo.baseTiddler,
+		excludeFields = ["revision","bag"];
+	this.logger.log("Save conflict for tiddler:",title);
+	if(!serverTiddlerFields) {
+		if(localTiddler) {
+			this.addConflictDraft(localTiddler,localTiddler.fields.text);
+			this.logger.alert($tw.language.getString("Error/SaveConflict/Deleted",{variables: {title: title}}));
+		}
+		this.deleteStoredTiddler(title);
+		return;
+	}
+	// If the tiddler has been deleted locally in the meantime we just take the server version
+	var serverTiddler = new $tw.Tiddler(serverTiddlerFields);
+	if(!localTiddler) {
+		this.storeTiddler(serverTiddlerFields);
+		return;
+	}
+	// If the content on the server hasn't really changed then adopt the new revision so that the save can be retried
+	if(tiddlerInfo && (serverTiddler.isEqual(baseTiddler,excludeFields) || serverTiddler.isEqual(localTiddler,excludeFields))) {
+		tiddlerInfo.revision = serverTiddlerFields.revision;
+		return;
+	}
+	// Merge the local changes into the server version
+	var localText = localTiddler.fields.text || "",
+		serverText = serverTiddler.fields.text || "",
+		merge = baseTiddler ? $tw.utils.mergeText(baseTiddler.fields.text,localText,serverText) : {text: localText, clean: false};
+	// Replace the local tiddler with the server version, and put the merged changes into a draft
+	this.storeTiddler(serverTiddlerFields);
+	this.addConflictDraft(localTiddler,merge.text);
+	this.logger.alert($tw.language.getString(merge.clean ? "Error/SaveConflict" : "Error/SaveConflict/Unmerged",{variables: {title: title}}));
+};
+
+/*
+Add a draft of a tiddler with the given text for the user to resolve a conflict, and open it in the story river
+*/
+Syncer.prototype.addConflictDraft = function(tiddler,text) {
+	var title = tiddler.fields.title,
+		draftTitle = this.wiki.generateDraftTitle(title);
+	this.wiki.addTiddler(new $tw.Tiddler(tiddler,{
+		title: draftTitle,
+		text: text,
+		"draft.title": title,
+		"draft.of": title,
+		revision: undefined,
+		bag: undefined
+	},this.wiki.getModificationFields()));
+	if($tw.browser && !this.disableUI) {
+		new $tw.Story({wiki: this.wiki}).addToStory(draftTitle);
+	}
+};
+
+/*
+Resolve the conflict when a tiddler that has been deleted locally has been changed on the server, by loading the server version instead of deleting it
+*/
+Syncer.prototype.handleDeleteConflict = function(title) {
+	delete this.tiddlerInfo[title];
+	this.titlesToBeLoaded[title] = true;
+	this.logger.alert($tw.language.getString("Error/DeleteConflict",{variables: {title: title}}));
+};
+
 Syncer.prototype.getStatus = function(callback) {
 	var self = this;
 	// Check if the adaptor supports getStatus()
@@ -270,8 +556,14 @@ Syncer.prototype.getStatus = function(callback) {
 		// Get login status
 		this.syncadaptor.getStatus(function(err,isLoggedIn,username,isReadOnly,isAnonymous,isPollingDisabled) {
 			if(err) {
-				self.logger.alert(err);
+				if(self.isNetworkError(err)) {
+					self.setOffline(true);
+					self.logger.log("Error getting status:",err);
+				} else {
+					self.logger.alert(err);
+				}
 			} else {
+				self.setOffline(false);
 				// Set the various status tiddlers
 				self.wiki.addTiddler({title: self.titleIsReadOnly,text: isReadOnly ? "yes" : "no"});
 				self.wiki.addTiddler({title: self.titleIsAnonymous,text: isAnonymous ? "yes" : "no"});
@@ -320,18 +612,18 @@ Syncer.prototype.syncFromServer = function() {
 		this.syncadaptor.getUpdatedTiddlers(self,function(err,updates) {
 			triggerNextSync();
 			if(err) {
-				self.displayError($tw.language.getString("Error/RetrievingSkinny"),err);
+				self.reportSyncError($tw.language.getString("Error/RetrievingSkinny"),err);
 				return;
 			}
+			self.setOffline(false);
 			if(updates) {
 				$tw.utils.each(updates.modifications,function(title) {
 					self.titlesToBeLoaded[title] = true;
 				});
 				$tw.utils.each(updates.deletions,function(title) {
 					if(syncSystemFromServer || !self.wiki.isSystemTiddler(title)) {
-						delete self.tiddlerInfo[title];
 						self.logger.log("Deleting tiddler missing from server:",title);
-						self.wiki.deleteTiddler(title);
+						self.deleteStoredTiddler(title);
 					}
 				});
 				if(updates.modifications.length > 0 || updates.deletions.length > 0) {
@@ -346,9 +638,10 @@ Syncer.prototype.syncFromServer = function() {
 			triggerNextSync();
 			// Check for errors
 			if(err) {
-				self.displayError($tw.language.getString("Error/RetrievingSkinny"),err);
+				self.reportSyncError($tw.language.getString("Error/RetrievingSkinny"),err);
 				return;
 			}
+			self.setOffline(false);
 			// Keep track of which tiddlers we already know about have been reported this time
 			var previousTitles = Object.keys(self.tiddlerInfo);
 			// Process each incoming tiddler
@@ -376,9 +669,8 @@ Syncer.prototype.syncFromServer = function() {
 			// Delete any tiddlers that were previously reported but missing this time
 			$tw.utils.each(previousTitles,function(title) {
 				if(syncSystemFromServer || !self.wiki.isSystemTiddler(title)) {
-					delete self.tiddlerInfo[title];
 					self.logger.log("Deleting tiddler missing from server:",title);
-					self.wiki.deleteTiddler(title);
+					self.deleteStoredTiddler(title);
 				}
 			});
 			self.processTaskQueue();
@@ -386,6 +678,58 @@ Syncer.prototype.syncFromServer = function() {
 	}
 };
 
+/*
+Apply a set of incremental updates pushed from the server. The updates object has the properties:
+modifications: array of tiddler fields of the modified tiddlers, each including its revision. Fat tiddlers are stored directly, skinny tiddlers are queued for loading
+deletions: array of titles of tiddlers that have been deleted on the server
+*/
+Syncer.prototype.applyServerUpdates = function(updates) {
+	var self = this,
+		syncSystemFromServer = (self.wiki.getTiddlerText("$:/config/SyncSystemTiddlersFromServer") === "yes"),
+		needsProcessing = false;
+	$tw.utils.each(updates.modifications,function(tiddlerFields) {
+		var title = tiddlerFields.title,
+			incomingRevision = tiddlerFields.revision + "",
+			tiddlerInfo = self.tiddlerInfo[title],
+			tiddler = self.wiki.tiddlerExists(title) && self.wiki.getTiddler(title);
+		// Ignore the incoming tiddler if it's the same as the revision we've already got
+		if(tiddlerInfo && tiddlerInfo.revision === incomingRevision) {
+			return;
+		}
+		// Don't overwrite local changes that haven't yet been saved to the server
+		if(tiddler && (!tiddlerInfo || self.wiki.getChangeCount(title) > tiddlerInfo.changeCount)) {
+			self.logger.log("Ignoring server update to locally modified tiddler:",title);
+			return;
+		}
+		if(tiddlerFields.text !== undefined) {
+			self.logger.log("Applying server update:",title);
+			self.storeTiddler(tiddlerFields);
+		} else {
+			// Only store the skinny version if we don't already have a fat version of the tiddler
+			if(!tiddler || tiddler.fields.text === undefined) {
+				self.storeTiddler(tiddlerFields);
+			}
+			self.titlesToBeLoaded[title] = true;
+			needsProcessing = true;
+		}
+	});
+	$tw.utils.each(updates.deletions,function(title) {
+		var tiddlerInfo = self.tiddlerInfo[title];
+		if(tiddlerInfo && (syncSystemFromServer || !self.wiki.isSystemTiddler(title))) {
+			// Don't delete tiddlers that have unsaved local changes
+			if(self.wiki.tiddlerExists(title) && self.wiki.getChangeCount(title) > tiddlerInfo.changeCount) {
+				self.logger.log("Ignoring server deletion of locally modified tiddler:",title);
+				return;
+			}
+			self.logger.log("Deleting tiddler deleted on server:",title);
+			self.deleteStoredTiddler(title);
+		}
+	});
+	if(needsProcessing) {
+		this.processTaskQueue();
+	}
+};
+
 /*
 Force load a tiddler from the server
 */
@@ -413,6 +757,93 @@ Syncer.prototype.handleLazyLoadEvent = function(title) {
 	}
 };
 
+/*
+Get the title of the temporary tiddler used to hold a revision of a tiddler retrieved from the server
+*/
+Syncer.prototype.getRevisionTitle = function(title,revision) {
+	return this.titleRevisionsPrefix + revision + "/" + title;
+};
+
+/*
+Retrieve the revision history of a tiddler from the server. Each revision is stored in a temporary tiddler with the fields revision-of, revision, revision-timestamp, revision-modified, revision-modifier and revision-deleted
+*/
+Syncer.prototype.handleLoadRevisionsEvent = function(title) {
+	var self = this;
+	if(!title || !this.syncadaptor.getTiddlerRevisions) {
+		return;
+	}
+	this.syncadaptor.getTiddlerRevisions(title,function(err,revisions) {
+		if(err) {
+			return self.displayError("Error retrieving revisions of '" + title + "'",err);
+		}
+		// Remove any revisions we retrieved previously
+		var previousTitles = [];
+		self.wiki.each(function(tiddler,revisionTitle) {
+			if(tiddler.fields["revision-of"] === title && revisionTitle.indexOf(self.titleRevisionsPrefix) === 0) {
+				previousTitles.push(revisionTitle);
+			}
+		});
+		$tw.utils.each(previousTitles,function(revisionTitle) {
+			self.wiki.deleteTiddler(revisionTitle);
+		});
+		$tw.utils.each(revisions,function(revision) {
+			self.wiki.addTiddler({
+				title: self.getRevisionTitle(title,revision.revision),
+				"revision-of": title,
+				revision: revision.revision.toString(),
+				"revision-timestamp": revision.timestamp,
+				"revision-modified": revision.modified,
+				"revision-modifier": revision.modifier,
+				"revision-deleted": revision.deleted ? "yes" : undefined
+			});
+		});
+	});
+};
+
+/*
+Retrieve the fields of a revision of a tiddler from the server, and store them as JSON in the text of the temporary tiddler for the revision
+*/
+Syncer.prototype.handleLoadRevisionEvent = function(title,revision) {
+	var self = this;
+	if(!title || isNaN(revision) || !this.syncadaptor.loadTiddlerRevision) {
+		return;
+	}
+	this.syncadaptor.loadTiddlerRevision(title,revision,function(err,fields) {
+		if(err) {
+			return self.displayError("Error retrieving revision " + revision + " of '" + title + "'",err);
+		}
+		var revisionTitle = self.getRevisionTitle(title,revision);
+		self.wiki.addTiddler(new $tw.Tiddler(self.wiki.getTiddler(revisionTitle),{
+			title: revisionTitle,
+			"revision-of": title,
+			revision: revision.toString(),
+			type: "application/json",
+			text: JSON.stringify(fields)
+		}));
+	});
+};
+
+/*
+Replace a tiddler with a revision retrieved from the server. The restored tiddler is then saved back to the server as a new revision
+*/
+Syncer.prototype.handleRestoreRevisionEvent = function(title,revision) {
+	var self = this;
+	if(!title || isNaN(revision) || !this.syncadaptor.loadTiddlerRevision) {
+		return;
+	}
+	this.syncadaptor.loadTiddlerRevision(title,revision,function(err,fields) {
+		if(err || !fields) {
+			return self.displayError("Error restoring revision " + revision + " of '" + title + "'",err || "Revision not found");
+		}
+		self.logger.log("Restoring revision",revision,"of",title);
+		self.wiki.addTiddler(new $tw.Tiddler(fields,{
+			title: title,
+			revision: undefined,
+			bag: undefined
+		},self.wiki.getModificationFields()));
+	});
+};
+
 /*
 Dispay a password prompt and allow the user to login
 */
@@ -510,10 +941,11 @@ Syncer.prototype.processTaskQueue = function() {
 			task.run(function(err) {
 				self.numTasksInProgress -= 1;
 				if(err) {
-					self.displayError("Sync error while processing " + task.type + " of '" + task.title + "'",err);
+					self.reportSyncError("Sync error while processing " + task.type + " of '" + task.title + "'",err);
 					self.updateDirtyStatus();
 					self.triggerTimeout(self.errorRetryInterval);
 				} else {
+					self.setOffline(false);
 					self.updateDirtyStatus();
 					// Process the next task
 					self.processTaskQueue.call(self);
@@ -543,16 +975,49 @@ Syncer.prototype.triggerTimeout = function(interval) {
 };
 
 /*
-Choose the next sync task. We prioritise saves, then deletes, then loads from the server
+Determine whether the syncadaptor can save and delete batches of tiddlers
+*/
+Syncer.prototype.isBatchingSupported = function() {
+	return !!(this.syncadaptor.saveBatch && this.syncadaptor.supportsBatches);
+};
+
+/*
+Save or delete tiddlers outside of a batch, after the batch that included them has failed
+*/
+Syncer.prototype.saveIndividually = function(titles) {
+	var self = this;
+	$tw.utils.each(titles,function(title) {
+		self.titlesToSaveIndividually[title] = true;
+	});
+};
+
+/*
+Record the outcome of saving or deleting a tiddler outside of a batch. A tiddler that fails is moved to the back of the queue so that it doesn't hold up the others
+*/
+Syncer.prototype.finishIndividualTask = function(title,err) {
+	if(this.titlesToSaveIndividually[title]) {
+		delete this.titlesToSaveIndividually[title];
+		if(err) {
+			this.titlesToSaveIndividually[title] = true;
+		}
+	}
+};
+
+/*
+Choose the next sync task. We prioritise saves, then deletes, then loads from the server. If the syncadaptor supports batches then saves and deletes are grouped together into a single batch task, except for those of tiddlers that have already failed as part of a batch
 
 Returns either a task object, null if there's no upcoming tasks, or the boolean true if there are pending tasks that aren't yet due
 */
 Syncer.prototype.chooseNextTask = function() {
 	var thresholdLastSaved = (new Date()) - this.throttleInterval,
-		havePending = null;
+		havePending = null,
+		maxBatchSize = this.isBatchingSupported() ? this.maxBatchSize : 1,
+		saveTitles = [],
+		deleteTitles = [],
+		individualTasks = {};
 	// First we look for tiddlers that have been modified locally and need saving back to the server
 	var titles = this.getSyncedTiddlers();
-	for(var index=0; index<titles.length; index++) {
+	for(var index=0; index<titles.length && saveTitles.length < maxBatchSize; index++) {
 		var title = titles[index],
 			tiddler = this.wiki.tiddlerExists(title) && this.wiki.getTiddler(title),
 			tiddlerInfo = this.tiddlerInfo[title];
@@ -561,22 +1026,43 @@ Syncer.prototype.chooseNextTask = function() {
 			var hasChanged = !tiddlerInfo || this.wiki.getChangeCount(title) > tiddlerInfo.changeCount,
 				isReadyToSave = !tiddlerInfo || !tiddlerInfo.timestampLastSaved || tiddlerInfo.timestampLastSaved < thresholdLastSaved;
 			if(hasChanged) {
-				if(isReadyToSave) {
-					return new SaveTiddlerTask(this,title);
-				} else {
+				if(!isReadyToSave) {
 					havePending = true;
+				} else if(this.titlesToSaveIndividually[title]) {
+					individualTasks[title] = SaveTiddlerTask;
+				} else {
+					saveTitles.push(title);
 				}
 			}
 		}
 	}
 	// Second, we check tiddlers that are known from the server but not currently in the store, and so need deleting on the server
 	titles = Object.keys(this.tiddlerInfo);
-	for(index=0; index<titles.length; index++) {
+	for(index=0; index<titles.length && saveTitles.length + deleteTitles.length < maxBatchSize; index++) {
 		title = titles[index];
 		tiddlerInfo = this.tiddlerInfo[title];
 		tiddler = this.wiki.tiddlerExists(title) && this.wiki.getTiddler(title);
 		if(!tiddler) {
-			return new DeleteTiddlerTask(this,title);
+			if(this.titlesToSaveIndividually[title]) {
+				individualTasks[title] = DeleteTiddlerTask;
+			} else {
+				deleteTitles.push(title);
+			}
+		}
+	}
+	if(saveTitles.length + deleteTitles.length > 1) {
+		return new BatchTask(this,saveTitles,deleteTitles);
+	} else if(saveTitles.length === 1) {
+		return new SaveTiddlerTask(this,saveTitles[0]);
+	} else if(deleteTitles.length === 1) {
+		return new DeleteTiddlerTask(this,deleteTitles[0]);
+	}
+	// Then the tiddlers that couldn't be saved or deleted as part of a batch
+	titles = Object.keys(this.titlesToSaveIndividually);
+	for(index=0; index<titles.length; index++) {
+		var Task = individualTasks[titles[index]];
+		if(Task) {
+			return new Task(this,titles[index]);
 		}
 	}
 	// Check for tiddlers that need loading
@@ -601,7 +1087,15 @@ SaveTiddlerTask.prototype.run = function(callback) {
 		tiddler = this.syncer.wiki.tiddlerExists(this.title) && this.syncer.wiki.getTiddler(this.title);
 	this.syncer.logger.log("Dispatching 'save' task:",this.title);
 	if(tiddler) {
-		this.syncer.syncadaptor.saveTiddler(tiddler,function(err,adaptorInfo,revision) {
+		this.syncer.syncadaptor.saveTiddler(tiddler,function(err,adaptorInfo,revision,conflictingTiddlerFields) {
+			// The adaptor gives null rather than the conflicting fields if the tiddler was deleted on the server
+			var isConflict = conflictingTiddlerFields !== undefined;
+			self.syncer.finishIndividualTask(self.title,isConflict ? null : err);
+			// If the tiddler was changed or deleted on the server then resolve the conflict instead of overwriting it
+			if(isConflict) {
+				self.syncer.handleSaveConflict(self.title,conflictingTiddlerFields);
+				return callback(null);
+			}
 			// If there's an error, exit without changing any internal state
 			if(err) {
 				return callback(err);
@@ -611,7 +1105,8 @@ SaveTiddlerTask.prototype.run = function(callback) {
 				changeCount: changeCount,
 				adaptorInfo: adaptorInfo,
 				revision: revision,
-				timestampLastSaved: new Date()
+				timestampLastSaved: new Date(),
+				baseTiddler: tiddler
 			};
 			// Invoke the callback
 			callback(null);
@@ -634,15 +1129,16 @@ DeleteTiddlerTask.prototype.run = function(callback) {
 	var self = this;
 	this.syncer.logger.log("Dispatching 'delete' task:",this.title);
 	this.syncer.syncadaptor.deleteTiddler(this.title,function(err) {
+		self.syncer.finishIndividualTask(self.title,err);
 		// If there's an error, exit without changing any internal state
 		if(err) {
 			return callback(err);
 		}
 		// Remove the info stored about this tiddler
 		delete self.syncer.tiddlerInfo[self.title];
-		if($tw.boot.files){
-			// Remove the tiddler from $tw.boot.files
-			delete $tw.boot.files[self.title];
+		if(self.syncer.boot.files){
+			// Remove the tiddler from the boot files
+			delete self.syncer.boot.files[self.title];
 		}
 		// Invoke the callback
 		callback(null);
@@ -651,6 +1147,82 @@ DeleteTiddlerTask.prototype.run = function(callback) {
 	});
 };
 
+function BatchTask(syncer,saveTitles,deleteTitles) {
+	this.syncer = syncer;
+	this.saveTitles = saveTitles;
+	this.deleteTitles = deleteTitles;
+	this.title = (saveTitles.length + deleteTitles.length) + " tiddlers";
+	this.type = "batch";
+}
+
+BatchTask.prototype.run = function(callback) {
+	var self = this,
+		batch = {
+			save: [],
+			"delete": []
+		},
+		changeCounts = {};
+	this.syncer.logger.log("Dispatching 'batch' task:",this.saveTitles.length,"saves and",this.deleteTitles.length,"deletes");
+	$tw.utils.each(this.saveTitles,function(title) {
+		var tiddler = self.syncer.wiki.tiddlerExists(title) && self.syncer.wiki.getTiddler(title);
+		if(tiddler) {
+			changeCounts[title] = self.syncer.wiki.getChangeCount(title);
+			batch.save.push({
+				tiddler: tiddler,
+				tiddlerInfo: self.syncer.tiddlerInfo[title]
+			});
+		}
+	});
+	$tw.utils.each(this.deleteTitles,function(title) {
+		batch["delete"].push({
+			title: title,
+			tiddlerInfo: self.syncer.tiddlerInfo[title]
+		});
+	});
+	this.syncer.syncadaptor.saveBatch(batch,function(err,results) {
+		// If there's an error, exit without changing any internal state. Unless the server couldn't be reached, the tiddlers are then saved individually so that any that can't be saved don't hold up the others
+		if(err) {
+			if(!self.syncer.isNetworkError(err)) {
+				self.syncer.saveIndividually(self.saveTitles.concat(self.deleteTitles));
+			}
+			return callback(err);
+		}
+		// If any of the tiddlers were changed on the server or rejected by it then nothing was saved. Changed tiddlers are saved individually to resolve the conflicts, or reloaded if they were deleted locally. Rejected tiddlers are saved individually so that they don't hold up the rest, which are batched again
+		var conflicts = results.conflicts || [],
+			rejected = results.rejected || [];
+		if(conflicts.length > 0 || rejected.length > 0) {
+			$tw.utils.each(conflicts,function(title) {
+				if(self.deleteTitles.indexOf(title) !== -1) {
+					self.syncer.handleDeleteConflict(title);
+				} else {
+					self.syncer.saveIndividually([title]);
+				}
+			});
+			self.syncer.saveIndividually(rejected);
+			return callback(null);
+		}
+		// Adjust the info stored about each tiddler
+		$tw.utils.each(batch.save,function(item) {
+			var title = item.tiddler.fields.title,
+				savedInfo = results.saved[title] || {};
+			self.syncer.tiddlerInfo[title] = {
+				changeCount: changeCounts[title],
+				adaptorInfo: savedInfo.adaptorInfo,
+				revision: savedInfo.revision,
+				timestampLastSaved: new Date(),
+				baseTiddler: item.tiddler
+			};
+		});
+		$tw.utils.each(batch["delete"],function(item) {
+			delete self.syncer.tiddlerInfo[item.title];
+			if(self.syncer.boot.files){
+				delete self.syncer.boot.files[item.title];
+			}
+		});
+		callback(null);
+	});
+};
+
 function LoadTiddlerTask(syncer,title) {
 	this.syncer = syncer;
 	this.title = title;
@@ -30,10 +30,10 @@ exports.getFieldString = function(field) {
 	if(value === undefined || value === null) {
 		return "";
 	}
-	// Parse the field with the associated module (if any)
-	var fieldModule = $tw.Tiddler.fieldModules[field];
-	if(fieldModule && fieldModule.stringify) {
-		return fieldModule.stringify.call(this,value);
+	// Stringify the field with the associated module or field type (if any)
+	var stringify = $tw.Tiddler.getFieldProperty(field,this.fields.type,"stringify");
+	if(stringify) {
+		return stringify.call(this,value);
 	} else {
 		return value.toString();
 	}
@@ -48,7 +48,8 @@ exports.getFieldList = function(field) {
 	if(value === undefined || value === null) {
 		return [];
 	}
-	return $tw.utils.parseStringArray(value);
+	// Fields of other types are listed as strings
+	return $tw.utils.parseStringArray($tw.utils.isArray(value) ? value : this.getFieldString(field));
 };
 
 /*
@@ -0,0 +1,173 @@
+/*\
+title: $:/core/modules/undo-history.js
+type: application/javascript
+module-type: global
+
+Records the changes made to the tiddlers in a wiki so that they can be undone and redone
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Instantiate the undo history with the following options:
+wiki: wiki to be tracked
+syncer: optional syncer of the wiki, so that the changes it makes to bring tiddlers into line with the server are not recorded
+*/
+function UndoHistory(options) {
+	var self = this;
+	this.wiki = options.wiki;
+	this.syncer = options.syncer || null;
+	// Arrays of change sets, most recent last. Each change set is {id:, time:, changes:} where changes is an array of {title:, before:, after:} giving the tiddler before and after the change, or null if it didn't exist
+	this.undoStack = [];
+	this.redoStack = [];
+	this.nextId = 1;
+	// Hashmap by title of the last known state of each tiddler, so that we know what the change events have changed
+	this.tiddlers = Object.create(null);
+	this.wiki.each(function(tiddler,title) {
+		self.tiddlers[title] = tiddler;
+	});
+	// Each batch of change events records the changes made by a single user action
+	this.wiki.addEventListener("change",function(changes) {
+		self.recordChanges(changes);
+	});
+}
+
+UndoHistory.prototype.titleExcludeFilter = "$:/config/UndoHistory/ExcludeFilter";
+UndoHistory.prototype.titleLimit = "$:/config/UndoHistory/Limit";
+UndoHistory.prototype.titleStatus = "$:/temp/undo-history";
+
+/*
+Record a batch of change events as a change set
+changes: hashmap of changed tiddler titles as passed to "change" event listeners
+*/
+UndoHistory.prototype.recordChanges = function(changes) {
+	var self = this,
+		changeSet = [],
+		excludedTitles = this.wiki.filterTiddlers(this.wiki.getTiddlerText(this.titleExcludeFilter,""),null,this.wiki.makeTiddlerIterator(Object.keys(changes)));
+	$tw.utils.each(changes,function(change,title) {
+		var before = self.tiddlers[title] || null,
+			after = self.wiki.tiddlerExists(title) ? self.wiki.getTiddler(title) : null;
+		if(after) {
+			self.tiddlers[title] = after;
+		} else {
+			delete self.tiddlers[title];
+		}
+		// Ignore drafts, excluded tiddlers, changes loaded from the server and changes that we made ourselves
+		if(before !== after && !(before && before.isDraft()) && !(after && after.isDraft()) && excludedTitles.indexOf(title) === -1 && title !== self.titleStatus && !(self.syncer && self.syncer.isServerChange(title))) {
+			changeSet.push({title: title, before: before, after: after});
+		}
+	});
+	if(changeSet.length > 0) {
+		this.undoStack.push({id: this.nextId++, time: new Date(), changes: changeSet});
+		var limit = $tw.utils.getInt(this.wiki.getTiddlerText(this.titleLimit),100);
+		if(this.undoStack.length > limit) {
+			this.undoStack.splice(0,this.undoStack.length - limit);
+		}
+		this.redoStack = [];
+		this.updateStatus();
+	}
+};
+
+/*
+Put back the tiddlers of a change set as they were before or after the changes
+changeSet: the change set
+state: "before" or "after"
+*/
+UndoHistory.prototype.applyChangeSet = function(changeSet,state) {
+	var self = this;
+	this.wiki.transaction(function() {
+		$tw.utils.each(changeSet.changes,function(change) {
+			var tiddler = change[state];
+			if(tiddler) {
+				self.wiki.addTiddler(tiddler);
+				self.tiddlers[change.title] = tiddler;
+			} else {
+				self.wiki.deleteTiddler(change.title);
+				delete self.tiddlers[change.title];
+			}
+		});
+	});
+};
+
+/*
+Undo the most recent change set, or if an id is given undo the change sets back to and including the one with that id. Returns the number of change sets undone
+*/
+UndoHistory.prototype.undo = function(id) {
+	return this.moveChangeSets(this.undoStack,this.redoStack,"before",id);
+};
+
+/*
+Redo the most recently undone change set, or if an id is given redo the change sets up to and including the one with that id. Returns the number of change sets redone
+*/
+UndoHistory.prototype.redo = function(id) {
+	return this.moveChangeSets(this.redoStack,this.undoStack,"after",id);
+};
+
+UndoHistory.prototype.moveChangeSets = function(fromStack,toStack,state,id) {
+	var count = 0;
+	if(id) {
+		id = parseInt(id,10);
+		if(!fromStack.some(function(changeSet) {return changeSet.id === id;})) {
+			return 0;
+		}
+	}
+	while(fromStack.length > 0) {
+		var changeSet = fromStack.pop();
+		this.applyChangeSet(changeSet,state);
+		toStack.push(changeSet);
+		count++;
+		if(!id || changeSet.id === id) {
+			break;
+		}
+	}
+	if(count > 0) {
+		this.updateStatus();
+	}
+	return count;
+};
+
+/*
+Get a description of a change set for the history browser
+*/
+UndoHistory.prototype.describeChangeSet = function(changeSet) {
+	var titles = {Created: [], Modified: [], Deleted: []},
+		parts = [];
+	$tw.utils.each(changeSet.changes,function(change) {
+		titles[!change.before ? "Created" : (!change.after ? "Deleted" : "Modified")].push(change.title);
+	});
+	$tw.utils.each(titles,function(list,type) {
+		if(list.length > 0) {
+			parts.push($tw.language.getString("UndoHistory/" + type) + ": " + list.slice(0,3).join(", ") + (list.length > 3 ? " +" + (list.length - 3) + " " + $tw.language.getString("UndoHistory/More") : ""));
+		}
+	});
+	return $tw.utils.formatDateString(changeSet.time,$tw.language.getString("UndoHistory/DateFormat")) + " " + parts.join("; ");
+};
+
+/*
+Save the state of the history in a data tiddler for the history browser. The "undo" and "redo" fields list the ids of the change sets, most recent first, and the data gives a description of each one
+*/
+UndoHistory.prototype.updateStatus = function() {
+	var self = this,
+		data = {},
+		getIds = function(stack) {
+			return stack.map(function(changeSet) {
+				data[changeSet.id] = self.describeChangeSet(changeSet);
+				return changeSet.id.toString();
+			}).reverse();
+		};
+	this.wiki.addTiddler({
+		title: this.titleStatus,
+		type: "application/json",
+		undo: $tw.utils.stringifyList(getIds(this.undoStack)),
+		redo: $tw.utils.stringifyList(getIds(this.redoStack)),
+		text: JSON.stringify(data)
+	});
+};
+
+exports.UndoHistory = UndoHistory;
+
+})();
@@ -0,0 +1,124 @@
+/*\
+title: $:/core/modules/utils/fuzzy.js
+type: application/javascript
+module-type: utils
+
+Approximate string matching utility functions.
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Get the number of single character insertions, deletions, substitutions and transpositions of adjacent characters needed to turn one string into another (the optimal string alignment distance). If maxDistance is given then the calculation stops early once the distance is known to be greater, and returns maxDistance + 1
+*/
+exports.getEditDistance = function(a,b,maxDistance) {
+	if(maxDistance === undefined) {
+		maxDistance = Math.max(a.length,b.length);
+	}
+	if(Math.abs(a.length - b.length) > maxDistance) {
+		return maxDistance + 1;
+	}
+	var previousPreviousRow = [],
+		previousRow = [],
+		i, j;
+	for(j=0; j<=b.length; j++) {
+		previousRow.push(j);
+	}
+	for(i=1; i<=a.length; i++) {
+		var row = [i],
+			rowMinimum = i;
+		for(j=1; j<=b.length; j++) {
+			var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1,
+				distance = Math.min(previousRow[j] + 1,row[j - 1] + 1,previousRow[j - 1] + cost);
+			if(i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+				distance = Math.min(distance,previousPreviousRow[j - 2] + 1);
+			}
+			row.push(distance);
+			rowMinimum = Math.min(rowMinimum,distance);
+		}
+		if(rowMinimum > maxDistance) {
+			return maxDistance + 1;
+		}
+		previousPreviousRow = previousRow;
+		previousRow = row;
+	}
+	return Math.min(previousRow[b.length],maxDistance + 1);
+};
+
+/*
+Get the number of typing mistakes to be tolerated in a search term of a given length
+*/
+exports.getFuzzyTolerance = function(length) {
+	if(length < 4) {
+		return 0;
+	} else if(length < 8) {
+		return 1;
+	} else {
+		return 2;
+	}
+};
+
+/*
+Make an object for matching a search term against strings, allowing for typing mistakes. The object has the same test() method as a regexp, and a count() method that returns the number of matches within a string. A string matches if it contains a word that contains the term or is within a small edit distance of it, or whose start is within that distance. Terms that are not a single word can also match anywhere in the string
+term: the search term
+options: see below
+Options available:
+	caseSensitive: true if the case of letters is significant
+	anchored: true if the match must be at the start of the string
+	transliterate: true to ignore accents and other differences removed by $tw.utils.transliterate()
+The object also has these properties, which the search index uses to find the words that might match:
+	term: the term after accents and case have been removed in the same way as for each word
+	tolerance: the number of typing mistakes that are tolerated
+	transliterate: true if transliteration is applied
+	isSingleWord: true if the term is one word, so that it can only match within a single word of a string
+*/
+exports.makeFuzzyMatcher = function(term,options) {
+	options = options || {};
+	// Upper case is used for the same reason as in the search index, so that the words of the index can be tested in the same way
+	var normalise = function(str) {
+			if(options.transliterate) {
+				str = $tw.utils.transliterate(str);
+			}
+			return options.caseSensitive ? str : str.toUpperCase();
+		},
+		normalisedTerm = normalise(term),
+		tolerance = $tw.utils.getFuzzyTolerance(normalisedTerm.length),
+		isSingleWord = $tw.utils.splitWords(normalisedTerm)[0] === normalisedTerm,
+		isWordMatch = function(word) {
+			return word.indexOf(normalisedTerm) !== -1 ||
+				$tw.utils.getEditDistance(normalisedTerm,word,tolerance) <= tolerance ||
+				(word.length > normalisedTerm.length && $tw.utils.getEditDistance(normalisedTerm,word.substr(0,normalisedTerm.length),tolerance) <= tolerance);
+		},
+		getWords = function(str) {
+			var words = $tw.utils.splitWords(str);
+			if(options.anchored) {
+				words = words.length > 0 && str.indexOf(words[0]) === 0 ? words.slice(0,1) : [];
+			}
+			return words.map(normalise);
+		};
+	return {
+		term: normalisedTerm,
+		tolerance: tolerance,
+		transliterate: !!options.transliterate,
+		isSingleWord: isSingleWord,
+		test: function(str) {
+			// A single word term is found by the word matches
+			if(!isSingleWord || options.anchored) {
+				var normalisedStr = normalise(str);
+				if(options.anchored ? normalisedStr.indexOf(normalisedTerm) === 0 : normalisedStr.indexOf(normalisedTerm) !== -1) {
+					return true;
+				}
+			}
+			return getWords(str).some(isWordMatch);
+		},
+		count: function(str) {
+			return getWords(str).filter(isWordMatch).length;
+		}
+	};
+};
+
+})();
@@ -76,4 +76,157 @@ exports.getParseTreeText = function getParseTreeText(tree) {
 	return output.join("");
 };
 
+/*
+Returns true if a parse tree node only has string attributes whose names are in the array allowedNames
+*/
+exports.checkParseTreeNodeAttributes = function(node,allowedNames) {
+	var result = true;
+	$tw.utils.each(node.attributes,function(attribute,name) {
+		if(attribute.type !== "string" || allowedNames.indexOf(name) === -1) {
+			result = false;
+		}
+	});
+	return result;
+};
+
+/*
+Get the classes of a parse tree node as an array
+*/
+exports.getClassesFromParseTreeNode = function(node) {
+	return $tw.utils.getAttributeValueFromParseTreeNode(node,"class","").split(" ").filter(function(className) {
+		return className !== "";
+	});
+};
+
+/*
+Escape a string so that the wikitext parser reads it back as the same plain text. Words that would become links are prefixed with ~, and the first character of any other markup is written with a text widget
+parser: a wikitext parser used to find the markup, which is reset to parse the text
+atBlockStart: true if the text starts a block, so that block markup must be escaped too
+*/
+function escapeText(text,parser,atBlockStart) {
+	var output = [],
+		pos = 0,
+		escapeCharacter = function(position) {
+			output.push("<$text " + $tw.utils.serializeAttribute({type: "string", value: text.charAt(position)},"text") + "/>");
+			pos = position + 1;
+		};
+	parser.source = text;
+	parser.sourceLength = text.length;
+	if(atBlockStart) {
+		var blockRule = parser.findNextMatch(parser.instantiateRules(parser.blockRuleClasses,"block",0),0);
+		if(blockRule && blockRule.matchIndex === 0) {
+			escapeCharacter(0);
+		}
+	}
+	var inlineRules = parser.instantiateRules(parser.inlineRuleClasses,"inline",0);
+	while(pos < text.length) {
+		var ruleInfo = parser.findNextMatch(inlineRules,pos);
+		if(!ruleInfo) {
+			break;
+		}
+		var matchPos = ruleInfo.matchIndex;
+		output.push(text.slice(pos,matchPos));
+		// Try the rule to see whether it actually produces any markup
+		parser.pos = matchPos;
+		var nodes = ruleInfo.rule.parse(),
+			matchedText = text.slice(matchPos,Math.max(parser.pos,matchPos + 1));
+		if(nodes.length === 1 && nodes[0].type === "text" && nodes[0].text === matchedText) {
+			output.push(matchedText);
+			pos = matchPos + matchedText.length;
+		} else if(["wikilink","extlink","syslink"].indexOf(ruleInfo.rule.name) !== -1 && text.charAt(matchPos) !== "~") {
+			output.push("~" + matchedText);
+			pos = matchPos + matchedText.length;
+		} else {
+			escapeCharacter(matchPos);
+		}
+	}
+	output.push(text.slice(pos));
+	return output.join("");
+}
+
+/*
+Serialize a wikitext parse tree back into wikitext. Options include:
+	parseAsInline: true if the tree is a run of inline nodes rather than a sequence of blocks
+Each node is offered to the serialize() method of the wikiparser rules, which return null for nodes they can't represent. Elements and widgets that no other rule accepts are serialized as HTML tags by the html rule
+*/
+exports.serializeParseTree = function(tree,options) {
+	options = options || {};
+	var pragmaRules = [],
+		blockRules = [],
+		inlineRules = [],
+		htmlRule;
+	$tw.modules.forEachModuleOfType("wikirule",function(title,rule) {
+		if(rule.name === "html") {
+			htmlRule = rule;
+		} else if(rule.serialize) {
+			if(rule.types.pragma) {
+				pragmaRules.push(rule);
+			}
+			if(rule.types.block) {
+				blockRules.push(rule);
+			}
+			if(rule.types.inline) {
+				inlineRules.push(rule);
+			}
+		}
+	});
+	var applyRules = function(rules,node,serializer) {
+			for(var t=0; t<rules.length; t++) {
+				var text = rules[t].serialize(node,serializer);
+				if(text !== null && text !== undefined) {
+					return text;
+				}
+			}
+			return htmlRule && rules !== pragmaRules ? htmlRule.serialize(node,serializer) : null;
+		},
+		escapingParser = null,
+		serializeText = function(text,atBlockStart) {
+			escapingParser = escapingParser || new $tw.Wiki().parseText("text/vnd.tiddlywiki","",{parseAsInline: true});
+			return escapeText(text,escapingParser,atBlockStart);
+		},
+		serializeInline = function(nodes,atBlockStart) {
+			var output = [];
+			$tw.utils.each(nodes,function(node,index) {
+				var text = applyRules(inlineRules,node,inlineSerializer);
+				if(text === null && node.type === "text" && !node.attributes) {
+					text = serializeText(node.text,atBlockStart && index === 0);
+				}
+				output.push(text || "");
+			});
+			return output.join("");
+		},
+		serializeBlocks = function(nodes) {
+			var output = [];
+			$tw.utils.each(nodes,function(node) {
+				var text;
+				if(node.type === "element" && node.tag === "p" && $tw.utils.count(node.attributes || {}) === 0) {
+					text = serializeInline(node.children,true);
+				} else {
+					text = applyRules(blockRules,node,blockSerializer);
+					if(text === null) {
+						text = serializeInline([node]);
+					}
+				}
+				if(text) {
+					// Make sure that each block ends with a blank line
+					output.push(text.replace(/\n*$/,"\n\n"));
+				}
+			});
+			return output.join("");
+		},
+		serializePragmas = function(nodes,isBody) {
+			if(nodes.length === 1) {
+				var pragma = applyRules(pragmaRules,nodes[0],blockSerializer);
+				if(pragma !== null) {
+					return pragma + serializePragmas(nodes[0].children || [],true);
+				}
+			}
+			var text = serializeBlocks(nodes);
+			return isBody && text ? "\n" + text : text;
+		},
+		blockSerializer = {isBlock: true, serializeBlocks: serializeBlocks, serializeInline: serializeInline},
+		inlineSerializer = {isBlock: false, serializeBlocks: serializeBlocks, serializeInline: serializeInline};
+	return (options.parseAsInline ? serializeInline(tree) : serializePragmas(tree)).replace(/\n+$/,"");
+};
+
 })();
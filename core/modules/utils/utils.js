@@ -150,6 +150,20 @@ Convert a string to title case (ie capitalise each initial letter)
 exports.toTitleCase = function(str) {
 	return (str || "").replace(/(^|\s)\S/g, function(c) {return c.toUpperCase();});
 }
+
+/*
+Characters that separate words: whitespace, and the punctuation and symbols of the ASCII, Latin-1, general punctuation, CJK symbol and full width ranges. Letters and digits of any script are part of words
+*/
+var WORD_SEPARATOR_REGEXP = /[\s\x00-\x2f\x3a-\x40\x5b-\x60\x7b-\xbf\xd7\xf7\u2000-\u206f\u3000-\u303f\uff00-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]+/;
+
+/*
+Split a string into an array of words, leaving out the separators between them. The search index and fuzzy searches use the same words
+*/
+exports.splitWords = function(str) {
+	return str.split(WORD_SEPARATOR_REGEXP).filter(function(word) {
+		return !!word;
+	});
+};
 	
 /*
 Find the line break preceding a given position in a string
@@ -747,6 +761,22 @@ exports.base64Encode = function(string64) {
 	return base64utf8.base64.encode.call(base64utf8,string64);
 };
 
+/*
+Perform a three-way merge of text by applying the changes between base and local to remote. Returns an object:
+text: the merged text
+clean: true if all the local changes could be applied to the remote text
+*/
+exports.mergeText = function(base,local,remote) {
+	var dmp = require("$:/core/modules/utils/diff-match-patch/diff_match_patch.js"),
+		dmpObject = new dmp.diff_match_patch(),
+		patches = dmpObject.patch_make(base || "",local || ""),
+		results = dmpObject.patch_apply(patches,remote || "");
+	return {
+		text: results[0],
+		clean: results[1].indexOf(false) === -1
+	};
+};
+
 /*
 Convert a hashmap into a tiddler dictionary format sequence of name:value pairs
 */
@@ -902,8 +932,17 @@ exports.makeCompareFunction = function(type,options) {
 			"version": function(a,b) {
 				return $tw.utils.compareVersions(a,b);
 			}
+		},
+		// Other tiddler field types that can be compared are parsed from strings in the same way as field values
+		getFieldTypeCompare = function(type) {
+			var fieldType = $tw.Tiddler.fieldTypes[type];
+			if(fieldType && fieldType.parse && fieldType.compare) {
+				return function(a,b) {
+					return compare(fieldType.compare(fieldType.parse("" + a),fieldType.parse("" + b)),0);
+				};
+			}
 		};
-	return (types[type] || types[options.defaultType] || types.number);
+	return (types[type] || getFieldTypeCompare(type) || types[options.defaultType] || getFieldTypeCompare(options.defaultType) || types.number);
 };
 
 })();
@@ -70,7 +70,7 @@ CheckboxWidget.prototype.getValue = function() {
 		if(this.checkboxField) {
 			var value;
 			if($tw.utils.hop(tiddler.fields,this.checkboxField)) {
-				value = tiddler.fields[this.checkboxField] || "";
+				value = tiddler.getFieldString(this.checkboxField);
 			} else {
 				value = this.checkboxDefault || "";
 			}
@@ -136,7 +136,7 @@ CheckboxWidget.prototype.handleChangeEvent = function(event) {
 	}
 	// Set the field if specified
 	if(this.checkboxField) {
-		if(!tiddler || tiddler.fields[this.checkboxField] !== value) {
+		if(!tiddler || tiddler.getFieldString(this.checkboxField) !== value) {
 			newFields[this.checkboxField] = value;
 			hasChanged = true;
 		}
@@ -89,7 +89,7 @@ FieldManglerWidget.prototype.handleAddFieldEvent = function(event) {
 				}
 			} else {
 				if(!value && tiddler) {
-					value = tiddler.fields[trimmedName];
+					value = tiddler.getFieldString(trimmedName);
 				}
 				addition[trimmedName] = value || "";
 			}
@@ -54,10 +54,12 @@ ImportVariablesWidget.prototype.execute = function(tiddlerList) {
 					type: "set",
 					attributes: parseTreeNode.attributes,
 					params: parseTreeNode.params,
-					isMacroDefinition: parseTreeNode.isMacroDefinition
+					isMacroDefinition: parseTreeNode.isMacroDefinition,
+					isProcedureDefinition: parseTreeNode.isProcedureDefinition,
+					isFunctionDefinition: parseTreeNode.isFunctionDefinition
 				};
-				if (parseTreeNode.isMacroDefinition) {
-					// Macro definitions can be folded into
+				if (parseTreeNode.isMacroDefinition || parseTreeNode.isProcedureDefinition || parseTreeNode.isFunctionDefinition) {
+					// Macro, procedure and function definitions can be folded into
 					// current widget instead of adding
 					// another link to the chain.
 					var widget = widgetPointer.makeChildWidget(node);
@@ -87,6 +87,10 @@ ListWidget.prototype.getTiddlerList = function() {
 };
 
 ListWidget.prototype.getEmptyMessage = function() {
+	// Parsers can supply the empty message as a parse tree, as for the else branch of a conditional
+	if(this.parseTreeNode.emptyMessageTree) {
+		return this.parseTreeNode.emptyMessageTree;
+	}
 	var parser,
 		emptyMessage = this.getAttribute("emptyMessage","");
 	// this.wiki.parseText() calls 
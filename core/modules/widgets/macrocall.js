@@ -51,6 +51,7 @@ MacroCallWidget.prototype.execute = function() {
 	var macroName = this.parseTreeNode.name || this.getAttribute("$name"),
 		variableInfo = this.getVariableInfo(macroName,{params: params}),
 		text = variableInfo.text,
+		isProcedure = !!(variableInfo.srcVariable && variableInfo.srcVariable.isProcedureDefinition),
 		parseTreeNodes;
 	// Are we rendering to HTML?
 	if(this.renderOutput === "text/html") {
@@ -68,10 +69,10 @@ MacroCallWidget.prototype.execute = function() {
 			}
 		}
 		var parseTreeNodes = parser ? parser.tree : [];
-		// Wrap the parse tree in a vars widget assigning the parameters to variables named "__paramname__"
+		// Wrap the parse tree in a vars widget assigning the parameters to variables named "__paramname__", or for procedures to variables with the same names as the parameters
 		var attributes = {};
 		$tw.utils.each(variableInfo.params,function(param) {
-			var name = "__" + param.name + "__";
+			var name = isProcedure ? param.name : "__" + param.name + "__";
 			attributes[name] = {
 				name: name,
 				type: "string",
@@ -87,7 +88,13 @@ MacroCallWidget.prototype.execute = function() {
 		parseTreeNodes = [{type: "text", text: text}];
 	} else {
 		// Otherwise, we'll render the text
-		var plainText = this.wiki.renderText("text/plain",this.parseType,text,{parentWidget: this});
+		var variables = {};
+		if(isProcedure) {
+			$tw.utils.each(variableInfo.params,function(param) {
+				variables[param.name] = param.value;
+			});
+		}
+		var plainText = this.wiki.renderText("text/plain",this.parseType,text,{parentWidget: this, variables: variables});
 		parseTreeNodes = [{type: "text", text: plainText}];
 	}
 	// Construct the child widgets
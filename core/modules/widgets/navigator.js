@@ -45,7 +45,9 @@ NavigatorWidget.prototype.render = function(parent,nextSibling) {
 		{type: "tm-fold-other-tiddlers", handler: "handleFoldOtherTiddlersEvent"},
 		{type: "tm-fold-all-tiddlers", handler: "handleFoldAllTiddlersEvent"},
 		{type: "tm-unfold-all-tiddlers", handler: "handleUnfoldAllTiddlersEvent"},
-		{type: "tm-rename-tiddler", handler: "handleRenameTiddlerEvent"}
+		{type: "tm-rename-tiddler", handler: "handleRenameTiddlerEvent"},
+		{type: "tm-undo", handler: "handleUndoEvent"},
+		{type: "tm-redo", handler: "handleRedoEvent"}
 	]);
 	this.parentDomNode = parent;
 	this.computeAttributes();
@@ -311,8 +313,20 @@ NavigatorWidget.prototype.handleSaveTiddlerEvent = function(event) {
 			draftOf = (tiddler.fields["draft.of"] || "").trim();
 		if(draftTitle) {
 			var isRename = draftOf !== draftTitle,
-				isConfirmed = true;
-			if(isRename && this.wiki.tiddlerExists(draftTitle)) {
+				isConfirmed = true,
+				errors = this.wiki.validateTiddler(tiddler);
+			// Refuse to save tiddlers that don't match their field schemas
+			if(errors.length > 0) {
+				alert($tw.language.getString(
+					"InvalidTiddler",
+					{variables:
+						{title: draftTitle}
+					}
+				) + "\n\n" + errors.map(function(error) {
+					return error.message;
+				}).join("\n"));
+				isConfirmed = false;
+			} else if(isRename && this.wiki.tiddlerExists(draftTitle)) {
 				isConfirmed = confirm($tw.language.getString(
 					"ConfirmOverwriteTiddler",
 					{variables:
@@ -559,27 +573,29 @@ NavigatorWidget.prototype.handlePerformImportEvent = function(event) {
 		importTiddler = this.wiki.getTiddler(event.param),
 		importData = this.wiki.getTiddlerDataCached(event.param,{tiddlers: {}}),
 		importReport = [];
-	// Add the tiddlers to the store
-	importReport.push($tw.language.getString("Import/Imported/Hint") + "\n");
-	$tw.utils.each(importData.tiddlers,function(tiddlerFields) {
-		var title = tiddlerFields.title;
-		if(title && importTiddler && importTiddler.fields["selection-" + title] !== "unchecked") {
-			if($tw.utils.hop(importTiddler.fields,["rename-" + title])) {
-				var tiddler = new $tw.Tiddler(tiddlerFields,{title : importTiddler.fields["rename-" + title]});
-			} else {
-				var tiddler = new $tw.Tiddler(tiddlerFields);
+	// Add the tiddlers to the store in a single transaction, so that they are all imported or none of them are
+	this.wiki.transaction(function() {
+		importReport.push($tw.language.getString("Import/Imported/Hint") + "\n");
+		$tw.utils.each(importData.tiddlers,function(tiddlerFields) {
+			var title = tiddlerFields.title;
+			if(title && importTiddler && importTiddler.fields["selection-" + title] !== "unchecked") {
+				if($tw.utils.hop(importTiddler.fields,["rename-" + title])) {
+					var tiddler = new $tw.Tiddler(tiddlerFields,{title : importTiddler.fields["rename-" + title]});
+				} else {
+					var tiddler = new $tw.Tiddler(tiddlerFields);
+				}
+				tiddler = $tw.hooks.invokeHook("th-importing-tiddler",tiddler);
+				self.wiki.addTiddler(tiddler);
+				importReport.push("# [[" + tiddler.fields.title + "]]");
 			}
-			tiddler = $tw.hooks.invokeHook("th-importing-tiddler",tiddler);
-			self.wiki.addTiddler(tiddler);
-			importReport.push("# [[" + tiddler.fields.title + "]]");
-		}
+		});
+		// Replace the $:/Import tiddler with an import report
+		self.wiki.addTiddler(new $tw.Tiddler({
+			title: event.param,
+			text: importReport.join("\n"),
+			"status": "complete"
+		}));
 	});
-	// Replace the $:/Import tiddler with an import report
-	this.wiki.addTiddler(new $tw.Tiddler({
-		title: event.param,
-		text: importReport.join("\n"),
-		"status": "complete"
-	}));
 	// Navigate to the $:/Import tiddler
 	this.addToHistory([event.param]);
 	// Trigger an autosave
@@ -631,6 +647,22 @@ NavigatorWidget.prototype.handleRenameTiddlerEvent = function(event) {
 	this.wiki.renameTiddler(from,to,options);
 };
 
+// Undo the last change to the wiki, or the changes back to and including the one with the id given as the parameter
+NavigatorWidget.prototype.handleUndoEvent = function(event) {
+	if($tw.undoHistory) {
+		$tw.undoHistory.undo(event.param);
+	}
+	return false;
+};
+
+// Redo the last change that was undone, or the changes up to and including the one with the id given as the parameter
+NavigatorWidget.prototype.handleRedoEvent = function(event) {
+	if($tw.undoHistory) {
+		$tw.undoHistory.redo(event.param);
+	}
+	return false;
+};
+
 exports.navigator = NavigatorWidget;
 
 })();
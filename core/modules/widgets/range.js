@@ -71,7 +71,7 @@ RangeWidget.prototype.getValue = function() {
 			value = this.wiki.extractTiddlerDataItem(tiddler,this.tiddlerIndex,this.defaultValue);
 		} else {
 			if($tw.utils.hop(tiddler.fields,fieldName)) {
-				value = tiddler.fields[fieldName] || "";
+				value = tiddler.getFieldString(fieldName);
 			} else {
 				value = this.defaultValue;
 			}
@@ -48,7 +48,10 @@ SetWidget.prototype.execute = function() {
 	this.setValue = this.getAttribute("value");
 	this.setEmptyValue = this.getAttribute("emptyValue");
 	// Set context variable
-	this.setVariable(this.setName,this.getValue(),this.parseTreeNode.params,!!this.parseTreeNode.isMacroDefinition);
+	this.setVariable(this.setName,this.getValue(),this.parseTreeNode.params,!!this.parseTreeNode.isMacroDefinition,{
+		isProcedureDefinition: this.parseTreeNode.isProcedureDefinition,
+		isFunctionDefinition: this.parseTreeNode.isFunctionDefinition
+	});
 	// Construct the child widgets
 	this.makeChildWidgets();
 };
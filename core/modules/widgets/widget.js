@@ -88,9 +88,20 @@ name: name of the variable
 value: value of the variable
 params: array of {name:, default:} for each parameter
 isMacroDefinition: true if the variable is set via a \define macro pragma (and hence should have variable substitution performed)
+options: see below
+Options include
+isProcedureDefinition: true if the variable is set via a \procedure pragma (and hence its parameters are passed as variables)
+isFunctionDefinition: true if the variable is set via a \function pragma (and hence its value is a filter)
 */
-Widget.prototype.setVariable = function(name,value,params,isMacroDefinition) {
-	this.variables[name] = {value: value, params: params, isMacroDefinition: !!isMacroDefinition};
+Widget.prototype.setVariable = function(name,value,params,isMacroDefinition,options) {
+	options = options || {};
+	this.variables[name] = {
+		value: value,
+		params: params,
+		isMacroDefinition: !!isMacroDefinition,
+		isProcedureDefinition: !!options.isProcedureDefinition,
+		isFunctionDefinition: !!options.isFunctionDefinition
+	};
 };
 
 /*
@@ -116,19 +127,24 @@ Widget.prototype.getVariableInfo = function(name,options) {
 			originalValue = variable.value,
 			value = originalValue,
 			params = this.resolveVariableParameters(variable.params,actualParams);
-		// Substitute any parameters specified in the definition
-		$tw.utils.each(params,function(param) {
-			value = $tw.utils.replaceString(value,new RegExp("\\$" + $tw.utils.escapeRegExp(param.name) + "\\$","mg"),param.value);
-		});
-		// Only substitute variable references if this variable was defined with the \define pragma
-		if(variable.isMacroDefinition) {
-			value = this.substituteVariableReferences(value);			
+		if(variable.isFunctionDefinition) {
+			// The value of a function is the first result of its filter
+			value = this.runFilterFunction(variable,actualParams)[0] || "";
+		} else if(!variable.isProcedureDefinition) {
+			// Substitute any parameters specified in the definition
+			$tw.utils.each(params,function(param) {
+				value = $tw.utils.replaceString(value,new RegExp("\\$" + $tw.utils.escapeRegExp(param.name) + "\\$","mg"),param.value);
+			});
+			// Only substitute variable references if this variable was defined with the \define pragma
+			if(variable.isMacroDefinition) {
+				value = this.substituteVariableReferences(value);			
+			}
 		}
 		return {
 			text: value,
 			params: params,
 			srcVariable: variable,
-			isCacheable: originalValue === value
+			isCacheable: !variable.isFunctionDefinition && originalValue === value
 		};
 	}
 	// If the variable doesn't exist in the parent widget then look for a macro module
@@ -144,6 +160,45 @@ Widget.prototype.getVariable = function(name,options) {
 	return this.getVariableInfo(name,options).text;
 };
 
+/*
+Get the definition of a filter function defined with the \function pragma, or null if there isn't a function with the given name
+*/
+Widget.prototype.getFilterFunction = function(name) {
+	var parentWidget = this.parentWidget;
+	if(parentWidget && name in parentWidget.variables && parentWidget.variables[name].isFunctionDefinition) {
+		return parentWidget.variables[name];
+	}
+	return null;
+};
+
+/*
+Run a filter function, passing the parameters to the filter as variables. Returns an array of titles
+variable: the definition of the function
+actualParams: array of {name:, value:} for each parameter
+source: optional iterator for the input to the filter
+*/
+Widget.prototype.runFilterFunction = function(variable,actualParams,source) {
+	var variables = Object.create(null);
+	$tw.utils.each(this.resolveVariableParameters(variable.params,actualParams),function(param) {
+		variables[param.name] = param.value;
+	});
+	return this.wiki.filterTiddlers(variable.value,this.makeFakeWidgetWithVariables(variables),source);
+};
+
+/*
+Make an object that can be used in place of this widget to evaluate filters and get variables, with the given hashmap of additional variables
+*/
+Widget.prototype.makeFakeWidgetWithVariables = function(variables) {
+	var fakeWidget = Object.create(this);
+	// Variables are looked up in the parent widget, so the fake widget has a fake parent with the additional variables
+	fakeWidget.variables = Object.create(this.variables);
+	$tw.utils.each(variables,function(value,name) {
+		fakeWidget.variables[name] = {value: value, params: [], isMacroDefinition: false};
+	});
+	fakeWidget.parentWidget = {variables: fakeWidget.variables};
+	return fakeWidget;
+};
+
 Widget.prototype.resolveVariableParameters = function(formalParams,actualParams) {
 	formalParams = formalParams || [];
 	actualParams = actualParams || [];
@@ -13,26 +13,28 @@ Bulk tiddler operations such as rename.
 "use strict";
 
 /*
-Rename a tiddler, and relink any tags or lists that reference it.
+Rename a tiddler, and relink any tags or lists that reference it. The changes are made in a single transaction
 */
 function renameTiddler(fromTitle,toTitle,options) {
 	fromTitle = (fromTitle || "").trim();
 	toTitle = (toTitle || "").trim();
 	options = options || {};
 	if(fromTitle && toTitle && fromTitle !== toTitle) {
-		// Rename the tiddler itself
-		var oldTiddler = this.getTiddler(fromTitle),
-			newTiddler = new $tw.Tiddler(oldTiddler,{title: toTitle},this.getModificationFields());
-		newTiddler = $tw.hooks.invokeHook("th-renaming-tiddler",newTiddler,oldTiddler);
-		this.addTiddler(newTiddler);
-		this.deleteTiddler(fromTitle);
-		// Rename any tags or lists that reference it
-		this.relinkTiddler(fromTitle,toTitle,options)
+		this.transaction(function() {
+			// Rename the tiddler itself
+			var oldTiddler = this.getTiddler(fromTitle),
+				newTiddler = new $tw.Tiddler(oldTiddler,{title: toTitle},this.getModificationFields());
+			newTiddler = $tw.hooks.invokeHook("th-renaming-tiddler",newTiddler,oldTiddler);
+			this.addTiddler(newTiddler);
+			this.deleteTiddler(fromTitle);
+			// Rename any tags or lists that reference it
+			this.relinkTiddler(fromTitle,toTitle,options)
+		});
 	}
 }
 
 /*
-Relink any tags or lists that reference a given tiddler
+Relink any tags or lists that reference a given tiddler. The modified tiddlers are saved in a single transaction
 */
 function relinkTiddler(fromTitle,toTitle,options) {
 	var self = this;
@@ -40,6 +42,7 @@ function relinkTiddler(fromTitle,toTitle,options) {
 	toTitle = (toTitle || "").trim();
 	options = options || {};
 	if(fromTitle && toTitle && fromTitle !== toTitle) {
+		var modifiedTiddlers = [];
 		this.each(function(tiddler,title) {
 			var type = tiddler.fields.type || "";
 			// Don't touch plugins or JavaScript modules
@@ -70,10 +73,13 @@ console.log("Renaming list item '" + list[index] + "' to '" + toTitle + "' of ti
 				if(isModified) {
 					var newTiddler = new $tw.Tiddler(tiddler,{tags: tags, list: list},self.getModificationFields())
 					newTiddler = $tw.hooks.invokeHook("th-relinking-tiddler",newTiddler,tiddler);
-					self.addTiddler(newTiddler);
+					modifiedTiddlers.push(newTiddler);
 				}
 			}
 		});
+		this.transaction(function() {
+			self.addTiddlers(modifiedTiddlers);
+		});
 	}
 };
 
@@ -0,0 +1,141 @@
+/*\
+title: $:/core/modules/wiki-schema.js
+type: application/javascript
+module-type: wikimethod
+
+Validation of tiddler fields against the field schemas declared in tiddlers tagged $:/tags/FieldSchema
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var SCHEMA_TAG = "$:/tags/FieldSchema";
+
+/*
+Get the field schemas declared in the wiki as an array of {title:, tag:, type:, fields:}. The text of each schema tiddler is a JSON object giving the definition of each field by name. The "schema-tag" and "schema-type" fields of the schema tiddler determine the tiddlers that it applies to
+*/
+exports.getFieldSchemas = function() {
+	var self = this;
+	return this.getGlobalCache("field-schemas",function() {
+		var schemas = [];
+		$tw.utils.each(self.getTiddlersWithTag(SCHEMA_TAG),function(title) {
+			var tiddler = self.getTiddler(title),
+				fields = self.getTiddlerData(title,{});
+			if(tiddler && (tiddler.fields["schema-tag"] || tiddler.fields["schema-type"]) && typeof fields === "object") {
+				schemas.push({
+					title: title,
+					tag: tiddler.fields["schema-tag"],
+					type: tiddler.fields["schema-type"],
+					fields: fields
+				});
+			}
+		});
+		return schemas;
+	});
+};
+
+/*
+Get the field schemas that apply to a tiddler
+*/
+exports.getTiddlerFieldSchemas = function(tiddler) {
+	var tags = tiddler.fields.tags || [],
+		type = tiddler.fields.type || "text/vnd.tiddlywiki";
+	return this.getFieldSchemas().filter(function(schema) {
+		return (!schema.tag || tags.indexOf(schema.tag) !== -1) && (!schema.type || schema.type === type);
+	});
+};
+
+/*
+Check the fields of a tiddler against the field schemas that apply to it. Drafts are checked as they would be saved. Returns an array of {field:, schema:, message:} for each problem found, or an empty array if the tiddler is valid
+*/
+exports.validateTiddler = function(tiddler) {
+	var self = this,
+		errors = [];
+	if(typeof tiddler === "string") {
+		tiddler = this.getTiddler(tiddler);
+	}
+	if(!tiddler) {
+		return errors;
+	}
+	if(tiddler.isDraft()) {
+		tiddler = new $tw.Tiddler(tiddler,{title: tiddler.fields["draft.title"], "draft.title": undefined, "draft.of": undefined});
+	}
+	$tw.utils.each(this.getTiddlerFieldSchemas(tiddler),function(schema) {
+		$tw.utils.each(schema.fields,function(definition,name) {
+			var error = validateField(self,tiddler,name,definition || {});
+			if(error) {
+				errors.push({
+					field: name,
+					schema: schema.title,
+					message: name + ": " + $tw.language.getString("FieldSchema/Error/" + error.type,{variables: error.variables})
+				});
+			}
+		});
+	});
+	return errors;
+};
+
+/*
+Check a field against its definition, returning {type:, variables:} describing the problem, or null if it is valid
+*/
+function validateField(wiki,tiddler,name,definition) {
+	var value = tiddler.hasField(name) ? tiddler.getFieldString(name) : "";
+	if(value === "") {
+		return definition.required ? {type: "Required"} : null;
+	}
+	var values = $tw.utils.isArray(definition.values) ? definition.values : null,
+		items = definition.type === "list" ? tiddler.getFieldList(name) : [value],
+		pattern;
+	if(definition.pattern) {
+		try {
+			pattern = new RegExp(definition.pattern);
+		} catch(e) {
+			return {type: "BadPattern", variables: {pattern: definition.pattern}};
+		}
+	}
+	for(var t=0; t<items.length; t++) {
+		var item = items[t];
+		switch(definition.type) {
+			case "date":
+				if(!isDateString(item)) {
+					return {type: "Date", variables: {value: item}};
+				}
+				break;
+			case "number":
+				if(!/^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(item)) {
+					return {type: "Number", variables: {value: item}};
+				}
+				break;
+			case "title":
+				if(!wiki.tiddlerExists(item) && !wiki.isShadowTiddler(item)) {
+					return {type: "Title", variables: {value: item}};
+				}
+				break;
+		}
+		if((definition.type === "enum" || definition.type === "list") && values && values.indexOf(item) === -1) {
+			return {type: "Enum", variables: {value: item, values: values.join(", ")}};
+		}
+		if(pattern && !pattern.test(item)) {
+			return {type: "Pattern", variables: {value: item, pattern: definition.pattern}};
+		}
+	}
+	return null;
+}
+
+/*
+Check that a string is a valid date in the format used for tiddler fields, YYYYMMDDHHMMSSmmm, where the time or part of it may be omitted
+*/
+function isDateString(value) {
+	var match = /^(-?\d{4})(\d{2})(\d{2})(?:(\d{2})(?:(\d{2})(?:(\d{2})(\d{3})?)?)?)?$/.exec(value);
+	if(!match) {
+		return false;
+	}
+	var date = $tw.utils.parseDate(value);
+	return date.getUTCMonth() + 1 === parseInt(match[2],10) && date.getUTCDate() === parseInt(match[3],10) &&
+		parseInt(match[4] || "0",10) < 24 && parseInt(match[5] || "0",10) < 60 && parseInt(match[6] || "0",10) < 60;
+}
+
+})();
@@ -362,7 +362,13 @@ exports.sortTiddlers = function(titles,sortField,isDescending,isCaseSensitive,is
 			};
 		if(sortField !== "title") {
 			var tiddlerA = self.getTiddler(a),
-				tiddlerB = self.getTiddler(b);
+				tiddlerB = self.getTiddler(b),
+				compareFieldType = getFieldTypeCompare(sortField,tiddlerA,tiddlerB);
+			// Fields with a declared type are compared by their type
+			if(compareFieldType) {
+				var result = compareFieldType(tiddlerA && tiddlerA.fields[sortField],tiddlerB && tiddlerB.fields[sortField]);
+				return isDescending ? -result : result;
+			}
 			if(tiddlerA) {
 				a = tiddlerA.fields[sortField] || "";
 			} else {
@@ -394,6 +400,19 @@ exports.sortTiddlers = function(titles,sortField,isDescending,isCaseSensitive,is
 	});
 };
 
+/*
+Get the compare function of the type of a field, or null if the field doesn't have the same type with a compare function in both tiddlers. Missing tiddlers are taken to have the same type of field as the other tiddler
+*/
+function getFieldTypeCompare(fieldName,tiddlerA,tiddlerB) {
+	var fieldTypeA = tiddlerA ? $tw.Tiddler.getFieldType(fieldName,tiddlerA.fields.type) : undefined,
+		fieldTypeB = tiddlerB ? $tw.Tiddler.getFieldType(fieldName,tiddlerB.fields.type) : undefined,
+		fieldType = fieldTypeA || fieldTypeB;
+	if(fieldType && fieldType.compare && (fieldTypeA === undefined || fieldTypeA === fieldType) && (fieldTypeB === undefined || fieldTypeB === fieldType)) {
+		return fieldType.compare;
+	}
+	return null;
+}
+
 /*
 For every tiddler invoke a callback(title,tiddler) with `this` set to the wiki object. Options include:
 sortField: field to sort by
@@ -566,8 +585,7 @@ exports.findListingsOfTiddler = function(targetTitle,fieldName) {
 	fieldName = fieldName || "list";
 	var titles = [];
 	this.each(function(tiddler,title) {
-		var list = $tw.utils.parseStringArray(tiddler.fields[fieldName]);
-		if(list && list.indexOf(targetTitle) !== -1) {
+		if(tiddler.getFieldList(fieldName).indexOf(targetTitle) !== -1) {
 			titles.push(title);
 		}
 	});
@@ -806,7 +824,7 @@ exports.getTiddlerList = function(title,field,index) {
 	field = field || "list";
 	var tiddler = this.getTiddler(title);
 	if(tiddler) {
-		return ($tw.utils.parseStringArray(tiddler.fields[field]) || []).slice(0);
+		return tiddler.getFieldList(field).slice(0);
 	}
 	return [];
 };
@@ -842,7 +860,7 @@ exports.getCacheForTiddler = function(title,cacheName,initializer) {
 	}
 };
 
-// Clear all caches associated with a particular tiddler, or, if the title is null, clear all the caches for all the tiddlers
+// Clear all caches associated with a particular tiddler, or, if the title is null, clear all the caches for all the tiddlers. Compiled filters that might depend on the tiddler are also discarded
 exports.clearCache = function(title) {
 	if(title) {
 		this.caches = this.caches || Object.create(null);
@@ -852,6 +870,7 @@ exports.clearCache = function(title) {
 	} else {
 		this.caches = Object.create(null);
 	}
+	this.invalidateFilterCache(title);
 };
 
 exports.initParsers = function(moduleType) {
@@ -946,9 +965,9 @@ exports.parseTextReference = function(title,field,index,options) {
 			if(!tiddler || !tiddler.hasField(field)) {
 				return null;
 			}
-			text = tiddler.fields[field];
+			text = tiddler.getFieldString(field);
 		}
-		return this.parseText("text/vnd.tiddlywiki",text.toString(),options);
+		return this.parseText("text/vnd.tiddlywiki",text,options);
 	} else if(index) {
 		this.getTiddlerText(title); // Force the tiddler to be lazily loaded
 		text = this.extractTiddlerDataItem(tiddler,index,undefined);
@@ -1112,6 +1131,7 @@ Options available:
 	field: If specified, restricts the search to the specified field, or an array of field names
 	anchored: If true, forces all but regexp searches to be anchored to the start of text
 	excludeField: If true, the field options are inverted to specify the fields that are not to be searched
+	indexUsed: Optional function called with the name of the index if the search index is used
 	The search mode is determined by the first of these boolean flags to be true
 		literal: searches for literal string
 		whitespace: same as literal except runs of whitespace are treated as a single space
@@ -1122,7 +1142,9 @@ exports.search = function(text,options) {
 	options = options || {};
 	var self = this,
 		t,
-		invert = !!options.invert;
+		invert = !!options.invert,
+		matchAnyTerm = false,
+		isFuzzy = false;
 	// Convert the search string into a regexp for each term
 	var terms, searchTermsRegExps,
 		flags = options.caseSensitive ? "" : "i",
@@ -1149,13 +1171,24 @@ exports.search = function(text,options) {
 			console.log("Regexp error parsing /(" + text + ")/" + flags + ": ",e);
 		}
 	} else {
+		matchAnyTerm = !!options.some;
+		isFuzzy = !!options.fuzzy;
 		terms = text.split(/ +/);
 		if(terms.length === 1 && terms[0] === "") {
 			searchTermsRegExps = null;
 		} else {
 			searchTermsRegExps = [];
 			for(t=0; t<terms.length; t++) {
-				searchTermsRegExps.push(new RegExp("(" + anchor + $tw.utils.escapeRegExp(terms[t]) + ")",flags));
+				if(options.fuzzy) {
+					// Fuzzy matchers can be used in place of regexps
+					searchTermsRegExps.push($tw.utils.makeFuzzyMatcher(terms[t],{
+						caseSensitive: options.caseSensitive,
+						anchored: options.anchored,
+						transliterate: options.transliterate
+					}));
+				} else {
+					searchTermsRegExps.push(new RegExp("(" + anchor + $tw.utils.escapeRegExp(terms[t]) + ")",flags));
+				}
 			}
 		}
 	}
@@ -1178,11 +1211,40 @@ exports.search = function(text,options) {
 		fields.push("tags");
 		fields.push("text");
 	}
+	// Use the search index to rule out tiddlers that can't match, if the search only covers indexed fields
+	var candidates = null,
+		searchIndexer = this.getIndexer("SearchIndexer");
+	if(searchIndexer && searchTermsRegExps && !options.regexp && !options.whitespace && !options.excludeField) {
+		var isIndexedSearch = true;
+		$tw.utils.each(fields,function(fieldName) {
+			isIndexedSearch = isIndexedSearch && searchIndexer.indexedFields.indexOf(fieldName) !== -1;
+		});
+		// The index can only find the fuzzy matches within a single token of a field
+		if(isFuzzy) {
+			$tw.utils.each(searchTermsRegExps,function(matcher) {
+				isIndexedSearch = isIndexedSearch && matcher.isSingleWord && !options.caseSensitive && !options.anchored;
+			});
+		}
+		if(isIndexedSearch) {
+			if(isFuzzy) {
+				candidates = searchIndexer.lookupFuzzy(searchTermsRegExps,{any: matchAnyTerm});
+			} else {
+				candidates = searchIndexer.lookup(options.literal ? [text] : terms,{any: matchAnyTerm});
+			}
+			if(candidates && options.indexUsed) {
+				options.indexUsed("search");
+			}
+		}
+	}
 	// Function to check a given tiddler for the search term
 	var searchTiddler = function(title) {
 		if(!searchTermsRegExps) {
 			return true;
 		}
+		// Missing tiddlers aren't in the index, but their titles can still match
+		if(candidates && !candidates[title] && self.getTiddler(title)) {
+			return false;
+		}
 		var notYetFound = searchTermsRegExps.slice();
 
 		var tiddler = self.getTiddler(title);
@@ -1236,7 +1298,7 @@ exports.search = function(text,options) {
 				}
 			}
 		};
-		return notYetFound.length == 0;
+		return matchAnyTerm ? notYetFound.length < searchTermsRegExps.length : notYetFound.length == 0;
 	};
 	// Loop through all the tiddlers doing the search
 	var results = [],
@@ -1255,9 +1317,106 @@ exports.search = function(text,options) {
 			}
 		}
 	}
+	// Order the results by relevance if required
+	if(options.ranked && searchTermsRegExps && !invert) {
+		results = this.rankSearchResults(results,searchTermsRegExps,{
+			field: fields,
+			excludeField: options.excludeField,
+			caseSensitive: options.caseSensitive
+		});
+	}
 	return results;
 };
 
+/*
+Order the results of a search by relevance, using the BM25F scoring function. Matches in the title count for more than matches in the tags, which in turn count for more than matches in other fields. The term statistics are gathered from the results themselves, so a term that appears in fewer of the results contributes more to the score
+titles: array of titles to be ranked
+regExps: array of regexps or fuzzy matchers for the search terms
+options: see below
+Options available:
+	field: array of fields that were searched (or excluded from the search, see below)
+	excludeField: true if the search covered all fields except those listed in the field option
+	caseSensitive: true if the terms were matched case sensitively
+Returns a new array of the titles, most relevant first
+*/
+exports.rankSearchResults = function(titles,regExps,options) {
+	options = options || {};
+	var self = this,
+		k1 = 1.2,
+		b = 0.75,
+		fieldWeights = {title: 3, tags: 2},
+		termCounters = regExps.map(function(regExp) {
+			if(regExp.count) {
+				return regExp.count;
+			}
+			var globalRegExp = new RegExp(regExp.source,(options.caseSensitive ? "" : "i") + "g");
+			return function(str) {
+				return (str.match(globalRegExp) || []).length;
+			};
+		}),
+		documentFrequencies = regExps.map(function() {return 0;}),
+		totalFieldLengths = Object.create(null),
+		fieldCounts = Object.create(null);
+	// Collect the number of times each term appears in each field of each tiddler
+	var stats = titles.map(function(title,index) {
+		var tiddler = self.getTiddler(title) || new $tw.Tiddler({title: title}),
+			contentTypeInfo = $tw.config.contentTypeInfo[tiddler.fields.type] || $tw.config.contentTypeInfo["text/vnd.tiddlywiki"],
+			fieldNames = options.field || ["title","tags","text"],
+			result = {title: title, index: index, fields: Object.create(null)};
+		if(options.excludeField) {
+			fieldNames = Object.keys(tiddler.fields).filter(function(fieldName) {
+				return options.field.indexOf(fieldName) === -1;
+			});
+		}
+		$tw.utils.each(fieldNames,function(fieldName) {
+			if(!tiddler.hasField(fieldName) || (fieldName === "text" && contentTypeInfo.encoding !== "utf8")) {
+				return;
+			}
+			var str = tiddler.getFieldString(fieldName),
+				length = str.split(/\s+/).length;
+			result.fields[fieldName] = {
+				length: length,
+				termCounts: termCounters.map(function(countMatches) {
+					return countMatches(str);
+				})
+			};
+			totalFieldLengths[fieldName] = (totalFieldLengths[fieldName] || 0) + length;
+			fieldCounts[fieldName] = (fieldCounts[fieldName] || 0) + 1;
+		});
+		$tw.utils.each(termCounters,function(countMatches,termIndex) {
+			for(var fieldName in result.fields) {
+				if(result.fields[fieldName].termCounts[termIndex] > 0) {
+					documentFrequencies[termIndex]++;
+					break;
+				}
+			}
+		});
+		return result;
+	});
+	// Score each tiddler
+	$tw.utils.each(stats,function(result) {
+		result.score = 0;
+		$tw.utils.each(termCounters,function(countMatches,termIndex) {
+			var df = documentFrequencies[termIndex],
+				idf = Math.log(1 + (titles.length - df + 0.5) / (df + 0.5)),
+				weightedFrequency = 0;
+			for(var fieldName in result.fields) {
+				var field = result.fields[fieldName],
+					averageLength = totalFieldLengths[fieldName] / fieldCounts[fieldName];
+				weightedFrequency += (fieldWeights[fieldName] || 1) * field.termCounts[termIndex] / (1 - b + b * field.length / averageLength);
+			}
+			result.score += idf * weightedFrequency / (k1 + weightedFrequency);
+		});
+	});
+	// Sort by descending score, keeping the original order for equal scores
+	stats.sort(function(first,second) {
+		return (second.score - first.score) || (first.index - second.index);
+	});
+	return stats.map(function(result) {
+		return result.title;
+	});
+};
+
 /*
 Trigger a load for a tiddler if it is skinny. Returns the text, or undefined if the tiddler is missing, null if the tiddler is being lazily loaded.
 */
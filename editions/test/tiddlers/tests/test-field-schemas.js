@@ -0,0 +1,90 @@
+/*\
+title: test-field-schemas.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests checking tiddlers against field schemas.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Field schema tests', function() {
+	function setupWiki() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({
+			title: 'TaskSchema',
+			tags: ['$:/tags/FieldSchema'],
+			type: 'application/json',
+			'schema-tag': 'task',
+			text: JSON.stringify({
+				due: {type: 'date', required: true},
+				status: {type: 'enum', values: ['open','closed']},
+				estimate: {type: 'number'},
+				owner: {type: 'title'},
+				labels: {type: 'list', values: ['urgent','later']},
+				code: {pattern: '^[A-Z]{3}-\\d+$'}
+			})
+		});
+		wiki.addTiddler({title: 'Jane'});
+		wiki.addTiddler({title: 'Good', tags: ['task'], due: '20261019', status: 'open', estimate: '2.5', owner: 'Jane', labels: 'urgent later', code: 'ABC-12'});
+		wiki.addTiddler({title: 'Untagged', due: 'tomorrow'});
+		return wiki;
+	}
+
+	function getErrors(wiki,fields) {
+		wiki.addTiddler($tw.utils.extend({title: 'Test', tags: ['task'], due: '20261019'},fields));
+		return wiki.validateTiddler('Test').map(function(error) {
+			return error.field;
+		}).join(',');
+	}
+
+	it('should only check tiddlers that the schema applies to', function() {
+		var wiki = setupWiki();
+		expect(wiki.validateTiddler('Good')).toEqual([]);
+		expect(wiki.validateTiddler('Untagged')).toEqual([]);
+		expect(wiki.validateTiddler('Missing')).toEqual([]);
+	});
+
+	it('should check each kind of field', function() {
+		var wiki = setupWiki();
+		expect(getErrors(wiki,{due: undefined})).toBe('due');
+		expect(getErrors(wiki,{due: '20261345'})).toBe('due');
+		expect(getErrors(wiki,{due: '20261019123000000'})).toBe('');
+		expect(getErrors(wiki,{status: 'pending'})).toBe('status');
+		expect(getErrors(wiki,{estimate: 'lots'})).toBe('estimate');
+		expect(getErrors(wiki,{owner: 'Nobody'})).toBe('owner');
+		expect(getErrors(wiki,{labels: 'urgent [[some day]]'})).toBe('labels');
+		expect(getErrors(wiki,{code: 'abc-12'})).toBe('code');
+		expect(getErrors(wiki,{due: '', status: 'pending', code: 'X'})).toBe('due,status,code');
+	});
+
+	it('should check drafts as they would be saved', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: 'Draft of Good', 'draft.of': 'Good', 'draft.title': 'Good', tags: ['task'], due: 'soon'});
+		expect(wiki.validateTiddler('Draft of Good').length).toBe(1);
+		expect(wiki.validateTiddler('Draft of Good')[0].schema).toBe('TaskSchema');
+	});
+
+	it('should find invalid tiddlers with is[invalid] and describe the problems with fielderrors[]', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: 'Bad', tags: ['task'], due: 'soon', status: 'pending'});
+		expect(wiki.filterTiddlers('[is[invalid]]').join(',')).toBe('Bad');
+		expect(wiki.filterTiddlers('[tag[task]!is[invalid]]').join(',')).toBe('Good');
+		expect(wiki.filterTiddlers('[[Bad]fielderrors[]]').length).toBe(2);
+		expect(wiki.filterTiddlers('[[Bad]fielderrors[status]]').join(',')).toBe('status: "pending" is not one of open, closed');
+	});
+
+	it('should apply schemas by content type', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: 'DataSchema', tags: ['$:/tags/FieldSchema'], type: 'application/json', 'schema-type': 'text/plain', text: '{"source": {"required": true}}'});
+		wiki.addTiddler({title: 'Data', type: 'text/plain', text: 'Some data'});
+		expect(wiki.filterTiddlers('[is[invalid]]').join(',')).toBe('Data');
+		wiki.addTiddler({title: 'Data', type: 'text/plain', text: 'Some data', source: 'Elsewhere'});
+		expect(wiki.filterTiddlers('[is[invalid]]').join(',')).toBe('');
+	});
+});
+
+})();
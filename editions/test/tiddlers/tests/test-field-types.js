@@ -0,0 +1,76 @@
+/*\
+title: test-field-types.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests fields with declared types.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Field type tests', function() {
+	var fieldModules;
+
+	beforeEach(function() {
+		fieldModules = $tw.Tiddler.fieldModules;
+		$tw.Tiddler.fieldModules = $tw.utils.extend(Object.create(null),fieldModules,{
+			priority: {name: "priority", type: "number"},
+			done: {name: "done", type: "boolean"},
+			estimate: {name: "estimate", tiddlerTypes: {"application/x-task": "number"}}
+		});
+	});
+
+	afterEach(function() {
+		$tw.Tiddler.fieldModules = fieldModules;
+	});
+
+	function setupWiki() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: 'Ten', priority: '10', done: 'yes'});
+		wiki.addTiddler({title: 'Nine', priority: '9', done: 'no'});
+		wiki.addTiddler({title: 'Two', priority: '2.0'});
+		wiki.addTiddler({title: 'High', priority: 'high'});
+		wiki.addTiddler({title: 'None'});
+		return wiki;
+	}
+
+	it('should parse and stringify typed fields', function() {
+		var tiddler = new $tw.Tiddler({title: 'Test', priority: '2.50', done: 'true', created: 'garbage'});
+		expect(tiddler.fields.priority).toBe(2.5);
+		expect(tiddler.getFieldString('priority')).toBe('2.5');
+		expect(tiddler.fields.done).toBe(true);
+		expect(tiddler.getFieldString('done')).toBe('yes');
+		expect(tiddler.getFieldList('priority')).toEqual(['2.5']);
+		// Values that can't be parsed are kept as they are
+		expect(new $tw.Tiddler({title: 'Test', priority: 'high'}).fields.priority).toBe('high');
+		expect(tiddler.fields.created).toBe('garbage');
+		expect(new $tw.Tiddler(tiddler,{priority: 3}).isEqual(new $tw.Tiddler(tiddler,{priority: '3'}))).toBe(true);
+	});
+
+	it('should apply types declared for a content type', function() {
+		expect(new $tw.Tiddler({title: 'Test', estimate: '4'}).fields.estimate).toBe('4');
+		// The type of the tiddler can come after the field
+		expect(new $tw.Tiddler({title: 'Test', estimate: '4'},{type: 'application/x-task'}).fields.estimate).toBe(4);
+	});
+
+	it('should serialize typed fields as strings', function() {
+		var wiki = setupWiki();
+		expect(JSON.parse(wiki.getTiddlerAsJson('Ten'))).toEqual({title: 'Ten', priority: '10', done: 'yes'});
+		expect(wiki.filterTiddlers('[[Two]get[priority]]').join(',')).toBe('2');
+	});
+
+	it('should sort and compare fields by their type', function() {
+		var wiki = setupWiki();
+		expect(wiki.filterTiddlers('[all[tiddlers]sort[priority]]').join(',')).toBe('None,High,Two,Nine,Ten');
+		expect(wiki.filterTiddlers('[all[tiddlers]!sort[priority]]').join(',')).toBe('Ten,Nine,Two,High,None');
+		expect(wiki.filterTiddlers('[all[tiddlers]has[done]sort[done]]').join(',')).toBe('Nine,Ten');
+		expect(wiki.filterTiddlers('[all[tiddlers]compare::eq:done[true]]').join(',')).toBe('Ten');
+		expect(wiki.filterTiddlers('[[yes]compare:boolean:eq[true]]').join(',')).toBe('yes');
+		expect(wiki.filterTiddlers('[[no]compare:boolean:lt[yes]]').join(',')).toBe('no');
+	});
+});
+
+})();
@@ -89,6 +89,95 @@ describe("Filter tests", function() {
 		runTests(wiki);
 	});
 
+	describe("With the filter planner", function() {
+		var wiki = setupWiki(),
+			planRun = function(filterString) {
+				var operators = wiki.parseFilter(filterString)[0].operators;
+				return wiki.planFilterRun(operators,wiki.each,function(operator) {
+					return operator.operands.map(function(operand) {
+						return operand.text;
+					});
+				}).map(function(operator) {
+					return operator.operator;
+				}).join(",");
+			};
+		it("should start runs from the most selective indexed operator", function() {
+			expect(planRun("[!is[system]tag[two]]")).toBe("tag,is");
+			expect(planRun("[tag[one]modifier[JoeBloggs]]")).toBe("modifier,tag");
+			expect(planRun("[!is[system]tag[one]modifier[John]]")).toBe("tag,is,modifier");
+			expect(planRun("[!is[system]sort[]tag[two]]")).toBe("is,sort,tag");
+			expect(planRun("[!is[system]search:text:ranked[the]tag[two]]")).toBe("is,search,tag");
+			expect(wiki.filterTiddlers("[!is[system]tag[two]]").join(",")).toBe("Tiddler Three");
+		});
+		it("should cache compiled filters", function() {
+			expect(wiki.compileFilter("[tag[one]]")).toBe(wiki.compileFilter("[tag[one]]"));
+			expect(wiki.compileFilter("[tag[one]]")).not.toBe(wiki.compileFilter("[tag[two]]"));
+		});
+		it("should discard compiled filters when filter modules change", function() {
+			var wiki = new $tw.Wiki(),
+				compiledFilter = wiki.compileFilter("[tag[one]]");
+			wiki.addTiddler({title: "Ordinary", tags: "one"});
+			expect(wiki.compileFilter("[tag[one]]")).toBe(compiledFilter);
+			wiki.addTiddler({title: "$:/test/filters/myoperator.js", type: "application/javascript", "module-type": "filteroperator", text: ""});
+			expect(wiki.compileFilter("[tag[one]]")).not.toBe(compiledFilter);
+			compiledFilter = wiki.compileFilter("[tag[one]]");
+			wiki.deleteTiddler("$:/test/filters/myoperator.js");
+			expect(wiki.compileFilter("[tag[one]]")).not.toBe(compiledFilter);
+			expect(wiki.filterTiddlers("[tag[one]]").join(",")).toBe("Ordinary");
+		});
+		it("should only resolve each operand once", function() {
+			var resolved = [],
+				fakeWidget = {
+					getVariable: function(name) {
+						resolved.push(name);
+						return name === "tagName" ? "two" : undefined;
+					}
+				};
+			expect(wiki.filterTiddlers("[!is[system]tag<tagName>]",fakeWidget).join(",")).toBe("Tiddler Three");
+			expect(resolved.filter(function(name) {
+				return name === "tagName";
+			}).length).toBe(1);
+		});
+	});
+
+	describe("With filter explanations", function() {
+		var wiki = setupWiki();
+		it("should report each run and operator", function() {
+			var explanation = wiki.explainFilter("[!is[system]tag[one]] -[[TiddlerOne]] [search[the]]");
+			expect(explanation.results.join(",")).toBe(wiki.filterTiddlers("[!is[system]tag[one]] -[[TiddlerOne]] [search[the]]").join(","));
+			expect(explanation.runs.map(function(run) {
+				return run.prefix + run.text + ":" + run.outputSize;
+			}).join(",")).toBe("[!is[system]tag[one]]:2,-[title[TiddlerOne]]:1,[search[the]]:" + wiki.filterTiddlers("[search[the]]").length);
+			expect(explanation.runs[0].operators.map(function(operator) {
+				return operator.text + ":" + operator.inputSize + ":" + operator.outputSize + ":" + operator.index;
+			}).join(",")).toBe("tag[one]:" + explanation.runs[0].inputSize + ":2:tag,!is[system]:2:2:null");
+			expect(explanation.runs[2].operators[0].index).toBe("search");
+		});
+		it("should format explanations as text", function() {
+			var fakeWidget = {getVariable: function() {return "[tag[one]limit[1]]";}},
+				lines = wiki.filterTiddlers("[explain<filter>]",fakeWidget);
+			expect(lines.length).toBe(4);
+			expect(lines[0]).toMatch(/^Filter \[tag\[one\]limit\[1\]\]: 1 results, [\d\.]+ms$/);
+			expect(lines[3]).toMatch(/^ {4}limit\[1\]: 2 in, 1 out, [\d\.]+ms$/);
+		});
+	});
+
+	describe("With ranked search", function() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: "Notes", text: "A note about apples, pears and more apples"});
+		wiki.addTiddler({title: "Apples", text: "Fruit"});
+		wiki.addTiddler({title: "Recipes", text: "Pie", tags: ["apples"]});
+		wiki.addTiddler({title: "Pears", text: "Grown in orchards, unlike apples"});
+		it("should order the results by relevance", function() {
+			expect(wiki.filterTiddlers("[search::ranked[apples]]").join(",")).toBe("Apples,Recipes,Notes,Pears");
+			expect(wiki.filterTiddlers("[search:text:ranked[apples]]").join(",")).toBe("Notes,Pears");
+		});
+		it("should return snippets of the matching text", function() {
+			expect(wiki.renderText("text/html","text/vnd.tiddlywiki","<<search-snippet title:Notes search:pears length:20>>")).toBe("<p><span class=\"tc-search-snippet\">\u2026<mark class=\"tc-search-snippet-highlight\">pears</mark> and more\u2026</span></p>");
+			expect(wiki.renderText("text/html","text/vnd.tiddlywiki","<<search-snippet title:Pears search:'ORCHARDS <b>'>>")).toBe("<p><span class=\"tc-search-snippet\">Grown in <mark class=\"tc-search-snippet-highlight\">orchards</mark>, unlike apples</span></p>");
+		});
+	});
+
 function setupWiki(wikiOptions) {
 	// Create a wiki
 	var wiki = new $tw.Wiki(wikiOptions);
@@ -420,6 +509,26 @@ function runTests(wiki) {
 		expect(wiki.filterTiddlers("[search[fox one]sort[title]]").join(",")).toBe("TiddlerOne");
 	});
 
+	it("should handle the search operator's fuzzy flag", function() {
+		expect(wiki.filterTiddlers("[search:title:fuzzy[tidler tree]]").join(",")).toBe("Tiddler Three");
+		expect(wiki.filterTiddlers("[search:title:fuzzy[thee]sort[title]]").join(",")).toBe("Tiddler Three");
+		expect(wiki.filterTiddlers("[search:title:fuzzy[tre]sort[title]]").join(",")).toBe("");
+		expect(wiki.filterTiddlers("[search::fuzzy,some[mecry spian]sort[title]]").join(",")).toBe("$:/TiddlerTwo,a fourth tiddler");
+		expect(wiki.filterTiddlers("[search::fuzzy,anchored[qiuck]sort[title]]").join(",")).toBe("");
+		expect(wiki.filterTiddlers("[[Ça va]search:title:fuzzy[ca va]]").join(",")).toBe("");
+		expect(wiki.filterTiddlers("[[Ça va]search:title:fuzzy,transliterate[ca va]]").join(",")).toBe("Ça va");
+	});
+
+	it("should handle the search operator's some and literal modes", function() {
+		expect(wiki.filterTiddlers("[search::some[fox mercy]sort[title]]").join(",")).toBe("a fourth tiddler,TiddlerOne");
+		expect(wiki.filterTiddlers("[search::some[fox zzz]sort[title]]").join(",")).toBe("TiddlerOne");
+		expect(wiki.filterTiddlers("[!search::some[the]sort[title]]").join(",")).toBe("$:/ShadowPlugin");
+		expect(wiki.filterTiddlers("[search::literal[n in Sp]]").join(",")).toBe("$:/TiddlerTwo");
+		expect(wiki.filterTiddlers("[search::literal[in spain falls]]").join(",")).toBe("");
+		expect(wiki.filterTiddlers("[search:title:literal[r thr]]").join(",")).toBe("Tiddler Three");
+		expect(wiki.filterTiddlers("[[Missing fox]] TiddlerOne +[search[fox]]").join(",")).toBe("Missing fox,TiddlerOne");
+	});
+
 	it("should handle the each operator", function() {
 		expect(wiki.filterTiddlers("[each[modifier]sort[title]]").join(",")).toBe("$:/ShadowPlugin,$:/TiddlerTwo,hasList,TiddlerOne");
 		expect(wiki.filterTiddlers("[each:list-item[tags]sort[title]]").join(",")).toBe("one,two");
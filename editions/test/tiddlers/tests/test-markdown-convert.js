@@ -0,0 +1,65 @@
+/*\
+title: test-markdown-convert.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests converting text between WikiText and Markdown.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Markdown conversion tests', function() {
+	var WIKITEXT = "text/vnd.tiddlywiki",
+		MARKDOWN = "text/x-markdown";
+
+	function roundTrip(text,fromType,toType) {
+		var wiki = new $tw.Wiki();
+		return wiki.convertText(wiki.convertText(text,fromType,toType),toType,fromType);
+	}
+
+	it('should convert Markdown to WikiText and back', function() {
+		var wiki = new $tw.Wiki(),
+			samples = [
+				"# Heading *em*\n\nPara **bold** *em* `code` [link](https://example.com) and [Link](#Link)\n",
+				"- one\n- two\n  - nested\n\n1. first\n2. second\n",
+				"```js\nvar x = 1;\n```\n",
+				"| a | b |\n|:--|--:|\n| 1 | 2 |\n",
+				"See http://a //b and ~CamelCase, ''quotes'' and @@x@@\n\n---\n"
+			];
+		$tw.utils.each(samples,function(text) {
+			expect(roundTrip(text,MARKDOWN,WIKITEXT)).toBe(text);
+		});
+		expect(wiki.convertText(samples[1],MARKDOWN,WIKITEXT)).toBe("* one\n* two\n** nested\n\n# first\n# second");
+		expect(wiki.convertText(samples[3],MARKDOWN,WIKITEXT)).toBe("|!a | !b|h\n|1 | 2|");
+	});
+
+	it('should convert WikiText to Markdown and back', function() {
+		var wiki = new $tw.Wiki(),
+			samples = [
+				"! Heading //em//\n\nPara ''bold'' //em// `code` [ext[link|https://example.com]] and [[Link]] [[alias|Target Tiddler]]",
+				"* one\n* two\n** nested\n\n# first\n# second",
+				"|!a | !b|h\n|1 | 2|",
+				"Text with *stars* and _underscores_ and [brackets] and # hash\n\n---",
+				"{{Transcluded}} <<macro x>> ~CamelCase x~CamelCase ~$:/Sys"
+			];
+		$tw.utils.each(samples,function(text) {
+			expect(roundTrip(text,WIKITEXT,MARKDOWN)).toBe(text);
+		});
+		expect(wiki.convertText(samples[0],WIKITEXT,MARKDOWN)).toBe("# Heading *em*\n\nPara **bold** *em* `code` [link](https://example.com) and [Link](#Link) [alias](#Target%20Tiddler)\n");
+	});
+
+	it('should escape text that would be read as markup', function() {
+		var wiki = new $tw.Wiki(),
+			markdown = "See http://a //b and ~CamelCase\n\n\\* not a list",
+			wikitext = wiki.convertText(markdown,MARKDOWN,WIKITEXT);
+		expect(wikitext).toBe("See ~http://a <$text text=\"/\"/>/b and ~CamelCase\n\n<$text text=\"*\"/> not a list");
+		expect(wiki.renderText("text/html",WIKITEXT,wikitext)).toBe(wiki.renderText("text/html",MARKDOWN,markdown));
+		expect(wiki.convertText("\\# not a heading",MARKDOWN,WIKITEXT)).toBe("<$text text=\"#\"/> not a heading");
+		expect(wiki.convertText("! not a heading",MARKDOWN,WIKITEXT)).toBe("<$text text=\"!\"/> not a heading");
+	});
+});
+
+})();
@@ -0,0 +1,64 @@
+/*\
+title: test-markdown.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests the Markdown parser.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Markdown parser tests', function() {
+	function render(text) {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: "Markdown", type: "text/x-markdown", text: text});
+		return wiki.renderTiddler("text/html","Markdown");
+	}
+
+	it('should render task lists', function() {
+		expect(render("- [ ] todo\n- [x] done\n- plain")).toBe("<ul><li class=\"task-list-item\"><input disabled=\"disabled\" type=\"checkbox\"> todo</li><li class=\"task-list-item\"><input checked=\"checked\" disabled=\"disabled\" type=\"checkbox\"> done</li><li>plain</li></ul>");
+	});
+
+	it('should render tables with column alignment', function() {
+		expect(render("| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 | 3 |")).toBe("<table><thead><tr><th style=\"text-align:left\">a</th><th style=\"text-align:center\">b</th><th style=\"text-align:right\">c</th></tr></thead><tbody><tr><td style=\"text-align:left\">1</td><td style=\"text-align:center\">2</td><td style=\"text-align:right\">3</td></tr></tbody></table>");
+	});
+
+	it('should render footnotes that scroll without changing the location hash', function() {
+		var wiki = new $tw.Wiki(),
+			text = "Text[^1]\n\n[^1]: Note",
+			tree = wiki.parseText("text/x-markdown",text).tree,
+			ref = tree[0].children[1],
+			refButton = ref.children[0],
+			footnote = tree[2].children[0].children[0],
+			backrefButton = footnote.children[0].children[2];
+		expect(ref.tag).toBe("sup");
+		expect(refButton.type).toBe("button");
+		expect(refButton.attributes.href).toBe(undefined);
+		expect(refButton.children[0].type).toBe("action-sendmessage");
+		expect(refButton.children[0].attributes.$message.value).toBe("tm-scroll");
+		expect(refButton.children[0].attributes.selector.value).toBe("#" + footnote.attributes.id.value);
+		expect(backrefButton.children[0].attributes.selector.value).toBe("#" + ref.attributes.id.value);
+		// The footnotes of different tiddlers have different ids
+		var otherFootnote = wiki.parseText("text/x-markdown","Other[^1]\n\n[^1]: Note").tree[2].children[0].children[0];
+		expect(otherFootnote.attributes.id.value).not.toBe(footnote.attributes.id.value);
+		expect(render(text)).toContain("<li class=\"footnote-item\" id=\"" + footnote.attributes.id.value + "\"><p>Note <button class=\"tc-btn-invisible tc-tiddlylink footnote-backref\">");
+	});
+
+	it('should render WikiText links', function() {
+		expect(render("A [[Link]] and [[an alias|Target Tiddler]] and [[https://example.com]]")).toBe("<p>A <a class=\"tc-tiddlylink tc-tiddlylink-missing\" href=\"#Link\">Link</a> and <a class=\"tc-tiddlylink tc-tiddlylink-missing\" href=\"#Target%20Tiddler\">an alias</a> and <a class=\"tc-tiddlylink-external\" href=\"https://example.com\" rel=\"noopener noreferrer\" target=\"_blank\">https://example.com</a></p>");
+	});
+
+	it('should extract links for backlinks', function() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: "Markdown", type: "text/x-markdown", text: "- [[Link]]\n- [alias](#Target%20Tiddler)\n- [external](https://example.com)"});
+		wiki.addTiddler({title: "Target Tiddler", text: ""});
+		expect(wiki.getTiddlerLinks("Markdown")).toEqual(["Link","Target Tiddler"]);
+		expect(wiki.filterTiddlers("[[Target Tiddler]backlinks[]]")).toEqual(["Markdown"]);
+		expect(wiki.filterTiddlers("[[Link]backlinks[]]")).toEqual(["Markdown"]);
+	});
+});
+
+})();
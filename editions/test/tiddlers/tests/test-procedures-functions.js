@@ -0,0 +1,55 @@
+/*\
+title: test-procedures-functions.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests procedures and filter functions defined with the \procedure and \function pragmas.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Procedure and function tests', function() {
+	function setupWiki() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: 'Alpha', due: '20260101', tags: ['task']});
+		wiki.addTiddler({title: 'Beta', due: '20270101', tags: ['task']});
+		wiki.addTiddler({title: 'Gamma', tags: ['task']});
+		wiki.addTiddler({title: 'Definitions', text: '\\function my.overdue(date:20261019) [tag[task]has[due]] :filter[get[due]compare:date:lt<date>]\n\\procedure greet(name) Hello <$text text=<<name>>/>!\n'});
+		return wiki;
+	}
+
+	function render(wiki,text) {
+		return wiki.renderText('text/plain','text/vnd.tiddlywiki',text);
+	}
+
+	it('should pass procedure parameters as variables', function() {
+		var wiki = setupWiki();
+		expect(render(wiki,'\\procedure greet(name:world)\nHello <$text text=<<name>>/>, not $name$!\n\\end\n<<greet>> <<greet "Jane">>')).toBe('Hello world, not $name$! Hello Jane, not $name$!');
+		// Parameters are real variables, so they are visible to transcluded content
+		wiki.addTiddler({title: 'Sub', text: '<$text text=<<name>>/>'});
+		expect(render(wiki,'\\procedure show(name) [{{Sub}}]\n<<show "[[x]]">>')).toBe('[[[x]]]');
+	});
+
+	it('should call functions as filter operators and as variables', function() {
+		var wiki = setupWiki();
+		var defs = '\\function my.due() [get[due]]\n\\function my.before(date) [my.due[]compare:date:lt<date>]\n';
+		expect(render(wiki,defs + '<$text text={{{ [[Alpha]my.due[]] }}}/>')).toBe('20260101');
+		expect(render(wiki,defs + '<$text text={{{ [tag[task]] :filter[my.before[20261019]] +[join[,]] }}}/>')).toBe('Alpha');
+		expect(render(wiki,defs + '<$text text={{{ [tag[task]function[my.before],[20300101]] +[join[,]] }}}/>')).toBe('20260101,20270101');
+		expect(render(wiki,'\\function total(a,b) [<a>add<b>]\n<<total 2 3>> <$text text=<<total a:1 b:4>>/>')).toBe('5 5');
+		// Functions that aren't defined are treated as fields
+		expect(render(wiki,'<$text text={{{ [my.due[20260101]] }}}/>')).toBe('');
+	});
+
+	it('should import procedures and functions', function() {
+		var wiki = setupWiki();
+		expect(render(wiki,'\\import Definitions\n<<greet Jane>> <$text text={{{ [my.overdue[]] +[join[,]] }}}/>')).toBe('Hello Jane! Alpha');
+		expect(render(wiki,'<$importvariables filter="Definitions"><$text text={{{ [my.overdue[20280101]] +[join[,]] }}}/></$importvariables>')).toBe('Alpha,Beta');
+		expect(render(wiki,'<$text text={{{ [my.overdue[20280101]] +[join[,]] }}}/>')).toBe('');
+	});
+});
+
+})();
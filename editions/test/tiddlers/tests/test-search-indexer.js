@@ -0,0 +1,123 @@
+/*\
+title: test-search-indexer.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests that the search index is kept up to date as tiddlers change.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Search indexer tests', function() {
+	function setupWiki() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: 'Fruit', text: 'Apples and oranges', tags: ['food']});
+		wiki.addTiddler({title: 'Veg', text: 'Carrots and peas', tags: ['food']});
+		// Build the index before making any changes
+		expect(wiki.filterTiddlers('[search[and]sort[]]').join(',')).toBe('Fruit,Veg');
+		return wiki;
+	}
+
+	it('should find tiddlers added after the index was built', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: 'Nuts', text: 'Almonds', tags: ['snack']});
+		expect(wiki.filterTiddlers('[search[almond]]').join(',')).toBe('Nuts');
+		expect(wiki.filterTiddlers('[search[snack]]').join(',')).toBe('Nuts');
+	});
+
+	it('should forget the old text of modified tiddlers', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: 'Fruit', text: 'Pears'});
+		expect(wiki.filterTiddlers('[search[apples]]').join(',')).toBe('');
+		expect(wiki.filterTiddlers('[search[food]]').join(',')).toBe('Veg');
+		expect(wiki.filterTiddlers('[search[pear]]').join(',')).toBe('Fruit');
+	});
+
+	it('should forget deleted tiddlers', function() {
+		var wiki = setupWiki();
+		wiki.deleteTiddler('Veg');
+		expect(wiki.filterTiddlers('[all[tiddlers]search[carrots]]').join(',')).toBe('');
+	});
+
+	it('should not index the text of binary tiddlers', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: 'Picture', text: 'iVBORw0KGgo', type: 'image/png'});
+		expect(wiki.filterTiddlers('[search[ivbor]]').join(',')).toBe('');
+		expect(wiki.filterTiddlers('[search[picture]]').join(',')).toBe('Picture');
+	});
+
+	it('should look up strings within words', function() {
+		var wiki = setupWiki(),
+			indexer = wiki.getIndexer('SearchIndexer');
+		expect(Object.keys(indexer.lookup(['pple'])).join(',')).toBe('Fruit');
+		expect(Object.keys(indexer.lookup(['ar'])).join(',')).toBe('Veg');
+		expect(Object.keys(indexer.lookup(['xyz']))).toEqual([]);
+		wiki.addTiddler({title: 'Fruit', text: 'Pears'});
+		expect(Object.keys(indexer.lookup(['pple']))).toEqual([]);
+		expect(Object.keys(indexer.lookup(['ear'])).join(',')).toBe('Fruit');
+	});
+
+	it('should index words in any script', function() {
+		var wiki = setupWiki(),
+			indexer = wiki.getIndexer('SearchIndexer');
+		wiki.addTiddler({title: 'Words', text: 'Café crème, ΟΔΟΣ and 日本語のテキスト'});
+		expect(Object.keys(indexer.lookup(['crème'])).join(',')).toBe('Words');
+		expect(Object.keys(indexer.lookup(['日本'])).join(',')).toBe('Words');
+		expect(wiki.filterTiddlers('[search[crème]]').join(',')).toBe('Words');
+		expect(wiki.filterTiddlers('[search[テキスト]]').join(',')).toBe('Words');
+		expect(wiki.filterTiddlers('[search[οδος]]').join(',')).toBe('Words');
+		expect(wiki.filterTiddlers('[search[cafe]]').join(',')).toBe('');
+	});
+
+	it('should find the same fuzzy matches as a search without the index', function() {
+		var wiki = setupWiki(),
+			unindexedWiki = new $tw.Wiki({enableIndexers: []}),
+			tiddlers = [
+				{title: 'Recipes', text: 'Strawberry jam and gooseberry fool', tags: ['food']},
+				{title: 'Café', text: 'Crème brûlée, объект'},
+				{title: 'Travel', text: 'Trains to Barcelona'},
+				{title: 'Fruit', text: 'Apples and oranges', tags: ['food']},
+				{title: 'Veg', text: 'Carrots and peas', tags: ['food']}
+			],
+			filters = [
+				'[search::fuzzy[reciep]]',
+				'[search::fuzzy[strawbery]]',
+				'[search:text:fuzzy[gooseberyr fool]]',
+				'[search::fuzzy,some[barcleona pees]]',
+				'[search::fuzzy[aples]]',
+				'[search::fuzzy[oranegs]]',
+				'[search::fuzzy[gooseberrry]]',
+				'[search:title,tags:fuzzy[fod]]',
+				'[search::fuzzy,transliterate[creme brulee]]',
+				'[search::fuzzy,transliterate[obekt]]',
+				'[search::fuzzy,transliterate[cafe]]',
+				'[search::fuzzy,anchored[trian]]',
+				'[search::fuzzy,casesensitive[Trians]]',
+				'[search::fuzzy[to-barcelona]]'
+			],
+			indexUsed = [];
+		$tw.utils.each(tiddlers,function(tiddler) {
+			wiki.addTiddler(tiddler);
+			unindexedWiki.addTiddler(tiddler);
+		});
+		$tw.utils.each(filters,function(filter) {
+			expect(wiki.filterTiddlers(filter).sort()).toEqual(unindexedWiki.filterTiddlers(filter).sort());
+		});
+		expect(wiki.filterTiddlers('[search::fuzzy[reciep]]').join(',')).toBe('Recipes');
+		expect(wiki.filterTiddlers('[search::fuzzy[gooseberrry]]').join(',')).toBe('Recipes');
+		expect(wiki.filterTiddlers('[search::fuzzy[oranegs]]').join(',')).toBe('Fruit');
+		expect(wiki.filterTiddlers('[search::fuzzy,transliterate[obekt]]').join(',')).toBe('Café');
+		wiki.search('aples oranegs',{fuzzy: true, indexUsed: function(name) {
+			indexUsed.push(name);
+		}});
+		wiki.search('trian',{fuzzy: true, anchored: true, indexUsed: function(name) {
+			indexUsed.push('anchored');
+		}});
+		expect(indexUsed).toEqual(['search']);
+	});
+});
+
+})();
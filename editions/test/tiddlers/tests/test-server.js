@@ -0,0 +1,604 @@
+/*\
+title: test-server.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests the web server.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+if($tw.node) {
+	var fs = require("fs"),
+		os = require("os"),
+		path = require("path");
+}
+
+describe('Web server tests', function() {
+	if(!$tw.node) {
+		return;
+	}
+	var Server = require("$:/core/modules/server/server.js").Server;
+
+	function makeFolder(files) {
+		var folder = fs.mkdtempSync(path.join(os.tmpdir(),"tw-server-"));
+		$tw.utils.each(files,function(text,filename) {
+			$tw.utils.createDirectory(path.dirname(path.join(folder,filename)));
+			fs.writeFileSync(path.join(folder,filename),text,"utf8");
+		});
+		return folder;
+	}
+
+	function makeServer(variables,tiddlers,acl) {
+		var wiki = new $tw.Wiki(),
+			folder = makeFolder({
+				"acl.json": JSON.stringify(acl || {rules: [{filter: "[tag[Salary]]", readers: "hr", writers: "hr"}]})
+			});
+		wiki.addTiddler($tw.wiki.getTiddler("$:/core"));
+		wiki.addTiddlers(tiddlers);
+		wiki.readPluginInfo();
+		wiki.registerPluginTiddlers("plugin");
+		wiki.unpackPluginTiddlers();
+		return new Server({
+			wiki: wiki,
+			boot: $tw.utils.extend({},$tw.boot,{wikiPath: folder}),
+			variables: variables
+		});
+	}
+
+	function runRoute(server,routeTitle,username,queryParameters,headers,data,params) {
+		var response = {
+			writeHead: function(status,reason,headers) {
+				this.status = status;
+				this.headers = (typeof reason === "string" ? headers : reason) || {};
+			},
+			end: function(text) {
+				this.body = text;
+			}
+		};
+		require(routeTitle).handler({headers: headers || {}},response,{
+			server: server,
+			wiki: server.wiki,
+			authenticatedUsername: username,
+			syncadaptor: server.syncadaptor,
+			queryParameters: queryParameters,
+			data: data,
+			params: params
+		});
+		return response;
+	}
+
+	// The server plugins aren't part of the test edition, so their modules are loaded from the plugin folders. The modules are given as a hashmap of filename to module type, and the exports of the first one are returned
+	function requirePluginModules(pluginName,modules) {
+		var titles = [];
+		$tw.utils.each(modules,function(moduleType,filename) {
+			var title = "$:/plugins/tiddlywiki/" + pluginName + "/" + filename;
+			if(!$tw.modules.titles[title]) {
+				var text = fs.readFileSync(path.resolve($tw.boot.bootPath,"../plugins/tiddlywiki",pluginName,filename),"utf8");
+				$tw.modules.define(title,moduleType,new Function("module","exports","require",text));
+			}
+			titles.push(title);
+		});
+		return require(titles[0]);
+	}
+
+	function requireEventRoute() {
+		return requirePluginModules("tiddlyweb",{"sse-server.js": "route", "tiddlywebadaptor.js": "syncadaptor"});
+	}
+
+	function requireRevisionStore() {
+		return requirePluginModules("filesystem",{"revisionstore.js": "library"}).RevisionStore;
+	}
+
+	// Connect to the event stream of a server as a user, and return an object with the array of updates received and a function to close the connection
+	function connectEventStream(server,username) {
+		var connection = {updates: []},
+			request = {
+				headers: {accept: "text/event-stream"},
+				on: function(event,handler) {
+					if(event === "close") {
+						connection.close = handler;
+					}
+				}
+			},
+			response = {
+				writeHead: function() {},
+				write: function(text) {
+					connection.updates.push(JSON.parse(/\ndata: (.*)\n/.exec(text)[1]));
+				},
+				end: function() {}
+			};
+		requireEventRoute().handler(request,response,{
+			server: server,
+			wiki: server.wiki,
+			authenticatedUsername: username
+		});
+		return connection;
+	}
+
+	var ACL_WITH_GROUPS = {
+		groups: {managers: "carol,dave"},
+		rules: [
+			{filter: "[tag[Salary]]", readers: "hr,@managers", writers: "hr"},
+			{filter: "[tag[Draft]]", writers: "@managers"},
+			{filter: "[prefix[Board]]", readers: "(authenticated)", writers: "carol"}
+		]
+	};
+
+	function makeAclServer(variables) {
+		return makeServer($tw.utils.extend({acl: "acl.json"},variables),[
+			{title: "Salaries", tags: "Salary", text: "Top secret"},
+			{title: "Draft plan", tags: "Draft", text: "Plan"},
+			{title: "Board minutes", tags: "Draft", text: "Minutes"},
+			{title: "Board papers", text: "Papers"},
+			{title: "Public", text: "Public text"}
+		],ACL_WITH_GROUPS);
+	}
+
+	it('should deny reading and writing tiddlers according to the access control rules', function() {
+		var server = makeAclServer(),
+			wiki = server.wiki,
+			get = function(username,title) {
+				return runRoute(server,"$:/core/modules/server/routes/get-tiddler.js",username,{},{},null,[encodeURIComponent(title)]).status;
+			},
+			put = function(username,title,fields) {
+				return runRoute(server,"$:/core/modules/server/routes/put-tiddler.js",username,{},{},JSON.stringify(fields || {text: "Changed"}),[encodeURIComponent(title)]).status;
+			},
+			del = function(username,title) {
+				return runRoute(server,"$:/core/modules/server/routes/delete-tiddler.js",username,{},{},null,[encodeURIComponent(title)]).status;
+			};
+		// Readers
+		expect(get("alice","Salaries")).toBe(403);
+		expect(get(undefined,"Salaries")).toBe(403);
+		expect(get("hr","Salaries")).toBe(200);
+		expect(get("alice","Public")).toBe(200);
+		// Writers
+		expect(put("alice","Salaries")).toBe(403);
+		expect(del("alice","Salaries")).toBe(403);
+		expect(wiki.getTiddlerText("Salaries")).toBe("Top secret");
+		expect(put("hr","Salaries",{tags: "Salary", text: "Raised"})).toBe(204);
+		expect(wiki.getTiddlerText("Salaries")).toBe("Raised");
+		// Rules are checked against the new tiddler as well as the one it replaces
+		expect(put("alice","Bonuses",{tags: "Salary", text: "Large"})).toBe(403);
+		expect(wiki.tiddlerExists("Bonuses")).toBe(false);
+		expect(put("alice","Public",{tags: "Salary"})).toBe(403);
+		expect(wiki.getTiddlerText("Public")).toBe("Public text");
+		// A rule without a list of readers doesn't restrict reading
+		expect(get(undefined,"Draft plan")).toBe(200);
+		expect(put("alice","Draft plan",{tags: "Draft"})).toBe(403);
+		expect(del("bob","Draft plan")).toBe(403);
+		expect(wiki.tiddlerExists("Draft plan")).toBe(true);
+	});
+
+	it('should match group principals in access control rules', function() {
+		var server = makeAclServer();
+		expect(server.isAuthorizedForTiddler("readers","carol","Salaries",server.wiki)).toBe(true);
+		expect(server.isAuthorizedForTiddler("readers","dave","Salaries",server.wiki)).toBe(true);
+		expect(server.isAuthorizedForTiddler("writers","carol","Salaries",server.wiki)).toBe(false);
+		expect(server.isAuthorizedForTiddler("readers","bob","Salaries",server.wiki)).toBe(false);
+		expect(runRoute(server,"$:/core/modules/server/routes/delete-tiddler.js","dave",{},{},null,["Draft%20plan"]).status).toBe(204);
+		expect(server.wiki.tiddlerExists("Draft plan")).toBe(false);
+		expect(server.filterAuthorizedTitles("readers","carol",["Salaries","Public","Board papers"],server.wiki)).toEqual(["Salaries","Public","Board papers"]);
+		expect(server.filterAuthorizedTitles("readers","bob",["Salaries","Public","Board papers"],server.wiki)).toEqual(["Public","Board papers"]);
+	});
+
+	it('should govern each tiddler by the first access control rule that matches it', function() {
+		var server = makeAclServer();
+		// "Board minutes" matches the Draft rule before the Board rule, so anyone can read it but only managers can change it
+		expect(server.isAuthorizedForTiddler("readers",undefined,"Board minutes",server.wiki)).toBe(true);
+		expect(server.isAuthorizedForTiddler("writers","dave","Board minutes",server.wiki)).toBe(true);
+		// "Board papers" only matches the Board rule
+		expect(server.isAuthorizedForTiddler("readers",undefined,"Board papers",server.wiki)).toBe(false);
+		expect(server.isAuthorizedForTiddler("readers","bob","Board papers",server.wiki)).toBe(true);
+		expect(server.isAuthorizedForTiddler("writers","dave","Board papers",server.wiki)).toBe(false);
+		expect(server.isAuthorizedForTiddler("writers","carol","Board papers",server.wiki)).toBe(true);
+		// Tiddlers that don't match any rule are unrestricted
+		expect(server.isAuthorizedForTiddler("writers",undefined,"Public",server.wiki)).toBe(true);
+	});
+
+	it('should leave hidden tiddlers out of the wiki served to each user', function() {
+		var server = makeAclServer(),
+			getIndex = function(username) {
+				return runRoute(server,"$:/core/modules/server/routes/get-index.js",username).body;
+			},
+			html = getIndex("bob");
+		expect(html).toContain("Public text");
+		expect(html).toContain("Papers");
+		expect(html).not.toContain("Top secret");
+		html = getIndex(undefined);
+		expect(html).toContain("Minutes");
+		expect(html).not.toContain("Papers");
+		expect(getIndex("carol")).toContain("Top secret");
+		expect(server.getReadableWiki("bob").tiddlerExists("Salaries")).toBe(false);
+		expect(server.getReadableWiki("hr").tiddlerExists("Salaries")).toBe(true);
+	});
+
+	it('should leave hidden tiddlers out of the event stream', function(done) {
+		var server = makeAclServer({"sse-enabled": "yes"}),
+			wiki = server.wiki,
+			bob = connectEventStream(server,"bob"),
+			hr = connectEventStream(server,"hr"),
+			titles = function(update) {
+				return update.modifications.map(function(fields) {
+					return fields.title;
+				}).sort();
+			};
+		// Wait for the change events from creating the wiki to be dispatched
+		$tw.utils.nextTick(function() {
+			bob.updates = [];
+			hr.updates = [];
+			wiki.addTiddler({title: "Salaries", tags: "Salary", text: "Raised"});
+			wiki.addTiddler({title: "Public", text: "Changed"});
+			wiki.deleteTiddler("Board minutes");
+			$tw.utils.nextTick(checkUpdates);
+		});
+		function checkUpdates() {
+			bob.close();
+			hr.close();
+			expect(bob.updates.length).toBe(1);
+			expect(titles(bob.updates[0])).toEqual(["Public"]);
+			// Changes to tiddlers that the user can't read are sent as deletions so that any copies are discarded
+			expect(bob.updates[0].deletions.sort()).toEqual(["Board minutes","Salaries"]);
+			expect(JSON.stringify(bob.updates)).not.toContain("Raised");
+			expect(titles(hr.updates[0])).toEqual(["Public","Salaries"]);
+			expect(hr.updates[0].deletions).toEqual(["Board minutes"]);
+			done();
+		}
+	});
+
+	it('should not reveal protected tiddlers through queries', function() {
+		var server = makeServer({acl: "acl.json", "query-users": "alice,hr"},[
+				{title: "Salaries", tags: "Salary", text: "Top secret"},
+				{title: "Public", text: "Salary: {{Salaries}}"}
+			]),
+			query = function(username,filter,format) {
+				return JSON.parse(runRoute(server,"$:/core/modules/server/routes/get-query.js",username,{filter: filter, format: format}).body);
+			};
+		expect(query("alice","[tag[Salary]get[text]]").results).toEqual([]);
+		expect(query("alice","[[Public]] :filter[[Salaries]get[text]prefix[Top]]").results).toEqual([]);
+		expect(query("alice","[[Public]]","html").results[0].html).not.toContain("Top secret");
+		expect(query("alice","[[Salaries]]","tiddlers").results).toEqual([]);
+		expect(query("hr","[tag[Salary]get[text]]").results).toEqual(["Top secret"]);
+		expect(query("hr","[[Public]]","html").results[0].html).toContain("Top secret");
+		var response = runRoute(server,"$:/core/modules/server/routes/get-tiddlers-json.js","alice",{filter: "[[Public]] [[Salaries]]"});
+		expect(JSON.parse(response.body).map(function(fields) {return fields.title;})).toEqual(["Public"]);
+	});
+
+	it('should compute query Etags that change with the results', function() {
+		var server = makeServer({"query-users": "alice"},[
+				{title: "One", text: "{{Two}}"},
+				{title: "Two", text: "Text"}
+			]),
+			query = function(format,etag) {
+				return runRoute(server,"$:/core/modules/server/routes/get-query.js","alice",{filter: "[[One]]", format: format},{"if-none-match": etag});
+			},
+			titlesEtag = query("titles").headers.Etag,
+			htmlEtag = query("html").headers.Etag;
+		expect(titlesEtag).not.toBe(htmlEtag);
+		expect(query("titles",titlesEtag).status).toBe(304);
+		expect(query("html",htmlEtag).status).toBe(304);
+		// Changing a transcluded tiddler changes the rendered HTML but not the titles
+		server.wiki.addTiddler({title: "Two", text: "Changed"});
+		expect(query("titles",titlesEtag).status).toBe(304);
+		var response = query("html",htmlEtag);
+		expect(response.status).toBe(200);
+		expect(JSON.parse(response.body).results[0].html).toContain("Changed");
+	});
+
+	it('should save and delete batches of tiddlers all together or not at all', function() {
+		var server = makeServer({acl: "acl.json"},[
+				{title: "One", text: "One"},
+				{title: "Two", text: "Two"},
+				{title: "Salaries", tags: "Salary", text: "Top secret"}
+			]),
+			wiki = server.wiki,
+			post = function(username,batch) {
+				var response = runRoute(server,"$:/core/modules/server/routes/post-tiddlers.js",username,{},{},JSON.stringify(batch));
+				return {status: response.status, json: JSON.parse(response.body || "null")};
+			},
+			revision = function(title) {
+				return server.getTiddlerRevision(title,wiki);
+			},
+			response;
+		// Nothing is changed if any of the changes isn't allowed
+		response = post("alice",{save: [{tiddler: {title: "Three"}}], "delete": ["Salaries"]});
+		expect(response.status).toBe(403);
+		expect(response.json.forbidden).toEqual(["Salaries"]);
+		expect(wiki.tiddlerExists("Three")).toBe(false);
+		// Nor if any of the changes has no title
+		response = post("alice",{save: [{tiddler: {title: "Three"}}, {tiddler: {text: "No title"}}]});
+		expect(response.status).toBe(400);
+		expect(wiki.tiddlerExists("Three")).toBe(false);
+		response = post("alice",{save: [{tiddler: {title: "Three"}}], "delete": ["One",{revision: "0"}]});
+		expect(response.status).toBe(400);
+		expect(wiki.tiddlerExists("Three")).toBe(false);
+		expect(wiki.tiddlerExists("One")).toBe(true);
+		// Nor if a tiddler has been changed since the revision that a save or deletion is based on
+		response = post("alice",{save: [{tiddler: {title: "Three"}}], "delete": [{title: "One", revision: "0"}]});
+		expect(response.status).toBe(409);
+		expect(response.json.conflicts).toEqual(["One"]);
+		expect(wiki.tiddlerExists("One")).toBe(true);
+		// Changes that are made are rolled back if a later one fails
+		var deleteTiddler = wiki.deleteTiddler;
+		wiki.deleteTiddler = function(title) {
+			if(title === "Two") {
+				throw new Error("Failed to delete");
+			}
+			return deleteTiddler.apply(this,arguments);
+		};
+		spyOn($tw.utils,"log");
+		response = post("alice",{save: [{tiddler: {title: "One", text: "Changed"}}, {tiddler: {title: "Three"}}], "delete": ["Two"]});
+		wiki.deleteTiddler = deleteTiddler;
+		expect(response.status).toBe(500);
+		expect(wiki.getTiddlerText("One")).toBe("One");
+		expect(wiki.tiddlerExists("Three")).toBe(false);
+		expect(wiki.tiddlerExists("Two")).toBe(true);
+		// Otherwise all of the changes are made
+		response = post("alice",{save: [{tiddler: {title: "One", text: "Changed"}, revision: revision("One")}, {tiddler: {title: "Three"}}], "delete": [{title: "Two", revision: revision("Two")}]});
+		expect(response.status).toBe(200);
+		expect(response.json.saved.One.revision).toBe(revision("One"));
+		expect(response.json.deleted).toEqual(["Two"]);
+		expect(wiki.getTiddlerText("One")).toBe("Changed");
+		expect(wiki.tiddlerExists("Three")).toBe(true);
+		expect(wiki.tiddlerExists("Two")).toBe(false);
+		expect(post("hr",{"delete": ["Salaries"]}).status).toBe(200);
+	});
+
+	it('should push the fields and revisions of changed tiddlers to the event stream', function(done) {
+		var server = makeServer({"sse-enabled": "yes"},[]),
+			wiki = server.wiki,
+			connection = connectEventStream(server,"alice");
+		$tw.utils.nextTick(function() {
+			connection.updates = [];
+			wiki.addTiddler({title: "One", text: "Text", tags: "A [[B C]]", custom: "value"});
+			wiki.addTiddler({title: "Two", type: "text/plain"});
+			// Tiddlers left out of the skinny tiddler list aren't pushed either
+			wiki.addTiddler({title: "$:/temp/Scratch"});
+			wiki.addTiddler({title: "$:/status/Anything"});
+			wiki.addTiddler({title: "$:/isEncrypted", text: "no"});
+			wiki.deleteTiddler("$:/core");
+			$tw.utils.nextTick(function() {
+				expect(connection.updates.length).toBe(1);
+				var modifications = connection.updates[0].modifications;
+				expect(modifications.map(function(fields) {return fields.title;})).toEqual(["One","Two"]);
+				expect(modifications[0]).toEqual({title: "One", text: "Text", tags: "A [[B C]]", custom: "value", type: "text/vnd.tiddlywiki", bag: "default", revision: server.getTiddlerRevision("One")});
+				expect(modifications[1].type).toBe("text/plain");
+				expect(modifications[1].revision).toBe(server.getTiddlerRevision("Two"));
+				expect(connection.updates[0].deletions).toEqual([]);
+				// System tiddlers can be left out too
+				connection.updates = [];
+				wiki.addTiddler({title: "$:/config/SyncSystemTiddlersFromServer", text: "no"});
+				wiki.addTiddler({title: "$:/Settings"});
+				wiki.deleteTiddler("Two");
+				$tw.utils.nextTick(function() {
+					connection.close();
+					expect(connection.updates).toEqual([{modifications: [], deletions: ["Two"]}]);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should reject saves based on a revision that has since been changed or deleted', function() {
+		var tiddlers = [{title: "One", text: "One", modified: "20261019120000000"}],
+			server = makeServer({},tiddlers),
+			wiki = server.wiki,
+			put = function(ifMatch) {
+				return runRoute(server,"$:/core/modules/server/routes/put-tiddler.js","alice",{},{"if-match": ifMatch},JSON.stringify({text: "Changed"}),["One"]);
+			},
+			etag = function(revision) {
+				return "\"default/One/" + revision + ":\"";
+			},
+			revision = server.getTiddlerRevision("One"),
+			response = put(etag("0"));
+		expect(response.status).toBe(409);
+		expect(response.headers.Etag).toBe(etag(revision));
+		expect(wiki.getTiddlerText("One")).toBe("One");
+		response = put(etag(revision));
+		expect(response.status).toBe(204);
+		expect(response.headers.Etag).toBe(etag(server.getTiddlerRevision("One")));
+		expect(server.getTiddlerRevision("One")).not.toBe(revision);
+		// Saving a tiddler that has been deleted since it was loaded doesn't create it again
+		revision = server.getTiddlerRevision("One");
+		wiki.deleteTiddler("One");
+		response = put(etag(revision));
+		expect(response.status).toBe(409);
+		expect(response.headers.Etag).toBe(undefined);
+		expect(wiki.tiddlerExists("One")).toBe(false);
+		response = runRoute(server,"$:/core/modules/server/routes/post-tiddlers.js","alice",{},{},JSON.stringify({save: [{tiddler: {title: "One"}, revision: revision}]}));
+		expect(response.status).toBe(409);
+		expect(JSON.parse(response.body).conflicts).toEqual(["One"]);
+		expect(wiki.tiddlerExists("One")).toBe(false);
+		// Revisions stay the same when the server is restarted
+		server = makeServer({},tiddlers);
+		revision = server.getTiddlerRevision("One");
+		expect(makeServer({},tiddlers).getTiddlerRevision("One")).toBe(revision);
+		expect(put(etag(revision)).status).toBe(204);
+	});
+
+	it('should number and retrieve the revisions of tiddlers', function() {
+		var RevisionStore = requireRevisionStore(),
+			directory = path.join(makeFolder({}),"revisions"),
+			store = new RevisionStore({directory: directory});
+		expect(store.hasRevisions("One")).toBe(false);
+		expect(store.addRevision("One",{title: "One", text: "First", modified: "20261019120000000", modifier: "alice"})).toBe(1);
+		expect(store.addRevision("One",{title: "One", text: "Second", modified: "20261019130000000", modifier: "bob"})).toBe(2);
+		expect(store.addRevision("One",null)).toBe(3);
+		expect(store.addRevision("Two",{title: "Two"})).toBe(1);
+		expect(store.hasRevisions("One")).toBe(true);
+		expect(store.getRevisions("One").map(function(summary) {
+			return [summary.revision,summary.modified,summary.modifier,!!summary.deleted];
+		})).toEqual([[3,undefined,undefined,true],[2,"20261019130000000","bob",false],[1,"20261019120000000","alice",false]]);
+		expect(store.getRevision("One",2).text).toBe("Second");
+		expect(store.getRevision("One",3)).toBe(null);
+		expect(store.getRevision("One",4)).toBe(null);
+		expect(store.getRevisions("Missing")).toEqual([]);
+		// A new store continues the numbering, only reading the log of each title once
+		store = new RevisionStore({directory: directory});
+		spyOn(store,"readEntries").and.callThrough();
+		expect(store.addRevision("One",{title: "One", text: "Restored"})).toBe(4);
+		expect(store.addRevision("One",{title: "One", text: "Again"})).toBe(5);
+		expect(store.readEntries.calls.count()).toBe(1);
+		expect(store.getRevision("One",4).text).toBe("Restored");
+	});
+
+	it('should only serve the revisions of tiddlers to their readers', function() {
+		var RevisionStore = requireRevisionStore(),
+			server = makeServer({acl: "acl.json"},[
+				{title: "Salaries", tags: "Salary", text: "Top secret"},
+				{title: "Memo", text: "Public"}
+			]),
+			store = new RevisionStore({directory: path.join(makeFolder({}),"revisions")}),
+			get = function(username,title,revision) {
+				var params = [encodeURIComponent(title)],
+					routeTitle = "$:/core/modules/server/routes/get-tiddler-revisions.js";
+				if(revision !== undefined) {
+					params.push(revision.toString());
+					routeTitle = "$:/core/modules/server/routes/get-tiddler-revision.js";
+				}
+				var response = runRoute(server,routeTitle,username,{},{},null,params);
+				return {status: response.status, json: response.status === 200 ? JSON.parse(response.body) : null};
+			};
+		server.syncadaptor = {
+			getTiddlerRevisions: function(title,callback) {
+				callback(null,store.getRevisions(title));
+			},
+			loadTiddlerRevision: function(title,revision,callback) {
+				callback(null,store.getRevision(title,revision));
+			}
+		};
+		store.addRevision("Salaries",{title: "Salaries", tags: "Salary", text: "Secret"});
+		store.addRevision("Memo",{title: "Memo", tags: "Salary", text: "Secret memo"});
+		store.addRevision("Memo",{title: "Memo", text: "Public"});
+		expect(get("alice","Salaries").status).toBe(403);
+		expect(get("alice","Salaries",1).status).toBe(403);
+		expect(get("hr","Salaries").json.map(function(summary) {return summary.revision;})).toEqual([1]);
+		expect(get("hr","Salaries",1).json.text).toBe("Secret");
+		expect(get("alice","Memo").json.length).toBe(2);
+		expect(get("alice","Memo",2).json.text).toBe("Public");
+		// Each revision is checked against the rules as well as the current tiddler
+		expect(get("alice","Memo",1).status).toBe(403);
+		expect(get("hr","Memo",1).json.text).toBe("Secret memo");
+		expect(get("alice","Memo",3).status).toBe(404);
+		// The routes aren't available if the syncadaptor doesn't record revisions
+		server.syncadaptor = {};
+		expect(get("hr","Salaries").status).toBe(404);
+		expect(get("hr","Salaries",1).status).toBe(404);
+	});
+
+	it('should protect a users tiddler whatever its title', function() {
+		var usersTitle = "$:/Users [[with]] brackets",
+			server = makeServer({"users-tiddler": usersTitle},[
+				{title: usersTitle, type: "application/json", text: JSON.stringify({alice: {password: "secret"}})},
+				{title: "with", text: "Public"}
+			]),
+			TiddlerUserStore = require("$:/core/modules/server/userstores/tiddler.js").UserStoreClass,
+			userStore = new TiddlerUserStore(server);
+		expect(userStore.init()).toBe(true);
+		expect(userStore.getUser("alice").password).toBe("secret");
+		expect(server.isAuthorizedForTiddler("readers","alice",usersTitle,server.wiki)).toBe(false);
+		expect(server.isAuthorizedForTiddler("writers","alice",usersTitle,server.wiki)).toBe(false);
+		expect(server.isAuthorizedForTiddler("readers","alice","with",server.wiki)).toBe(true);
+	});
+
+	it('should verify passwords without revealing which users exist', function(done) {
+		var users = require("$:/core/modules/server/users.js"),
+			crypto = require("crypto"),
+			SessionAuthenticator = require("$:/core/modules/server/authenticators/session.js").AuthenticatorClass,
+			server = makeServer({"users-tiddler": "$:/Users"},[
+				{title: "$:/Users", type: "application/json", text: JSON.stringify({alice: {password: users.hashPassword("secret",1000)}, bob: {}})}
+			]),
+			authenticator = new SessionAuthenticator(server),
+			login = function(username,password,callback) {
+				var response = {
+					writeHead: function(status,reason,headers) {
+						this.status = status;
+						this.headers = headers || {};
+					},
+					end: function() {
+						callback(this);
+					}
+				};
+				require("$:/core/modules/server/routes/post-login.js").handler({headers: {}, socket: {}},response,{
+					server: server,
+					data: "username=" + encodeURIComponent(username) + "&password=" + encodeURIComponent(password)
+				});
+			};
+		expect(authenticator.init()).toBe(true);
+		server.authenticators = [authenticator];
+		spyOn(crypto,"pbkdf2").and.callThrough();
+		authenticator.verifyCredentials("alice","secret",function(err,isValid) {
+			expect(err).toBe(null);
+			expect(isValid).toBe(true);
+			authenticator.verifyCredentials("alice","wrong",function(err,isValid) {
+				expect(isValid).toBe(false);
+				// Unknown users and users without a password are checked against a hash with the default number of iterations
+				crypto.pbkdf2.calls.reset();
+				authenticator.verifyCredentials("carol","secret",function(err,isValid) {
+					expect(isValid).toBe(false);
+					expect(crypto.pbkdf2.calls.count()).toBe(1);
+					expect(crypto.pbkdf2.calls.argsFor(0)[2]).toBe(100000);
+					authenticator.verifyCredentials("bob","",function(err,isValid) {
+						expect(isValid).toBe(false);
+						expect(crypto.pbkdf2.calls.count()).toBe(2);
+						login("alice","wrong",function(response) {
+							expect(response.status).toBe(401);
+							login("alice","secret",function(response) {
+								expect(response.status).toBe(204);
+								expect(response.headers["Set-Cookie"]).toContain("tiddlywiki_session=");
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+
+	it('should only refuse logins from clients that have failed to login too often', function() {
+		var server = makeServer({"login-attempt-limit": "1", "trusted-proxies": "10.0.0.1"},[]),
+			request = function(address,headers) {
+				var response = {
+					writeHead: function(status) {
+						this.status = status;
+					},
+					end: function() {}
+				};
+				server.requestHandler({method: "GET", url: "/missing", socket: {remoteAddress: address}, headers: headers || {}},response);
+				return response.status;
+			};
+		expect(makeServer({},[]).loginFailureLimiter).toBe(null);
+		// The client address is only taken from the X-Forwarded-For header of trusted proxies
+		expect(server.getClientAddress({socket: {remoteAddress: "1.2.3.4"}, headers: {"x-forwarded-for": "5.6.7.8"}})).toBe("1.2.3.4");
+		expect(server.getClientAddress({socket: {remoteAddress: "10.0.0.1"}, headers: {"x-forwarded-for": "5.6.7.8, 1.2.3.4"}})).toBe("1.2.3.4");
+		server.recordLoginFailure({socket: {remoteAddress: "10.0.0.1"}, headers: {"x-forwarded-for": "1.2.3.4"}});
+		expect(request("10.0.0.1",{"x-forwarded-for": "1.2.3.4", authorization: "Basic eDp5"})).toBe(429);
+		expect(request("10.0.0.1",{"x-forwarded-for": "1.2.3.4"})).toBe(404);
+		expect(request("10.0.0.1",{"x-forwarded-for": "5.6.7.8", authorization: "Basic eDp5"})).toBe(404);
+	});
+
+	it('should point the client of a mounted wiki at its own path prefix', function() {
+		var folder = makeFolder({
+				"main/wikis.json": JSON.stringify([{"path-prefix": "/wiki/eng/", "wiki": "../eng"}]),
+				"eng/tiddlywiki.info": "{}"
+			}),
+			server = new Server({
+				wiki: new $tw.Wiki(),
+				boot: $tw.utils.extend({},$tw.boot,{wikiPath: path.join(folder,"main")}),
+				variables: {wikis: "wikis.json"}
+			}),
+			mount = server.findMount("/wiki/eng/recipes/default/tiddlers.json");
+		expect(mount).not.toBe(null);
+		expect(mount.wiki.getTiddlerText("$:/config/tiddlyweb/host")).toBe("$protocol$//$host$/wiki/eng/");
+		// The setting is served to the client in a plugin, and isn't saved to the mounted wiki folder
+		expect(mount.wiki.filterTiddlers("[is[tiddler]plugin-type[plugin]]")).toContain("$:/server/mount");
+		expect(fs.readdirSync(path.join(folder,"eng"))).toEqual(["tiddlywiki.info"]);
+		// The main wiki keeps the default host
+		expect(server.wiki.getTiddlerText("$:/config/tiddlyweb/host")).toBe(undefined);
+	});
+});
+
+})();
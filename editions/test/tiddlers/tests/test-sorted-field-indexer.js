@@ -0,0 +1,137 @@
+/*\
+title: test-sorted-field-indexer.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests the sorted field index and the filter operators that use it.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Sorted field indexer tests', function() {
+	var oneDay = 1000*60*60*24;
+
+	function setupWiki(wikiOptions) {
+		var wiki = new $tw.Wiki(wikiOptions),
+			now = Date.now();
+		wiki.addTiddler({title: '$:/config/SortedFieldIndex/DateFields', text: 'modified'});
+		wiki.addTiddler({title: '$:/config/SortedFieldIndex/NumberFields', text: 'price'});
+		wiki.addTiddler({title: 'Apple', price: '12', modified: new Date(now - 3 * oneDay)});
+		wiki.addTiddler({title: 'Banana', price: '3', modified: new Date(now - 30 * oneDay)});
+		wiki.addTiddler({title: 'Cherry', price: '12', modified: new Date(now)});
+		wiki.addTiddler({title: 'Damson', price: 'none'});
+		wiki.addTiddler({title: 'Elderberry', text: 'No price or date'});
+		return wiki;
+	}
+
+	function runTests(wikiOptions) {
+		it('should compare field values', function() {
+			var wiki = setupWiki(wikiOptions);
+			expect(wiki.filterTiddlers('[compare:number:gt:price[10]sort[title]]').join(',')).toBe('Apple,Cherry');
+			expect(wiki.filterTiddlers('[compare:number:lteq:price[3]sort[title]]').join(',')).toBe('Banana,Damson');
+			expect(wiki.filterTiddlers('[compare:number:eq:price[12]sort[title]]').join(',')).toBe('Apple,Cherry');
+			expect(wiki.filterTiddlers('[!is[system]!compare:number:eq:price[12]sort[title]]').join(',')).toBe('Banana,Damson,Elderberry');
+		});
+
+		it('should select tiddlers by days', function() {
+			var wiki = setupWiki(wikiOptions);
+			expect(wiki.filterTiddlers('[days[-7]sort[title]]').join(',')).toBe('Apple,Cherry');
+			expect(wiki.filterTiddlers('[days[0]sort[title]]').join(',')).toBe('Cherry');
+			expect(wiki.filterTiddlers('[[Banana]] [[Cherry]] [[Missing]] +[days[-7]]').join(',')).toBe('Cherry');
+		});
+
+		it('should sort by date', function() {
+			var wiki = setupWiki(wikiOptions);
+			expect(wiki.filterTiddlers('[!is[system]!sort[modified]]').join(',')).toBe('Cherry,Apple,Banana,Damson,Elderberry');
+			expect(wiki.filterTiddlers('[!sort[modified]limit[2]]').join(',')).toBe('Cherry,Apple');
+		});
+	}
+
+	describe('without the index', function() {
+		runTests({enableIndexers: []});
+	});
+
+	describe('with the index', function() {
+		runTests();
+
+		it('should return the same results in the same order as without the index', function() {
+			var wiki = setupWiki(),
+				unindexedWiki = setupWiki({enableIndexers: []}),
+				filters = [
+					'[days[-30]]',
+					'[!is[system]days[-30]]',
+					'[all[tiddlers+shadows]days[-30]]',
+					'[compare:number:gteq:price[0]]',
+					'[!is[system]compare:number:gt:price[10]]',
+					'[compare:date:lt:modified[20000101]]',
+					'[!is[system]sort[title]compare:number:lteq:price[12]days[-7]]',
+					'[!is[system]!sort[modified]]'
+				];
+			$tw.utils.each([wiki,unindexedWiki],function(wiki) {
+				wiki.addTiddler({title: '$:/S', price: '1', modified: new Date(Date.now() - oneDay)});
+			});
+			$tw.utils.each(filters,function(filter) {
+				expect(wiki.filterTiddlers(filter)).toEqual(unindexedWiki.filterTiddlers(filter));
+			});
+			expect(wiki.filterTiddlers('[days[-30]]').join(',')).toBe('Apple,Banana,Cherry,$:/S');
+			expect(wiki.filterTiddlers('[compare:number:gteq:price[0]]').join(',')).toBe('Apple,Banana,Cherry,Damson,$:/S');
+		});
+
+		it('should start filter runs from indexed comparisons', function() {
+			var wiki = setupWiki(),
+				getFirstOperator = function(filterString) {
+					return wiki.explainFilter(filterString).runs[0].operators[0];
+				};
+			expect(getFirstOperator('[!is[system]compare:number:gt:price[10]]').text).toBe('compare:number:gt:price[10]');
+			expect(getFirstOperator('[!is[system]compare:number:gt:price[10]]').index).toBe('sorted field');
+			expect(getFirstOperator('[!is[system]days[-7]]').text).toBe('days[-7]');
+			expect(getFirstOperator('[!is[system]compare:string:gt:price[10]]').text).toBe('!is[system]');
+			expect(wiki.filterTiddlers('[!is[system]compare:number:gt:price[10]]').join(',')).toBe('Apple,Cherry');
+		});
+
+		it('should use the index for operators that are not at the start of a filter run', function() {
+			var wiki = setupWiki(),
+				getIndexes = function(filterString) {
+					return wiki.explainFilter(filterString).runs[0].operators.map(function(operator) {
+						return operator.index;
+					}).join(',');
+				};
+			expect(wiki.filterTiddlers('[!is[system]sort[title]compare:number:gt:price[10]]').join(',')).toBe('Apple,Cherry');
+			expect(getIndexes('[!is[system]sort[title]compare:number:gt:price[10]]')).toBe(',,sorted field');
+			expect(wiki.filterTiddlers('[!is[system]sort[title]days[-7]]').join(',')).toBe('Apple,Cherry');
+			expect(getIndexes('[!is[system]sort[title]days[-7]]')).toBe(',,sorted field');
+			expect(getIndexes('[!is[system]!sort[modified]]')).toBe(',sorted field');
+			expect(wiki.filterTiddlers('[[Elderberry]] [[Banana]] =[[Apple]] =[[Banana]] +[sort[modified]]').join(',')).toBe('Elderberry,Banana,Banana,Apple');
+			expect(wiki.filterTiddlers('[[Elderberry]] [[Banana]] =[[Apple]] =[[Banana]] +[!sort[modified]]').join(',')).toBe('Apple,Banana,Banana,Elderberry');
+			// Sources that are much smaller than the index are checked one by one
+			for(var price=0; price<20; price++) {
+				wiki.addTiddler({title: 'Extra ' + price, price: price.toString()});
+			}
+			expect(wiki.filterTiddlers('[[Apple]] +[compare:number:gteq:price[0]]').join(',')).toBe('Apple');
+			expect(getIndexes('[[Apple]] +[compare:number:gteq:price[0]]')).toBe('');
+		});
+
+		it('should keep the index up to date', function() {
+			var wiki = setupWiki();
+			expect(wiki.filterTiddlers('[compare:number:gt:price[10]]').join(',')).toBe('Apple,Cherry');
+			wiki.addTiddler({title: 'Fig', price: '20'});
+			wiki.deleteTiddler('Apple');
+			wiki.addTiddler({title: 'Banana', price: '15', modified: new Date()});
+			expect(wiki.filterTiddlers('[compare:number:gt:price[10]]').join(',')).toBe('Banana,Cherry,Fig');
+			expect(wiki.filterTiddlers('[days[-7]sort[title]]').join(',')).toBe('Banana,Cherry');
+		});
+
+		it('should stop using the index when it is switched off', function() {
+			var wiki = setupWiki();
+			expect(wiki.filterTiddlers('[compare:number:gt:price[10]]').join(',')).toBe('Apple,Cherry');
+			wiki.addTiddler({title: '$:/config/SortedFieldIndex/NumberFields', text: ''});
+			expect(wiki.getIndexer('SortedFieldIndexer').getFieldType('price')).toBe(null);
+			expect(wiki.filterTiddlers('[compare:number:gt:price[10]sort[title]]').join(',')).toBe('Apple,Cherry');
+		});
+	});
+});
+
+})();
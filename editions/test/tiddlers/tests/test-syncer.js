@@ -0,0 +1,324 @@
+/*\
+title: test-syncer.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests the syncer.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Syncer tests', function() {
+	/*
+	Make a syncer for a wiki with the given tiddlers, using a syncadaptor that supports batches. The adaptor records the requests made to it, and refuses to save or delete the titles in the array `forbidden`. The first individual save of each title in the hashmap `saveConflicts` is rejected with the given server fields, or null for tiddlers deleted on the server, and `serverTiddlers` gives the fields of the tiddlers that can be loaded. `serverRevisions` is a hashmap by title of arrays of the fields of each revision. The optional `storage` is used by the syncer as browser storage
+	*/
+	function setupSyncer(tiddlers,options) {
+		options = options || {};
+		var wiki = new $tw.Wiki(),
+			requests = [],
+			forbidden = options.forbidden || [],
+			adaptor = {
+				supportsBatches: true,
+				getTiddlerInfo: function(tiddler) {
+					return {bag: "default"};
+				},
+				saveBatch: function(batch,callback) {
+					var titles = batch.save.map(function(item) {return item.tiddler.fields.title;}),
+						deleteTitles = batch["delete"].map(function(item) {return item.title;}),
+						rejected = titles.concat(deleteTitles).filter(function(title) {return forbidden.indexOf(title) !== -1;}),
+						saved = {};
+					requests.push({type: "batch", save: titles, "delete": deleteTitles});
+					if(options.batchError) {
+						return callback(options.batchError);
+					}
+					if(options.conflicts || rejected.length > 0) {
+						return callback(null,{saved: {}, conflicts: options.conflicts || [], rejected: rejected});
+					}
+					$tw.utils.each(titles,function(title) {
+						saved[title] = {adaptorInfo: {bag: "default"}, revision: "1"};
+					});
+					callback(null,{saved: saved, conflicts: [], rejected: []});
+				},
+				saveTiddler: function(tiddler,callback) {
+					var title = tiddler.fields.title;
+					requests.push({type: "save", title: title});
+					if(forbidden.indexOf(title) !== -1) {
+						return callback("Forbidden");
+					}
+					if(options.saveConflicts && $tw.utils.hop(options.saveConflicts,title)) {
+						var conflictingFields = options.saveConflicts[title];
+						delete options.saveConflicts[title];
+						return callback("Conflict",null,null,conflictingFields);
+					}
+					callback(null,{bag: "default"},"1");
+				},
+				loadTiddler: function(title,callback) {
+					requests.push({type: "load", title: title});
+					callback(null,(options.serverTiddlers || {})[title]);
+				},
+				loadTiddlerRevision: function(title,revision,callback) {
+					requests.push({type: "loadRevision", title: title, revision: revision});
+					callback(null,((options.serverRevisions || {})[title] || [])[revision - 1] || null);
+				},
+				deleteTiddler: function(title,callback) {
+					requests.push({type: "delete", title: title});
+					callback(forbidden.indexOf(title) !== -1 ? "Forbidden" : null);
+				}
+			};
+		if(options.host) {
+			adaptor.getHost = function() {
+				return options.host;
+			};
+		}
+		wiki.addTiddler({title: "$:/config/SyncFilter", text: "[is[tiddler]!is[system]]"});
+		var syncer = new $tw.Syncer({wiki: wiki, syncadaptor: adaptor, offlineStorage: options.storage, disableUI: true, logging: false});
+		wiki.addTiddlers(tiddlers);
+		return {wiki: wiki, syncer: syncer, requests: requests};
+	}
+
+	// Run the next task chosen by the syncer, and return the requests that it made to the syncadaptor
+	function runNextTask(setup) {
+		// Discard the change events so that the syncer doesn't dispatch tasks of its own
+		setup.wiki.changedTiddlers = Object.create(null);
+		var task = setup.syncer.chooseNextTask(),
+			start = setup.requests.length;
+		if(task && task !== true) {
+			task.run(function() {});
+		}
+		return setup.requests.slice(start);
+	}
+
+	// Make a fake browser storage that counts the times that each item is written
+	function makeStorage(items) {
+		return {
+			items: items || {},
+			writes: 0,
+			getItem: function(key) {
+				return $tw.utils.hop(this.items,key) ? this.items[key] : null;
+			},
+			setItem: function(key,value) {
+				this.items[key] = value;
+				this.writes++;
+			},
+			removeItem: function(key) {
+				delete this.items[key];
+				this.writes++;
+			}
+		};
+	}
+
+	it('should save changes in batches', function() {
+		var setup = setupSyncer([{title: "One"}, {title: "Two"}]);
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["One","Two"], "delete": []}]);
+		expect(runNextTask(setup)).toEqual([]);
+		expect(setup.syncer.isDirty()).toBe(false);
+		setup.wiki.deleteTiddler("One");
+		setup.wiki.addTiddler({title: "Three"});
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["Three"], "delete": ["One"]}]);
+		expect(setup.syncer.isDirty()).toBe(false);
+	});
+
+	it('should save tiddlers that a batch fails to save individually, without holding up the others', function() {
+		var setup = setupSyncer([{title: "One"}, {title: "Forbidden"}, {title: "Two"}],{forbidden: ["Forbidden"]});
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["One","Forbidden","Two"], "delete": []}]);
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["One","Two"], "delete": []}]);
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "Forbidden"}]);
+		// Later changes are still batched while the failing tiddler is retried on its own
+		setup.wiki.addTiddler({title: "Three"});
+		setup.wiki.addTiddler({title: "Four"});
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["Three","Four"], "delete": []}]);
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "Forbidden"}]);
+		expect(Object.keys(setup.syncer.tiddlerInfo).sort()).toEqual(["Four","One","Three","Two"]);
+	});
+
+	it('should save every tiddler in a batch individually if the batch fails', function() {
+		var setup = setupSyncer([{title: "One"}, {title: "Two"}],{batchError: "XMLHttpRequest error code: 500"});
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["One","Two"], "delete": []}]);
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "One"}]);
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "Two"}]);
+		expect(setup.syncer.isDirty()).toBe(false);
+		// Network errors leave the batch to be retried as it is
+		setup = setupSyncer([{title: "One"}, {title: "Two"}],{batchError: $tw.language.getString("Error/XMLHttpRequest") + ": 0"});
+		runNextTask(setup);
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["One","Two"], "delete": []}]);
+	});
+
+	it('should reload tiddlers that were deleted locally but changed on the server', function() {
+		var setup = setupSyncer([],{conflicts: ["One"], serverTiddlers: {One: {title: "One", text: "Server", revision: "2"}}});
+		setup.syncer.storeTiddler({title: "One", revision: "1"});
+		setup.wiki.deleteTiddler("One");
+		setup.wiki.addTiddler({title: "Two"});
+		spyOn(setup.syncer.logger,"alert");
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["Two"], "delete": ["One"]}]);
+		expect(setup.syncer.tiddlerInfo.One).toBe(undefined);
+		expect(setup.syncer.titlesToBeLoaded.One).toBe(true);
+		expect(setup.syncer.logger.alert).toHaveBeenCalled();
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "Two"}]);
+		expect(runNextTask(setup)).toEqual([{type: "load", title: "One"}]);
+		expect(setup.wiki.getTiddlerText("One")).toBe("Server");
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("2");
+	});
+
+	it('should merge local changes with the server version of a tiddler that was changed on the server', function() {
+		var setup = setupSyncer([],{saveConflicts: {One: {title: "One", text: "a\nb\nC", revision: "2"}}});
+		setup.syncer.storeTiddler({title: "One", text: "a\nb\nc", revision: "1"});
+		setup.wiki.addTiddler({title: "One", text: "A\nb\nc"});
+		setup.syncer.saveIndividually(["One"]);
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "One"}]);
+		// The local tiddler is replaced by the server version, and the merged changes are put in a draft
+		var draftTitle = setup.wiki.findDraft("One");
+		expect(setup.wiki.getTiddlerText("One")).toBe("a\nb\nC");
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("2");
+		expect(setup.wiki.getTiddlerText(draftTitle)).toBe("A\nb\nC");
+		expect(setup.wiki.getTiddler(draftTitle).fields.revision).toBe(undefined);
+		expect(setup.syncer.isServerChange("One")).toBe(true);
+		// A server version that only differs in its revision is adopted so that the save can be retried
+		setup.wiki.deleteTiddler(draftTitle);
+		setup.wiki.addTiddler({title: "One", text: "Local"});
+		setup.syncer.handleSaveConflict("One",{title: "One", text: "a\nb\nC", revision: "3"});
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("3");
+		expect(setup.wiki.getTiddlerText("One")).toBe("Local");
+		expect(setup.wiki.findDraft("One")).toBe(undefined);
+	});
+
+	it('should keep local changes to a tiddler that was deleted on the server in a draft', function() {
+		var setup = setupSyncer([],{saveConflicts: {One: null}});
+		setup.syncer.storeTiddler({title: "One", text: "Server", revision: "1"});
+		setup.wiki.addTiddler({title: "One", text: "Changed"});
+		setup.syncer.saveIndividually(["One"]);
+		spyOn(setup.syncer.logger,"alert");
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "One"}]);
+		expect(setup.syncer.logger.alert).toHaveBeenCalled();
+		expect(setup.wiki.tiddlerExists("One")).toBe(false);
+		expect(setup.syncer.tiddlerInfo.One).toBe(undefined);
+		expect(setup.wiki.getTiddlerText(setup.wiki.findDraft("One"))).toBe("Changed");
+		// Deleting the local tiddler isn't sent to the server, and saving the draft creates the tiddler again
+		expect(runNextTask(setup)).toEqual([{type: "save", title: setup.wiki.findDraft("One")}]);
+		setup.wiki.addTiddler({title: "One", text: "Changed"});
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "One"}]);
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("1");
+	});
+
+	it('should apply the updates pushed by the server without overwriting local changes', function() {
+		var setup = setupSyncer([],{serverTiddlers: {Five: {title: "Five", text: "Loaded", revision: "2"}}}),
+			wiki = setup.wiki;
+		$tw.utils.each(["One","Two","Three","Four"],function(title) {
+			setup.syncer.storeTiddler({title: title, text: "Server", revision: "1"});
+		});
+		// A draft of a tiddler is a local change of its own, and doesn't stop the tiddler being updated
+		wiki.addTiddler({title: "Draft of 'One'", text: "Editing", "draft.of": "One", "draft.title": "One"});
+		wiki.addTiddler({title: "Two", text: "Local"});
+		wiki.addTiddler({title: "Three", text: "Local"});
+		setup.syncer.applyServerUpdates({
+			modifications: [
+				{title: "One", text: "Changed", revision: "2"},
+				{title: "Two", text: "Changed", revision: "2"},
+				{title: "Four", text: "Ignored", revision: "1"}
+			],
+			deletions: ["Three","Four"]
+		});
+		expect(wiki.getTiddlerText("One")).toBe("Changed");
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("2");
+		expect(wiki.getTiddlerText("Draft of 'One'")).toBe("Editing");
+		expect(wiki.getTiddlerText("Two")).toBe("Local");
+		expect(setup.syncer.tiddlerInfo.Two.revision).toBe("1");
+		expect(wiki.getTiddlerText("Three")).toBe("Local");
+		expect(wiki.tiddlerExists("Four")).toBe(false);
+		expect(setup.syncer.tiddlerInfo.Four).toBe(undefined);
+		// Only the local changes are sent to the server, and not the updates from the server
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["Two","Three","Draft of 'One'"], "delete": []}]);
+		// Skinny tiddlers are loaded from the server
+		setup.syncer.applyServerUpdates({modifications: [{title: "Five", revision: "2"}], deletions: []});
+		expect(setup.requests.slice(-1)).toEqual([{type: "load", title: "Five"}]);
+		expect(wiki.getTiddlerText("Five")).toBe("Loaded");
+		expect(setup.syncer.isServerChange("Five")).toBe(true);
+	});
+
+	it('should restore revisions of tiddlers as local changes', function() {
+		var setup = setupSyncer([],{serverRevisions: {One: [{title: "One", text: "First", revision: "1", bag: "default", custom: "value"}]}});
+		setup.syncer.storeTiddler({title: "One", text: "Second", revision: "2"});
+		setup.wiki.addTiddler({title: "$:/temp/revisions/1/One", "revision-of": "One", revision: "1", "revision-modifier": "alice"});
+		setup.syncer.handleLoadRevisionEvent("One",1);
+		expect(JSON.parse(setup.wiki.getTiddlerText("$:/temp/revisions/1/One")).text).toBe("First");
+		expect(setup.wiki.getTiddler("$:/temp/revisions/1/One").fields["revision-modifier"]).toBe("alice");
+		setup.syncer.handleRestoreRevisionEvent("One",1);
+		var tiddler = setup.wiki.getTiddler("One");
+		expect(tiddler.fields.text).toBe("First");
+		expect(tiddler.fields.custom).toBe("value");
+		expect(tiddler.fields.revision).toBe(undefined);
+		expect(tiddler.fields.bag).toBe(undefined);
+		// The restored tiddler is saved to the server as a new revision, based on the one it replaces
+		expect(setup.syncer.isServerChange("One")).toBe(false);
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("2");
+		expect(runNextTask(setup)).toEqual([{type: "save", title: "One"}]);
+		// Missing revisions aren't restored
+		setup.syncer.handleRestoreRevisionEvent("One",5);
+		expect(setup.wiki.getTiddlerText("One")).toBe("First");
+	});
+
+	it('should keep the changes waiting to be saved in browser storage', function() {
+		var storage = makeStorage(),
+			setup = setupSyncer([],{storage: storage, host: "http://example.com/wiki/eng/"}),
+			key = "tw5-syncer#http://example.com/wiki/eng/",
+			getQueue = function() {
+				return JSON.parse(storage.getItem(key));
+			};
+		setup.syncer.storeTiddler({title: "One", text: "Server", revision: "1"});
+		setup.syncer.storeTiddler({title: "Two", revision: "2"});
+		setup.wiki.addTiddler({title: "One", text: "Changed"});
+		setup.wiki.deleteTiddler("Two");
+		setup.wiki.addTiddler({title: "Three"});
+		setup.syncer.saveOfflineQueue();
+		expect(setup.syncer.offlineQueueKey).toBe(key);
+		expect(getQueue()).toEqual({
+			One: {fields: {title: "One", text: "Changed"}, revision: "1", adaptorInfo: {bag: "default"}, baseFields: {title: "One", text: "Server", revision: "1"}},
+			Three: {fields: {title: "Three"}},
+			Two: {revision: "2", adaptorInfo: {bag: "default"}, baseFields: {title: "Two", revision: "2"}}
+		});
+		expect(setup.wiki.getTiddlerText("$:/status/PendingChanges")).toBe("3");
+		// Unchanged tiddlers aren't serialised again, and the storage isn't written if nothing has changed
+		spyOn($tw.Tiddler.prototype,"getFieldStrings").and.callThrough();
+		setup.syncer.saveOfflineQueue();
+		expect($tw.Tiddler.prototype.getFieldStrings).not.toHaveBeenCalled();
+		expect(storage.writes).toBe(1);
+		setup.wiki.addTiddler({title: "Three", text: "Changed"});
+		setup.syncer.saveOfflineQueue();
+		expect($tw.Tiddler.prototype.getFieldStrings.calls.count()).toBe(1);
+		expect(storage.writes).toBe(2);
+		expect(getQueue().Three.fields.text).toBe("Changed");
+		// The storage is cleared once the changes have been saved
+		runNextTask(setup);
+		setup.syncer.saveOfflineQueue();
+		expect(storage.getItem(key)).toBe(null);
+		expect(setup.wiki.getTiddlerText("$:/status/PendingChanges")).toBe("0");
+	});
+
+	it('should replay the changes kept in browser storage', function() {
+		var storage = makeStorage({
+				"tw5-syncer#": JSON.stringify({
+					One: {fields: {title: "One", text: "Offline"}, revision: "1", adaptorInfo: {bag: "default"}, baseFields: {title: "One", text: "Server", revision: "1"}},
+					Two: {revision: "2", adaptorInfo: {bag: "default"}},
+					Three: {fields: {title: "Three"}}
+				})
+			}),
+			setup = setupSyncer([],{storage: storage});
+		expect(setup.wiki.getTiddlerText("One")).toBe("Offline");
+		expect(setup.syncer.tiddlerInfo.One.revision).toBe("1");
+		expect(setup.syncer.tiddlerInfo.One.baseTiddler.fields.text).toBe("Server");
+		expect(setup.syncer.tiddlerInfo.Two.revision).toBe("2");
+		expect(setup.syncer.tiddlerInfo.Three).toBe(undefined);
+		expect(runNextTask(setup)).toEqual([{type: "batch", save: ["One","Three"], "delete": ["Two"]}]);
+		expect(setup.syncer.isDirty()).toBe(false);
+		setup.syncer.saveOfflineQueue();
+		expect(storage.getItem("tw5-syncer#")).toBe(null);
+		// Invalid data in the storage is ignored
+		storage = makeStorage({"tw5-syncer#": "{invalid"});
+		setup = setupSyncer([],{storage: storage});
+		expect(setup.syncer.isDirty()).toBe(false);
+	});
+});
+
+})();
@@ -0,0 +1,101 @@
+/*\
+title: test-transactions.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests making changes to the wiki within transactions.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Wiki transaction tests', function() {
+	function setupWiki() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: 'One', tags: ['fruit']});
+		wiki.addTiddler({title: 'Two', tags: ['fruit']});
+		wiki.addTiddler({title: 'Three', tags: ['veg'], list: ['One']});
+		// Build the tag index and clear the change events before making any changes
+		expect(wiki.filterTiddlers('[tag[fruit]]').join(',')).toBe('One,Two');
+		wiki.clearTiddlerEventQueue();
+		return wiki;
+	}
+
+	it('should defer change events until the transaction is committed', function() {
+		var wiki = setupWiki(),
+			result = wiki.transaction(function() {
+				wiki.addTiddler({title: 'Four', tags: ['fruit']});
+				wiki.deleteTiddler('One');
+				wiki.addTiddler({title: 'Two', tags: ['veg']});
+				expect(wiki.getSizeOfTiddlerEventQueue()).toBe(0);
+				// The tag index can't be used until the end of the transaction
+				expect(wiki.filterTiddlers('[tag[fruit]]').join(',')).toBe('Four');
+				return 'done';
+			});
+		expect(result).toBe('done');
+		expect(wiki.getSizeOfTiddlerEventQueue()).toBe(3);
+		expect(wiki.changedTiddlers.One.deleted).toBe(true);
+		expect(wiki.changedTiddlers.Four.modified).toBe(true);
+		expect(wiki.filterTiddlers('[tag[fruit]]').join(',')).toBe('Four');
+		expect(wiki.filterTiddlers('[tag[veg]sort[]]').join(',')).toBe('Three,Two');
+	});
+
+	it('should roll back the changes if there is an error', function() {
+		var wiki = setupWiki();
+		expect(function() {
+			wiki.transaction(function() {
+				wiki.addTiddler({title: 'Four', tags: ['fruit']});
+				wiki.deleteTiddler('One');
+				wiki.addTiddler({title: 'Two', tags: ['veg']});
+				throw 'Failed';
+			});
+		}).toThrow('Failed');
+		expect(wiki.getSizeOfTiddlerEventQueue()).toBe(0);
+		expect(wiki.allTitles().sort().join(',')).toBe('One,Three,Two');
+		expect(wiki.filterTiddlers('[tag[fruit]]').join(',')).toBe('One,Two');
+		expect(wiki.filterTiddlers('[tag[veg]]').join(',')).toBe('Three');
+	});
+
+	it('should roll back changes to plugins', function() {
+		var wiki = setupWiki();
+		wiki.addTiddler({title: '$:/plugins/test', type: 'application/json', 'plugin-type': 'plugin', text: JSON.stringify({tiddlers: {'$:/plugins/test/readme': {text: 'Hello'}}})});
+		expect(function() {
+			wiki.transaction(function() {
+				wiki.readPluginInfo(['$:/plugins/test']);
+				wiki.registerPluginTiddlers('plugin',['$:/plugins/test']);
+				wiki.unpackPluginTiddlers();
+				expect(wiki.getTiddlerText('$:/plugins/test/readme')).toBe('Hello');
+				throw 'Failed';
+			});
+		}).toThrow('Failed');
+		expect(wiki.getPluginInfo('$:/plugins/test')).toBe(undefined);
+		wiki.unpackPluginTiddlers();
+		expect(wiki.isShadowTiddler('$:/plugins/test/readme')).toBe(false);
+	});
+
+	it('should make nested transactions part of the outer transaction', function() {
+		var wiki = setupWiki();
+		expect(function() {
+			wiki.transaction(function() {
+				wiki.transaction(function() {
+					wiki.deleteTiddler('One');
+				});
+				expect(wiki.getSizeOfTiddlerEventQueue()).toBe(0);
+				throw 'Failed';
+			});
+		}).toThrow('Failed');
+		expect(wiki.tiddlerExists('One')).toBe(true);
+	});
+
+	it('should rename tiddlers in a single transaction', function() {
+		var wiki = setupWiki();
+		wiki.renameTiddler('One','Uno');
+		expect(wiki.getSizeOfTiddlerEventQueue()).toBe(3);
+		expect(wiki.getTiddler('Three').fields.list.join(',')).toBe('Uno');
+		expect(wiki.filterTiddlers('[tag[fruit]]').join(',')).toBe('Two,Uno');
+	});
+});
+
+})();
@@ -0,0 +1,136 @@
+/*\
+title: test-undo-history.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests undoing and redoing changes to the wiki.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('Undo history tests', function() {
+	function setupWiki() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: '$:/config/UndoHistory/ExcludeFilter', text: '[prefix[$:/state/]]'});
+		wiki.addTiddler({title: 'One', text: 'First version'});
+		wiki.clearTiddlerEventQueue();
+		return {wiki: wiki, history: new $tw.UndoHistory({wiki: wiki})};
+	}
+
+	// Change events are normally delivered asynchronously
+	function makeChanges(setup,fn) {
+		fn(setup.wiki);
+		var changes = setup.wiki.changedTiddlers;
+		setup.wiki.clearTiddlerEventQueue();
+		setup.history.recordChanges(changes);
+	}
+
+	it('should undo and redo changes', function() {
+		var setup = setupWiki(),
+			wiki = setup.wiki;
+		makeChanges(setup,function(wiki) {
+			wiki.addTiddler({title: 'One', text: 'Second version'});
+			wiki.addTiddler({title: 'Two'});
+		});
+		makeChanges(setup,function(wiki) {
+			wiki.deleteTiddler('One');
+		});
+		expect(setup.history.undo()).toBe(1);
+		expect(wiki.getTiddlerText('One')).toBe('Second version');
+		expect(setup.history.undo()).toBe(1);
+		expect(wiki.getTiddlerText('One')).toBe('First version');
+		expect(wiki.tiddlerExists('Two')).toBe(false);
+		expect(setup.history.undo()).toBe(0);
+		expect(setup.history.redo()).toBe(1);
+		expect(wiki.getTiddlerText('One')).toBe('Second version');
+		expect(wiki.tiddlerExists('Two')).toBe(true);
+	});
+
+	it('should undo and redo back to a given change', function() {
+		var setup = setupWiki(),
+			wiki = setup.wiki;
+		makeChanges(setup,function(wiki) {
+			wiki.addTiddler({title: 'Two'});
+		});
+		makeChanges(setup,function(wiki) {
+			wiki.addTiddler({title: 'Three'});
+		});
+		var status = wiki.getTiddler('$:/temp/undo-history');
+		expect(status.fields.undo).toBe('2 1');
+		expect(wiki.extractTiddlerDataItem(status,'1')).toMatch(/ Created: Two$/);
+		expect(setup.history.undo('1')).toBe(2);
+		expect(wiki.filterTiddlers('[!is[system]]').join(',')).toBe('One');
+		expect(wiki.getTiddler('$:/temp/undo-history').fields.redo).toBe('1 2');
+		expect(setup.history.redo('2')).toBe(2);
+		expect(wiki.filterTiddlers('[!is[system]]').join(',')).toBe('One,Two,Three');
+	});
+
+	it('should ignore drafts and excluded tiddlers', function() {
+		var setup = setupWiki(),
+			wiki = setup.wiki;
+		makeChanges(setup,function(wiki) {
+			wiki.addTiddler({title: 'Draft of One', 'draft.of': 'One', 'draft.title': 'One'});
+			wiki.addTiddler({title: '$:/state/popup', text: 'yes'});
+		});
+		expect(setup.history.undo()).toBe(0);
+		expect(wiki.tiddlerExists('Draft of One')).toBe(true);
+	});
+
+	it('should forget undone changes when a new change is made', function() {
+		var setup = setupWiki(),
+			wiki = setup.wiki;
+		makeChanges(setup,function(wiki) {
+			wiki.addTiddler({title: 'Two'});
+		});
+		setup.history.undo();
+		makeChanges(setup,function(wiki) {
+			wiki.addTiddler({title: 'Three'});
+		});
+		expect(setup.history.redo()).toBe(0);
+		expect(wiki.tiddlerExists('Two')).toBe(false);
+	});
+
+	it('should ignore changes loaded from the server by the syncer', function() {
+		var wiki = new $tw.Wiki(),
+			syncer = new $tw.Syncer({wiki: wiki, syncadaptor: {getTiddlerInfo: function() {return {};}}, disableUI: true, logging: false}),
+			history = new $tw.UndoHistory({wiki: wiki, syncer: syncer}),
+			// Unlike clearTiddlerEventQueue(), this keeps the change counts that the syncer relies on. Clearing the queue also stops the syncer from trying to save the changes
+			makeChanges = function(fn) {
+				var result = fn(),
+					changes = wiki.changedTiddlers;
+				wiki.changedTiddlers = Object.create(null);
+				history.recordChanges(changes);
+				return result;
+			};
+		makeChanges(function() {
+			syncer.storeTiddler({title: 'Server', text: 'From the server', revision: '1'});
+		});
+		makeChanges(function() {
+			wiki.addTiddler({title: 'Local', text: 'Local change'});
+		});
+		expect(makeChanges(function() {return history.undo();})).toBe(1);
+		expect(wiki.tiddlerExists('Local')).toBe(false);
+		makeChanges(function() {
+			syncer.applyServerUpdates({modifications: [{title: 'Server', text: 'Updated on the server', revision: '2'}], deletions: []});
+		});
+		makeChanges(function() {
+			syncer.applyServerUpdates({modifications: [{title: 'Other', text: 'New on the server', revision: '1'}], deletions: ['Server']});
+		});
+		expect(wiki.tiddlerExists('Server')).toBe(false);
+		// The server changes neither became undo steps nor cleared the redo history
+		expect(history.undoStack.length).toBe(0);
+		expect(makeChanges(function() {return history.redo();})).toBe(1);
+		expect(wiki.getTiddlerText('Local')).toBe('Local change');
+		// Local changes to tiddlers from the server are recorded
+		makeChanges(function() {
+			wiki.addTiddler({title: 'Other', text: 'Edited locally'});
+		});
+		expect(makeChanges(function() {return history.undo();})).toBe(1);
+		expect(wiki.getTiddlerText('Other')).toBe('New on the server');
+	});
+});
+
+})();
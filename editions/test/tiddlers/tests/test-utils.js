@@ -25,6 +25,15 @@ describe("Utility tests", function() {
 		expect(psa(" [[Tidd\u00a0ler8]] two ")).toEqual(["Tidd\u00a0ler8","two"]);
 	});
 
+	it("should calculate edit distances", function() {
+		expect($tw.utils.getEditDistance("recipe","recipe")).toBe(0);
+		expect($tw.utils.getEditDistance("reciepe","recipe")).toBe(1);
+		expect($tw.utils.getEditDistance("recpie","recipe")).toBe(1);
+		expect($tw.utils.getEditDistance("kitten","sitting")).toBe(3);
+		expect($tw.utils.getEditDistance("","abc")).toBe(3);
+		expect($tw.utils.getEditDistance("kitten","sitting",1)).toBe(2);
+	});
+
 	it("should handle parsing a date", function() {
 		var pd = function(v) {
 			return $tw.utils.parseDate(v).toUTCString();
@@ -169,6 +178,14 @@ describe("Utility tests", function() {
 		expect(cv("1.1.1","1.1.2")).toEqual(-1);
 	});
 
+	it("should merge text", function() {
+		var mt = $tw.utils.mergeText;
+		expect(mt("one two three","one 2 three","one two three four")).toEqual({text: "one 2 three four", clean: true});
+		expect(mt("one two three","one two three","zero one two three")).toEqual({text: "zero one two three", clean: true});
+		expect(mt("","local","remote")).toEqual({text: "localremote", clean: true});
+		expect(mt("The quick brown fox jumps over the lazy dog","The quick red fox jumps over the lazy dog","Lorem ipsum dolor sit amet").clean).toEqual(false);
+	});
+
 });
 
 })();
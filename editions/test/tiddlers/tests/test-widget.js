@@ -247,6 +247,27 @@ describe("Widget module", function() {
 		expect(wrapper.children[0].children[2].sequenceNumber).toBe(4);
 	});
 
+	it("should refresh conditional blocks", function() {
+		var wiki = new $tw.Wiki();
+		wiki.addTiddler({title: "Status", text: "open"});
+		var text = "<%if [{Status}match[open]] %>Open<%elseif [{Status}match[closed]] %>Closed<%else%>Unknown <$text text={{Status}}/><%endif%>";
+		var widgetNode = createWidgetNode(parseText(text,wiki),wiki);
+		var wrapper = renderWidgetNode(widgetNode);
+		expect(wrapper.innerHTML).toBe("<p>Open</p>");
+		wiki.addTiddler({title: "Status", text: "closed"});
+		refreshWidgetNode(widgetNode,wrapper,["Status"]);
+		expect(wrapper.innerHTML).toBe("<p>Closed</p>");
+		wiki.addTiddler({title: "Status", text: "pending"});
+		refreshWidgetNode(widgetNode,wrapper,["Status"]);
+		expect(wrapper.innerHTML).toBe("<p>Unknown pending</p>");
+		wiki.addTiddler({title: "Status", text: "waiting"});
+		refreshWidgetNode(widgetNode,wrapper,["Status"]);
+		expect(wrapper.innerHTML).toBe("<p>Unknown waiting</p>");
+		wiki.addTiddler({title: "Status", text: "open"});
+		refreshWidgetNode(widgetNode,wrapper,["Status"]);
+		expect(wrapper.innerHTML).toBe("<p>Open</p>");
+	});
+
 	it("should deal with attributes specified as macro invocations", function() {
 		var wiki = new $tw.Wiki();
 		// Construct the widget node
@@ -0,0 +1,77 @@
+/*\
+title: test-wikitext-serialize.js
+type: application/javascript
+tags: [[$:/tags/test-spec]]
+
+Tests serializing wikitext parse trees back into wikitext.
+
+\*/
+(function(){
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+describe('WikiText serializer tests', function() {
+	function serialize(text) {
+		var wiki = new $tw.Wiki();
+		return $tw.utils.serializeParseTree(wiki.parseText('text/vnd.tiddlywiki',text).tree);
+	}
+
+	it('should reproduce canonical wikitext', function() {
+		var samples = [
+			"! Heading ''bold''\n\n!!.cls.two Heading //two//",
+			"Para //it// __u__ ~~s~~ ^^sup^^ ,,sub,, `code` ``co`de`` -- &copy;",
+			"* one\n** two\n*# three\n*.cls four\n\n; term\n: definition\n\n> quoted\n>> deeper",
+			"|tab|k\n|cap|c\n|!H1|!H2|h\n|a | b|\n| c |^d|\n|>|x|\n|z|w|\n|~|v|\n|f1|f2|f",
+			"<<<.cls cite\nquote\n\n<<< end cite\n\n---",
+			"@@.myclass\nStyled\n@@\n\n@@color:red;Inline@@ and @@.a.b classes@@",
+			"[[Link]] [[Text|Target]] [ext[Ext|http://x.com]] ~NoLink ~$:/Sys ~http://x.com",
+			"[img[tip|image.png]] [img width=\"32\"[image.png]]",
+			"{{Tiddler}} {{T!!field}} {{T##idx}} {{T||Tpl}} {{||Tpl}}\n\n{{Block}}\n\n{{{ [tag[x]]|tip||Tpl}}color:red;}.a.b",
+			"<<macro a \"b c\" name:'d\"e'>>\n\n<<block>>",
+			"\\define one() value\n\\define two(a,b:\"x y\")\nmulti\nline\n\\end\n\\procedure p(x) <<x>>\n\\function f.n(y:\"1\") [<y>add[1]]\n\\import [[Defs]]\n\nBody",
+			"<div class=\"x\" title={{T!!f}} data-a={{{ [[a]] }}} data-m=<<m x>>>\n\nBlock\n\n</div>\n\nInline <span>text</span><br><$link to=\"X\"/>",
+			"<%if [[a]] %>\nBlock A\n\n<%elseif [[b]] %>\nBlock B\n\n<%else%>\nOther\n\n<%endif%>\n\nInline <%if [[x]] %>yes<%else%>no<%endif%>",
+			"```js\nvar x = 1;\n```",
+			"Escaped <$text text=\"/\"/>/text/ and ~CamelCase"
+		];
+		$tw.utils.each(samples,function(text) {
+			expect(serialize(text)).toBe(text);
+		});
+	});
+
+	it('should use the canonical form of equivalent wikitext', function() {
+		expect(serialize("HelloThere $:/Sys http://x.com [[Ext|http://x.com]]")).toBe("[[HelloThere]] [[$:/Sys]] [ext[http://x.com]] [ext[Ext|http://x.com]]");
+		expect(serialize("!Heading\n* item\n\n\n\nText")).toBe("! Heading\n\n* item\n\nText");
+		expect(serialize("\\define x()\nvalue\n\\end\n<div attr>text</div>")).toBe("\\define x() value\n\n<div attr=\"true\">text</div>");
+		expect(serialize("<<<\nOuter\n\n<<<<\nInner\n<<<<\n<<<")).toBe("<<<<\nOuter\n\n<<<\nInner\n\n<<<\n\n<<<<");
+	});
+
+	it('should serialize trees that have been modified', function() {
+		var wiki = new $tw.Wiki(),
+			tree = wiki.parseText('text/vnd.tiddlywiki',"See [[Old]] and [[the old one|Old]]").tree;
+		$tw.utils.each(tree[0].children,function(node) {
+			if(node.type === "link") {
+				node.attributes.to.value = "New Title";
+			}
+		});
+		expect($tw.utils.serializeParseTree(tree)).toBe("See [[Old|New Title]] and [[the old one|New Title]]");
+		// Nodes that no rule can represent are written as HTML tags
+		tree = [{type: "element", tag: "em", attributes: {"class": {type: "string", value: "x"}}, children: [{type: "text", text: "text"}]}];
+		expect($tw.utils.serializeParseTree(tree,{parseAsInline: true})).toBe("<em class=\"x\">text</em>");
+		tree = [{type: "codeblock", attributes: {code: {type: "string", value: "a\n```\nb"}}}];
+		expect($tw.utils.serializeParseTree(tree)).toBe("<$codeblock code=\"a\n```\nb\"/>");
+	});
+
+	it('should escape text that would be read as markup', function() {
+		var wiki = new $tw.Wiki(),
+			text = "* See http://a //b and CamelCase, ''quotes'' and $:/Sys",
+			tree = [{type: "element", tag: "p", children: [{type: "text", text: text}]}],
+			wikitext = $tw.utils.serializeParseTree(tree);
+		expect(wikitext).toBe("<$text text=\"*\"/> See ~http://a <$text text=\"/\"/>/b and ~CamelCase, <$text text=\"'\"/>'quotes<$text text=\"'\"/>' and ~$:/Sys");
+		expect(wiki.renderText("text/plain","text/vnd.tiddlywiki",wikitext)).toBe(text);
+		expect(wiki.renderText("text/html","text/vnd.tiddlywiki",wikitext)).toBe("<p>" + text + "</p>");
+	});
+});
+
+})();
@@ -55,6 +55,12 @@ describe("WikiText tests", function() {
 		expect(wiki.renderText("text/html","text/vnd-tiddlywiki","No -WikiLink here").indexOf("<a") !== -1).toBe(false);
 		expect(wiki.renderText("text/html","text/vnd-tiddlywiki","No _WikiLink here").indexOf("<a") !== -1).toBe(false);
 	});
+	it("should support conditional blocks and runs", function() {
+		expect(wiki.renderText("text/html","text/vnd.tiddlywiki","Say <%if [[TiddlerOne]is[tiddler]] %>yes to <$text text=<<condition>>/><%else%>no<%endif%>!")).toBe("<p>Say yes to TiddlerOne!</p>");
+		expect(wiki.renderText("text/html","text/vnd.tiddlywiki","<%if [[Missing]is[tiddler]] %>one<%elseif [[TiddlerTwo]is[tiddler]] [[TiddlerOne]] %>two <$text text=<<condition>>/><%else%>three<%endif%>")).toBe("<p>two TiddlerTwo</p>");
+		expect(wiki.renderText("text/html","text/vnd.tiddlywiki","<%if [[Missing]is[tiddler]] %>one<%elseif [[Missing]] :filter[is[tiddler]] %>two<%else%>three<%endif%>")).toBe("<p>three</p>");
+		expect(wiki.renderText("text/html","text/vnd.tiddlywiki","<%if [[TiddlerOne]is[tiddler]] %>\n\n! Heading\n\n<%if [[Missing]is[tiddler]] %>inner<%endif%>Text\n\n<%else%>\nNone\n<%endif%>\nAfter")).toBe("<h1 class=\"\">Heading</h1><p>Text</p><p>After</p>");
+	});
 
 });
 
@@ -23,6 +23,11 @@ function FileSystemAdaptor(options) {
 	this.logger = new $tw.utils.Logger("filesystem",{colour: "blue"});
 	// Create the <wiki>/tiddlers folder if it doesn't exist
 	$tw.utils.createDirectory(this.boot.wikiTiddlersPath);
+	// Set up the store for revision history
+	var RevisionStore = require("$:/plugins/tiddlywiki/filesystem/revisionstore.js").RevisionStore;
+	this.revisionStore = new RevisionStore({
+		directory: path.resolve(this.boot.wikiPath,"revisions")
+	});
 }
 
 FileSystemAdaptor.prototype.name = "filesystem";
@@ -34,6 +39,45 @@ FileSystemAdaptor.prototype.isReady = function() {
 	return true;
 };
 
+/*
+Determine whether the revision history of tiddlers is being recorded
+*/
+FileSystemAdaptor.prototype.isRecordingRevisions = function() {
+	return this.wiki.getTiddlerText("$:/config/FileSystemRevisions","no") === "yes";
+};
+
+/*
+Record a revision of a tiddler in the revision history. Pass null for fields to record a deletion
+*/
+FileSystemAdaptor.prototype.recordRevision = function(title,fields) {
+	if(this.isRecordingRevisions()) {
+		try {
+			this.revisionStore.addRevision(title,fields);
+		} catch(e) {
+			this.logger.log("Error recording revision of '" + title + "': " + e.toString());
+		}
+	}
+};
+
+/*
+Record the version of a tiddler on disk before it is overwritten or deleted, if it has no revision history yet. This keeps the original version of tiddlers that existed before revisions were first recorded
+*/
+FileSystemAdaptor.prototype.recordOriginalRevision = function(title) {
+	var self = this,
+		fileInfo = this.boot.files[title];
+	if(this.isRecordingRevisions() && fileInfo && fs.existsSync(fileInfo.filepath) && !this.revisionStore.hasRevisions(title)) {
+		try {
+			$tw.utils.each($tw.loadTiddlersFromFile(fileInfo.filepath).tiddlers,function(fields) {
+				if(fields.title === title) {
+					self.revisionStore.addRevision(title,new $tw.Tiddler(fields).getFieldStrings());
+				}
+			});
+		} catch(e) {
+			this.logger.log("Error recording original revision of '" + title + "': " + e.toString());
+		}
+	}
+};
+
 FileSystemAdaptor.prototype.getTiddlerInfo = function(tiddler) {
 	//Returns the existing fileInfo for the tiddler. To regenerate, call getTiddlerFileInfo().
 	var title = tiddler.fields.title;
@@ -75,9 +119,12 @@ FileSystemAdaptor.prototype.getTiddlerFileInfo = function(tiddler,callback) {
 
 /*
 Save a tiddler and invoke the callback with (err,adaptorInfo,revision)
+options include:
+tiddlerInfo: the syncer's tiddlerInfo for this tiddler
 */
-FileSystemAdaptor.prototype.saveTiddler = function(tiddler,callback) {
+FileSystemAdaptor.prototype.saveTiddler = function(tiddler,callback,options) {
 	var self = this;
+	this.recordOriginalRevision(tiddler.fields.title);
 	this.getTiddlerFileInfo(tiddler,function(err,fileInfo) {
 		if(err) {
 			return callback(err);
@@ -95,15 +142,16 @@ FileSystemAdaptor.prototype.saveTiddler = function(tiddler,callback) {
 				}
 			}
 			// Cleanup duplicates if the file moved or changed extensions
-			var options = {
-				adaptorInfo: ($tw.syncer.tiddlerInfo[tiddler.fields.title] || {adaptorInfo: {} }).adaptorInfo,
+			var cleanupOptions = {
+				adaptorInfo: ((options && options.tiddlerInfo) || {adaptorInfo: {} }).adaptorInfo,
 				bootInfo: self.boot.files[tiddler.fields.title] || {},
 				title: tiddler.fields.title
 			};
-			$tw.utils.cleanupTiddlerFiles(options, function(err){
+			$tw.utils.cleanupTiddlerFiles(cleanupOptions, function(err){
 				if(err) {
 					return callback(err);
 				}
+				self.recordRevision(tiddler.fields.title,tiddler.getFieldStrings());
 				return callback(null, self.boot.files[tiddler.fields.title]);
 			});
 		});
@@ -127,6 +175,7 @@ FileSystemAdaptor.prototype.deleteTiddler = function(title,callback,options) {
 		fileInfo = this.boot.files[title];
 	// Only delete the tiddler if we have writable information for the file
 	if(fileInfo) {
+		this.recordOriginalRevision(title);
 		$tw.utils.deleteTiddlerFile(fileInfo, function(err){
 			if(err) {
 				if ((err.code == "EPERM" || err.code == "EACCES") && err.syscall == "unlink") {
@@ -137,6 +186,7 @@ FileSystemAdaptor.prototype.deleteTiddler = function(title,callback,options) {
 					return callback(err);
 				}
 			}
+			self.recordRevision(title,null);
 			return callback(null);
 		});
 	} else {
@@ -144,6 +194,32 @@ FileSystemAdaptor.prototype.deleteTiddler = function(title,callback,options) {
 	}
 };
 
+/*
+Get the revision history of a tiddler and invoke the callback with (err,revisions). Each revision is an object with the properties revision, timestamp, modified, modifier and deleted
+*/
+FileSystemAdaptor.prototype.getTiddlerRevisions = function(title,callback) {
+	var revisions;
+	try {
+		revisions = this.revisionStore.getRevisions(title);
+	} catch(e) {
+		return callback(e.toString());
+	}
+	callback(null,revisions);
+};
+
+/*
+Load a revision of a tiddler and invoke the callback with (err,tiddlerFields). The fields are null if the revision doesn't exist
+*/
+FileSystemAdaptor.prototype.loadTiddlerRevision = function(title,revision,callback) {
+	var fields;
+	try {
+		fields = this.revisionStore.getRevision(title,revision);
+	} catch(e) {
+		return callback(e.toString());
+	}
+	callback(null,fields);
+};
+
 if(fs) {
 	exports.adaptorClass = FileSystemAdaptor;
 }
@@ -0,0 +1,127 @@
+/*\
+title: $:/plugins/tiddlywiki/filesystem/revisionstore.js
+type: application/javascript
+module-type: library
+
+Append-only store of the previous revisions of tiddlers saved by the filesystem adaptor
+
+Each tiddler has a log file in the revisions folder of the wiki, named after the SHA1 hash of its title. Each line of the log is a JSON object:
+
+  revision: sequential revision number, starting at 1
+  timestamp: time the revision was recorded, in TiddlyWiki date format
+  fields: the field strings of the tiddler, or missing if the revision records a deletion
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var fs = require("fs"),
+	path = require("path"),
+	crypto = require("crypto");
+
+/*
+Options:
+  directory: path to the folder holding the revision logs
+*/
+function RevisionStore(options) {
+	this.directory = options.directory;
+	this.lastRevisions = Object.create(null); // Hashmap by title of the number of the latest revision in the log
+}
+
+/*
+Get the path of the revision log for a title
+*/
+RevisionStore.prototype.getLogPath = function(title) {
+	var hash = crypto.createHash("sha1").update(title,"utf8").digest("hex");
+	return path.resolve(this.directory,hash + ".jsonl");
+};
+
+/*
+Read all the entries for a title, oldest first
+*/
+RevisionStore.prototype.readEntries = function(title) {
+	var filepath = this.getLogPath(title),
+		entries = [];
+	if(fs.existsSync(filepath)) {
+		$tw.utils.each(fs.readFileSync(filepath,"utf8").split("\n"),function(line) {
+			if(line) {
+				entries.push(JSON.parse(line));
+			}
+		});
+	}
+	return entries;
+};
+
+/*
+Determine whether any revisions have been recorded for a title
+*/
+RevisionStore.prototype.hasRevisions = function(title) {
+	return fs.existsSync(this.getLogPath(title));
+};
+
+/*
+Append a revision for a title. Pass null for fields to record a deletion. Returns the new revision number
+*/
+RevisionStore.prototype.addRevision = function(title,fields) {
+	var entry = {
+			revision: this.getLastRevision(title) + 1,
+			timestamp: $tw.utils.stringifyDate(new Date())
+		};
+	if(fields) {
+		entry.fields = fields;
+	}
+	$tw.utils.createDirectory(this.directory);
+	fs.appendFileSync(this.getLogPath(title),JSON.stringify(entry) + "\n","utf8");
+	this.lastRevisions[title] = entry.revision;
+	return entry.revision;
+};
+
+/*
+Get the number of the latest revision of a title, or 0 if there are none. The log is only read the first time, after which the number is kept up to date by addRevision()
+*/
+RevisionStore.prototype.getLastRevision = function(title) {
+	if(!(title in this.lastRevisions)) {
+		var entries = this.readEntries(title);
+		this.lastRevisions[title] = entries.length > 0 ? entries[entries.length - 1].revision : 0;
+	}
+	return this.lastRevisions[title];
+};
+
+/*
+Get a summary of the revisions of a title, newest first. Each item has the revision number, timestamp, the modified and modifier fields, and a "deleted" flag
+*/
+RevisionStore.prototype.getRevisions = function(title) {
+	return this.readEntries(title).reverse().map(function(entry) {
+		var summary = {
+			revision: entry.revision,
+			timestamp: entry.timestamp
+		};
+		if(entry.fields) {
+			summary.modified = entry.fields.modified;
+			summary.modifier = entry.fields.modifier;
+		} else {
+			summary.deleted = true;
+		}
+		return summary;
+	});
+};
+
+/*
+Get the fields of a particular revision of a title, or null if the revision doesn't exist or records a deletion
+*/
+RevisionStore.prototype.getRevision = function(title,revision) {
+	var entries = this.readEntries(title);
+	for(var t=0; t<entries.length; t++) {
+		if(entries[t].revision === revision) {
+			return entries[t].fields || null;
+		}
+	}
+	return null;
+};
+
+exports.RevisionStore = RevisionStore;
+
+})();
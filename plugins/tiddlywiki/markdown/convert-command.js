@@ -0,0 +1,60 @@
+/*\
+title: $:/plugins/tiddlywiki/markdown/convert-command.js
+type: application/javascript
+module-type: command
+
+Command to convert tiddlers between WikiText and Markdown and save the results to the specified files
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+exports.info = {
+	name: "convert",
+	synchronous: true
+};
+
+var Command = function(params,commander,callback) {
+	this.params = params;
+	this.commander = commander;
+	this.callback = callback;
+};
+
+Command.prototype.execute = function() {
+	if(this.params.length < 1) {
+		return "Missing tiddler filter";
+	}
+	var self = this,
+		fs = require("fs"),
+		path = require("path"),
+		wiki = this.commander.wiki,
+		tiddlerFilter = this.params[0],
+		type = this.params[1] || "text/x-markdown",
+		extension = type === "text/x-markdown" ? ".md" : ".txt",
+		filenameFilter = this.params[2] || "[is[tiddler]encodeuricomponent[]addsuffix[" + extension + "]]",
+		tiddlers = wiki.filterTiddlers(tiddlerFilter);
+	if(wiki.convertText("","text/vnd.tiddlywiki",type) === null) {
+		return "Unsupported content type: " + type;
+	}
+	$tw.utils.each(tiddlers,function(title) {
+		var text = wiki.convertTiddlerText(title,type),
+			filepath;
+		if(text === null) {
+			return;
+		}
+		filepath = path.resolve(self.commander.outputPath,wiki.filterTiddlers(filenameFilter,$tw.rootWidget,wiki.makeTiddlerIterator([title]))[0]);
+		if(self.commander.verbose) {
+			console.log("Converting \"" + title + "\" to \"" + filepath + "\"");
+		}
+		$tw.utils.createFileDirectories(filepath);
+		fs.writeFileSync(filepath,text,"utf8");
+	});
+	return null;
+};
+
+exports.Command = Command;
+
+})();
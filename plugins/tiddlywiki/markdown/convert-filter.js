@@ -0,0 +1,30 @@
+/*\
+title: $:/plugins/tiddlywiki/markdown/convert-filter.js
+type: application/javascript
+module-type: filteroperator
+
+Filter operator returning the text of each input tiddler converted into the content type given by the operand
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*
+Export our filter function
+*/
+exports.convert = function(source,operator,options) {
+	var results = [],
+		toType = operator.operand || "text/x-markdown";
+	source(function(tiddler,title) {
+		var text = options.wiki.convertTiddlerText(title,toType);
+		if(text !== null) {
+			results.push(text);
+		}
+	});
+	return results;
+};
+
+})();
@@ -0,0 +1,64 @@
+/*\
+title: $:/plugins/tiddlywiki/markdown/convert.js
+type: application/javascript
+module-type: wikimethod
+
+Conversion of text between WikiText and Markdown
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+// WikiText is written by the core serializer, and Markdown by the serializer of this plugin
+var serializers = {
+	"text/vnd.tiddlywiki": function(tree) {
+		alignTableCells(tree);
+		return $tw.utils.serializeParseTree(tree);
+	},
+	"text/x-markdown": function(tree) {
+		return $tw.utils.parseTreeToMarkdown(tree);
+	}
+};
+
+/*
+Replace the text-align style of Markdown table cells with the align attribute used by WikiText tables, so that the tables can be written in WikiText
+*/
+function alignTableCells(nodes) {
+	$tw.utils.each(nodes,function(node) {
+		var style = node.attributes && node.attributes.style,
+			match = style && style.type === "string" && /^text-align:(left|right|center)$/.exec(style.value);
+		if(match && (node.tag === "th" || node.tag === "td")) {
+			delete node.attributes.style;
+			$tw.utils.addAttributeToParseTreeNode(node,"align",match[1]);
+		}
+		alignTableCells(node.children);
+	});
+}
+
+/*
+Convert text of one content type into the source of another by parsing it and serializing the parse tree. Returns null if there is no serializer for the target type
+*/
+exports.convertText = function(text,fromType,toType) {
+	var serializer = serializers[toType],
+		parser = this.parseText(fromType || "text/vnd.tiddlywiki",text || "");
+	if(!serializer || !parser) {
+		return null;
+	}
+	return serializer(parser.tree);
+};
+
+/*
+Convert the text of a tiddler into the source of another content type
+*/
+exports.convertTiddlerText = function(title,toType) {
+	var tiddler = this.getTiddler(title);
+	if(!tiddler) {
+		return null;
+	}
+	return this.convertText(tiddler.fields.text,tiddler.fields.type,toType);
+};
+
+})();
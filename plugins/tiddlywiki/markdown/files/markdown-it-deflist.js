@@ -0,0 +1,2 @@
+/*! markdown-it-deflist 4.0.0 https://github.com/markdown-it/markdown-it-deflist.git @license MIT */
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?module.exports=e():"function"==typeof define&&define.amd?define(e):(t="undefined"!=typeof globalThis?globalThis:t||self).markdownitDeflist=e()}(this,function(){"use strict";const t=Symbol("markdown-it-deflist.ddDepth");return function(e){const n=e.utils.isSpace;function o(t,e){let n=t.bMarks[e]+t.tShift[e];const o=t.eMarks[e];if(n>=o)return-1;if(t.sCount[e]-t.blkIndent>=4)return-1;const r=t.src.charCodeAt(n++);if(126!==r&&58!==r)return-1;const i=t.skipSpaces(n);return n<o&&n===i?-1:n}function r(t,e,n,o){let r=-1;for(let i=e;i<n;i++){const e=t.tokens[i];if(e.level===o&&e.block&&!(e.nesting<0)){if(r>=0)return;r=i}}r<0||"paragraph_open"!==t.tokens[r].type||(t.tokens[r+2].hidden=!0,t.tokens[r].hidden=!0)}e.block.ruler.before("paragraph","deflist",function(e,i,s,l){if(l){if(!e.env[t])return!1;return o(e,i)>=0&&e.sCount[i]<e.blkIndent}let f=i+1;if(f>=s)return!1;let d=!0;if(e.isEmpty(f)&&(f++,d=!1,f>=s))return!1;if(e.sCount[f]<e.blkIndent)return!1;let u=o(e,f);if(u<0)return!1;const a=[i,0];e.push("dl_open","dl",1).map=a;let p=i,k=f;t:for(;;){e.push("dt_open","dt",1).map=[p,p];const i=e.push("inline","",0);for(i.map=[p,p],i.content=e.getLines(p,p+1,e.blkIndent,!1).trim(),i.children=[],e.push("dt_close","dt",-1);;){const i=e.tokens.length,l=e.push("dd_open","dd",1),a=[f,0];l.map=a;let p=u;const c=e.eMarks[k];let b=e.sCount[k]+u-(e.bMarks[k]+e.tShift[k]);for(;p<c;){const t=e.src.charCodeAt(p);if(!n(t))break;9===t?b+=4-b%4:b++,p++}u=p;const h=e.tight,m=e.blkIndent,C=e.tShift[k],g=e.sCount[k],y=e.parentType;if(e.blkIndent=e.sCount[k]+2,e.tShift[k]=u-e.bMarks[k],e.sCount[k]=b,e.tight=!0,e.parentType="deflist",e.env[t]=(e.env[t]||0)+1,e.md.block.tokenize(e,k,s,!0),e.env[t]--,d&&r(e,i,e.tokens.length,l.level+1),e.tShift[k]=C,e.sCount[k]=g,e.tight=h,e.parentType=y,e.blkIndent=m,e.push("dd_close","dd",-1),a[1]=f=e.line,f>=s)break t;if(e.sCount[f]<e.blkIndent)break t;if(u=o(e,f),u<0)break;k=f}if(f>=s)break;if(p=f,e.isEmpty(p))break;if(e.sCount[p]<e.blkIndent)break;if(k=p+1,k>=s)break;const l=e.isEmpty(k);if(l&&k++,k>=s)break;if(e.sCount[k]<e.blkIndent)break;if(u=o(e,k),u<0)break;d=!l}return e.push("dl_close","dl",-1),a[1]=f,e.line=f,!0},{alt:["paragraph","reference","blockquote"]})}});
@@ -0,0 +1,401 @@
+/*\
+title: $:/plugins/tiddlywiki/markdown/serializers.js
+type: application/javascript
+module-type: utils
+
+Serializer that converts parse trees into Markdown source. Constructs without an equivalent in the target syntax are written as HTML elements and widgets
+
+\*/
+(function(){
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+var BLOCK_TAGS = ["p","h1","h2","h3","h4","h5","h6","ul","ol","li","blockquote","pre","table","thead","tbody","tr","hr","div","dl","dt","dd","section"],
+	VOID_TAGS = ["area","base","br","col","command","embed","hr","img","input","keygen","link","meta","param","source","track","wbr"];
+
+/*
+Convert a parse tree to Markdown
+*/
+exports.parseTreeToMarkdown = function(tree) {
+	return serializeBlocks(tree,markdownRules).trim() + "\n";
+};
+
+/*
+Serialize an array of nodes as blocks separated by blank lines. Runs of inline nodes are serialized together as a single block
+*/
+function serializeBlocks(nodes,rules) {
+	var blocks = [],
+		run = [];
+	function flushRun() {
+		var text = serializeInline(run,rules).trim();
+		if(text) {
+			blocks.push(text);
+		}
+		run = [];
+	}
+	$tw.utils.each(nodes,function(node) {
+		if(isBlockNode(node)) {
+			flushRun();
+			var text = serializeNode(node,rules,true);
+			if(text) {
+				blocks.push(text);
+			}
+		} else {
+			run.push(node);
+		}
+	});
+	flushRun();
+	return blocks.join("\n\n");
+}
+
+function serializeInline(nodes,rules) {
+	return (nodes || []).map(function(node) {
+		return serializeNode(node,rules,false);
+	}).join("");
+}
+
+function serializeNode(node,rules,isBlock) {
+	var rule = node.type === "element" ? rules.elements[node.tag] : rules.nodes[node.type];
+	if(rule) {
+		var text = rule.call(rules,node,isBlock);
+		if(typeof text === "string") {
+			return text;
+		}
+	}
+	return serializeAsHtml(node,rules,isBlock);
+}
+
+function isBlockNode(node) {
+	return (node.type === "element" && BLOCK_TAGS.indexOf(node.tag) !== -1) || node.type === "codeblock" || node.type === "set" || !!node.isBlock;
+}
+
+/*
+Get the text of a text node, which is in an attribute if the node is a text widget such as <$text text="x"/>
+*/
+function getText(node) {
+	return node.text !== undefined ? node.text : (getAttribute(node,"text") || "");
+}
+
+/*
+Get the text content of a node
+*/
+function getTextContent(nodes) {
+	return (nodes || []).map(function(node) {
+		return node.type === "text" ? getText(node) : getTextContent(node.children);
+	}).join("");
+}
+
+function getAttribute(node,name) {
+	var attribute = node.attributes && node.attributes[name];
+	return attribute && attribute.type === "string" ? attribute.value : undefined;
+}
+
+/*
+Get the alignment of a table cell from its align attribute or text-align style
+*/
+function getAlignment(node) {
+	var style = getAttribute(node,"style") || "",
+		match = /text-align:\s*(left|right|center)/.exec(style);
+	return getAttribute(node,"align") || (match && match[1]) || "";
+}
+
+/*
+Serialize the attributes of an element or widget in WikiText syntax
+*/
+function serializeAttributes(node) {
+	var attributes = [];
+	$tw.utils.each(node.orderedAttributes || node.attributes,function(attribute,name) {
+		name = attribute.name || name;
+		switch(attribute.type) {
+			case "indirect":
+				attributes.push(name + "={{" + attribute.textReference + "}}");
+				break;
+			case "filtered":
+				attributes.push(name + "={{{" + attribute.filter + "}}}");
+				break;
+			case "macro":
+				attributes.push(name + "=" + serializeMacroCall(attribute.value));
+				break;
+			default:
+				attributes.push(name + "=" + quoteValue(attribute.value));
+				break;
+		}
+	});
+	return attributes.length > 0 ? " " + attributes.join(" ") : "";
+}
+
+function quoteValue(value) {
+	value = "" + value;
+	if(value.indexOf("\"") === -1) {
+		return "\"" + value + "\"";
+	} else if(value.indexOf("'") === -1) {
+		return "'" + value + "'";
+	} else if(value.indexOf("\"\"\"") === -1) {
+		return "\"\"\"" + value + "\"\"\"";
+	} else {
+		return "[[" + value + "]]";
+	}
+}
+
+function serializeMacroCall(node) {
+	var params = (node.params || []).map(function(param) {
+		return " " + (param.name ? param.name + ":" : "") + quoteValue(param.value);
+	});
+	return "<<" + node.name + params.join("") + ">>";
+}
+
+/*
+Serialize a set widget generated by a definition pragma, followed by the content that the definition applies to. Returns null for other set widgets
+*/
+function serializeDefinition(node) {
+	var pragma = node.isMacroDefinition ? "define" : (node.isProcedureDefinition ? "procedure" : (node.isFunctionDefinition ? "function" : null));
+	if(!pragma) {
+		return null;
+	}
+	var params = (node.params || []).map(function(param) {
+			return param.name + (param["default"] ? ":" + quoteValue(param["default"]) : "");
+		}),
+		value = getAttribute(node,"value") || "",
+		definition = "\\" + pragma + " " + getAttribute(node,"name") + "(" + params.join(",") + ")" + (value.indexOf("\n") === -1 ? " " + value : "\n" + value + "\n\\end");
+	return (definition + "\n\n" + serializeBlocks(node.children,this)).trim();
+}
+
+/*
+Serialize the tiddler widget generated by a transclusion such as {{Title!!field}} or {{Title||Template}}. Returns null if the widget doesn't match a transclusion
+*/
+function serializeTransclusion(node) {
+	var transclude = node.children && node.children.length === 1 && node.children[0],
+		title = getAttribute(node,"tiddler");
+	if(!transclude || transclude.type !== "transclude" || title === undefined || Object.keys(node.attributes).length !== 1) {
+		return null;
+	}
+	var target = getAttribute(transclude,"tiddler"),
+		field = getAttribute(transclude,"field"),
+		index = getAttribute(transclude,"index");
+	if(target === title) {
+		return "{{" + title + (field ? "!!" + field : "") + (index ? "##" + index : "") + "}}";
+	} else if(target !== undefined && !field && !index) {
+		return "{{" + title + "||" + target + "}}";
+	}
+	return null;
+}
+
+/*
+Serialize a node as an HTML element or widget, for constructs that have no equivalent in the target syntax
+*/
+function serializeAsHtml(node,rules,isBlock) {
+	var tag;
+	switch(node.type) {
+		case "text":
+			return rules.text(getText(node));
+		case "element":
+			tag = node.tag;
+			break;
+		case "entity":
+			return node.entity;
+		case "raw":
+			return node.html;
+		default:
+			tag = node.tag || "$" + node.type;
+			break;
+	}
+	var openTag = "<" + tag + serializeAttributes(node);
+	if(VOID_TAGS.indexOf(tag) !== -1 || (tag.charAt(0) === "$" && (!node.children || node.children.length === 0))) {
+		return openTag + "/>";
+	}
+	if(isBlock) {
+		return openTag + ">\n\n" + serializeBlocks(node.children,rules) + "\n\n</" + tag + ">";
+	} else {
+		return openTag + ">" + serializeInline(node.children,rules) + "</" + tag + ">";
+	}
+}
+
+/*
+Serialize a list, using the function getPrefix(node,index) to get the marker for each item. Lines after the first are indented to line up with the content of the item
+*/
+function serializeList(node,rules,getPrefix) {
+	var items = [];
+	$tw.utils.each(node.children,function(item,index) {
+		var prefix = getPrefix(item,index),
+			content = serializeListItem(item,rules);
+		items.push(prefix + content.replace(/\n/g,"\n" + new Array(prefix.length + 1).join(" ")));
+	});
+	return items.join("\n");
+}
+
+function serializeListItem(node,rules) {
+	var parts = [],
+		run = [];
+	$tw.utils.each(node.children,function(child) {
+		if(child.type === "element" && (child.tag === "ul" || child.tag === "ol")) {
+			parts.push(serializeInline(run,rules).trim());
+			run = [];
+			parts.push(rules.nestedList(child));
+		} else if(child.type === "element" && child.tag === "p") {
+			run.push({type: "text", text: " "});
+			run.push.apply(run,child.children);
+		} else {
+			run.push(child);
+		}
+	});
+	parts.push(serializeInline(run,rules).trim());
+	return parts.filter(function(part) {
+		return part !== "";
+	}).join("\n");
+}
+
+/*
+Serialize the rows of a table as arrays of cell nodes, with the header rows first
+*/
+function getTableRows(node) {
+	var rows = [];
+	function collectRows(nodes) {
+		$tw.utils.each(nodes,function(child) {
+			if(child.type === "element" && child.tag === "tr") {
+				rows.push((child.children || []).filter(function(cell) {
+					return cell.type === "element" && (cell.tag === "th" || cell.tag === "td");
+				}));
+			} else if(child.type === "element" && (child.tag === "thead" || child.tag === "tbody" || child.tag === "tfoot")) {
+				collectRows(child.children);
+			}
+		});
+	}
+	collectRows(node.children);
+	return rows;
+}
+
+function fence(text,character) {
+	var longest = 2;
+	text.replace(new RegExp($tw.utils.escapeRegExp(character) + "+","g"),function(match) {
+		longest = Math.max(longest,match.length);
+		return match;
+	});
+	return new Array(longest + 2).join(character);
+}
+
+///// Markdown /////
+
+var markdownRules = {
+	text: function(text) {
+		// Words that the WikiText handed off by the Markdown parser would read as links are prefixed with the WikiText escape character
+		var textPrimitives = $tw.config.textPrimitives,
+			reLinkWord = new RegExp("(^|[^" + textPrimitives.blockPrefixLetters.slice(1,-1) + "])(" + textPrimitives.wikiLink + "|\\$:\\/[" + textPrimitives.anyLetter.slice(1,-1) + "\\/._-]+)","g");
+		return text.replace(/([\\`*_\[\]])/g,"\\$1").replace(/^([#>+\-]|\d+\.)(?=\s)/gm,"\\$1").replace(reLinkWord,"$1" + textPrimitives.unWikiLink + "$2");
+	},
+	nestedList: function(node) {
+		return serializeNode(node,markdownRules,true);
+	},
+	elements: {
+		p: function(node) {
+			return serializeInline(node.children,markdownRules).trim();
+		},
+		ul: function(node) {
+			return serializeList(node,markdownRules,function() {
+				return "- ";
+			});
+		},
+		ol: function(node) {
+			return serializeList(node,markdownRules,function(item,index) {
+				return (index + 1) + ". ";
+			});
+		},
+		blockquote: function(node) {
+			return serializeBlocks(node.children,markdownRules).replace(/^/gm,"> ");
+		},
+		pre: function(node) {
+			var text = getTextContent(node.children).replace(/\n$/,""),
+				marker = fence(text,"`");
+			return marker + "\n" + text + "\n" + marker;
+		},
+		hr: function() {
+			return "---";
+		},
+		br: function() {
+			return "\\\n";
+		},
+		strong: function(node) {
+			return "**" + serializeInline(node.children,markdownRules) + "**";
+		},
+		em: function(node) {
+			return "*" + serializeInline(node.children,markdownRules) + "*";
+		},
+		strike: function(node) {
+			return "~~" + serializeInline(node.children,markdownRules) + "~~";
+		},
+		code: function(node) {
+			var text = getTextContent(node.children),
+				marker = text.indexOf("`") === -1 ? "`" : "``";
+			return marker + (marker.length > 1 ? " " + text + " " : text) + marker;
+		},
+		a: function(node) {
+			var href = getAttribute(node,"href"),
+				text = serializeInline(node.children,markdownRules);
+			if(href === undefined) {
+				return null;
+			}
+			return getTextContent(node.children) === href && /^[a-z][a-z0-9+.\-]*:/i.test(href) ? "<" + href + ">" : "[" + text + "](" + href + ")";
+		},
+		table: function(node) {
+			var rows = getTableRows(node);
+			if(rows.length === 0) {
+				return null;
+			}
+			var serializeRow = function(cells) {
+				return "| " + cells.map(function(cell) {
+					return serializeInline(cell.children,markdownRules).trim().replace(/\|/g,"\\|").replace(/\n/g," ");
+				}).join(" | ") + " |";
+			};
+			var separator = rows[0].map(function(cell) {
+				switch(getAlignment(cell)) {
+					case "left":
+						return ":--";
+					case "right":
+						return "--:";
+					case "center":
+						return ":-:";
+					default:
+						return "---";
+				}
+			});
+			return [serializeRow(rows[0]),"|" + separator.join("|") + "|"].concat(rows.slice(1).map(serializeRow)).join("\n");
+		}
+	},
+	nodes: {
+		link: function(node) {
+			var to = getAttribute(node,"to");
+			if(to === undefined) {
+				return null;
+			}
+			return "[" + serializeInline(node.children,markdownRules) + "](#" + encodeURI(to).replace(/\(/g,"%28").replace(/\)/g,"%29") + ")";
+		},
+		image: function(node) {
+			var source = getAttribute(node,"source");
+			if(source === undefined) {
+				return null;
+			}
+			return "![" + (getAttribute(node,"tooltip") || "") + "](" + encodeURI(source).replace(/\(/g,"%28").replace(/\)/g,"%29") + ")";
+		},
+		codeblock: function(node) {
+			var code = (getAttribute(node,"code") || "").replace(/\n$/,""),
+				marker = fence(code,"`");
+			return marker + (getAttribute(node,"language") || "") + "\n" + code + "\n" + marker;
+		},
+		macrocall: serializeMacroCall,
+		tiddler: serializeTransclusion,
+		set: serializeDefinition
+	}
+};
+
+// Headings
+$tw.utils.each([1,2,3,4,5,6],function(level) {
+	markdownRules.elements["h" + level] = function(node) {
+		return new Array(level + 1).join("#") + " " + serializeInline(node.children,markdownRules).trim();
+	};
+});
+markdownRules.elements.del = markdownRules.elements.s = markdownRules.elements.strike;
+markdownRules.elements.b = markdownRules.elements.strong;
+markdownRules.elements.i = markdownRules.elements.em;
+
+})();
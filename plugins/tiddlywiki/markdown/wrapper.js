@@ -3,7 +3,7 @@ title: $:/plugins/tiddlywiki/markdown/wrapper.js
 type: application/javascript
 module-type: parser
 
-Wraps up the remarkable parser for use as a Parser in TiddlyWiki
+Wraps up the markdown-it parser for use as a Parser in TiddlyWiki, producing native parse tree nodes. WikiText links, transclusions and macro calls within Markdown are parsed as WikiText
 
 \*/
 (function(){
@@ -12,11 +12,7 @@ Wraps up the remarkable parser for use as a Parser in TiddlyWiki
 /*global $tw: false */
 "use strict";
 
-var r = require("$:/plugins/tiddlywiki/markdown/remarkable.js");
-
-var Remarkable = r.Remarkable,
-	linkify = r.linkify,
-	utils = r.utils;
+var MarkdownIt = require("$:/plugins/tiddlywiki/markdown/markdown-it.js");
 
 ///// Set up configuration options /////
 function parseAsBoolean(tiddlerName) {
@@ -27,8 +23,9 @@ var pluginOpts = {
 	renderWikiText: parseAsBoolean("$:/config/markdown/renderWikiText"),
 	renderWikiTextPragma: $tw.wiki.getTiddlerText("$:/config/markdown/renderWikiTextPragma").trim()
 };
-var remarkableOpts = {
+var markdownItOpts = {
 	breaks: parseAsBoolean("$:/config/markdown/breaks"),
+	linkify: parseAsBoolean("$:/config/markdown/linkify"),
 	quotes: $tw.wiki.getTiddlerText("$:/config/markdown/quotes"),
 	typographer: parseAsBoolean("$:/config/markdown/typographer")
 };
@@ -37,10 +34,72 @@ var accumulatingTypes = {
 	"softbreak": true
 };
 
-var md = new Remarkable(remarkableOpts);
+// The default preset enables the GFM extensions for tables and strikethrough. The plugins add the other syntax extensions
+var md = new MarkdownIt("default", markdownItOpts);
+$tw.utils.each(["abbr","deflist","footnote","ins","mark","sub","sup"],function(name) {
+	md.use(require("$:/plugins/tiddlywiki/markdown/markdown-it-" + name + ".js"));
+});
+
+// Regexps for the WikiText constructs recognised within Markdown text
+var wikiLinkRegExp = /^\[\[(.*?)(?:\|(.*?))?\]\]/,
+	wikiTextRegExp = /^(?:\{\{\{[\s\S]+?\}\}\}|\{\{[^\{\}\|]*(?:\|\|[^\|\{\}]+)?(?:\|[^\{\}]+)?\}\}|<<[^>\s]+(?:\s*)(?:[^>]|(?:>(?!>)))*?>>)/;
+
+/*
+Inline rule for WikiText links, transclusions and macro calls, so that they become native parse tree nodes rather than being broken up by the Markdown parser
+*/
+function wikiText(state, silent) {
+	var src = state.src.slice(state.pos, state.posMax),
+		match = wikiLinkRegExp.exec(src),
+		token;
+	if (match) {
+		if (!silent) {
+			token = state.push("tw_link", "", 0);
+			token.meta = {
+				text: match[1],
+				target: match[2] || match[1]
+			};
+		}
+	} else {
+		match = wikiTextRegExp.exec(src);
+		if (!match) {
+			return false;
+		}
+		if (!silent) {
+			token = state.push("tw_wikitext", "", 0);
+			token.content = match[0];
+		}
+	}
+	state.pos += match[0].length;
+	return true;
+}
+
+/*
+Core rule for GFM task list items, which start with "[ ]" or "[x]"
+*/
+function taskLists(state) {
+	var tokens = state.tokens;
+	for (var i = 2; i < tokens.length; i++) {
+		if (tokens[i].type === "inline" && tokens[i - 1].type === "paragraph_open" && tokens[i - 2].type === "list_item_open") {
+			var firstChild = tokens[i].children[0],
+				match = firstChild && firstChild.type === "text" && /^\[([ xX])\](?=\s)/.exec(firstChild.content);
+			if (match) {
+				var checkbox = new state.Token("task_checkbox", "input", 0);
+				checkbox.attrs = [["type", "checkbox"], ["disabled", "disabled"]];
+				if (match[1] !== " ") {
+					checkbox.attrPush(["checked", "checked"]);
+				}
+				checkbox.level = firstChild.level;
+				firstChild.content = firstChild.content.slice(match[0].length);
+				tokens[i].children.unshift(checkbox);
+				tokens[i - 2].attrJoin("class", "task-list-item");
+			}
+		}
+	}
+}
 
-if (parseAsBoolean("$:/config/markdown/linkify")) {
-	md = md.use(linkify);
+md.core.ruler.after("inline", "task_lists", taskLists);
+if (pluginOpts.renderWikiText) {
+	md.inline.ruler.before("link", "tiddlywiki", wikiText);
 }
 
 function findTagWithType(nodes, startPoint, type, level) {
@@ -52,12 +111,20 @@ function findTagWithType(nodes, startPoint, type, level) {
 	return false;
 }
 
+function convertAttributes(token) {
+	var attributes = {};
+	$tw.utils.each(token.attrs || [], function(attr) {
+		attributes[attr[0]] = { type: "string", value: attr[1] };
+	});
+	return attributes;
+}
+
 /**
- * Remarkable creates nodes that look like:
+ * markdown-it creates tokens that look like:
  * [
- *   { type: 'paragraph_open'},
- *   { type: 'inline', content: 'Hello World', children:[{type: 'text', content: 'Hello World'}]},
- *   { type: 'paragraph_close'}
+ *   { type: 'paragraph_open', tag: 'p', nesting: 1 },
+ *   { type: 'inline', content: 'Hello World', children: [{type: 'text', content: 'Hello World'}]},
+ *   { type: 'paragraph_close', tag: 'p', nesting: -1 }
  * ]
  *
  * But TiddlyWiki wants the Parser (https://tiddlywiki.com/dev/static/Parser.html) to emit nodes like:
@@ -65,9 +132,11 @@ function findTagWithType(nodes, startPoint, type, level) {
  * [
  *   { type: 'element', tag: 'p', children: [{type: 'text', text: 'Hello World'}]}
  * ]
+ *
+ * The context gives the wiki used to parse WikiText, and the prefix for the ids of the footnotes of the tiddler
  */
-function convertNodes(remarkableTree, isStartOfInline) {
-	let out = [];
+function convertNodes(tokens, context, isStartOfInline) {
+	var out = [];
 	var accumulatedText = '';
 	function withChildren(currentIndex, currentLevel, closingType, nodes, callback) {
 		var j = findTagWithType(nodes, currentIndex + 1, closingType, currentLevel);
@@ -76,67 +145,96 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			console.log(nodes);
 			return currentIndex + 1;
 		}
-		let children = convertNodes(nodes.slice(currentIndex + 1, j));
+		var children = convertNodes(nodes.slice(currentIndex + 1, j), context);
 		callback(children);
 		return j;
 	}
-	function wrappedElement(elementTag, currentIndex, currentLevel, closingType, nodes) {
+	function wrappedElement(elementTag, currentIndex, currentLevel, closingType, nodes, attributes) {
 		return withChildren(currentIndex, currentLevel, closingType, nodes, function(children) {
 			out.push({
 				type: "element",
 				tag: elementTag,
+				attributes: attributes || {},
 				children: children
 			});
 		});
 	}
+	function externalLink(href, title, children) {
+		var attributes = {
+			class: { type: "string", value: "tc-tiddlylink-external" },
+			href: { type: "string", value: href },
+			rel: { type: "string", value: "noopener noreferrer" }
+		};
+		if (title) {
+			attributes.title = { type: "string", value: title };
+		}
+		if (pluginOpts.linkNewWindow) {
+			attributes.target = { type: "string", value: "_blank" };
+		}
+		return {
+			type: "element",
+			tag: "a",
+			attributes: attributes,
+			children: children
+		};
+	}
+	// Footnote links scroll to their target with a button rather than changing the location hash, which would navigate to a tiddler
+	function footnoteLink(targetId, className, children) {
+		return {
+			type: "button",
+			attributes: {
+				class: { type: "string", value: "tc-btn-invisible tc-tiddlylink " + className }
+			},
+			children: [{
+				type: "action-sendmessage",
+				attributes: {
+					$message: { type: "string", value: "tm-scroll" },
+					selector: { type: "string", value: "#" + targetId }
+				}
+			}].concat(children)
+		};
+	}
+	function footnoteId(meta) {
+		return context.footnotePrefix + "-" + (meta.id + 1);
+	}
+	function footnoteRefId(meta) {
+		return context.footnotePrefix + "-ref-" + (meta.id + 1) + (meta.subId > 0 ? "-" + meta.subId : "");
+	}
 
-	for (var i = 0; i < remarkableTree.length; i++) {
-		var currentNode = remarkableTree[i];
+	for (var i = 0; i < tokens.length; i++) {
+		var currentNode = tokens[i];
 		switch (currentNode.type) {
 		case "paragraph_open":
-			i = wrappedElement("p", i, currentNode.level, "paragraph_close", remarkableTree);
-			break;
-
-		case "heading_open":
-			i = wrappedElement("h" + currentNode.hLevel, i, currentNode.level, "heading_close", remarkableTree);
-			break;
-
-		case "bullet_list_open":
-			i = wrappedElement("ul", i, currentNode.level, "bullet_list_close", remarkableTree);
-			break;
-
-		case "ordered_list_open":
-			i = wrappedElement('ol', i, currentNode.level,'ordered_list_close', remarkableTree);
+			if (currentNode.hidden) {
+				// Paragraphs within tight lists aren't wrapped in <p> elements
+				i = withChildren(i, currentNode.level, "paragraph_close", tokens, function(children) {
+					out = out.concat(children);
+				});
+			} else {
+				i = wrappedElement("p", i, currentNode.level, "paragraph_close", tokens);
+			}
 			break;
 
-		case "list_item_open":
-			i = wrappedElement("li", i, currentNode.level, "list_item_close", remarkableTree);
+		case "task_checkbox":
+			out.push({
+				type: "element",
+				tag: "input",
+				attributes: convertAttributes(currentNode)
+			});
 			break;
 
 		case "link_open":
-			i = withChildren(i, currentNode.level, "link_close", remarkableTree, function(children) {
-				if (currentNode.href[0] !== "#") {
+			i = withChildren(i, currentNode.level, "link_close", tokens, function(children) {
+				var href = currentNode.attrGet("href");
+				if (href[0] !== "#") {
 					// External link
-					var attributes = {
-						class: { type: "string", value: "tc-tiddlylink-external" },
-						href: { type: "string", value: currentNode.href },
-						rel: { type: "string", value: "noopener noreferrer" }
-					};
-					if (pluginOpts.linkNewWindow) {
-						attributes.target = { type: "string", value: "_blank" };
-					}
-					out.push({
-						type: "element",
-						tag: "a",
-						attributes: attributes,
-						children: children
-					});
+					out.push(externalLink(href, currentNode.attrGet("title"), children));
 				} else {
 					// Internal link
 					out.push({
 						type: "link",
 						attributes: {
-							to: { type: "string", value: decodeURI(currentNode.href.substr(1)) }
+							to: { type: "string", value: decodeURI(href.substr(1)) }
 						},
 						children: children
 					});
@@ -144,10 +242,95 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			});
 			break;
 
-		case "code":
+		case "tw_link":
+			var linkChildren = [{ type: "text", text: currentNode.meta.text }];
+			if ($tw.utils.isLinkExternal(currentNode.meta.target)) {
+				out.push(externalLink(currentNode.meta.target, null, linkChildren));
+			} else {
+				out.push({
+					type: "link",
+					attributes: {
+						to: { type: "string", value: currentNode.meta.target }
+					},
+					children: linkChildren
+				});
+			}
+			break;
+
+		case "tw_wikitext":
+			out = out.concat(context.wiki.parseText("text/vnd.tiddlywiki", currentNode.content, {
+				parseAsInline: true
+			}).tree);
+			break;
+
+		case "footnote_ref":
+			out.push({
+				type: "element",
+				tag: "sup",
+				attributes: {
+					class: { type: "string", value: "footnote-ref" },
+					id: { type: "string", value: footnoteRefId(currentNode.meta) }
+				},
+				children: [footnoteLink(footnoteId(currentNode.meta), "footnote-ref-link", [
+					{ type: "text", text: "[" + (currentNode.meta.id + 1) + "]" }
+				])]
+			});
+			break;
+
+		case "footnote_block_open":
+			i = withChildren(i, currentNode.level, "footnote_block_close", tokens, function(children) {
+				out.push({
+					type: "element",
+					tag: "hr",
+					attributes: {
+						class: { type: "string", value: "footnotes-sep" }
+					}
+				}, {
+					type: "element",
+					tag: "section",
+					attributes: {
+						class: { type: "string", value: "footnotes" }
+					},
+					children: [{
+						type: "element",
+						tag: "ol",
+						attributes: {
+							class: { type: "string", value: "footnotes-list" }
+						},
+						children: children
+					}]
+				});
+			});
+			break;
+
+		case "footnote_open":
+			i = wrappedElement("li", i, currentNode.level, "footnote_close", tokens, {
+				id: { type: "string", value: footnoteId(currentNode.meta) },
+				class: { type: "string", value: "footnote-item" }
+			});
+			break;
+
+		case "footnote_anchor":
+			out.push({
+				type: "text",
+				text: " "
+			}, footnoteLink(footnoteRefId(currentNode.meta), "footnote-backref", [
+				{ type: "text", text: "\u21a9" }
+			]));
+			break;
+
+		case "code_inline":
 			out.push({
 				type: "element",
-				tag: currentNode.block ? "pre" : "code",
+				tag: "code",
+				children: [{ type: "text", text: currentNode.content }]
+			});
+			break;
+
+		case "code_block":
+			out.push({
+				type: "element",
+				tag: "pre",
 				children: [{ type: "text", text: currentNode.content }]
 			});
 			break;
@@ -156,7 +339,7 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			out.push({
 				type: "codeblock",
 				attributes: {
-					language: { type: "string", value: currentNode.params },
+					language: { type: "string", value: currentNode.info },
 					code: { type: "string", value: currentNode.content }
 				}
 			});
@@ -166,14 +349,14 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			out.push({
 				type: "image",
 				attributes: {
-					tooltip: { type: "string", value: currentNode.alt },
-					source: { type: "string", value: decodeURIComponent(currentNode.src) }
+					tooltip: { type: "string", value: currentNode.content },
+					source: { type: "string", value: decodeURIComponent(currentNode.attrGet("src")) }
 				}
 			});
 			break;
 
 		case "softbreak":
-			if (remarkableOpts.breaks) {
+			if (markdownItOpts.breaks) {
 				out.push({
 					type: "element",
 					tag: "br",
@@ -190,23 +373,6 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			});
 			break;
 
-		case "th_open":
-		case "td_open":
-			var elementTag = currentNode.type.slice(0, 2);
-			i = withChildren(i, currentNode.level, elementTag + "_close", remarkableTree, function(children) {
-				var attributes = {};
-				if (currentNode.align) {
-					attributes.style = { type: "string", value: "text-align:" + currentNode.align };
-				}
-				out.push({
-					type: "element",
-					tag: elementTag,
-					attributes: attributes,
-					children: children
-				});
-			});
-			break;
-
 		case "hr":
 			out.push({
 				type: 'element',
@@ -215,7 +381,7 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			break;
 
 		case "inline":
-			out = out.concat(convertNodes(currentNode.children, true));
+			out = out.concat(convertNodes(currentNode.children, context, true));
 			break;
 
 		case "text":
@@ -224,9 +390,10 @@ function convertNodes(remarkableTree, isStartOfInline) {
 			break;
 
 		default:
-			if (currentNode.type.substr(currentNode.type.length - 5) === "_open") {
-				var tagName = currentNode.type.substr(0, currentNode.type.length - 5);
-				i = wrappedElement(tagName, i, currentNode.level, tagName + "_close", remarkableTree);
+			if (currentNode.nesting === 1) {
+				// Headings, lists, tables, emphasis and the other elements map directly onto HTML elements
+				var closingType = currentNode.type.substr(0, currentNode.type.length - 5) + "_close";
+				i = wrappedElement(currentNode.tag, i, currentNode.level, closingType, tokens, convertAttributes(currentNode));
 			} else {
 				console.error("Unknown node type: " + currentNode.type, currentNode);
 				out.push({
@@ -240,9 +407,9 @@ function convertNodes(remarkableTree, isStartOfInline) {
 		// more to accumulate first.
 		if (accumulatedText
 			&& (
-				remarkableOpts.breaks ||
-				(i+1) >= remarkableTree.length ||
-				!accumulatingTypes[remarkableTree[i+1].type]
+				markdownItOpts.breaks ||
+				(i+1) >= tokens.length ||
+				!accumulatingTypes[tokens[i+1].type]
 			)
 		) {
 			// The Markdown compiler thinks this is just text.
@@ -261,13 +428,13 @@ function convertNodes(remarkableTree, isStartOfInline) {
 				if (pluginOpts.renderWikiTextPragma !== "") {
 					textToParse = pluginOpts.renderWikiTextPragma + "\n" + textToParse;
 				}
-				var wikiParser = $tw.wiki.parseText("text/vnd.tiddlywiki", textToParse, {
+				var wikiParser = context.wiki.parseText("text/vnd.tiddlywiki", textToParse, {
 					parseAsInline: parseAsInline
 				});
 				var rs = wikiParser.tree;
 
 				// If we parsed as a block, but the root element the WikiText parser gave is a paragraph,
-				// we should discard the paragraph, since the way Remarkable nests its nodes, this "inline"
+				// we should discard the paragraph, since the way markdown-it nests its tokens, this "inline"
 				// node is always inside something else that's a block-level element
 				if (!parseAsInline
 					&& rs.length === 1
@@ -295,7 +462,11 @@ function convertNodes(remarkableTree, isStartOfInline) {
 var MarkdownParser = function(type, text, options) {
 	var tree = md.parse(text, {});
 	//console.debug(tree);
-	tree = convertNodes(tree);
+	// Footnote ids are based on the text so that they don't clash with the footnotes of other tiddlers
+	tree = convertNodes(tree, {
+		wiki: options.wiki || $tw.wiki,
+		footnotePrefix: "footnote-" + ($tw.utils.hashString(text) >>> 0).toString(36)
+	});
 	//console.debug(tree);
 
 	this.tree = tree;
@@ -31,21 +31,25 @@ exports.startup = function() {
 	setupEvents(host);
 };
 
-function debounce(callback) {
-	var timeout = null;
-	return function() {
-		clearTimeout(timeout);
-		timeout = setTimeout(callback,$tw.syncer.throttleInterval);
-	};
-}
-
 function setupEvents(host) {
 	var events = new EventSource(host + "events/plugins/tiddlywiki/tiddlyweb");
-	var debouncedSync = debounce($tw.syncer.syncFromServer.bind($tw.syncer));
-	events.addEventListener("change",debouncedSync);
+	events.addEventListener("updates",function(event) {
+		var updates;
+		try {
+			updates = JSON.parse(event.data);
+		} catch(e) {
+			return;
+		}
+		updates.modifications = (updates.modifications || []).map(function(tiddlerFields) {
+			return $tw.syncadaptor.convertTiddlerFromTiddlyWebFormat(tiddlerFields);
+		});
+		$tw.syncer.applyServerUpdates(updates);
+	});
 	events.onerror = function() {
 		events.close();
 		setTimeout(function() {
+			// Catch up with any changes that we missed while disconnected
+			$tw.syncer.syncFromServer();
 			setupEvents(host);
 		},$tw.syncer.errorRetryInterval);
 	};
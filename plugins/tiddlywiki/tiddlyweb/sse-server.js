@@ -12,6 +12,8 @@ GET /events/plugins/tiddlywiki/tiddlyweb
 /*global $tw: false */
 "use strict";
 
+var excludedTiddlersFilter = require("$:/plugins/tiddlywiki/tiddlyweb/tiddlywebadaptor.js").excludedTiddlersFilter;
+
 var wikis = [];
 var connections = [];
 
@@ -25,14 +27,91 @@ function setupWiki(wiki) {
 	connections.push([]);
 	// Listen to change events for this wiki
 	wiki.addEventListener("change",function(changes) {
-		var jsonChanges = JSON.stringify(changes);
-		getWikiConnections(wiki).forEach(function(item) {
-			item.emit("change",jsonChanges);
+		var wikiConnections = getWikiConnections(wiki);
+		if(wikiConnections.length === 0) {
+			return;
+		}
+		var updates = getUpdates(wiki,changes,wikiConnections[0].state.server);
+		if(updates.modifications.length === 0 && updates.deletions.length === 0) {
+			return;
+		}
+		// Send each connection the updates that its user is authorized to read, computing them once per user
+		var jsonUpdatesByUsername = Object.create(null);
+		wikiConnections.forEach(function(item) {
+			var username = item.state.authenticatedUsername || "";
+			if(!(username in jsonUpdatesByUsername)) {
+				jsonUpdatesByUsername[username] = JSON.stringify(getAuthorizedUpdates(updates,wiki,item.state.server,item.state.authenticatedUsername));
+			}
+			item.emit("updates",jsonUpdatesByUsername[username]);
 		});
 	});
 	return index;
 }
 
+/*
+Convert a set of wiki change events into the delta format sent to clients:
+	modifications: array of tiddler fields of modified tiddlers, including the revision
+	deletions: array of titles of deleted tiddlers
+*/
+function getUpdates(wiki,changes,server) {
+	var updates = {
+			modifications: [],
+			deletions: []
+		},
+		excludeSystem = wiki.getTiddlerText("$:/config/SyncSystemTiddlersFromServer") === "no",
+		excluded = Object.create(null);
+	// Leave out the same tiddlers as the skinny tiddler list requested by the tiddlyweb adaptor
+	$tw.utils.each(wiki.filterTiddlers(excludedTiddlersFilter,null,wiki.makeTiddlerIterator(Object.keys(changes))),function(title) {
+		excluded[title] = true;
+	});
+	$tw.utils.each(changes,function(change,title) {
+		if(excluded[title] || (excludeSystem && wiki.isSystemTiddler(title))) {
+			return;
+		}
+		var tiddler = !change.deleted && wiki.getTiddler(title);
+		if(tiddler) {
+			var tiddlerFields = tiddler.getFieldStrings();
+			tiddlerFields.revision = server.getTiddlerRevision(title,wiki);
+			tiddlerFields.bag = "default";
+			tiddlerFields.type = tiddlerFields.type || "text/vnd.tiddlywiki";
+			updates.modifications.push(tiddlerFields);
+		} else {
+			updates.deletions.push(title);
+		}
+	});
+	return updates;
+}
+
+/*
+Return the subset of a set of updates that a particular user is authorized to read. Modifications to tiddlers that the user cannot read are sent as deletions so that clients discard any copies they already hold
+*/
+function getAuthorizedUpdates(updates,wiki,server,username) {
+	var modifiedTitles = updates.modifications.map(function(tiddlerFields) {
+			return tiddlerFields.title;
+		}),
+		readable = Object.create(null),
+		result = {
+			modifications: [],
+			deletions: []
+		};
+	$tw.utils.each(server.filterAuthorizedTitles("readers",username,modifiedTitles.concat(updates.deletions),wiki),function(title) {
+		readable[title] = true;
+	});
+	$tw.utils.each(updates.modifications,function(tiddlerFields) {
+		if(readable[tiddlerFields.title]) {
+			result.modifications.push(tiddlerFields);
+		} else {
+			result.deletions.push(tiddlerFields.title);
+		}
+	});
+	$tw.utils.each(updates.deletions,function(title) {
+		if(readable[title]) {
+			result.deletions.push(title);
+		}
+	});
+	return result;
+}
+
 /*
 Setup this particular wiki if we haven't seen it before
 */
@@ -15,6 +15,17 @@ A sync adaptor module for synchronising with TiddlyWeb compatible servers
 var CONFIG_HOST_TIDDLER = "$:/config/tiddlyweb/host",
 	DEFAULT_HOST_TIDDLER = "$protocol$//$host$/";
 
+/*
+Filter runs selecting the tiddlers that are never synced from the server. They are left out of the skinny tiddler list, and out of the updates pushed by the server. The resulting skinny tiddler filter must be allowed by $:/config/Server/ExternalFilters/<filter>
+*/
+var EXCLUDED_FILTER_RUNS = ["[[$:/isEncrypted]]","[prefix[$:/temp/]]","[prefix[$:/status/]]","[[$:/boot/boot.js]]","[[$:/boot/bootprefix.js]]","[[$:/library/sjcl.js]]","[[$:/core]]"];
+
+exports.excludedTiddlersFilter = EXCLUDED_FILTER_RUNS.join(" ");
+
+exports.skinnyTiddlersFilter = "[all[tiddlers]] " + EXCLUDED_FILTER_RUNS.map(function(run) {
+	return "-" + run;
+}).join(" ");
+
 function TiddlyWebAdaptor(options) {
 	this.wiki = options.wiki;
 	this.host = this.getHost();
@@ -23,12 +34,15 @@ function TiddlyWebAdaptor(options) {
 	this.logger = new $tw.utils.Logger("TiddlyWebAdaptor");
 	this.isLoggedIn = false;
 	this.isReadOnly = false;
+	this.supportsFormLogin = false;
 }
 
 TiddlyWebAdaptor.prototype.name = "tiddlyweb";
 
 TiddlyWebAdaptor.prototype.supportsLazyLoading = true;
 
+TiddlyWebAdaptor.prototype.supportsBatches = false;
+
 TiddlyWebAdaptor.prototype.setLoggerSaveBuffer = function(loggerForSaving) {
 	this.logger.setSaveBuffer(loggerForSaving);
 };
@@ -88,9 +102,11 @@ TiddlyWebAdaptor.prototype.getStatus = function(callback) {
 					self.recipe = json.space.recipe;
 				}
 				// Check if we're logged in
-				self.isLoggedIn = json.username !== "GUEST";
-				self.isReadOnly = !!json["read_only"];
+				self.supportsFormLogin = !!json.form_login;
 				self.isAnonymous = !!json.anonymous;
+				self.isLoggedIn = self.supportsFormLogin ? !self.isAnonymous : json.username !== "GUEST";
+				self.isReadOnly = !!json["read_only"];
+				self.supportsBatches = !!json.batch_enabled;
 
 				var isSseEnabled = !!json.sse_enabled;
 			}
@@ -106,6 +122,21 @@ TiddlyWebAdaptor.prototype.getStatus = function(callback) {
 Attempt to login and invoke the callback(err)
 */
 TiddlyWebAdaptor.prototype.login = function(username,password,callback) {
+	// Use the login form of the TiddlyWiki server if it is available
+	if(this.supportsFormLogin) {
+		this.logger.log("Logging in:",username);
+		return $tw.utils.httpRequest({
+			url: this.host + "login",
+			type: "POST",
+			data: {
+				username: username,
+				password: password
+			},
+			callback: function(err) {
+				callback(err);
+			}
+		});
+	}
 	var options = {
 		url: this.host + "challenge/tiddlywebplugins.tiddlyspace.cookie_form",
 		type: "POST",
@@ -125,6 +156,16 @@ TiddlyWebAdaptor.prototype.login = function(username,password,callback) {
 /*
 */
 TiddlyWebAdaptor.prototype.logout = function(callback) {
+	if(this.supportsFormLogin) {
+		this.logger.log("Logging out");
+		return $tw.utils.httpRequest({
+			url: this.host + "logout",
+			type: "POST",
+			callback: function(err) {
+				callback(err);
+			}
+		});
+	}
 	var options = {
 		url: this.host + "logout",
 		type: "POST",
@@ -161,7 +202,7 @@ TiddlyWebAdaptor.prototype.getSkinnyTiddlers = function(callback) {
 	$tw.utils.httpRequest({
 		url: this.host + "recipes/" + this.recipe + "/tiddlers.json",
 		data: {
-			filter: "[all[tiddlers]] -[[$:/isEncrypted]] -[prefix[$:/temp/]] -[prefix[$:/status/]] -[[$:/boot/boot.js]] -[[$:/boot/bootprefix.js]] -[[$:/library/sjcl.js]] -[[$:/core]]"
+			filter: exports.skinnyTiddlersFilter
 		},
 		callback: function(err,data) {
 			// Check for errors
@@ -180,22 +221,44 @@ TiddlyWebAdaptor.prototype.getSkinnyTiddlers = function(callback) {
 };
 
 /*
-Save a tiddler and invoke the callback with (err,adaptorInfo,revision)
+Save a tiddler and invoke the callback with (err,adaptorInfo,revision,conflictingTiddlerFields)
+options include:
+tiddlerInfo: the syncer's tiddlerInfo for this tiddler
+
+If the server rejects the save because the tiddler has been changed on the server then the callback is invoked with an error and the fields of the current server version of the tiddler, or null if the tiddler has been deleted on the server
 */
-TiddlyWebAdaptor.prototype.saveTiddler = function(tiddler,callback) {
-	var self = this;
+TiddlyWebAdaptor.prototype.saveTiddler = function(tiddler,callback,options) {
+	var self = this,
+		title = tiddler.fields.title,
+		tiddlerInfo = options && options.tiddlerInfo,
+		bag = tiddlerInfo && tiddlerInfo.adaptorInfo && tiddlerInfo.adaptorInfo.bag,
+		headers = {
+			"Content-type": "application/json"
+		};
 	if(this.isReadOnly) {
 		return callback(null);
 	}
+	// Ask the server to reject the save if the tiddler has changed since the revision we last saw
+	if(bag && tiddlerInfo.revision) {
+		headers["If-Match"] = "\"" + encodeURIComponent(bag) + "/" + encodeURIComponent(title) + "/" + tiddlerInfo.revision + ":\"";
+	}
 	$tw.utils.httpRequest({
-		url: this.host + "recipes/" + encodeURIComponent(this.recipe) + "/tiddlers/" + encodeURIComponent(tiddler.fields.title),
+		url: this.host + "recipes/" + encodeURIComponent(this.recipe) + "/tiddlers/" + encodeURIComponent(title),
 		type: "PUT",
-		headers: {
-			"Content-type": "application/json"
-		},
+		headers: headers,
 		data: this.convertTiddlerToTiddlyWebFormat(tiddler),
 		callback: function(err,data,request) {
 			if(err) {
+				// TiddlyWeb responds with 412 Precondition Failed, and TiddlyWiki with 409 Conflict
+				if(request && (request.status === 409 || request.status === 412)) {
+					// TiddlyWiki only gives the Etag of the current revision if the tiddler hasn't been deleted
+					if(request.status === 409 && !request.getResponseHeader("Etag")) {
+						return callback(err,null,null,null);
+					}
+					return self.loadTiddler(title,function(loadErr,tiddlerFields) {
+						callback(loadErr || err,null,null,tiddlerFields);
+					});
+				}
 				return callback(err);
 			}
 			// Save the details of the new revision of the tiddler
@@ -213,6 +276,89 @@ TiddlyWebAdaptor.prototype.saveTiddler = function(tiddler,callback) {
 	});
 };
 
+/*
+Save and delete a batch of tiddlers in a single request, and invoke the callback with (err,results)
+batch: object with properties:
+  save: array of {tiddler:,tiddlerInfo:} for the tiddlers to be saved
+  delete: array of {title:,tiddlerInfo:} for the tiddlers to be deleted
+results: object with properties:
+  saved: hashmap by title of {adaptorInfo:,revision:} for the saved tiddlers
+  conflicts: array of titles of tiddlers that have been changed on the server
+  rejected: array of titles of tiddlers that the server doesn't allow to be saved or deleted
+
+The server makes either all of the changes or none of them. If there are any conflicts or rejected tiddlers then nothing is saved or deleted
+*/
+TiddlyWebAdaptor.prototype.saveBatch = function(batch,callback) {
+	var self = this,
+		data = {
+			save: [],
+			"delete": []
+		};
+	if(this.isReadOnly) {
+		return callback(null,{saved: {}, conflicts: [], rejected: []});
+	}
+	$tw.utils.each(batch.save,function(item) {
+		data.save.push({
+			tiddler: JSON.parse(self.convertTiddlerToTiddlyWebFormat(item.tiddler)),
+			revision: item.tiddlerInfo && item.tiddlerInfo.adaptorInfo && item.tiddlerInfo.adaptorInfo.bag ? item.tiddlerInfo.revision : undefined
+		});
+	});
+	$tw.utils.each(batch["delete"],function(item) {
+		// Tiddlers without a bag haven't been seen by the server, so we don't need to delete them
+		if(item.tiddlerInfo && item.tiddlerInfo.adaptorInfo && item.tiddlerInfo.adaptorInfo.bag) {
+			data["delete"].push({
+				title: item.title,
+				revision: item.tiddlerInfo.revision
+			});
+		}
+	});
+	$tw.utils.httpRequest({
+		url: this.host + "recipes/" + encodeURIComponent(this.recipe) + "/tiddlers",
+		type: "POST",
+		headers: {
+			"Content-type": "application/json"
+		},
+		data: JSON.stringify(data),
+		callback: function(err,data,request) {
+			var json;
+			try {
+				json = JSON.parse(err ? request.responseText : data);
+			} catch(e) {
+			}
+			if(err) {
+				// The server lists the titles that caused a conflict or that it doesn't allow to be changed
+				var conflicts = (json && json.conflicts) || [],
+					rejected = (json && json.forbidden) || [];
+				if(conflicts.length > 0 || rejected.length > 0) {
+					return callback(null,{
+						saved: {},
+						conflicts: conflicts,
+						rejected: rejected
+					});
+				}
+				return callback(err);
+			}
+			if(!json) {
+				return callback("Invalid response from server when saving a batch of tiddlers");
+			}
+			var results = {
+				saved: {},
+				conflicts: [],
+				rejected: []
+			};
+			$tw.utils.each(json.saved,function(info,title) {
+				results.saved[title] = {
+					adaptorInfo: {
+						bag: info.bag
+					},
+					revision: info.revision
+				};
+			});
+			callback(null,results);
+		}
+	});
+};
+
 /*
 Load a tiddler and invoke the callback with (err,tiddlerFields)
 */
@@ -230,6 +376,48 @@ TiddlyWebAdaptor.prototype.loadTiddler = function(title,callback) {
 	});
 };
 
+/*
+Get the revision history of a tiddler and invoke the callback with (err,revisions)
+*/
+TiddlyWebAdaptor.prototype.getTiddlerRevisions = function(title,callback) {
+	$tw.utils.httpRequest({
+		url: this.host + "bags/default/tiddlers/" + encodeURIComponent(title) + "/revisions",
+		callback: function(err,data,request) {
+			if(err) {
+				return callback(err);
+			}
+			var result;
+			try {
+				result = JSON.parse(data);
+			} catch(e) {
+				return callback("Invalid revisions data from the server: " + e.toString());
+			}
+			callback(null,result);
+		}
+	});
+};
+
+/*
+Load a revision of a tiddler and invoke the callback with (err,tiddlerFields)
+*/
+TiddlyWebAdaptor.prototype.loadTiddlerRevision = function(title,revision,callback) {
+	$tw.utils.httpRequest({
+		url: this.host + "bags/default/tiddlers/" + encodeURIComponent(title) + "/revisions/" + revision,
+		callback: function(err,data,request) {
+			if(err) {
+				return callback(err);
+			}
+			var result;
+			try {
+				result = JSON.parse(data);
+			} catch(e) {
+				return callback("Invalid revision data from the server: " + e.toString());
+			}
+			callback(null,result);
+		}
+	});
+};
+
 /*
 Delete a tiddler and invoke the callback with (err)
 options include: